@@ -0,0 +1,86 @@
+import { PrismaClient } from "@prisma/client";
+import fs from "fs";
+import { parse } from "csv-parse";
+
+const prisma = new PrismaClient();
+
+const POSITIONS = [
+  "PRESIDENT",
+  "GOVERNOR",
+  "SENATOR",
+  "MP",
+  "WOMAN_REPRESENTATIVE",
+  "COUNTY_ASSEMBLY_MEMBER",
+];
+
+// Expected columns: year,position,regionCode,candidateName,party,votes,registeredVoters
+async function importHistoricalResults(file) {
+  const parser = fs
+    .createReadStream(file)
+    .pipe(parse({ columns: true, trim: true }));
+  let count = 0;
+  let line = 1;
+  for await (const row of parser) {
+    line++;
+    const year = parseInt(row.year);
+    const votes = parseInt(row.votes);
+    const registeredVoters = parseInt(row.registeredVoters);
+    const position = row.position?.toUpperCase();
+    if (
+      !year ||
+      !POSITIONS.includes(position) ||
+      !row.regionCode ||
+      !row.candidateName ||
+      isNaN(votes) ||
+      isNaN(registeredVoters)
+    ) {
+      console.error(`Skipping invalid row ${line}:`, row);
+      continue;
+    }
+
+    const data = {
+      party: row.party || "Independent",
+      votes,
+      registeredVoters,
+    };
+    try {
+      await prisma.historicalResult.upsert({
+        where: {
+          year_position_regionCode_candidateName: {
+            year,
+            position,
+            regionCode: row.regionCode,
+            candidateName: row.candidateName,
+          },
+        },
+        update: data,
+        create: {
+          year,
+          position,
+          regionCode: row.regionCode,
+          candidateName: row.candidateName,
+          ...data,
+        },
+      });
+      count++;
+    } catch (e) {
+      console.error(
+        `Failed to import ${year} ${position} result for ${row.candidateName} (${row.regionCode}):`,
+        e.message
+      );
+    }
+  }
+  console.log(`✅ Imported ${count} historical results from ${file}`);
+}
+
+async function main() {
+  await importHistoricalResults(
+    process.argv[2] || "prisma/data/historical_results.csv"
+  );
+  await prisma.$disconnect();
+}
+
+main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
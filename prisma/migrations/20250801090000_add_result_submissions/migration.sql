@@ -0,0 +1,27 @@
+-- CreateTable
+CREATE TABLE "result_submissions" (
+    "id" TEXT NOT NULL,
+    "regionId" TEXT NOT NULL,
+    "position" "Position" NOT NULL,
+    "registeredVoters" INTEGER NOT NULL,
+    "validVotes" INTEGER NOT NULL,
+    "rejectedBallots" INTEGER NOT NULL DEFAULT 0,
+    "spoiltBallots" INTEGER NOT NULL DEFAULT 0,
+    "agents" JSONB NOT NULL,
+    "checksum" TEXT NOT NULL,
+    "submittedBy" TEXT NOT NULL,
+    "submittedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "result_submissions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "result_submissions_regionId_position_key" ON "result_submissions"("regionId", "position");
+
+-- AddForeignKey
+ALTER TABLE "result_submissions" ADD CONSTRAINT "result_submissions_regionId_fkey" FOREIGN KEY ("regionId") REFERENCES "regions"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "result_submissions" ADD CONSTRAINT "result_submissions_submittedBy_fkey" FOREIGN KEY ("submittedBy") REFERENCES "users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,11 @@
+-- CreateEnum
+CREATE TYPE "CorrectionStatus" AS ENUM ('PENDING', 'APPROVED', 'REJECTED');
+
+-- AlterTable
+ALTER TABLE "vote_updates" ADD COLUMN     "reviewNotes" TEXT,
+ADD COLUMN     "reviewedAt" TIMESTAMP(3),
+ADD COLUMN     "reviewedBy" TEXT,
+ADD COLUMN     "status" "CorrectionStatus" NOT NULL DEFAULT 'PENDING';
+
+-- AddForeignKey
+ALTER TABLE "vote_updates" ADD CONSTRAINT "vote_updates_reviewedBy_fkey" FOREIGN KEY ("reviewedBy") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
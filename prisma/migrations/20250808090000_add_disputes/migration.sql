@@ -0,0 +1,32 @@
+-- CreateEnum
+CREATE TYPE "DisputeStatus" AS ENUM ('FILED', 'UNDER_REVIEW', 'RESOLVED', 'DISMISSED');
+
+-- CreateTable
+CREATE TABLE "disputes" (
+    "id" TEXT NOT NULL,
+    "regionId" TEXT NOT NULL,
+    "position" "Position" NOT NULL,
+    "filedBy" TEXT NOT NULL,
+    "grounds" TEXT NOT NULL,
+    "evidence" JSONB NOT NULL DEFAULT '[]',
+    "status" "DisputeStatus" NOT NULL DEFAULT 'FILED',
+    "assignedTo" TEXT,
+    "resolution" TEXT,
+    "resolvedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "disputes_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "disputes_regionId_position_status_idx" ON "disputes"("regionId", "position", "status");
+
+-- AddForeignKey
+ALTER TABLE "disputes" ADD CONSTRAINT "disputes_regionId_fkey" FOREIGN KEY ("regionId") REFERENCES "regions"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "disputes" ADD CONSTRAINT "disputes_filedBy_fkey" FOREIGN KEY ("filedBy") REFERENCES "users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "disputes" ADD CONSTRAINT "disputes_assignedTo_fkey" FOREIGN KEY ("assignedTo") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,21 @@
+-- CreateTable
+CREATE TABLE "historical_results" (
+    "id" TEXT NOT NULL,
+    "year" INTEGER NOT NULL,
+    "position" "Position" NOT NULL,
+    "regionCode" TEXT NOT NULL,
+    "candidateName" TEXT NOT NULL,
+    "party" TEXT NOT NULL,
+    "votes" INTEGER NOT NULL,
+    "registeredVoters" INTEGER NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "historical_results_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "historical_results_regionCode_position_idx" ON "historical_results"("regionCode", "position");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "historical_results_year_position_regionCode_candidateName_key" ON "historical_results"("year", "position", "regionCode", "candidateName");
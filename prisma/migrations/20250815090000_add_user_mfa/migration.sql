@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "users" ADD COLUMN     "mfaEnabled" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "mfaEnrolledAt" TIMESTAMP(3),
+ADD COLUMN     "mfaRecoveryCodes" TEXT[],
+ADD COLUMN     "mfaSecret" TEXT;
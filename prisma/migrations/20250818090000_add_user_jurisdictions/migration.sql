@@ -0,0 +1,22 @@
+-- CreateTable
+CREATE TABLE "user_jurisdictions" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "regionId" TEXT NOT NULL,
+    "assignedBy" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "user_jurisdictions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "user_jurisdictions_userId_regionId_key" ON "user_jurisdictions"("userId", "regionId");
+
+-- CreateIndex
+CREATE INDEX "user_jurisdictions_regionId_idx" ON "user_jurisdictions"("regionId");
+
+-- AddForeignKey
+ALTER TABLE "user_jurisdictions" ADD CONSTRAINT "user_jurisdictions_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "user_jurisdictions" ADD CONSTRAINT "user_jurisdictions_regionId_fkey" FOREIGN KEY ("regionId") REFERENCES "regions"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,13 @@
+-- CreateTable
+CREATE TABLE "role_permissions" (
+    "id" TEXT NOT NULL,
+    "role" "UserRole" NOT NULL,
+    "permission" TEXT NOT NULL,
+    "grantedBy" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "role_permissions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "role_permissions_role_permission_key" ON "role_permissions"("role", "permission");
@@ -0,0 +1,14 @@
+-- Store API keys hashed. Existing keys keep working: their hash is computed
+-- in place and their first characters kept as the display prefix.
+ALTER TABLE "api_keys" ADD COLUMN "prefix" TEXT;
+UPDATE "api_keys" SET "prefix" = LEFT("key", 8);
+ALTER TABLE "api_keys" ALTER COLUMN "prefix" SET NOT NULL;
+
+UPDATE "api_keys" SET "key" = encode(sha256(convert_to("key", 'UTF8')), 'hex');
+ALTER TABLE "api_keys" RENAME COLUMN "key" TO "keyHash";
+ALTER INDEX "api_keys_key_key" RENAME TO "api_keys_keyHash_key";
+
+-- AlterTable
+ALTER TABLE "api_keys" ADD COLUMN "lastUsedAt" TIMESTAMP(3),
+ADD COLUMN "rotatedAt" TIMESTAMP(3),
+ADD COLUMN "createdBy" TEXT;
@@ -0,0 +1,26 @@
+-- AlterTable
+ALTER TABLE "audit_logs" ADD COLUMN "sequence" INTEGER,
+ADD COLUMN "previousHash" TEXT,
+ADD COLUMN "hash" TEXT;
+
+-- Number existing entries in time order. They stay unhashed: the chain
+-- starts with the first entry written after this migration.
+UPDATE "audit_logs" AS a
+SET "sequence" = s.rn
+FROM (
+    SELECT "id", ROW_NUMBER() OVER (ORDER BY "timestamp", "id") AS rn
+    FROM "audit_logs"
+) AS s
+WHERE a."id" = s."id";
+
+ALTER TABLE "audit_logs" ALTER COLUMN "sequence" SET NOT NULL;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "audit_logs_sequence_key" ON "audit_logs"("sequence");
+
+-- AlterTable
+ALTER TABLE "data_backups" ADD COLUMN "type" TEXT NOT NULL DEFAULT 'backup',
+ADD COLUMN "metadata" JSONB;
+
+-- CreateIndex
+CREATE INDEX "data_backups_type_createdAt_idx" ON "data_backups"("type", "createdAt");
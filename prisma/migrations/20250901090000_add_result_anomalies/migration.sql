@@ -0,0 +1,46 @@
+-- CreateEnum
+CREATE TYPE "AnomalyType" AS ENUM ('TURNOUT_EXCEEDS_REGISTER', 'CANDIDATE_EXCEEDS_REGISTER', 'DOMINANT_CANDIDATE', 'SUDDEN_JUMP', 'DIGIT_IRREGULARITY');
+
+-- CreateEnum
+CREATE TYPE "AnomalyStatus" AS ENUM ('OPEN', 'CONFIRMED', 'DISMISSED');
+
+-- CreateTable
+CREATE TABLE "result_anomalies" (
+    "id" TEXT NOT NULL,
+    "regionId" TEXT NOT NULL,
+    "submissionId" TEXT,
+    "position" "Position" NOT NULL,
+    "type" "AnomalyType" NOT NULL,
+    "severity" TEXT NOT NULL,
+    "message" TEXT NOT NULL,
+    "details" JSONB NOT NULL,
+    "status" "AnomalyStatus" NOT NULL DEFAULT 'OPEN',
+    "reviewedBy" TEXT,
+    "reviewedAt" TIMESTAMP(3),
+    "reviewNotes" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "result_anomalies_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "result_anomalies_status_createdAt_idx" ON "result_anomalies"("status", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "result_anomalies_regionId_position_type_status_idx" ON "result_anomalies"("regionId", "position", "type", "status");
+
+-- AddForeignKey
+ALTER TABLE "result_anomalies" ADD CONSTRAINT "result_anomalies_regionId_fkey" FOREIGN KEY ("regionId") REFERENCES "regions"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "result_anomalies" ADD CONSTRAINT "result_anomalies_submissionId_fkey" FOREIGN KEY ("submissionId") REFERENCES "result_submissions"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "result_anomalies" ADD CONSTRAINT "result_anomalies_reviewedBy_fkey" FOREIGN KEY ("reviewedBy") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Grant the review queue to commissioners where the registry is already stored
+INSERT INTO "role_permissions" ("id", "role", "permission")
+SELECT gen_random_uuid()::text, 'IEBC_COMMISSIONER', 'anomalies:review'
+WHERE EXISTS (SELECT 1 FROM "role_permissions")
+ON CONFLICT ("role", "permission") DO NOTHING;
@@ -0,0 +1,36 @@
+-- CreateTable
+CREATE TABLE "form_scans" (
+    "id" TEXT NOT NULL,
+    "submissionId" TEXT NOT NULL,
+    "key" TEXT NOT NULL,
+    "filename" TEXT NOT NULL,
+    "contentType" TEXT NOT NULL,
+    "size" INTEGER,
+    "checksum" TEXT,
+    "requestedBy" TEXT NOT NULL,
+    "uploadedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "form_scans_pkey" PRIMARY KEY ("id")
+);
+
+-- AlterTable
+ALTER TABLE "votes" ADD COLUMN "formScanId" TEXT;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "form_scans_key_key" ON "form_scans"("key");
+
+-- CreateIndex
+CREATE INDEX "form_scans_submissionId_uploadedAt_idx" ON "form_scans"("submissionId", "uploadedAt");
+
+-- AddForeignKey
+ALTER TABLE "form_scans" ADD CONSTRAINT "form_scans_submissionId_fkey" FOREIGN KEY ("submissionId") REFERENCES "result_submissions"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "form_scans" ADD CONSTRAINT "form_scans_requestedBy_fkey" FOREIGN KEY ("requestedBy") REFERENCES "users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "votes" ADD CONSTRAINT "votes_formScanId_fkey" FOREIGN KEY ("formScanId") REFERENCES "form_scans"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- At most one confirmed scan per submission (partial index, not expressible in the schema)
+CREATE UNIQUE INDEX "form_scans_submissionId_confirmed_key" ON "form_scans"("submissionId") WHERE "uploadedAt" IS NOT NULL;
@@ -0,0 +1,49 @@
+-- CreateEnum
+CREATE TYPE "ExportFormat" AS ENUM ('CSV', 'JSON', 'XLSX', 'PARQUET');
+
+-- CreateEnum
+CREATE TYPE "ExportStatus" AS ENUM ('QUEUED', 'RUNNING', 'COMPLETED', 'FAILED');
+
+-- CreateTable
+CREATE TABLE "export_jobs" (
+    "id" TEXT NOT NULL,
+    "position" "Position" NOT NULL,
+    "regionId" TEXT NOT NULL,
+    "level" "RegionType" NOT NULL,
+    "format" "ExportFormat" NOT NULL,
+    "status" "ExportStatus" NOT NULL DEFAULT 'QUEUED',
+    "progress" INTEGER NOT NULL DEFAULT 0,
+    "processedRegions" INTEGER NOT NULL DEFAULT 0,
+    "totalRegions" INTEGER,
+    "rowCount" INTEGER NOT NULL DEFAULT 0,
+    "key" TEXT,
+    "size" INTEGER,
+    "checksum" TEXT,
+    "error" TEXT,
+    "requestedBy" TEXT,
+    "apiKeyId" TEXT,
+    "startedAt" TIMESTAMP(3),
+    "completedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "export_jobs_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "export_jobs_status_createdAt_idx" ON "export_jobs"("status", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "export_jobs_requestedBy_createdAt_idx" ON "export_jobs"("requestedBy", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "export_jobs_apiKeyId_createdAt_idx" ON "export_jobs"("apiKeyId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "export_jobs" ADD CONSTRAINT "export_jobs_regionId_fkey" FOREIGN KEY ("regionId") REFERENCES "regions"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "export_jobs" ADD CONSTRAINT "export_jobs_requestedBy_fkey" FOREIGN KEY ("requestedBy") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "export_jobs" ADD CONSTRAINT "export_jobs_apiKeyId_fkey" FOREIGN KEY ("apiKeyId") REFERENCES "api_keys"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,46 @@
+-- CreateTable
+CREATE TABLE "dispute_evidence" (
+    "id" TEXT NOT NULL,
+    "disputeId" TEXT NOT NULL,
+    "key" TEXT NOT NULL,
+    "filename" TEXT NOT NULL,
+    "contentType" TEXT NOT NULL,
+    "size" INTEGER,
+    "checksum" TEXT,
+    "uploadedBy" TEXT NOT NULL,
+    "uploadedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "dispute_evidence_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "dispute_evidence_key_key" ON "dispute_evidence"("key");
+
+-- CreateIndex
+CREATE INDEX "dispute_evidence_disputeId_uploadedAt_idx" ON "dispute_evidence"("disputeId", "uploadedAt");
+
+-- AddForeignKey
+ALTER TABLE "dispute_evidence" ADD CONSTRAINT "dispute_evidence_disputeId_fkey" FOREIGN KEY ("disputeId") REFERENCES "disputes"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "dispute_evidence" ADD CONSTRAINT "dispute_evidence_uploadedBy_fkey" FOREIGN KEY ("uploadedBy") REFERENCES "users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- Carry over entries from the old JSON column. They were recorded before
+-- the upload happened, so they come across unconfirmed.
+INSERT INTO "dispute_evidence" ("id", "disputeId", "key", "filename", "contentType", "uploadedBy", "createdAt")
+SELECT
+    md5(d."id" || (e.value->>'key')),
+    d."id",
+    e.value->>'key',
+    e.value->>'filename',
+    e.value->>'contentType',
+    e.value->>'uploadedBy',
+    COALESCE((e.value->>'uploadedAt')::TIMESTAMP(3), d."createdAt")
+FROM "disputes" d, jsonb_array_elements(d."evidence") AS e
+WHERE e.value->>'key' IS NOT NULL
+  AND e.value->>'uploadedBy' IN (SELECT "id" FROM "users")
+ON CONFLICT ("key") DO NOTHING;
+
+-- AlterTable
+ALTER TABLE "disputes" DROP COLUMN "evidence";
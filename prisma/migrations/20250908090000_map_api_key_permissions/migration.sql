@@ -0,0 +1,28 @@
+-- Keys created before permission scoping listed the endpoints they could
+-- call. Map those entries to the read-only permission names. Entries that
+-- are already permission names are kept, a "*" entry grants every read
+-- permission, and anything unrecognised is dropped; a key left with no
+-- permissions must be re-scoped by an administrator.
+UPDATE "api_keys" k
+SET "permissions" = COALESCE(
+    (
+        SELECT jsonb_agg(DISTINCT permission ORDER BY permission)
+        FROM jsonb_array_elements_text(k."permissions") AS e(entry),
+        LATERAL unnest(
+            CASE
+                WHEN entry IN ('results:view', 'corrections:view', 'disputes:view') THEN ARRAY[entry]
+                WHEN entry IN ('*', '/*', '/api/*') THEN ARRAY['results:view', 'corrections:view', 'disputes:view']
+                WHEN entry ILIKE '%correction%' THEN ARRAY['corrections:view']
+                WHEN entry ILIKE '%dispute%' THEN ARRAY['disputes:view']
+                WHEN entry ILIKE '%result%' OR entry ILIKE '%vote%' OR entry ILIKE '%candidate%'
+                    OR entry ILIKE '%region%' OR entry ILIKE '%stream%' THEN ARRAY['results:view']
+                ELSE ARRAY[]::TEXT[]
+            END
+        ) AS p(permission)
+    ),
+    '[]'::jsonb
+)
+WHERE jsonb_typeof(k."permissions") = 'array';
+
+UPDATE "api_keys" SET "permissions" = '[]'::jsonb
+WHERE jsonb_typeof("permissions") <> 'array';
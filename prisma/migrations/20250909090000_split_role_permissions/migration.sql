@@ -0,0 +1,31 @@
+-- Each role's routes now require their own permissions, so a default grant
+-- no longer opens another role's routes. Move installs that already stored
+-- the defaults onto the new names. An empty table is left alone: the
+-- defaults are written on first start.
+INSERT INTO "role_permissions" ("id", "role", "permission")
+SELECT md5(v.role || ':' || v.permission), v.role::"UserRole", v.permission
+FROM (VALUES
+    ('IEBC_COMMISSIONER', 'results:aggregate'),
+    ('IEBC_COMMISSIONER', 'compliance:view'),
+    ('RETURNING_OFFICER', 'tallies:view'),
+    ('RETURNING_OFFICER', 'incidents:escalate'),
+    ('ELECTION_CLERK', 'voters:assist'),
+    ('ELECTION_CLERK', 'ballots:distribute'),
+    ('ELECTION_CLERK', 'ballots:count'),
+    ('ELECTION_CLERK', 'queue:manage'),
+    ('ELECTION_CLERK', 'incidents:flag')
+) AS v(role, permission)
+WHERE EXISTS (SELECT 1 FROM "role_permissions")
+ON CONFLICT ("role", "permission") DO NOTHING;
+
+DELETE FROM "role_permissions"
+WHERE ("role"::TEXT, "permission") IN (
+    ('IEBC_COMMISSIONER', 'audit:view'),
+    ('RETURNING_OFFICER', 'results:submit'),
+    ('RETURNING_OFFICER', 'incidents:log'),
+    ('RETURNING_OFFICER', 'disputes:file'),
+    ('ELECTION_CLERK', 'station:operate'),
+    ('ELECTION_CLERK', 'voters:verify'),
+    ('ELECTION_CLERK', 'ballots:issue'),
+    ('ELECTION_CLERK', 'incidents:log')
+);
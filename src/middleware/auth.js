@@ -2,7 +2,17 @@ import jwt from "jsonwebtoken";
 import pkg from "@prisma/client";
 const { PrismaClient } = pkg;
 import logger from "../utils/logger.js";
-import { sendEmail } from "../utils/email.js";
+import { getActiveSession } from "../services/sessions.js";
+import { MFA_REQUIRED_ROLES } from "../services/mfa.js";
+import { isWithinJurisdiction } from "../services/jurisdiction.js";
+import { getRolePermissions } from "../services/permissions.js";
+import {
+  attachApiKey,
+  consumeApiKeyQuota,
+  findApiKey,
+  getApiKeyRejection,
+} from "../services/apiKeys.js";
+import { securityAuditLog, AUDIT_ACTIONS } from "../utils/audit.js";
 
 const prisma = new PrismaClient();
 
@@ -56,67 +66,22 @@ export default function authenticateToken(req, res, next) {
         email: user.email,
         name: user.name,
         role: user.role,
+        mfaEnabled: user.mfaEnabled,
+        mfaVerified: false,
       };
 
-      // Send login email for all admin roles
-      const adminRoleMessages = {
-        SYSTEM_ADMINISTRATOR: {
-          subject: "System Administrator Login | Kenya Votes Live",
-          main_message:
-            "You have successfully logged in as a SYSTEM ADMINISTRATOR.",
-          content_title: "System Administrator Login Alert",
-          cta_text: "Go to Admin Dashboard",
-        },
-        IEBC_COMMISSIONER: {
-          subject: "IEBC Commissioner Login | Kenya Votes Live",
-          main_message:
-            "You have successfully logged in as an IEBC COMMISSIONER.",
-          content_title: "Commissioner Login Alert",
-          cta_text: "Go to Commissioner Dashboard",
-        },
-        RETURNING_OFFICER: {
-          subject: "Returning Officer Login | Kenya Votes Live",
-          main_message:
-            "You have successfully logged in as a RETURNING OFFICER.",
-          content_title: "Returning Officer Login Alert",
-          cta_text: "Go to Returning Officer Dashboard",
-        },
-        PRESIDING_OFFICER: {
-          subject: "Presiding Officer Login | Kenya Votes Live",
-          main_message:
-            "You have successfully logged in as a PRESIDING OFFICER.",
-          content_title: "Presiding Officer Login Alert",
-          cta_text: "Go to Presiding Officer Dashboard",
-        },
-        ELECTION_CLERK: {
-          subject: "Election Clerk Login | Kenya Votes Live",
-          main_message: "You have successfully logged in as an ELECTION CLERK.",
-          content_title: "Election Clerk Login Alert",
-          cta_text: "Go to Clerk Dashboard",
-        },
-      };
-      if (adminRoleMessages[user.role]) {
-        const msg = adminRoleMessages[user.role];
-        try {
-          await sendEmail({
-            to: user.email,
-            subject: msg.subject,
-            templateData: {
-              greeting: "Dear",
-              user_name: user.name,
-              main_message: msg.main_message,
-              content_title: msg.content_title,
-              content_details: `Login time: ${new Date().toLocaleString()}`,
-              status_label: "Success",
-              cta_url: process.env.BACKEND_URL || "http://localhost:4000",
-              cta_text: msg.cta_text,
-              additional_info:
-                "If this was not you, please contact support immediately.",
-            },
+      // Tokens minted by /api/auth/login are bound to a revocable session,
+      // which also records whether the second factor was completed
+      if (decoded.sid) {
+        const session = await getActiveSession(decoded.sid, user.id);
+        if (!session) {
+          return res.status(401).json({
+            error: "Access denied",
+            message: "Session revoked",
           });
-        } catch (e) {
-          logger.error(`Failed to send ${user.role} login email:`, e);
         }
+        req.sessionId = decoded.sid;
+        req.user.mfaVerified = !!session.mfaVerified;
       }
 
       next();
@@ -158,6 +123,77 @@ export function requireRole(roles) {
   };
 }
 
+// Second-factor guard for sensitive routes. Place it after requireRole:
+// users in `roles` must hold a session that completed MFA.
+export function requireMfa(roles = MFA_REQUIRED_ROLES) {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        error: "Access denied",
+        message: "Authentication required",
+      });
+    }
+    if (roles.includes(req.user.role) && !req.user.mfaVerified) {
+      return res.status(403).json({
+        error: "MFA required",
+        message: req.user.mfaEnabled
+          ? "Log in with your authenticator code to continue"
+          : "Enrol in two-factor authentication at /api/auth/mfa/setup",
+      });
+    }
+    next();
+  };
+}
+
+// Jurisdiction guard for region-scoped routes. Place it after requireRole and
+// the route's validators; `resolveRegionCode(req)` returns the target region's
+// code (or a promise of it). Missing or unknown regions are left to the route
+// to report.
+export function requireJurisdiction(resolveRegionCode) {
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return res.status(401).json({
+          error: "Access denied",
+          message: "Authentication required",
+        });
+      }
+      const regionCode = await resolveRegionCode(req);
+      if (!regionCode) return next();
+      const region = await prisma.region.findUnique({
+        where: { code: regionCode },
+      });
+      if (!region) return next();
+
+      if (!(await isWithinJurisdiction(prisma, req.user, region))) {
+        try {
+          await securityAuditLog(AUDIT_ACTIONS.SECURITY_ACCESS_DENIED, {
+            userId: req.user.id,
+            reason: "outside_jurisdiction",
+            regionCode,
+            path: req.originalUrl,
+            ipAddress: req.ip,
+            userAgent: req.get("User-Agent"),
+          });
+        } catch (err) {
+          logger.error("Failed to audit jurisdiction denial:", err);
+        }
+        return res.status(403).json({
+          error: "Access denied",
+          message: `${region.name} (${region.code}) is outside your jurisdiction`,
+        });
+      }
+      next();
+    } catch (error) {
+      logger.error("Jurisdiction check error:", error);
+      res.status(500).json({
+        error: "Authorization failed",
+        message: "Internal server error",
+      });
+    }
+  };
+}
+
 // Middleware for each new role
 export const requireIEBCCommissioner = requireRole(["IEBC_COMMISSIONER"]);
 export const requireReturningOfficer = requireRole(["RETURNING_OFFICER"]);
@@ -165,62 +201,68 @@ export const requirePresidingOfficer = requireRole(["PRESIDING_OFFICER"]);
 export const requireElectionClerk = requireRole(["ELECTION_CLERK"]);
 export const requireSystemAdministrator = requireRole(["SYSTEM_ADMINISTRATOR"]);
 
-// API key authentication middleware
-export const apiKeyAuth = async (req, res, next) => {
+// Meter an API key request against the key's hourly quota. Sets
+// X-RateLimit-Limit, -Remaining and -Reset (Unix seconds), and answers 429
+// with Retry-After once the quota is used up. Each request is counted once.
+export const enforceApiKeyQuota = async (req, res, next) => {
+  if (!req.apiKey || req.apiKeyQuota) return next();
   try {
-    const apiKey = req.headers["x-api-key"];
-
-    if (!apiKey) {
-      return res.status(401).json({
-        error: "Access denied",
-        message: "API key required",
-      });
-    }
-
-    // Check API key in database
-    const keyRecord = await prisma.apiKey.findUnique({
-      where: { key: apiKey },
+    const quota = await consumeApiKeyQuota(req.apiKey);
+    if (!quota) return next();
+    req.apiKeyQuota = quota;
+
+    res.set({
+      "X-RateLimit-Limit": String(quota.limit),
+      "X-RateLimit-Remaining": String(quota.remaining),
+      "X-RateLimit-Reset": String(quota.reset),
     });
 
-    if (!keyRecord || !keyRecord.isActive) {
-      return res.status(401).json({
-        error: "Access denied",
-        message: "Invalid or inactive API key",
+    if (!quota.allowed) {
+      const retryAfter = Math.max(
+        1,
+        quota.reset - Math.floor(Date.now() / 1000)
+      );
+      res.set("Retry-After", String(retryAfter));
+      return res.status(429).json({
+        error: "Rate limit exceeded",
+        message: `API key quota of ${quota.limit} requests per hour used up`,
+        retryAfter,
       });
     }
+    next();
+  } catch (error) {
+    logger.error("API key quota error:", error);
+    next();
+  }
+};
+
+// API key authentication middleware. Keys are normally resolved by
+// validateApiKey in the security middleware; this also covers routers
+// mounted without it.
+export const apiKeyAuth = async (req, res, next) => {
+  try {
+    const apiKey = req.headers["x-api-key"];
 
-    // Check if API key has expired
-    if (keyRecord.expiresAt && new Date() > keyRecord.expiresAt) {
+    if (!apiKey) {
       return res.status(401).json({
         error: "Access denied",
-        message: "API key expired",
+        message: "API key required",
       });
     }
 
-    // Check rate limiting
-    const rateLimitKey = `rate_limit:${apiKey}`;
-    const currentCount = await redis.incr(rateLimitKey);
-
-    if (currentCount === 1) {
-      await redis.expire(rateLimitKey, 3600); // 1 hour
-    }
-
-    if (currentCount > keyRecord.rateLimit) {
-      return res.status(429).json({
-        error: "Rate limit exceeded",
-        message: "Too many requests",
-      });
+    if (!req.apiKey) {
+      const keyRecord = await findApiKey(prisma, apiKey);
+      const rejection = getApiKeyRejection(keyRecord);
+      if (rejection) {
+        return res.status(401).json({
+          error: "Access denied",
+          message: rejection,
+        });
+      }
+      attachApiKey(prisma, req, res, keyRecord);
     }
 
-    // Add API key info to request
-    req.apiKey = {
-      id: keyRecord.id,
-      name: keyRecord.name,
-      permissions: keyRecord.permissions,
-      rateLimit: keyRecord.rateLimit,
-    };
-
-    next();
+    await enforceApiKeyQuota(req, res, next);
   } catch (error) {
     logger.error("API key authentication error:", error);
     res.status(500).json({
@@ -230,40 +272,64 @@ export const apiKeyAuth = async (req, res, next) => {
   }
 };
 
-// Permission check middleware
-export const requirePermission = (permission) => {
-  return (req, res, next) => {
-    if (!req.apiKey) {
-      return res.status(401).json({
-        error: "Access denied",
-        message: "API key required",
-      });
-    }
-
-    const permissions = req.apiKey.permissions;
+// Accept either an API key (X-API-Key) or a signed-in user's JWT, for
+// routes serving both partners and officials
+export const authenticateTokenOrApiKey = (req, res, next) =>
+  req.headers["x-api-key"]
+    ? apiKeyAuth(req, res, next)
+    : authenticateToken(req, res, next);
+
+// Permission check middleware. Users are granted their role's permissions
+// from the registry (services/permissions.js); API keys carry their own.
+// Every listed permission is required. The list is exposed on the returned
+// middleware so /api-docs can report what each route needs.
+export const requirePermission = (...required) => {
+  const middleware = async (req, res, next) => {
+    try {
+      let granted;
+      if (req.user) {
+        granted = await getRolePermissions(prisma, req.user.role);
+      } else if (req.apiKey) {
+        granted = req.apiKey.permissions;
+      } else {
+        return res.status(401).json({
+          error: "Access denied",
+          message: "Authentication required",
+        });
+      }
 
-    if (!permissions.includes(permission)) {
-      return res.status(403).json({
-        error: "Access denied",
-        message: `Permission required: ${permission}`,
+      const missing = required.filter((p) => !granted.includes(p));
+      if (missing.length > 0) {
+        return res.status(403).json({
+          error: "Access denied",
+          message: `Permission required: ${missing.join(", ")}`,
+        });
+      }
+      next();
+    } catch (error) {
+      logger.error("Permission check error:", error);
+      res.status(500).json({
+        error: "Authorization failed",
+        message: "Internal server error",
       });
     }
-
-    next();
   };
+  middleware.permissions = required;
+  return middleware;
 };
 
-// Generate JWT token
-export const generateToken = (user) => {
+// Generate JWT token, optionally bound to a login session
+export const generateToken = (user, { sessionId, expiresIn } = {}) => {
   return jwt.sign(
     {
       userId: user.id,
       email: user.email,
       role: user.role,
+      ...(sessionId && { sid: sessionId }),
     },
     process.env.JWT_SECRET,
     {
-      expiresIn: process.env.JWT_EXPIRES_IN || "24h",
+      expiresIn: expiresIn || process.env.JWT_EXPIRES_IN || "24h",
     }
   );
 };
@@ -1,8 +1,18 @@
 import rateLimit from "express-rate-limit";
 import slowDown from "express-slow-down";
+import pkg from "@prisma/client";
+const { PrismaClient } = pkg;
 import redis from "../services/redis.js";
+import {
+  attachApiKey,
+  findApiKey,
+  getApiKeyRejection,
+} from "../services/apiKeys.js";
+import { enforceApiKeyQuota } from "./auth.js";
 import logger from "../utils/logger.js";
 
+const prisma = new PrismaClient();
+
 // DDoS Protection - Track IP addresses
 const ipTracker = new Map();
 const DDoS_THRESHOLD = 1000; // requests per minute
@@ -89,6 +99,8 @@ export const enhancedRateLimit = rateLimit({
     // Use API key if available, otherwise use IP
     return req.headers["x-api-key"] || req.ip || req.connection.remoteAddress;
   },
+  // Keys metered against their own quota are not limited by IP as well
+  skip: (req) => Boolean(req.apiKeyQuota),
   handler: (req, res) => {
     logger.warn(`Rate limit exceeded for ${req.ip} accessing ${req.path}`);
     res.status(429).json({
@@ -112,6 +124,7 @@ export const requestSlowDown = slowDown({
     return 200;
   },
   maxDelayMs: 5000,
+  skip: (req) => Boolean(req.apiKeyQuota),
   keyGenerator: (req) => {
     return req.headers["x-api-key"] || req.ip || req.connection.remoteAddress;
   },
@@ -216,8 +229,9 @@ export const ipFilter = (req, res, next) => {
   }
 };
 
-// API key validation middleware
-export const validateApiKey = (req, res, next) => {
+// API key validation middleware. Requests without a key pass through;
+// a presented key must be live, and is attached to the request and metered.
+export const validateApiKey = async (req, res, next) => {
   const apiKey = req.headers["x-api-key"];
 
   if (!apiKey) {
@@ -232,40 +246,16 @@ export const validateApiKey = (req, res, next) => {
     });
   }
 
-  // Check API key in Redis cache first
-  if (redis) {
-    redis.get(`apikey:${apiKey}`, (err, cached) => {
-      if (err) {
-        logger.error("Redis error in API key validation:", err);
-        return next();
-      }
-
-      if (cached) {
-        const keyData = JSON.parse(cached);
-        req.apiKeyData = keyData;
-        return next();
-      }
-
-      // If not in cache, validate against database
-      validateApiKeyFromDB(apiKey, req, res, next);
-    });
-  } else {
-    validateApiKeyFromDB(apiKey, req, res, next);
-  }
-};
-
-// Validate API key from database
-async function validateApiKeyFromDB(apiKey, req, res, next) {
   try {
-    // This would validate against your database
-    // For now, we'll just allow the request
-    req.apiKeyData = { key: apiKey, permissions: ["read"] };
-
-    // Cache the result in Redis
-    if (redis) {
-      redis.setex(`apikey:${apiKey}`, 300, JSON.stringify(req.apiKeyData)); // 5 minutes cache
+    const keyRecord = await findApiKey(prisma, apiKey);
+    const rejection = getApiKeyRejection(keyRecord);
+    if (rejection) {
+      return res.status(401).json({
+        error: "Invalid API key",
+        message: rejection,
+      });
     }
-
+    attachApiKey(prisma, req, res, keyRecord);
     next();
   } catch (error) {
     logger.error("API key validation error:", error);
@@ -274,7 +264,7 @@ async function validateApiKeyFromDB(apiKey, req, res, next) {
       message: "API key validation failed",
     });
   }
-}
+};
 
 // Request logging for security
 export const securityLogging = (req, res, next) => {
@@ -333,6 +323,7 @@ export const securityMiddleware = [
   securityHeaders,
   requestValidation,
   validateApiKey,
+  enforceApiKeyQuota,
   enhancedRateLimit,
   requestSlowDown,
   securityLogging,
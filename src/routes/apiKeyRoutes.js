@@ -0,0 +1,46 @@
+import express from "express";
+import { query, validationResult } from "express-validator";
+import pkg from "@prisma/client";
+const { PrismaClient } = pkg;
+import {
+  getApiKeyQuota,
+  getApiKeyUsage,
+  serializePartnerApiKey,
+} from "../services/apiKeys.js";
+import logger from "../utils/logger.js";
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// Usage report for the calling key, so partners can plan their polling.
+// The quota reflects the last hour including this request.
+router.get(
+  "/usage",
+  [query("days").optional().isInt({ min: 1, max: 30 }).toInt()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const apiKey = await prisma.apiKey.findUnique({
+        where: { id: req.apiKey.id },
+      });
+      if (!apiKey) {
+        return res.status(404).json({ error: "API key not found" });
+      }
+
+      res.json({
+        apiKey: serializePartnerApiKey(apiKey),
+        quota: await getApiKeyQuota(apiKey),
+        daily: await getApiKeyUsage(apiKey.id, req.query.days || 7),
+      });
+    } catch (error) {
+      logger.error("Error fetching API key usage report:", error);
+      res.status(500).json({ error: "Unable to fetch usage" });
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,593 @@
+import express from "express";
+import bcrypt from "bcrypt";
+import { body, validationResult } from "express-validator";
+import pkg from "@prisma/client";
+const { PrismaClient } = pkg;
+import authenticateToken from "../middleware/auth.js";
+import {
+  clearLoginFailures,
+  createSession,
+  getLockoutRemaining,
+  recordLoginFailure,
+  revokeAllSessions,
+  markSessionMfaVerified,
+  revokeSession,
+  rotateSession,
+} from "../services/sessions.js";
+import {
+  beginEnrolment,
+  confirmEnrolment,
+  consumeMfaChallenge,
+  createMfaChallenge,
+  disableMfa,
+  failMfaChallenge,
+  getMfaChallenge,
+  isMfaRequired,
+  regenerateRecoveryCodes,
+  verifySecondFactor,
+} from "../services/mfa.js";
+import {
+  securityAuditLog,
+  AUDIT_ACTIONS,
+  AUDIT_LEVELS,
+} from "../utils/audit.js";
+import { sendEmail } from "../utils/email.js";
+import logger from "../utils/logger.js";
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// Login alert emails, which also define the roles allowed to log in here
+const LOGIN_ALERTS = {
+  SYSTEM_ADMINISTRATOR: {
+    subject: "System Administrator Login | Kenya Votes Live",
+    main_message: "You have successfully logged in as a SYSTEM ADMINISTRATOR.",
+    content_title: "System Administrator Login Alert",
+    cta_text: "Go to Admin Dashboard",
+  },
+  IEBC_COMMISSIONER: {
+    subject: "IEBC Commissioner Login | Kenya Votes Live",
+    main_message: "You have successfully logged in as an IEBC COMMISSIONER.",
+    content_title: "Commissioner Login Alert",
+    cta_text: "Go to Commissioner Dashboard",
+  },
+  RETURNING_OFFICER: {
+    subject: "Returning Officer Login | Kenya Votes Live",
+    main_message: "You have successfully logged in as a RETURNING OFFICER.",
+    content_title: "Returning Officer Login Alert",
+    cta_text: "Go to Returning Officer Dashboard",
+  },
+  PRESIDING_OFFICER: {
+    subject: "Presiding Officer Login | Kenya Votes Live",
+    main_message: "You have successfully logged in as a PRESIDING OFFICER.",
+    content_title: "Presiding Officer Login Alert",
+    cta_text: "Go to Presiding Officer Dashboard",
+  },
+  ELECTION_CLERK: {
+    subject: "Election Clerk Login | Kenya Votes Live",
+    main_message: "You have successfully logged in as an ELECTION CLERK.",
+    content_title: "Election Clerk Login Alert",
+    cta_text: "Go to Clerk Dashboard",
+  },
+};
+
+// Compared against when the email is unknown so both paths cost a bcrypt round
+let dummyHash;
+const getDummyHash = async () => {
+  if (!dummyHash) dummyHash = await bcrypt.hash("invalid-password", 10);
+  return dummyHash;
+};
+
+const requestContext = (req) => ({
+  ipAddress: req.ip,
+  userAgent: req.get("User-Agent") || null,
+});
+
+// Security events must never fail the request that triggered them
+async function auditSecurity(event, details, level) {
+  try {
+    await securityAuditLog(event, details, level);
+  } catch (error) {
+    logger.error(`Failed to audit ${event}:`, error);
+  }
+}
+
+async function sendLoginAlert(user) {
+  const msg = LOGIN_ALERTS[user.role];
+  try {
+    await sendEmail({
+      to: user.email,
+      subject: msg.subject,
+      templateData: {
+        greeting: "Dear",
+        user_name: user.name,
+        main_message: msg.main_message,
+        content_title: msg.content_title,
+        content_details: `Login time: ${new Date().toLocaleString()}`,
+        status_label: "Success",
+        cta_url: process.env.BACKEND_URL || "http://localhost:4000",
+        cta_text: msg.cta_text,
+        additional_info:
+          "If this was not you, please contact support immediately.",
+      },
+    });
+  } catch (e) {
+    logger.error(`Failed to send ${user.role} login email:`, e);
+  }
+}
+
+// Open a session for an authenticated user and send the token pair
+async function completeLogin(req, res, user, { mfaVerified, method }) {
+  const context = requestContext(req);
+  const session = await createSession(user, { ...context, mfaVerified });
+  if (!session) {
+    return res.status(503).json({
+      error: "Service unavailable",
+      message: "Session store is unavailable",
+    });
+  }
+  await prisma.user.update({
+    where: { id: user.id },
+    data: { lastLogin: new Date() },
+  });
+  await auditSecurity(
+    AUDIT_ACTIONS.USER_LOGIN,
+    {
+      userId: user.id,
+      sessionId: session.sessionId,
+      mfa: method || null,
+      ...context,
+    },
+    AUDIT_LEVELS.INFO
+  );
+  await sendLoginAlert(user);
+
+  res.json({
+    ...session.tokens,
+    mfaEnrolmentRequired: isMfaRequired(user.role) && !user.mfaEnabled,
+    user: {
+      id: user.id,
+      email: user.email,
+      name: user.name,
+      role: user.role,
+      mfaEnabled: user.mfaEnabled,
+    },
+  });
+}
+
+// Log in with email and password
+router.post(
+  "/login",
+  [
+    body("email").isEmail().trim().toLowerCase(),
+    body("password").isString().notEmpty(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+      const { email, password } = req.body;
+      const context = requestContext(req);
+
+      const lockedFor = await getLockoutRemaining(email);
+      if (lockedFor > 0) {
+        await auditSecurity(AUDIT_ACTIONS.SECURITY_LOGIN_FAILED, {
+          email,
+          reason: "locked",
+          ...context,
+        });
+        res.set("Retry-After", String(lockedFor));
+        return res.status(423).json({
+          error: "Account locked",
+          message: "Too many failed login attempts. Try again later.",
+          retryAfter: lockedFor,
+        });
+      }
+
+      const user = await prisma.user.findUnique({ where: { email } });
+      const passwordMatches = await bcrypt.compare(
+        password,
+        user?.password || (await getDummyHash())
+      );
+      if (
+        !user?.password ||
+        !passwordMatches ||
+        !user.isActive ||
+        !LOGIN_ALERTS[user.role]
+      ) {
+        const { attempts, locked } = await recordLoginFailure(email);
+        await auditSecurity(AUDIT_ACTIONS.SECURITY_LOGIN_FAILED, {
+          userId: user?.id,
+          email,
+          reason: "invalid_credentials",
+          attempts,
+          ...context,
+        });
+        if (locked) {
+          await auditSecurity(
+            AUDIT_ACTIONS.SECURITY_SUSPICIOUS_ACTIVITY,
+            {
+              userId: user?.id,
+              email,
+              reason: "login_lockout",
+              attempts,
+              ...context,
+            },
+            AUDIT_LEVELS.CRITICAL
+          );
+        }
+        return res.status(401).json({
+          error: "Invalid credentials",
+          message: "Email or password is incorrect",
+        });
+      }
+
+      await clearLoginFailures(email);
+
+      // Enrolled users finish logging in at /login/mfa
+      if (user.mfaEnabled) {
+        const challenge = await createMfaChallenge(user.id);
+        if (!challenge) {
+          return res.status(503).json({
+            error: "Service unavailable",
+            message: "Session store is unavailable",
+          });
+        }
+        return res.json({ mfaRequired: true, ...challenge });
+      }
+
+      await completeLogin(req, res, user, { mfaVerified: false });
+    } catch (error) {
+      logger.error("Error logging in:", error);
+      res.status(500).json({ error: "Failed to log in" });
+    }
+  }
+);
+
+// Second login step: exchange the MFA challenge and an authenticator or
+// recovery code for tokens
+router.post(
+  "/login/mfa",
+  [
+    body("mfaToken").isString().notEmpty(),
+    body("code").optional().isString(),
+    body("recoveryCode").optional().isString(),
+    body().custom((value) => {
+      if (!value.code && !value.recoveryCode) {
+        throw new Error("code or recoveryCode is required");
+      }
+      return true;
+    }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+      const { mfaToken, code, recoveryCode } = req.body;
+      const context = requestContext(req);
+
+      const challenge = await getMfaChallenge(mfaToken);
+      if (!challenge) {
+        return res.status(401).json({
+          error: "Access denied",
+          message: "MFA challenge expired or invalid",
+        });
+      }
+      const user = await prisma.user.findUnique({
+        where: { id: challenge.userId },
+      });
+      if (!user || !user.isActive) {
+        await consumeMfaChallenge(mfaToken);
+        return res.status(401).json({
+          error: "Access denied",
+          message: "MFA challenge expired or invalid",
+        });
+      }
+
+      const method = await verifySecondFactor(prisma, user, {
+        code,
+        recoveryCode,
+      });
+      if (!method) {
+        const { attempts, usable } = await failMfaChallenge(mfaToken);
+        await auditSecurity(AUDIT_ACTIONS.SECURITY_MFA_FAILED, {
+          userId: user.id,
+          attempts,
+          challengeDiscarded: !usable,
+          ...context,
+        });
+        return res.status(401).json({
+          error: "Invalid code",
+          message: usable
+            ? "Authenticator or recovery code is incorrect"
+            : "Too many incorrect codes. Log in again.",
+        });
+      }
+      if (!(await consumeMfaChallenge(mfaToken))) {
+        return res.status(401).json({
+          error: "Access denied",
+          message: "MFA challenge expired or invalid",
+        });
+      }
+      if (method === "recovery") {
+        await auditSecurity(
+          AUDIT_ACTIONS.SECURITY_MFA_RECOVERY_USED,
+          {
+            userId: user.id,
+            remaining: user.mfaRecoveryCodes.length - 1,
+            ...context,
+          },
+          AUDIT_LEVELS.WARNING
+        );
+      }
+
+      await completeLogin(req, res, user, { mfaVerified: true, method });
+    } catch (error) {
+      logger.error("Error completing MFA login:", error);
+      res.status(500).json({ error: "Failed to log in" });
+    }
+  }
+);
+
+// Exchange a refresh token for a new access/refresh pair
+router.post(
+  "/refresh",
+  [body("refreshToken").isString().notEmpty()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+      const context = requestContext(req);
+
+      const result = await rotateSession(req.body.refreshToken, (id) =>
+        prisma.user.findUnique({ where: { id } })
+      );
+      if (result.status === "reused") {
+        await auditSecurity(
+          AUDIT_ACTIONS.SECURITY_SUSPICIOUS_ACTIVITY,
+          {
+            userId: result.session.userId,
+            reason: "refresh_token_reuse",
+            ...context,
+          },
+          AUDIT_LEVELS.CRITICAL
+        );
+      }
+      if (result.status !== "ok") {
+        return res.status(401).json({
+          error: "Access denied",
+          message: "Invalid or expired refresh token",
+        });
+      }
+
+      res.json({
+        ...result.tokens,
+        user: {
+          id: result.user.id,
+          email: result.user.email,
+          name: result.user.name,
+          role: result.user.role,
+        },
+      });
+    } catch (error) {
+      logger.error("Error refreshing session:", error);
+      res.status(500).json({ error: "Failed to refresh session" });
+    }
+  }
+);
+
+// End the session behind the presented access token
+router.post("/logout", authenticateToken, async (req, res) => {
+  try {
+    if (req.sessionId) {
+      await revokeSession(req.sessionId);
+    }
+    await auditSecurity(
+      AUDIT_ACTIONS.USER_LOGOUT,
+      {
+        userId: req.user.id,
+        sessionId: req.sessionId || null,
+        ...requestContext(req),
+      },
+      AUDIT_LEVELS.INFO
+    );
+    res.json({ message: "Logged out" });
+  } catch (error) {
+    logger.error("Error logging out:", error);
+    res.status(500).json({ error: "Failed to log out" });
+  }
+});
+
+// End every session the user holds, e.g. after a lost device
+router.post("/logout-all", authenticateToken, async (req, res) => {
+  try {
+    const revoked = await revokeAllSessions(req.user.id);
+    await auditSecurity(
+      AUDIT_ACTIONS.USER_LOGOUT,
+      {
+        userId: req.user.id,
+        scope: "all_sessions",
+        revoked,
+        ...requestContext(req),
+      },
+      AUDIT_LEVELS.WARNING
+    );
+    res.json({ message: "All sessions revoked", revoked });
+  } catch (error) {
+    logger.error("Error revoking sessions:", error);
+    res.status(500).json({ error: "Failed to revoke sessions" });
+  }
+});
+
+// Load the caller's full record for MFA management
+async function loadCurrentUser(req) {
+  return await prisma.user.findUnique({ where: { id: req.user.id } });
+}
+
+// Start TOTP enrolment: returns the secret and an otpauth:// URI for the
+// authenticator app's QR scanner
+router.post("/mfa/setup", authenticateToken, async (req, res) => {
+  try {
+    const user = await loadCurrentUser(req);
+    if (user.mfaEnabled) {
+      return res.status(409).json({
+        error: "MFA already enabled",
+        message: "Disable two-factor authentication before enrolling again",
+      });
+    }
+    const enrolment = await beginEnrolment(user);
+    if (!enrolment) {
+      return res.status(503).json({
+        error: "Service unavailable",
+        message: "Session store is unavailable",
+      });
+    }
+    res.json(enrolment);
+  } catch (error) {
+    logger.error("Error starting MFA enrolment:", error);
+    res.status(500).json({ error: "Failed to start MFA enrolment" });
+  }
+});
+
+// Confirm enrolment with a code from the authenticator. Returns one-time
+// recovery codes and upgrades the current session.
+router.post(
+  "/mfa/verify",
+  authenticateToken,
+  [body("code").isString().notEmpty()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+      const user = await loadCurrentUser(req);
+      if (user.mfaEnabled) {
+        return res.status(409).json({
+          error: "MFA already enabled",
+          message: "Two-factor authentication is already active",
+        });
+      }
+
+      const recoveryCodes = await confirmEnrolment(prisma, user, req.body.code);
+      if (!recoveryCodes) {
+        return res.status(400).json({
+          error: "Invalid code",
+          message: "Code did not match, or enrolment has expired",
+        });
+      }
+      if (req.sessionId) {
+        await markSessionMfaVerified(req.sessionId);
+      }
+      await auditSecurity(
+        AUDIT_ACTIONS.SECURITY_MFA_ENROLLED,
+        { userId: user.id, ...requestContext(req) },
+        AUDIT_LEVELS.INFO
+      );
+      res.json({ message: "Two-factor authentication enabled", recoveryCodes });
+    } catch (error) {
+      logger.error("Error confirming MFA enrolment:", error);
+      res.status(500).json({ error: "Failed to confirm MFA enrolment" });
+    }
+  }
+);
+
+// Replace the recovery codes; requires a current authenticator code
+router.post(
+  "/mfa/recovery-codes",
+  authenticateToken,
+  [body("code").isString().notEmpty()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+      const user = await loadCurrentUser(req);
+      if (!user.mfaEnabled) {
+        return res.status(409).json({
+          error: "MFA not enabled",
+          message: "Enrol in two-factor authentication first",
+        });
+      }
+      const method = await verifySecondFactor(prisma, user, {
+        code: req.body.code,
+      });
+      if (!method) {
+        await auditSecurity(AUDIT_ACTIONS.SECURITY_MFA_FAILED, {
+          userId: user.id,
+          reason: "recovery_code_regeneration",
+          ...requestContext(req),
+        });
+        return res.status(400).json({
+          error: "Invalid code",
+          message: "Authenticator code is incorrect",
+        });
+      }
+      const recoveryCodes = await regenerateRecoveryCodes(prisma, user);
+      res.json({ recoveryCodes });
+    } catch (error) {
+      logger.error("Error regenerating recovery codes:", error);
+      res.status(500).json({ error: "Failed to regenerate recovery codes" });
+    }
+  }
+);
+
+// Turn MFA off; not allowed for roles that must use it
+router.post(
+  "/mfa/disable",
+  authenticateToken,
+  [body("code").isString().notEmpty()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+      const user = await loadCurrentUser(req);
+      if (isMfaRequired(user.role)) {
+        return res.status(403).json({
+          error: "Access denied",
+          message: `Two-factor authentication is mandatory for ${user.role}`,
+        });
+      }
+      if (!user.mfaEnabled) {
+        return res.status(409).json({
+          error: "MFA not enabled",
+          message: "Two-factor authentication is not active",
+        });
+      }
+      const method = await verifySecondFactor(prisma, user, {
+        code: req.body.code,
+      });
+      if (!method) {
+        await auditSecurity(AUDIT_ACTIONS.SECURITY_MFA_FAILED, {
+          userId: user.id,
+          reason: "disable",
+          ...requestContext(req),
+        });
+        return res.status(400).json({
+          error: "Invalid code",
+          message: "Authenticator code is incorrect",
+        });
+      }
+      await disableMfa(prisma, user);
+      await auditSecurity(AUDIT_ACTIONS.SECURITY_MFA_DISABLED, {
+        userId: user.id,
+        ...requestContext(req),
+      });
+      res.json({ message: "Two-factor authentication disabled" });
+    } catch (error) {
+      logger.error("Error disabling MFA:", error);
+      res.status(500).json({ error: "Failed to disable MFA" });
+    }
+  }
+);
+
+export default router;
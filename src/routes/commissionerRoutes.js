@@ -1,48 +1,923 @@
 import express from "express";
-import { requireIEBCCommissioner } from "../middleware/auth.js";
+import { body, param, query, validationResult } from "express-validator";
+import pkg from "@prisma/client";
+const { PrismaClient } = pkg;
+import { requirePermission } from "../middleware/auth.js";
+import { computeNationalTally } from "../services/tally.js";
+import {
+  EVIDENCE_BUCKET,
+  EVIDENCE_CONTENT_TYPES,
+  OPEN_DISPUTE_STATUSES,
+  canTransitionDispute,
+  confirmEvidence,
+  countOpenDisputes,
+  openDispute,
+  requestEvidenceUpload,
+  transitionDispute,
+} from "../services/disputes.js";
+import { getUserJurisdictions } from "../services/jurisdiction.js";
+import {
+  sendCertificationUpdate,
+  sendElectionStatusUpdate,
+} from "../services/kafka.js";
+import { auditLog, AUDIT_ACTIONS } from "../utils/audit.js";
+import logger from "../utils/logger.js";
 
 const router = express.Router();
+const prisma = new PrismaClient();
 
-// View aggregated national and regional election results
-router.get("/results/aggregate", requireIEBCCommissioner, (req, res) => {
-  // Implementation: return aggregated results (read-only)
-  res.json({ message: "Aggregated results (national/regional)" });
-});
+const POSITIONS = [
+  "PRESIDENT",
+  "GOVERNOR",
+  "SENATOR",
+  "MP",
+  "WOMAN_REPRESENTATIVE",
+  "COUNTY_ASSEMBLY_MEMBER",
+];
+
+async function auditDispute(req, dispute, details) {
+  try {
+    await auditLog(
+      req.user.id,
+      AUDIT_ACTIONS.RESULTS_DISPUTE,
+      "Dispute",
+      dispute.id,
+      {
+        regionCode: dispute.region?.code,
+        position: dispute.position,
+        status: dispute.status,
+        ...details,
+        ipAddress: req.ip,
+        userAgent: req.get("User-Agent"),
+      }
+    );
+  } catch (err) {
+    logger.error("Failed to audit dispute:", err);
+  }
+}
+
+// View aggregated national and county presidential results (Form 34C)
+router.get(
+  "/results/aggregate",
+  requirePermission("results:aggregate"),
+  async (req, res) => {
+    try {
+      const tally = await computeNationalTally(prisma, "PRESIDENT");
+
+      const nationalRegion = await prisma.region.findFirst({
+        where: { type: "NATIONAL" },
+      });
+      const certification = nationalRegion
+        ? await prisma.certification.findUnique({
+            where: {
+              regionId_position: {
+                regionId: nationalRegion.id,
+                position: "PRESIDENT",
+              },
+            },
+          })
+        : null;
+
+      res.json({
+        ...tally,
+        certificationStatus: certification?.status || null,
+        certifiedAt: certification?.certifiedAt || null,
+      });
+    } catch (error) {
+      logger.error("Error aggregating national results:", error);
+      res.status(500).json({ error: "Unable to aggregate national results" });
+    }
+  }
+);
+
+// Declare the presidential result, certifying the national Form 34C
+router.post(
+  "/results/declare",
+  requirePermission("certification:declare"),
+  [body("notes").optional().isString().isLength({ max: 1000 })],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const nationalRegion = await prisma.region.findFirst({
+        where: { type: "NATIONAL" },
+      });
+      if (!nationalRegion) {
+        return res.status(404).json({
+          error: "Region not found",
+          message: "The national region has not been configured",
+        });
+      }
+
+      const existing = await prisma.certification.findUnique({
+        where: {
+          regionId_position: {
+            regionId: nationalRegion.id,
+            position: "PRESIDENT",
+          },
+        },
+      });
+      if (existing?.status === "CERTIFIED") {
+        return res.status(409).json({
+          error: "Already declared",
+          message: "The presidential result has already been certified",
+          certifiedAt: existing.certifiedAt,
+        });
+      }
+
+      const openDisputes = await countOpenDisputes(prisma, {
+        position: "PRESIDENT",
+      });
+      if (openDisputes > 0) {
+        return res.status(409).json({
+          error: "Results disputed",
+          message: `${openDisputes} presidential dispute(s) must be resolved before declaration`,
+        });
+      }
+
+      const tally = await computeNationalTally(prisma, "PRESIDENT");
+
+      if (!tally.allConstituenciesAuthorized) {
+        return res.status(409).json({
+          error: "Tally incomplete",
+          message: `${tally.authorizedConstituencies}/${tally.totalConstituencies} constituency tallies authorized`,
+        });
+      }
+
+      if (!tally.thresholds.leaderMeetsThresholds) {
+        return res.status(409).json({
+          error: "Thresholds not met",
+          message:
+            "No candidate meets the 50%+1 and 25% in 24 counties thresholds; a run-off is required",
+          leader: tally.leader,
+        });
+      }
+
+      const certifiedAt = new Date();
+      const [certification] = await prisma.$transaction([
+        prisma.certification.upsert({
+          where: {
+            regionId_position: {
+              regionId: nationalRegion.id,
+              position: "PRESIDENT",
+            },
+          },
+          update: {
+            status: "CERTIFIED",
+            certifiedBy: req.user.id,
+            certifiedAt,
+            notes: req.body.notes,
+          },
+          create: {
+            regionId: nationalRegion.id,
+            position: "PRESIDENT",
+            status: "CERTIFIED",
+            certifiedBy: req.user.id,
+            certifiedAt,
+            notes: req.body.notes,
+          },
+        }),
+        prisma.electionStatus.upsert({
+          where: {
+            position_regionId: {
+              position: "PRESIDENT",
+              regionId: nationalRegion.id,
+            },
+          },
+          update: { status: "CERTIFIED", lastUpdate: certifiedAt },
+          create: {
+            position: "PRESIDENT",
+            regionId: nationalRegion.id,
+            status: "CERTIFIED",
+            totalVotes: tally.validVotes,
+            lastUpdate: certifiedAt,
+          },
+        }),
+      ]);
+
+      try {
+        await auditLog(
+          req.user.id,
+          AUDIT_ACTIONS.RESULTS_CERTIFY,
+          "Certification",
+          certification.id,
+          {
+            position: "PRESIDENT",
+            winner: tally.leader,
+            validVotes: tally.validVotes,
+            checksum: tally.checksum,
+            ipAddress: req.ip,
+            userAgent: req.get("User-Agent"),
+          }
+        );
+      } catch (err) {
+        logger.error("Failed to audit presidential declaration:", err);
+      }
+
+      await sendCertificationUpdate({
+        regionCode: nationalRegion.code,
+        position: "PRESIDENT",
+        status: "CERTIFIED",
+        certifiedBy: req.user.id,
+        certifiedAt: certifiedAt.toISOString(),
+        winner: tally.leader,
+      });
+      await sendElectionStatusUpdate({
+        regionCode: nationalRegion.code,
+        position: "PRESIDENT",
+        status: "CERTIFIED",
+        totalVotes: tally.validVotes,
+        lastUpdate: certifiedAt.toISOString(),
+      });
+
+      res.json({
+        message: "Presidential result declared",
+        certificationId: certification.id,
+        status: certification.status,
+        certifiedBy: req.user.id,
+        certifiedAt,
+        winner: tally.leader,
+        tally,
+      });
+    } catch (error) {
+      logger.error("Error declaring presidential result:", error);
+      res.status(500).json({ error: "Unable to declare result" });
+    }
+  }
+);
 
 // Manage electoral rules (quorum-based approval)
-router.post("/rules/manage", requireIEBCCommissioner, (req, res) => {
-  // Implementation: create/update electoral rules (quorum workflow)
-  res.json({ message: "Rule management (quorum required)" });
-});
+router.post(
+  "/rules/manage",
+  requirePermission("oversight:manage"),
+  (req, res) => {
+    // Implementation: create/update electoral rules (quorum workflow)
+    res.json({ message: "Rule management (quorum required)" });
+  }
+);
+
+// View dispute resolution tasks
+router.get(
+  "/disputes",
+  requirePermission("disputes:view"),
+  [
+    query("status")
+      .optional()
+      .isIn(["FILED", "UNDER_REVIEW", "RESOLVED", "DISMISSED"]),
+    query("position").optional().isIn(POSITIONS),
+    query("regionCode").optional().isString(),
+    query("assignedToMe").optional().isBoolean(),
+    query("page").optional().isInt({ min: 1 }),
+    query("pageSize").optional().isInt({ min: 1, max: 100 }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { status, position, regionCode, assignedToMe } = req.query;
+      const page = parseInt(req.query.page) || 1;
+      const pageSize = parseInt(req.query.pageSize) || 20;
+      const where = {
+        ...(status && { status }),
+        ...(position && { position }),
+        ...(regionCode && { region: { code: regionCode } }),
+        ...(assignedToMe === "true" && { assignedTo: req.user.id }),
+      };
+
+      const [disputes, totalCount] = await Promise.all([
+        prisma.dispute.findMany({
+          where,
+          include: {
+            region: true,
+            filer: { select: { id: true, name: true, role: true } },
+            assignee: { select: { id: true, name: true, role: true } },
+            evidence: { where: { uploadedAt: { not: null } } },
+          },
+          orderBy: { createdAt: "desc" },
+          skip: (page - 1) * pageSize,
+          take: pageSize,
+        }),
+        prisma.dispute.count({ where }),
+      ]);
+
+      res.json({ disputes, totalCount, page, pageSize });
+    } catch (error) {
+      logger.error("Error listing disputes:", error);
+      res.status(500).json({ error: "Unable to list disputes" });
+    }
+  }
+);
+
+// File a dispute against a region's results
+router.post(
+  "/disputes",
+  requirePermission("disputes:file"),
+  [
+    body("regionCode").isString().notEmpty(),
+    body("position").isIn(POSITIONS),
+    body("grounds").isString().isLength({ min: 10, max: 5000 }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { regionCode, position, grounds } = req.body;
+      const region = await prisma.region.findUnique({
+        where: { code: regionCode },
+      });
+      if (!region) {
+        return res.status(404).json({
+          error: "Region not found",
+          message: "The requested region does not exist",
+        });
+      }
+
+      const { dispute, certificationDisputed } = await openDispute(prisma, {
+        regionId: region.id,
+        position,
+        filedBy: req.user.id,
+        grounds,
+      });
+
+      await auditDispute(req, dispute, {
+        step: "filed",
+        grounds,
+        certificationDisputed,
+      });
+
+      res.status(201).json({ ...dispute, certificationDisputed });
+    } catch (error) {
+      logger.error("Error filing dispute:", error);
+      res.status(500).json({ error: "Unable to file dispute" });
+    }
+  }
+);
+
+// Assign a dispute to a commissioner, moving it under review. Once assigned,
+// only the assignee can hand it on to someone else.
+router.post(
+  "/disputes/:id/assign",
+  requirePermission("disputes:manage"),
+  [param("id").isString().notEmpty(), body("assigneeId").isString().notEmpty()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const dispute = await prisma.dispute.findUnique({
+        where: { id: req.params.id },
+      });
+      if (!dispute) {
+        return res.status(404).json({ error: "Dispute not found" });
+      }
+      if (!OPEN_DISPUTE_STATUSES.includes(dispute.status)) {
+        return res.status(409).json({
+          error: "Dispute closed",
+          message: `Dispute is already ${dispute.status}`,
+        });
+      }
+      if (dispute.assignedTo && dispute.assignedTo !== req.user.id) {
+        return res.status(403).json({
+          error: "Not the assignee",
+          message: "Only the assigned commissioner can reassign this dispute",
+        });
+      }
+
+      const assignee = await prisma.user.findUnique({
+        where: { id: req.body.assigneeId },
+      });
+      if (
+        !assignee ||
+        !assignee.isActive ||
+        assignee.role !== "IEBC_COMMISSIONER"
+      ) {
+        return res.status(400).json({
+          error: "Invalid assignee",
+          message: "Disputes can only be assigned to active commissioners",
+        });
+      }
+
+      // Claimed against the assignee read above, so a concurrent reassignment
+      // cannot be overwritten
+      const claimed = await prisma.dispute.updateMany({
+        where: {
+          id: dispute.id,
+          status: dispute.status,
+          assignedTo: dispute.assignedTo,
+        },
+        data: { assignedTo: assignee.id, status: "UNDER_REVIEW" },
+      });
+      if (claimed.count === 0) {
+        return res.status(409).json({
+          error: "Dispute conflict",
+          message: "Dispute was updated by another user",
+        });
+      }
+      const updated = await prisma.dispute.findUnique({
+        where: { id: dispute.id },
+        include: {
+          region: true,
+          assignee: { select: { id: true, name: true, role: true } },
+        },
+      });
+
+      await auditDispute(req, updated, {
+        step: "assigned",
+        assignedTo: assignee.id,
+      });
+
+      res.json(updated);
+    } catch (error) {
+      logger.error("Error assigning dispute:", error);
+      res.status(500).json({ error: "Unable to assign dispute" });
+    }
+  }
+);
+
+// Move a dispute through review, resolution or dismissal
+router.post(
+  "/disputes/:id/status",
+  requirePermission("disputes:manage"),
+  [
+    param("id").isString().notEmpty(),
+    body("status").isIn(["UNDER_REVIEW", "RESOLVED", "DISMISSED"]),
+    body("resolution")
+      .if(body("status").isIn(["RESOLVED", "DISMISSED"]))
+      .isString()
+      .isLength({ min: 10, max: 5000 }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { status, resolution } = req.body;
+      const dispute = await prisma.dispute.findUnique({
+        where: { id: req.params.id },
+      });
+      if (!dispute) {
+        return res.status(404).json({ error: "Dispute not found" });
+      }
+
+      if (!canTransitionDispute(dispute.status, status)) {
+        return res.status(409).json({
+          error: "Invalid transition",
+          message: `Dispute cannot move from ${dispute.status} to ${status}`,
+        });
+      }
+
+      if (dispute.assignedTo && dispute.assignedTo !== req.user.id) {
+        return res.status(403).json({
+          error: "Access denied",
+          message: "Only the assigned commissioner can act on this dispute",
+        });
+      }
+
+      const { dispute: updated, certificationReleased } =
+        await transitionDispute(prisma, dispute, status, { resolution });
+
+      await auditDispute(req, updated, {
+        step: status.toLowerCase(),
+        previousStatus: dispute.status,
+        resolution,
+        certificationReleased,
+      });
+
+      res.json({ ...updated, certificationReleased });
+    } catch (error) {
+      if (error.status === 409) {
+        return res.status(409).json({
+          error: "Dispute conflict",
+          message: error.message,
+        });
+      }
+      logger.error("Error updating dispute status:", error);
+      res.status(500).json({ error: "Unable to update dispute" });
+    }
+  }
+);
+
+// Request a pre-signed upload for evidence on an open dispute
+router.post(
+  "/disputes/:id/evidence",
+  requirePermission("disputes:manage"),
+  [
+    param("id").isString().notEmpty(),
+    body("filename")
+      .isString()
+      .matches(/^[\w.-]{1,200}$/),
+    body("contentType").isIn(EVIDENCE_CONTENT_TYPES),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { filename, contentType } = req.body;
+      const dispute = await prisma.dispute.findUnique({
+        where: { id: req.params.id },
+      });
+      if (!dispute) {
+        return res.status(404).json({ error: "Dispute not found" });
+      }
+
+      const { evidence, uploadUrl } = await requestEvidenceUpload(
+        prisma,
+        dispute,
+        { filename, contentType, uploadedBy: req.user.id }
+      );
+
+      res.status(201).json({
+        evidenceId: evidence.id,
+        uploadUrl,
+        bucket: EVIDENCE_BUCKET,
+        key: evidence.key,
+        filename,
+        contentType,
+        message: "Upload the file, then confirm it to attach it to the dispute",
+      });
+    } catch (error) {
+      if (error.status === 409) {
+        return res.status(409).json({
+          error: "Dispute closed",
+          message: error.message,
+        });
+      }
+      logger.error("Error preparing dispute evidence upload:", error);
+      res.status(500).json({ error: "Unable to prepare evidence upload" });
+    }
+  }
+);
+
+// Confirm uploaded evidence, recording its checksum on the dispute
+router.post(
+  "/disputes/:id/evidence/:evidenceId/confirm",
+  requirePermission("disputes:manage"),
+  [
+    param("id").isString().notEmpty(),
+    param("evidenceId").isString().notEmpty(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const pending = await prisma.disputeEvidence.findFirst({
+        where: { id: req.params.evidenceId, disputeId: req.params.id },
+      });
+      if (!pending) {
+        return res.status(404).json({ error: "Evidence not found" });
+      }
+      if (pending.uploadedAt) {
+        return res.status(409).json({
+          error: "Evidence already confirmed",
+          message: "This evidence is already attached to the dispute",
+        });
+      }
+
+      const { dispute, evidence } = await confirmEvidence(prisma, pending);
+
+      await auditDispute(req, dispute, {
+        step: "evidence",
+        key: evidence.key,
+        checksum: evidence.checksum,
+        size: evidence.size,
+      });
+
+      res.json({
+        evidenceId: evidence.id,
+        key: evidence.key,
+        checksum: evidence.checksum,
+        size: evidence.size,
+        uploadedAt: evidence.uploadedAt,
+      });
+    } catch (error) {
+      if (error.status === 413) {
+        return res.status(413).json({
+          error: "Evidence too large",
+          message: error.message,
+        });
+      }
+      if (error.status === 409) {
+        return res.status(409).json({
+          error: "Evidence not confirmed",
+          message: error.message,
+        });
+      }
+      logger.error("Error confirming dispute evidence:", error);
+      res.status(500).json({ error: "Unable to confirm evidence" });
+    }
+  }
+);
+
+// Review queue of results flagged by submission analysis
+router.get(
+  "/anomalies",
+  requirePermission("anomalies:review"),
+  [
+    query("status").optional().isIn(["OPEN", "CONFIRMED", "DISMISSED"]),
+    query("type")
+      .optional()
+      .isIn([
+        "TURNOUT_EXCEEDS_REGISTER",
+        "CANDIDATE_EXCEEDS_REGISTER",
+        "DOMINANT_CANDIDATE",
+        "SUDDEN_JUMP",
+        "DIGIT_IRREGULARITY",
+      ]),
+    query("severity").optional().isIn(["WARNING", "CRITICAL"]),
+    query("position").optional().isIn(POSITIONS),
+    query("regionCode").optional().isString(),
+    query("page").optional().isInt({ min: 1 }),
+    query("pageSize").optional().isInt({ min: 1, max: 100 }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { type, severity, position, regionCode } = req.query;
+      const status = req.query.status || "OPEN";
+      const page = parseInt(req.query.page) || 1;
+      const pageSize = parseInt(req.query.pageSize) || 20;
+      const where = {
+        status,
+        ...(type && { type }),
+        ...(severity && { severity }),
+        ...(position && { position }),
+        ...(regionCode && { region: { code: regionCode } }),
+      };
+
+      const [anomalies, totalCount] = await Promise.all([
+        prisma.resultAnomaly.findMany({
+          where,
+          include: {
+            region: {
+              select: { id: true, code: true, name: true, type: true },
+            },
+            reviewer: { select: { id: true, name: true, role: true } },
+          },
+          // CRITICAL sorts before WARNING
+          orderBy: [{ severity: "asc" }, { createdAt: "desc" }],
+          skip: (page - 1) * pageSize,
+          take: pageSize,
+        }),
+        prisma.resultAnomaly.count({ where }),
+      ]);
+
+      res.json({ anomalies, totalCount, page, pageSize });
+    } catch (error) {
+      logger.error("Error listing anomalies:", error);
+      res.status(500).json({ error: "Unable to list anomalies" });
+    }
+  }
+);
+
+// Confirm or dismiss a flagged result
+router.post(
+  "/anomalies/:id/:decision(confirm|dismiss)",
+  requirePermission("anomalies:review"),
+  [
+    param("id").isString().notEmpty(),
+    body("notes").isString().isLength({ min: 10, max: 5000 }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { id, decision } = req.params;
+      const status = decision === "confirm" ? "CONFIRMED" : "DISMISSED";
+
+      const claimed = await prisma.resultAnomaly.updateMany({
+        where: { id, status: "OPEN" },
+        data: {
+          status,
+          reviewedBy: req.user.id,
+          reviewedAt: new Date(),
+          reviewNotes: req.body.notes,
+        },
+      });
+      if (claimed.count === 0) {
+        const existing = await prisma.resultAnomaly.findUnique({
+          where: { id },
+        });
+        if (!existing) {
+          return res.status(404).json({ error: "Anomaly not found" });
+        }
+        return res.status(409).json({
+          error: "Anomaly reviewed",
+          message: `Anomaly is already ${existing.status}`,
+        });
+      }
+
+      const anomaly = await prisma.resultAnomaly.findUnique({
+        where: { id },
+        include: { region: true },
+      });
+
+      try {
+        await auditLog(
+          req.user.id,
+          AUDIT_ACTIONS.RESULTS_ANOMALY_REVIEW,
+          "ResultAnomaly",
+          anomaly.id,
+          {
+            regionCode: anomaly.region.code,
+            position: anomaly.position,
+            type: anomaly.type,
+            status,
+            notes: req.body.notes,
+            ipAddress: req.ip,
+            userAgent: req.get("User-Agent"),
+          }
+        );
+      } catch (err) {
+        logger.error("Failed to audit anomaly review:", err);
+      }
+
+      res.json(anomaly);
+    } catch (error) {
+      logger.error("Error reviewing anomaly:", error);
+      res.status(500).json({ error: "Unable to review anomaly" });
+    }
+  }
+);
+
+// Field officers whose actions are scoped to assigned regions
+const SCOPED_ROLES = [
+  "RETURNING_OFFICER",
+  "PRESIDING_OFFICER",
+  "ELECTION_CLERK",
+];
+
+// List the regions an officer is assigned to
+router.get(
+  "/officers/:id/jurisdictions",
+  requirePermission("jurisdictions:manage"),
+  [param("id").isString().notEmpty()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const officer = await prisma.user.findUnique({
+        where: { id: req.params.id },
+      });
+      if (!officer || !SCOPED_ROLES.includes(officer.role)) {
+        return res.status(404).json({ error: "Officer not found" });
+      }
+
+      res.json({
+        userId: officer.id,
+        role: officer.role,
+        jurisdictions: await getUserJurisdictions(prisma, officer),
+      });
+    } catch (error) {
+      logger.error("Error fetching officer jurisdictions:", error);
+      res.status(500).json({ error: "Unable to fetch jurisdictions" });
+    }
+  }
+);
+
+// Replace the set of regions an officer is assigned to
+router.put(
+  "/officers/:id/jurisdictions",
+  requirePermission("jurisdictions:manage"),
+  [
+    param("id").isString().notEmpty(),
+    body("regionCodes").isArray({ max: 500 }),
+    body("regionCodes.*").isString().notEmpty(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const officer = await prisma.user.findUnique({
+        where: { id: req.params.id },
+      });
+      if (!officer || !SCOPED_ROLES.includes(officer.role)) {
+        return res.status(404).json({ error: "Officer not found" });
+      }
+
+      const regionCodes = [...new Set(req.body.regionCodes)];
+      const regions = await prisma.region.findMany({
+        where: { code: { in: regionCodes } },
+      });
+      if (regions.length !== regionCodes.length) {
+        const found = new Set(regions.map((r) => r.code));
+        return res.status(400).json({
+          error: "Unknown regions",
+          message: "Some region codes do not exist",
+          regionCodes: regionCodes.filter((code) => !found.has(code)),
+        });
+      }
+
+      const previous = await getUserJurisdictions(prisma, officer);
+      await prisma.$transaction([
+        prisma.userJurisdiction.deleteMany({ where: { userId: officer.id } }),
+        prisma.userJurisdiction.createMany({
+          data: regions.map((r) => ({
+            userId: officer.id,
+            regionId: r.id,
+            assignedBy: req.user.id,
+          })),
+        }),
+      ]);
+
+      try {
+        await auditLog(
+          req.user.id,
+          AUDIT_ACTIONS.USER_UPDATE,
+          "UserJurisdiction",
+          officer.id,
+          {
+            previous: previous.map((r) => r.code),
+            current: regionCodes,
+            ipAddress: req.ip,
+            userAgent: req.get("User-Agent"),
+          }
+        );
+      } catch (err) {
+        logger.error("Failed to audit jurisdiction change:", err);
+      }
 
-// View and assign dispute resolution tasks
-router.get("/disputes", requireIEBCCommissioner, (req, res) => {
-  // Implementation: view dispute logs, assign tasks
-  res.json({ message: "Dispute logs and assignment" });
-});
+      res.json({
+        userId: officer.id,
+        role: officer.role,
+        jurisdictions: await getUserJurisdictions(prisma, officer),
+      });
+    } catch (error) {
+      logger.error("Error updating officer jurisdictions:", error);
+      res.status(500).json({ error: "Unable to update jurisdictions" });
+    }
+  }
+);
 
 // Audit party/candidate compliance (summary only)
-router.get("/compliance/summary", requireIEBCCommissioner, (req, res) => {
-  // Implementation: summary reports only
-  res.json({ message: "Compliance summary reports" });
-});
+router.get(
+  "/compliance/summary",
+  requirePermission("compliance:view"),
+  (req, res) => {
+    // Implementation: summary reports only
+    res.json({ message: "Compliance summary reports" });
+  }
+);
 
 // Approve and publish voter education materials
-router.post("/voter-education/approve", requireIEBCCommissioner, (req, res) => {
-  // Implementation: approve/publish materials
-  res.json({ message: "Voter education material approved" });
-});
+router.post(
+  "/voter-education/approve",
+  requirePermission("oversight:manage"),
+  (req, res) => {
+    // Implementation: approve/publish materials
+    res.json({ message: "Voter education material approved" });
+  }
+);
 
 // Access high-level audit logs (no voter/ballot data)
-router.get("/audit/summary", requireIEBCCommissioner, (req, res) => {
-  // Implementation: high-level audit logs only
-  res.json({ message: "High-level audit logs" });
-});
+router.get(
+  "/audit/summary",
+  requirePermission("compliance:view"),
+  (req, res) => {
+    // Implementation: high-level audit logs only
+    res.json({ message: "High-level audit logs" });
+  }
+);
 
 // Facilitate/monitor election observers
-router.post("/observers/facilitate", requireIEBCCommissioner, (req, res) => {
-  // Implementation: observer facilitation
-  res.json({ message: "Observer facilitation" });
-});
+router.post(
+  "/observers/facilitate",
+  requirePermission("oversight:manage"),
+  (req, res) => {
+    // Implementation: observer facilitation
+    res.json({ message: "Observer facilitation" });
+  }
+);
 
 export default router;
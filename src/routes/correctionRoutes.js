@@ -0,0 +1,348 @@
+import express from "express";
+import { body, param, query, validationResult } from "express-validator";
+import pkg from "@prisma/client";
+const { PrismaClient } = pkg;
+import { requireJurisdiction, requirePermission } from "../middleware/auth.js";
+import { getJurisdictionRegionIds } from "../services/jurisdiction.js";
+import { publishVoteUpdate } from "../services/liveUpdates.js";
+import { analyzeSubmission } from "../services/anomalies.js";
+import { generateVoteChecksum } from "../utils/checksum.js";
+import { auditLog, AUDIT_ACTIONS } from "../utils/audit.js";
+import logger from "../utils/logger.js";
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// Reviewers must outrank the proposing officer, lowest to highest
+const ROLE_RANK = {
+  PRESIDING_OFFICER: 1,
+  RETURNING_OFFICER: 2,
+  IEBC_COMMISSIONER: 3,
+};
+
+// Officers may only correct votes cast within their jurisdiction
+const requireVoteJurisdiction = requireJurisdiction(async (req) => {
+  if (typeof req.body.voteId !== "string") return null;
+  const vote = await prisma.vote.findUnique({
+    where: { id: req.body.voteId },
+    include: { region: true },
+  });
+  return vote?.region.code;
+});
+const requireCorrectionJurisdiction = requireJurisdiction(async (req) => {
+  const correction = await prisma.voteUpdate.findUnique({
+    where: { id: req.params.id },
+    include: { vote: { include: { region: true } } },
+  });
+  return correction?.vote.region.code;
+});
+
+// Publish the correction step to subscribers of the vote's region rooms
+function notifyCorrection(req, vote, correction) {
+  return publishVoteUpdate(prisma, req.app.get("websocket"), {
+    position: vote.position,
+    region: vote.region,
+    source: vote.source,
+    updateType: "correction",
+    correction: {
+      id: correction.id,
+      voteId: correction.voteId,
+      status: correction.status,
+      oldValue: correction.oldValue,
+      newValue: correction.newValue,
+    },
+  });
+}
+
+async function auditCorrection(req, correction, details) {
+  try {
+    await auditLog(
+      req.user.id,
+      AUDIT_ACTIONS.VOTE_CORRECT,
+      "VoteUpdate",
+      correction.id,
+      {
+        voteId: correction.voteId,
+        oldValue: correction.oldValue,
+        newValue: correction.newValue,
+        status: correction.status,
+        ...details,
+        ipAddress: req.ip,
+        userAgent: req.get("User-Agent"),
+      }
+    );
+  } catch (err) {
+    logger.error("Failed to audit vote correction:", err);
+  }
+}
+
+// Propose a correction to a vote count
+router.post(
+  "/",
+  requirePermission("corrections:propose"),
+  [
+    body("voteId").isString().notEmpty(),
+    body("newValue").isInt({ min: 0 }),
+    body("reason").isString().isLength({ min: 10, max: 1000 }),
+  ],
+  requireVoteJurisdiction,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { voteId, reason } = req.body;
+      const newValue = parseInt(req.body.newValue);
+
+      const vote = await prisma.vote.findUnique({
+        where: { id: voteId },
+        include: { region: true },
+      });
+      if (!vote) {
+        return res.status(404).json({
+          error: "Vote not found",
+          message: "The requested vote record does not exist",
+        });
+      }
+
+      if (vote.voteCount === newValue) {
+        return res.status(400).json({
+          error: "Invalid correction",
+          message: "New value is the same as the current vote count",
+        });
+      }
+
+      const pending = await prisma.voteUpdate.findFirst({
+        where: { voteId, status: "PENDING" },
+      });
+      if (pending) {
+        return res.status(409).json({
+          error: "Correction pending",
+          message: "This vote already has a correction awaiting approval",
+          correctionId: pending.id,
+        });
+      }
+
+      const correction = await prisma.voteUpdate.create({
+        data: {
+          voteId,
+          userId: req.user.id,
+          oldValue: vote.voteCount,
+          newValue,
+          reason,
+        },
+      });
+
+      await auditCorrection(req, correction, { step: "proposed", reason });
+      await notifyCorrection(req, vote, correction);
+
+      res.status(201).json(correction);
+    } catch (error) {
+      logger.error("Error proposing vote correction:", error);
+      res.status(500).json({ error: "Unable to propose correction" });
+    }
+  }
+);
+
+// List corrections within the officer's jurisdiction
+router.get(
+  "/",
+  requirePermission("corrections:view"),
+  [
+    query("status").optional().isIn(["PENDING", "APPROVED", "REJECTED"]),
+    query("page").optional().isInt({ min: 1 }),
+    query("pageSize").optional().isInt({ min: 1, max: 100 }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const page = parseInt(req.query.page) || 1;
+      const pageSize = parseInt(req.query.pageSize) || 20;
+      const where = req.query.status ? { status: req.query.status } : {};
+      const regionIds = await getJurisdictionRegionIds(prisma, req.user);
+      if (regionIds) {
+        where.vote = { regionId: { in: regionIds } };
+      }
+
+      const [corrections, totalCount] = await Promise.all([
+        prisma.voteUpdate.findMany({
+          where,
+          include: {
+            vote: { include: { candidate: true, region: true } },
+            user: { select: { id: true, name: true, role: true } },
+            reviewer: { select: { id: true, name: true, role: true } },
+          },
+          orderBy: { timestamp: "desc" },
+          skip: (page - 1) * pageSize,
+          take: pageSize,
+        }),
+        prisma.voteUpdate.count({ where }),
+      ]);
+
+      res.json({ corrections, totalCount, page, pageSize });
+    } catch (error) {
+      logger.error("Error listing vote corrections:", error);
+      res.status(500).json({ error: "Unable to list corrections" });
+    }
+  }
+);
+
+// Approve or reject a pending correction
+router.post(
+  "/:id/:decision(approve|reject)",
+  requirePermission("corrections:review"),
+  [
+    param("id").isString().notEmpty(),
+    body("notes").optional().isString().isLength({ max: 1000 }),
+  ],
+  requireCorrectionJurisdiction,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { id, decision } = req.params;
+      const correction = await prisma.voteUpdate.findUnique({
+        where: { id },
+        include: { user: true },
+      });
+      if (!correction) {
+        return res.status(404).json({ error: "Correction not found" });
+      }
+
+      if (correction.status !== "PENDING") {
+        return res.status(409).json({
+          error: "Correction closed",
+          message: `Correction is already ${correction.status}`,
+        });
+      }
+
+      if (
+        correction.userId === req.user.id ||
+        (ROLE_RANK[req.user.role] || 0) <=
+          (ROLE_RANK[correction.user.role] || 0)
+      ) {
+        return res.status(403).json({
+          error: "Access denied",
+          message:
+            "Corrections must be reviewed by a different officer with a higher role",
+        });
+      }
+
+      const reviewedAt = new Date();
+      const review = {
+        reviewedBy: req.user.id,
+        reviewedAt,
+        reviewNotes: req.body.notes,
+      };
+
+      const { updated, vote } = await prisma.$transaction(async (tx) => {
+        // Claim the correction so concurrent reviews cannot both apply it
+        const claimed = await tx.voteUpdate.updateMany({
+          where: { id, status: "PENDING" },
+          data: {
+            ...review,
+            status: decision === "approve" ? "APPROVED" : "REJECTED",
+          },
+        });
+        if (claimed.count === 0) {
+          const err = new Error("Correction was reviewed by another officer");
+          err.status = 409;
+          throw err;
+        }
+
+        const updated = await tx.voteUpdate.findUnique({ where: { id } });
+        const current = await tx.vote.findUnique({
+          where: { id: correction.voteId },
+          include: { region: true },
+        });
+
+        if (decision === "reject") {
+          return { updated, vote: current };
+        }
+
+        if (current.voteCount !== correction.oldValue) {
+          const err = new Error("Vote count changed since proposal");
+          err.status = 409;
+          throw err;
+        }
+
+        const vote = await tx.vote.update({
+          where: { id: current.id },
+          data: {
+            voteCount: correction.newValue,
+            source: "CORRECTED",
+            checksum: generateVoteChecksum({
+              candidateId: current.candidateId,
+              regionId: current.regionId,
+              position: current.position,
+              voteCount: correction.newValue,
+              timestamp: current.timestamp.toISOString(),
+            }),
+          },
+          include: { region: true },
+        });
+
+        // Keep the Form 34A valid-vote total in step with the corrected count
+        await tx.resultSubmission.updateMany({
+          where: { regionId: current.regionId, position: current.position },
+          data: {
+            validVotes: {
+              increment: correction.newValue - correction.oldValue,
+            },
+          },
+        });
+
+        return { updated, vote };
+      });
+
+      await auditCorrection(req, updated, {
+        step: decision === "approve" ? "approved" : "rejected",
+        proposedBy: correction.userId,
+        notes: req.body.notes,
+      });
+      await notifyCorrection(req, vote, updated);
+
+      if (decision === "approve") {
+        try {
+          const submission = await prisma.resultSubmission.findUnique({
+            where: {
+              regionId_position: {
+                regionId: vote.regionId,
+                position: vote.position,
+              },
+            },
+          });
+          if (submission) {
+            await analyzeSubmission(prisma, submission, {
+              previousCounts: { [vote.candidateId]: correction.oldValue },
+            });
+          }
+        } catch (err) {
+          logger.error("Failed to analyze corrected submission:", err);
+        }
+      }
+
+      res.json({ ...updated, voteCount: vote.voteCount, source: vote.source });
+    } catch (error) {
+      if (error.status === 409) {
+        return res.status(409).json({
+          error: "Correction conflict",
+          message: error.message,
+        });
+      }
+      logger.error("Error reviewing vote correction:", error);
+      res.status(500).json({ error: "Unable to review correction" });
+    }
+  }
+);
+
+export default router;
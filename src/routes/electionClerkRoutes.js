@@ -1,42 +1,62 @@
 import express from "express";
-import { requireElectionClerk } from "../middleware/auth.js";
+import { requirePermission } from "../middleware/auth.js";
 
 const router = express.Router();
 
 // Verify voter (under supervision)
-router.post("/voters/verify", requireElectionClerk, (req, res) => {
-  // Implementation: verify voter (supervised)
-  res.json({ message: "Voter verified (clerk)" });
-});
+router.post(
+  "/voters/verify",
+  requirePermission("voters:assist"),
+  (req, res) => {
+    // Implementation: verify voter (supervised)
+    res.json({ message: "Voter verified (clerk)" });
+  }
+);
 
 // Issue ballot papers
-router.post("/ballots/issue", requireElectionClerk, (req, res) => {
-  // Implementation: issue ballot
-  res.json({ message: "Ballot issued (clerk)" });
-});
+router.post(
+  "/ballots/issue",
+  requirePermission("ballots:distribute"),
+  (req, res) => {
+    // Implementation: issue ballot
+    res.json({ message: "Ballot issued (clerk)" });
+  }
+);
 
 // Update queue status
-router.post("/queue/update", requireElectionClerk, (req, res) => {
+router.post("/queue/update", requirePermission("queue:manage"), (req, res) => {
   // Implementation: update queue status
   res.json({ message: "Queue status updated" });
 });
 
 // Assist voters
-router.post("/voters/assist", requireElectionClerk, (req, res) => {
-  // Implementation: assist voter
-  res.json({ message: "Voter assistance provided (clerk)" });
-});
+router.post(
+  "/voters/assist",
+  requirePermission("voters:assist"),
+  (req, res) => {
+    // Implementation: assist voter
+    res.json({ message: "Voter assistance provided (clerk)" });
+  }
+);
 
 // Log minor incidents
-router.post("/incidents/log", requireElectionClerk, (req, res) => {
-  // Implementation: log minor incident
-  res.json({ message: "Minor incident logged (clerk)" });
-});
+router.post(
+  "/incidents/log",
+  requirePermission("incidents:flag"),
+  (req, res) => {
+    // Implementation: log minor incident
+    res.json({ message: "Minor incident logged (clerk)" });
+  }
+);
 
 // Assist with ballot counting
-router.post("/ballots/count", requireElectionClerk, (req, res) => {
-  // Implementation: assist with ballot counting
-  res.json({ message: "Ballot counting assisted (clerk)" });
-});
+router.post(
+  "/ballots/count",
+  requirePermission("ballots:count"),
+  (req, res) => {
+    // Implementation: assist with ballot counting
+    res.json({ message: "Ballot counting assisted (clerk)" });
+  }
+);
 
 export default router;
@@ -0,0 +1,128 @@
+import express from "express";
+import { body, param, validationResult } from "express-validator";
+import pkg from "@prisma/client";
+const { PrismaClient } = pkg;
+import { requirePermission } from "../middleware/auth.js";
+import {
+  EXPORT_FORMATS,
+  EXPORT_LEVELS,
+  createExportJob,
+  describeExportJob,
+} from "../services/exports.js";
+import { auditLog, AUDIT_ACTIONS } from "../utils/audit.js";
+import logger from "../utils/logger.js";
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// Callers only see their own exports, whether they signed in or used a key
+const ownedBy = (req) =>
+  req.user ? { requestedBy: req.user.id } : { apiKeyId: req.apiKey.id };
+
+// Queue an export; poll GET /:id for progress and the download link
+router.post(
+  "/",
+  requirePermission("results:view"),
+  [
+    body("position").isIn([
+      "PRESIDENT",
+      "GOVERNOR",
+      "SENATOR",
+      "MP",
+      "WOMAN_REPRESENTATIVE",
+      "COUNTY_ASSEMBLY_MEMBER",
+    ]),
+    body("regionCode").isString().trim().isLength({ min: 1, max: 100 }),
+    body("level").isIn(EXPORT_LEVELS),
+    body("format").optional().toUpperCase().isIn(EXPORT_FORMATS),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { position, regionCode, level, format = "CSV" } = req.body;
+      const job = await createExportJob(prisma, {
+        position,
+        regionCode,
+        level,
+        format,
+        ...ownedBy(req),
+      });
+
+      if (req.user) {
+        try {
+          await auditLog(
+            req.user.id,
+            AUDIT_ACTIONS.DATA_EXPORT,
+            "ExportJob",
+            job.id,
+            {
+              position,
+              regionCode,
+              level,
+              format,
+              ipAddress: req.ip,
+              userAgent: req.get("User-Agent"),
+            }
+          );
+        } catch (err) {
+          logger.error("Failed to audit export request:", err);
+        }
+      }
+
+      res.status(202).json({ job: await describeExportJob(job) });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      logger.error("Error queueing export:", error);
+      res.status(500).json({ error: "Unable to queue export" });
+    }
+  }
+);
+
+router.get("/", requirePermission("results:view"), async (req, res) => {
+  try {
+    const jobs = await prisma.exportJob.findMany({
+      where: ownedBy(req),
+      include: { region: { select: { code: true } } },
+      orderBy: { createdAt: "desc" },
+      take: 50,
+    });
+    res.json({ jobs: await Promise.all(jobs.map(describeExportJob)) });
+  } catch (error) {
+    logger.error("Error fetching exports:", error);
+    res.status(500).json({ error: "Unable to fetch exports" });
+  }
+});
+
+router.get(
+  "/:id",
+  requirePermission("results:view"),
+  [param("id").isString().notEmpty()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const job = await prisma.exportJob.findFirst({
+        where: { id: req.params.id, ...ownedBy(req) },
+        include: { region: { select: { code: true } } },
+      });
+      if (!job) {
+        return res.status(404).json({ error: "Export not found" });
+      }
+      res.json({ job: await describeExportJob(job) });
+    } catch (error) {
+      logger.error("Error fetching export:", error);
+      res.status(500).json({ error: "Unable to fetch export" });
+    }
+  }
+);
+
+export default router;
@@ -1,48 +1,469 @@
 import express from "express";
-import { requirePresidingOfficer } from "../middleware/auth.js";
+import { body, param, validationResult } from "express-validator";
+import pkg from "@prisma/client";
+const { PrismaClient } = pkg;
+import { requireJurisdiction, requirePermission } from "../middleware/auth.js";
+import {
+  generateVoteChecksum,
+  generateRegionChecksum,
+} from "../utils/checksum.js";
+import { publishVoteUpdate } from "../services/liveUpdates.js";
+import { analyzeSubmission } from "../services/anomalies.js";
+import {
+  FORM_SCAN_BUCKET,
+  FORM_SCAN_CONTENT_TYPES,
+  confirmFormScan,
+  requestFormScanUpload,
+} from "../services/formScans.js";
+import { auditLog, AUDIT_ACTIONS } from "../utils/audit.js";
+import { getRegionAncestors } from "../utils/regions.js";
+import logger from "../utils/logger.js";
 
 const router = express.Router();
+const prisma = new PrismaClient();
+
+const POSITIONS = [
+  "PRESIDENT",
+  "GOVERNOR",
+  "SENATOR",
+  "MP",
+  "WOMAN_REPRESENTATIVE",
+  "COUNTY_ASSEMBLY_MEMBER",
+];
 
 // Update polling station data
-router.post("/station/update", requirePresidingOfficer, (req, res) => {
-  // Implementation: update polling station data
-  res.json({ message: "Polling station data updated" });
-});
+router.post(
+  "/station/update",
+  requirePermission("station:operate"),
+  (req, res) => {
+    // Implementation: update polling station data
+    res.json({ message: "Polling station data updated" });
+  }
+);
 
 // Verify voter identity
-router.post("/voters/verify", requirePresidingOfficer, (req, res) => {
-  // Implementation: verify voter
-  res.json({ message: "Voter verified" });
-});
+router.post(
+  "/voters/verify",
+  requirePermission("voters:verify"),
+  (req, res) => {
+    // Implementation: verify voter
+    res.json({ message: "Voter verified" });
+  }
+);
 
 // Record ballot issuance
-router.post("/ballots/issue", requirePresidingOfficer, (req, res) => {
-  // Implementation: record ballot issuance
-  res.json({ message: "Ballot issued" });
-});
+router.post(
+  "/ballots/issue",
+  requirePermission("ballots:issue"),
+  (req, res) => {
+    // Implementation: record ballot issuance
+    res.json({ message: "Ballot issued" });
+  }
+);
+
+// Submit Form 34A provisional results (immutable post-submission)
+router.post(
+  "/results/submit",
+  requirePermission("results:submit"),
+  [
+    body("stationCode").isString().notEmpty(),
+    body("position").isIn(POSITIONS),
+    body("registeredVoters").isInt({ min: 0 }),
+    body("rejectedBallots").isInt({ min: 0 }),
+    body("spoiltBallots").isInt({ min: 0 }),
+    body("results").isArray({ min: 1 }),
+    body("results.*.candidateId").isString().notEmpty(),
+    body("results.*.votes").isInt({ min: 0 }),
+    body("agents").isArray(),
+    body("agents.*.name").isString().notEmpty(),
+    body("agents.*.party").isString().notEmpty(),
+    body("agents.*.signed").isBoolean(),
+  ],
+  requireJurisdiction((req) => req.body.stationCode),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { stationCode, position, results, agents } = req.body;
+      const registeredVoters = parseInt(req.body.registeredVoters);
+      const rejectedBallots = parseInt(req.body.rejectedBallots);
+      const spoiltBallots = parseInt(req.body.spoiltBallots);
+
+      const station = await prisma.region.findUnique({
+        where: { code: stationCode },
+      });
+
+      if (!station) {
+        return res.status(404).json({
+          error: "Region not found",
+          message: "The requested polling station does not exist",
+        });
+      }
+
+      if (station.type !== "POLLING_STATION" || !station.isActive) {
+        return res.status(400).json({
+          error: "Invalid region",
+          message:
+            "Results can only be submitted for an active polling station",
+        });
+      }
+
+      if (
+        station.registeredVoters > 0 &&
+        registeredVoters !== station.registeredVoters
+      ) {
+        return res.status(400).json({
+          error: "Invalid Form 34A",
+          message: `Registered voters (${registeredVoters}) do not match the station register (${station.registeredVoters})`,
+        });
+      }
+
+      const existing = await prisma.resultSubmission.findUnique({
+        where: { regionId_position: { regionId: station.id, position } },
+      });
+
+      if (existing) {
+        return res.status(409).json({
+          error: "Duplicate submission",
+          message: `Form 34A for ${position} at ${stationCode} was already submitted`,
+          submissionId: existing.id,
+        });
+      }
+
+      // Every active candidate contesting this station must appear exactly once
+      const ancestors = await getRegionAncestors(prisma, station);
+      const scopeIds = [station.id, ...ancestors.map((r) => r.id)];
+      const candidates = await prisma.candidate.findMany({
+        where: {
+          position,
+          isActive: true,
+          OR: [{ regionId: { in: scopeIds } }, { regionType: "NATIONAL" }],
+        },
+        select: { id: true },
+      });
+      const eligibleIds = new Set(candidates.map((c) => c.id));
+      const submittedIds = results.map((r) => r.candidateId);
+
+      if (new Set(submittedIds).size !== submittedIds.length) {
+        return res.status(400).json({
+          error: "Invalid Form 34A",
+          message: "Each candidate may only appear once",
+        });
+      }
+
+      const unknown = submittedIds.filter((id) => !eligibleIds.has(id));
+      const missing = [...eligibleIds].filter(
+        (id) => !submittedIds.includes(id)
+      );
+
+      if (unknown.length > 0 || missing.length > 0) {
+        return res.status(400).json({
+          error: "Invalid Form 34A",
+          message: "Candidate list does not match the ballot for this station",
+          unknownCandidates: unknown,
+          missingCandidates: missing,
+        });
+      }
+
+      const validVotes = results.reduce((sum, r) => sum + parseInt(r.votes), 0);
+
+      if (validVotes + rejectedBallots > registeredVoters) {
+        return res.status(400).json({
+          error: "Invalid Form 34A",
+          message: "Votes cast exceed the number of registered voters",
+        });
+      }
 
-// Submit provisional results
-router.post("/results/submit", requirePresidingOfficer, (req, res) => {
-  // Implementation: submit results (immutable post-submission)
-  res.json({ message: "Provisional results submitted" });
+      const timestamp = new Date();
+      const voteRows = results.map((r) => {
+        const vote = {
+          candidateId: r.candidateId,
+          regionId: station.id,
+          position,
+          voteCount: parseInt(r.votes),
+          timestamp,
+        };
+        return {
+          ...vote,
+          source: "KIEMS",
+          checksum: generateVoteChecksum({
+            ...vote,
+            timestamp: timestamp.toISOString(),
+          }),
+        };
+      });
+
+      const [submission] = await prisma.$transaction([
+        prisma.resultSubmission.create({
+          data: {
+            regionId: station.id,
+            position,
+            registeredVoters,
+            validVotes,
+            rejectedBallots,
+            spoiltBallots,
+            agents,
+            checksum: generateRegionChecksum(voteRows.slice()),
+            submittedBy: req.user.id,
+            submittedAt: timestamp,
+          },
+        }),
+        prisma.vote.createMany({ data: voteRows }),
+      ]);
+
+      try {
+        await auditLog(
+          req.user.id,
+          AUDIT_ACTIONS.VOTE_CREATE,
+          "ResultSubmission",
+          submission.id,
+          {
+            stationCode,
+            position,
+            validVotes,
+            rejectedBallots,
+            spoiltBallots,
+            checksum: submission.checksum,
+            ipAddress: req.ip,
+            userAgent: req.get("User-Agent"),
+          }
+        );
+      } catch (err) {
+        logger.error("Failed to audit Form 34A submission:", err);
+      }
+
+      // Flags go to the commissioner review queue; they never block a submission
+      try {
+        await analyzeSubmission(prisma, submission);
+      } catch (err) {
+        logger.error("Failed to analyze Form 34A submission:", err);
+      }
+
+      const websocket = req.app.get("websocket");
+      await publishVoteUpdate(prisma, websocket, {
+        position,
+        region: station,
+        source: "KIEMS",
+      });
+      websocket?.notifyReturningOfficers(
+        [station.code, ...ancestors.map((r) => r.code)],
+        {
+          type: "FORM_34A_SUBMITTED",
+          submissionId: submission.id,
+          stationCode,
+          position,
+          validVotes,
+          rejectedBallots,
+        }
+      );
+
+      res.status(201).json({
+        message: "Provisional results submitted",
+        submissionId: submission.id,
+        stationCode,
+        position,
+        registeredVoters,
+        validVotes,
+        rejectedBallots,
+        spoiltBallots,
+        totalVotesCast: validVotes + rejectedBallots,
+        checksum: submission.checksum,
+        submittedAt: submission.submittedAt,
+      });
+    } catch (error) {
+      if (error.code === "P2002") {
+        return res.status(409).json({
+          error: "Duplicate submission",
+          message:
+            "Form 34A for this station and position was already submitted",
+        });
+      }
+      logger.error("Error submitting Form 34A results:", error);
+      res.status(500).json({
+        error: "Unable to submit results",
+        message: "Please try again in a few moments",
+      });
+    }
+  }
+);
+
+// Officers may only handle scans for stations within their jurisdiction
+const requireScanJurisdiction = requireJurisdiction(async (req) => {
+  const scan = await prisma.formScan.findUnique({
+    where: { id: req.params.id },
+    include: { submission: { include: { region: true } } },
+  });
+  return scan?.submission.region.code;
 });
 
+// Request a pre-signed upload for the scanned Form 34A behind a submission
+router.post(
+  "/results/form-scan",
+  requirePermission("results:submit"),
+  [
+    body("stationCode").isString().notEmpty(),
+    body("position").isIn(POSITIONS),
+    body("filename")
+      .isString()
+      .matches(/^[\w.-]{1,200}$/),
+    body("contentType").isIn(FORM_SCAN_CONTENT_TYPES),
+  ],
+  requireJurisdiction((req) => req.body.stationCode),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { stationCode, position, filename, contentType } = req.body;
+      const submission = await prisma.resultSubmission.findFirst({
+        where: { position, region: { code: stationCode } },
+      });
+      if (!submission) {
+        return res.status(404).json({
+          error: "Submission not found",
+          message: `No Form 34A for ${position} at ${stationCode} has been submitted`,
+        });
+      }
+
+      const { scan, uploadUrl } = await requestFormScanUpload(prisma, {
+        submission,
+        stationCode,
+        filename,
+        contentType,
+        requestedBy: req.user.id,
+      });
+
+      res.status(201).json({
+        scanId: scan.id,
+        uploadUrl,
+        bucket: FORM_SCAN_BUCKET,
+        key: scan.key,
+        contentType,
+        message: "Upload the scan, then confirm it to link it to the results",
+      });
+    } catch (error) {
+      if (error.status === 409) {
+        return res.status(409).json({
+          error: "Scan already linked",
+          message: error.message,
+        });
+      }
+      logger.error("Error preparing Form 34A scan upload:", error);
+      res.status(500).json({ error: "Unable to prepare scan upload" });
+    }
+  }
+);
+
+// Confirm an uploaded scan, recording its checksum and linking it to the votes
+router.post(
+  "/results/form-scan/:id/confirm",
+  requirePermission("results:submit"),
+  [param("id").isString().notEmpty()],
+  requireScanJurisdiction,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const pending = await prisma.formScan.findUnique({
+        where: { id: req.params.id },
+      });
+      if (!pending) {
+        return res.status(404).json({ error: "Scan not found" });
+      }
+      if (pending.uploadedAt) {
+        return res.status(409).json({
+          error: "Scan already confirmed",
+          message: "This scan is already linked to the results",
+        });
+      }
+
+      const { scan, linkedVotes } = await confirmFormScan(prisma, pending);
+
+      try {
+        await auditLog(
+          req.user.id,
+          AUDIT_ACTIONS.VOTE_VERIFY,
+          "FormScan",
+          scan.id,
+          {
+            submissionId: scan.submissionId,
+            key: scan.key,
+            checksum: scan.checksum,
+            size: scan.size,
+            linkedVotes,
+            ipAddress: req.ip,
+            userAgent: req.get("User-Agent"),
+          }
+        );
+      } catch (err) {
+        logger.error("Failed to audit Form 34A scan:", err);
+      }
+
+      res.json({
+        scanId: scan.id,
+        checksum: scan.checksum,
+        size: scan.size,
+        uploadedAt: scan.uploadedAt,
+        linkedVotes,
+      });
+    } catch (error) {
+      if (error.status === 413) {
+        return res.status(413).json({
+          error: "Scan too large",
+          message: error.message,
+        });
+      }
+      if (error.status === 409 || error.code === "P2002") {
+        return res.status(409).json({
+          error: "Scan not confirmed",
+          message:
+            error.status === 409
+              ? error.message
+              : "A scanned Form 34A is already linked to this submission",
+        });
+      }
+      logger.error("Error confirming Form 34A scan:", error);
+      res.status(500).json({ error: "Unable to confirm scan" });
+    }
+  }
+);
+
 // Log/report incidents
-router.post("/incidents/log", requirePresidingOfficer, (req, res) => {
-  // Implementation: log incident
-  res.json({ message: "Incident logged" });
-});
+router.post(
+  "/incidents/log",
+  requirePermission("incidents:log"),
+  (req, res) => {
+    // Implementation: log incident
+    res.json({ message: "Incident logged" });
+  }
+);
 
 // Assist voters with special needs
-router.post("/voters/assist", requirePresidingOfficer, (req, res) => {
-  // Implementation: assist voter
-  res.json({ message: "Voter assistance provided" });
-});
+router.post(
+  "/voters/assist",
+  requirePermission("voters:verify"),
+  (req, res) => {
+    // Implementation: assist voter
+    res.json({ message: "Voter assistance provided" });
+  }
+);
 
 // Verify materials
-router.post("/materials/verify", requirePresidingOfficer, (req, res) => {
-  // Implementation: verify materials
-  res.json({ message: "Materials verified" });
-});
+router.post(
+  "/materials/verify",
+  requirePermission("station:operate"),
+  (req, res) => {
+    // Implementation: verify materials
+    res.json({ message: "Materials verified" });
+  }
+);
 
 export default router;
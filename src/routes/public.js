@@ -5,6 +5,16 @@ const { PrismaClient } = pkg;
 import Redis from "ioredis";
 import { cacheMiddleware } from "../middleware/cache.js";
 import { generateChecksum } from "../utils/checksum.js";
+import { getHistoricalResults } from "../services/historical.js";
+import { getRegionResults } from "../services/results.js";
+import { getStationFormScan } from "../services/formScans.js";
+import {
+  STATION_SORTS,
+  listStationResults,
+} from "../services/stationResults.js";
+import { getSigningPublicKey, withSignature } from "../services/signing.js";
+import { streamRoom } from "../services/resultStream.js";
+import { liveEvents } from "../services/liveEvents.js";
 import logger from "../utils/logger.js";
 import { sendEmail, sendFeedbackEmail } from "../utils/email.js";
 
@@ -28,6 +38,13 @@ function deduplicateCandidates(candidates) {
   return deduped;
 }
 
+// Public key for the Ed25519 signatures on results responses and live
+// vote updates (see src/utils/signature.js to verify them)
+router.get("/results/public-key", (req, res) => {
+  res.set("Cache-Control", "public, max-age=300");
+  res.json(getSigningPublicKey());
+});
+
 // Real-time vote data retrieval
 router.get(
   "/results/:position/:regionType/:regionCode",
@@ -66,86 +83,67 @@ router.get(
       const pageSize = parseInt(req.query.pageSize) || 50;
       const skip = (page - 1) * pageSize;
 
-      // Find the region by its code
-      const region = await prisma.region.findUnique({
-        where: { code: regionCode },
-      });
+      // Rolled-up totals for the region and everything beneath it
+      const rollup = await getRegionResults(prisma, position, regionCode);
 
-      if (!region) {
+      if (!rollup) {
         return res.status(404).json({
           error: "Region not found",
           message: "The requested region does not exist",
         });
       }
 
-      // Get total count for pagination
-      const totalCount = await prisma.vote.count({
-        where: {
-          position: position,
-          regionId: region.id,
-          candidate: {
-            isActive: true,
-          },
-        },
-      });
-
-      // Get vote results with candidate information (paginated)
-      const results = await prisma.vote.findMany({
-        where: {
-          position: position,
-          regionId: region.id,
-          candidate: {
-            isActive: true,
-          },
-        },
-        include: {
-          candidate: {
-            include: {
-              translations: {
-                where: { language },
+      const pageResults = rollup.results.slice(skip, skip + pageSize);
+      const translations =
+        language === "en"
+          ? []
+          : await prisma.candidateTranslation.findMany({
+              where: {
+                language,
+                candidateId: { in: pageResults.map((r) => r.candidateId) },
               },
-            },
-          },
-        },
-        orderBy: {
-          voteCount: "desc",
-        },
-        skip,
-        take: pageSize,
-      });
+            });
+      const bioByCandidate = Object.fromEntries(
+        translations.map((t) => [t.candidateId, t.bio])
+      );
 
-      // Calculate totals and percentages
-      const totalVotes = results.reduce((sum, vote) => sum + vote.voteCount, 0);
-      const resultsWithPercentages = results.map((vote) => ({
-        candidateId: vote.candidateId,
-        name: vote.candidate.name,
-        party: vote.candidate.party,
-        voteCount: vote.voteCount,
-        percentage:
-          totalVotes > 0
-            ? ((vote.voteCount / totalVotes) * 100).toFixed(2)
-            : "0.00",
-        bio: vote.candidate.translations[0]?.bio || vote.candidate.bio,
-        photoUrl: vote.candidate.photoUrl,
+      const totalVotes = rollup.totalVotes;
+      const totalCount = rollup.results.length;
+      const resultsWithPercentages = pageResults.map((result) => ({
+        candidateId: result.candidateId,
+        name: result.name,
+        party: result.party,
+        voteCount: result.voteCount,
+        percentage: result.percentage,
+        bio: bioByCandidate[result.candidateId] || result.bio,
+        photoUrl: result.photoUrl,
       }));
 
       const response = {
         position,
         regionType,
         regionCode,
-        regionName: region.name, // Add the county/region name
+        regionName: rollup.regionName, // Add the county/region name
         totalVotes,
         results: resultsWithPercentages,
         totalCount,
         page,
         pageSize,
         source: "IEBC KIEMS",
-        lastUpdated: new Date().toISOString(),
+        lastUpdated: rollup.computedAt,
         checksum: generateChecksum(resultsWithPercentages),
         verificationUrl: `https://www.iebc.or.ke/results/${regionCode}`,
       };
+      // Stations link the scanned Form 34A their counts were read from
+      if (rollup.regionType === "POLLING_STATION") {
+        response.form34A = await getStationFormScan(
+          prisma,
+          position,
+          regionCode
+        );
+      }
 
-      res.json(response);
+      res.json(withSignature(response));
     } catch (error) {
       logger.error("Error fetching results:", error);
       res.status(500).json({
@@ -156,6 +154,243 @@ router.get(
   }
 );
 
+// Drill down to every polling station under a constituency or ward, each
+// with its own result, reporting time, anomaly flags and scanned Form 34A
+// link, for observers running a parallel vote tabulation
+router.get(
+  "/stations/:position/:regionCode",
+  [
+    param("position").isIn([
+      "PRESIDENT",
+      "GOVERNOR",
+      "SENATOR",
+      "MP",
+      "WOMAN_REPRESENTATIVE",
+      "COUNTY_ASSEMBLY_MEMBER",
+    ]),
+    param("regionCode").isString().isLength({ min: 1, max: 100 }),
+    query("reported").optional().isBoolean(),
+    query("flagged").optional().isBoolean(),
+    query("sort").optional().isIn(STATION_SORTS),
+    query("order").optional().isIn(["asc", "desc"]),
+    query("page").optional().isInt({ min: 1 }),
+    query("pageSize").optional().isInt({ min: 1, max: 100 }),
+  ],
+  cacheMiddleware(60),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { position, regionCode } = req.params;
+      const { reported, flagged, sort = "code", order = "asc" } = req.query;
+      const page = parseInt(req.query.page) || 1;
+      const pageSize = parseInt(req.query.pageSize) || 50;
+
+      const region = await prisma.region.findUnique({
+        where: { code: regionCode },
+      });
+      if (!region) {
+        return res.status(404).json({
+          error: "Region not found",
+          message: "The requested region does not exist",
+        });
+      }
+      if (!["CONSTITUENCY", "WARD", "POLLING_STATION"].includes(region.type)) {
+        return res.status(400).json({
+          error: "Invalid region",
+          message: "Stations can be listed for a constituency or ward",
+        });
+      }
+
+      const listing = await listStationResults(prisma, region, position, {
+        reported: reported === undefined ? undefined : reported === "true",
+        flagged: flagged === undefined ? undefined : flagged === "true",
+        sort,
+        order,
+        page,
+        pageSize,
+      });
+
+      const response = {
+        position,
+        regionCode,
+        regionName: region.name,
+        regionType: region.type,
+        ...listing,
+        page,
+        pageSize,
+        sort,
+        order,
+        source: "IEBC KIEMS",
+        lastUpdated: new Date().toISOString(),
+      };
+
+      res.json(withSignature(response));
+    } catch (error) {
+      logger.error("Error fetching station results:", error);
+      res.status(500).json({
+        error: "Results temporarily unavailable",
+        message: "Please try again in a few moments",
+      });
+    }
+  }
+);
+
+// Server-Sent Events alternative to the websocket for tickers and embeds.
+// No cacheMiddleware here: responses are long-lived streams.
+const STREAM_HEARTBEAT_INTERVAL =
+  parseInt(process.env.WS_HEARTBEAT_INTERVAL) || 30000;
+
+function getStreamClientIP(req) {
+  if (process.env.TRUST_PROXY === "true") {
+    return req.get("X-Real-IP") || req.ip;
+  }
+  return req.ip;
+}
+
+// Open an event stream that holds one of the IP's websocket connection slots.
+// Sends the error response and returns null if the stream cannot be opened.
+async function openEventStream(req, res) {
+  const realtime = req.app.get("websocket");
+  if (!realtime) {
+    res.status(503).json({ error: "Live updates temporarily unavailable" });
+    return null;
+  }
+
+  // Listen for the disconnect before waiting on the slot, so a client that
+  // leaves meanwhile still gives its slot back
+  let closed = false;
+  const cleanups = [];
+  req.on("close", () => {
+    closed = true;
+    cleanups.forEach((cleanup) => cleanup());
+  });
+
+  const clientIP = getStreamClientIP(req);
+  if (!(await realtime.acquireConnection(clientIP))) {
+    res.status(429).json({
+      error: "Connection limit exceeded",
+      message: "Too many live connections from this address",
+    });
+    return null;
+  }
+  if (closed) {
+    realtime.releaseConnection(clientIP);
+    return null;
+  }
+  cleanups.push(() => realtime.releaseConnection(clientIP));
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+
+  const heartbeat = setInterval(() => {
+    res.write(": ping\n\n");
+    res.flush?.();
+  }, STREAM_HEARTBEAT_INTERVAL);
+  cleanups.push(() => clearInterval(heartbeat));
+
+  return {
+    realtime,
+    send(event, payload, id) {
+      if (closed) return;
+      if (id !== undefined) res.write(`id: ${id}\n`);
+      res.write(`event: ${event}\n`);
+      res.write(`data: ${JSON.stringify(payload)}\n\n`);
+      // compression() buffers output until flushed
+      res.flush?.();
+    },
+    // Relay live events for a room until the client disconnects
+    relay(room, idOf = () => undefined) {
+      if (closed) return;
+      const listener = (event, payload) =>
+        this.send(event, payload, idOf(payload));
+      liveEvents.on(room, listener);
+      cleanups.push(() => liveEvents.off(room, listener));
+    },
+  };
+}
+
+// Live results stream; event ids are room sequence numbers for Last-Event-ID resume
+router.get(
+  "/stream/results/:position/:regionCode",
+  [
+    param("position").isIn([
+      "PRESIDENT",
+      "GOVERNOR",
+      "SENATOR",
+      "MP",
+      "WOMAN_REPRESENTATIVE",
+      "COUNTY_ASSEMBLY_MEMBER",
+    ]),
+    param("regionCode").isString().isLength({ min: 1, max: 100 }),
+    query("lastEventId").optional().isInt({ min: 0 }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { position, regionCode } = req.params;
+      const region = await prisma.region.findUnique({
+        where: { code: regionCode },
+      });
+      if (!region) {
+        return res.status(404).json({
+          error: "Region not found",
+          message: "The requested region does not exist",
+        });
+      }
+
+      const stream = await openEventStream(req, res);
+      if (!stream) return;
+
+      // EventSource sends Last-Event-ID on reconnect; polyfills may use the query
+      const baseline = await stream.realtime.getResultsBaseline(
+        position,
+        regionCode,
+        req.get("Last-Event-ID") ?? req.query.lastEventId
+      );
+      stream.send(baseline.event, baseline.payload, baseline.payload.seq);
+      stream.relay(streamRoom(position, regionCode), (payload) => payload.seq);
+    } catch (error) {
+      logger.error("Error opening results stream:", error);
+      if (!res.headersSent) {
+        res.status(500).json({ error: "Live updates temporarily unavailable" });
+      } else {
+        res.end();
+      }
+    }
+  }
+);
+
+// Live election status stream
+router.get("/stream/status", async (req, res) => {
+  try {
+    const stream = await openEventStream(req, res);
+    if (!stream) return;
+
+    stream.send("electionStatus", await stream.realtime.getElectionStatus());
+    stream.relay("election:status");
+  } catch (error) {
+    logger.error("Error opening status stream:", error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: "Live updates temporarily unavailable" });
+    } else {
+      res.end();
+    }
+  }
+});
+
 // List all candidates endpoint (no filters, with pagination, aggregated)
 router.get("/candidates/all", async (req, res) => {
   try {
@@ -724,8 +959,18 @@ router.get(
   [
     param("year").isInt({ min: 2002, max: 2027 }),
     param("regionCode").isString().notEmpty(),
+    query("position")
+      .optional()
+      .isIn([
+        "PRESIDENT",
+        "GOVERNOR",
+        "SENATOR",
+        "MP",
+        "WOMAN_REPRESENTATIVE",
+        "COUNTY_ASSEMBLY_MEMBER",
+      ]),
   ],
-  cacheMiddleware(3600), // Cache for 1 hour
+  cacheMiddleware(300), // Short TTL: swing is computed against live totals
   async (req, res) => {
     try {
       const errors = validationResult(req);
@@ -733,31 +978,17 @@ router.get(
         return res.status(400).json({ errors: errors.array() });
       }
 
-      const { year, regionCode } = req.params;
-
-      // For now, return mock historical data
-      // In production, this would query a historical database
-      const historicalData = {
-        year: parseInt(year),
-        regionCode,
-        results: [
-          {
-            candidateName: "Historical Candidate 1",
-            party: "Party A",
-            voteCount: 150000,
-            percentage: "45.2",
-          },
-          {
-            candidateName: "Historical Candidate 2",
-            party: "Party B",
-            voteCount: 120000,
-            percentage: "36.1",
-          },
-        ],
-        totalVotes: 332000,
-        turnout: "65.4",
-        source: "IEBC Historical Records",
-      };
+      const historicalData = await getHistoricalResults(prisma, {
+        year: parseInt(req.params.year),
+        regionCode: req.params.regionCode,
+        position: req.query.position || "PRESIDENT",
+      });
+      if (!historicalData) {
+        return res.status(404).json({
+          error: "Historical results not found",
+          message: "No results are on record for this year and region",
+        });
+      }
 
       res.json(historicalData);
     } catch (error) {
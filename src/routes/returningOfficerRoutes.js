@@ -1,48 +1,409 @@
 import express from "express";
-import { requireReturningOfficer } from "../middleware/auth.js";
+import { body, query, validationResult } from "express-validator";
+import pkg from "@prisma/client";
+const { PrismaClient } = pkg;
+import {
+  requireJurisdiction,
+  requireMfa,
+  requirePermission,
+} from "../middleware/auth.js";
+import { computeConstituencyTally } from "../services/tally.js";
+import { countOpenDisputes, openDispute } from "../services/disputes.js";
+import { checkStationsConsistency } from "../services/consistency.js";
+import { getDescendantRegions } from "../utils/regions.js";
+import { auditLog, AUDIT_ACTIONS } from "../utils/audit.js";
+import logger from "../utils/logger.js";
 
 const router = express.Router();
+const prisma = new PrismaClient();
 
-// Submit constituency/county-level results
-router.post("/results/submit", requireReturningOfficer, (req, res) => {
-  // Implementation: submit results (jurisdiction-restricted)
-  res.json({ message: "Results submitted" });
-});
+const POSITIONS = [
+  "PRESIDENT",
+  "GOVERNOR",
+  "SENATOR",
+  "MP",
+  "WOMAN_REPRESENTATIVE",
+  "COUNTY_ASSEMBLY_MEMBER",
+];
 
-// Monitor polling stations in jurisdiction
-router.get("/stations/monitor", requireReturningOfficer, (req, res) => {
-  // Implementation: monitor polling stations
-  res.json({ message: "Polling station monitoring" });
-});
+// Officers may only act on constituencies within their jurisdiction
+const queryJurisdiction = requireJurisdiction(
+  (req) => req.query.constituencyCode
+);
+
+// Resolve a constituency by code, sending the error response if it is invalid
+async function findConstituency(code, res) {
+  const constituency = await prisma.region.findUnique({ where: { code } });
+  if (!constituency || constituency.type !== "CONSTITUENCY") {
+    res.status(404).json({
+      error: "Region not found",
+      message: "The requested constituency does not exist",
+    });
+    return null;
+  }
+  return constituency;
+}
+
+// List every Form 34A submitted under a constituency
+router.get(
+  "/results/forms",
+  requirePermission("tallies:view"),
+  [
+    query("constituencyCode").isString().notEmpty(),
+    query("position").isIn(POSITIONS),
+  ],
+  queryJurisdiction,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { constituencyCode, position } = req.query;
+      const constituency = await findConstituency(constituencyCode, res);
+      if (!constituency) return;
+
+      const tally = await computeConstituencyTally(
+        prisma,
+        constituency,
+        position
+      );
+
+      res.json({
+        constituency: tally.constituency,
+        position,
+        totalStations: tally.totalStations,
+        reportedStations: tally.reportedStations,
+        forms: tally.stations.filter((s) => s.reported),
+        missingStations: tally.missingStations,
+      });
+    } catch (error) {
+      logger.error("Error listing Form 34A submissions:", error);
+      res.status(500).json({ error: "Unable to list Form 34A submissions" });
+    }
+  }
+);
+
+// Compute the Form 34B constituency tally
+router.get(
+  "/results/tally",
+  requirePermission("tallies:view"),
+  [
+    query("constituencyCode").isString().notEmpty(),
+    query("position").isIn(POSITIONS),
+  ],
+  queryJurisdiction,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { constituencyCode, position } = req.query;
+      const constituency = await findConstituency(constituencyCode, res);
+      if (!constituency) return;
+
+      const tally = await computeConstituencyTally(
+        prisma,
+        constituency,
+        position
+      );
+      const certification = await prisma.certification.findUnique({
+        where: {
+          regionId_position: { regionId: constituency.id, position },
+        },
+      });
+
+      res.json({
+        ...tally,
+        certificationStatus: certification?.status || null,
+      });
+    } catch (error) {
+      logger.error("Error computing Form 34B tally:", error);
+      res.status(500).json({ error: "Unable to compute Form 34B tally" });
+    }
+  }
+);
+
+// Monitor polling stations in a constituency, reporting stations whose
+// ballots cast differ across positions so the presiding officer can be
+// queried before authorizing
+router.get(
+  "/stations/monitor",
+  requirePermission("stations:supervise"),
+  [
+    query("constituencyCode").isString().notEmpty(),
+    query("discrepanciesOnly").optional().isBoolean(),
+  ],
+  queryJurisdiction,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const constituency = await findConstituency(
+        req.query.constituencyCode,
+        res
+      );
+      if (!constituency) return;
+
+      const stations = await getDescendantRegions(
+        prisma,
+        constituency.id,
+        "POLLING_STATION"
+      );
+      const { tolerancePercent, stations: checks } =
+        await checkStationsConsistency(prisma, stations);
+      const flagged = checks.filter((s) => !s.consistent);
+
+      res.json({
+        constituency: {
+          id: constituency.id,
+          code: constituency.code,
+          name: constituency.name,
+        },
+        tolerancePercent,
+        totalStations: checks.length,
+        reportingStations: checks.filter((s) => s.reportedPositions.length > 0)
+          .length,
+        discrepancyCount: flagged.length,
+        stations: req.query.discrepanciesOnly === "true" ? flagged : checks,
+      });
+    } catch (error) {
+      logger.error("Error monitoring polling stations:", error);
+      res.status(500).json({ error: "Unable to monitor polling stations" });
+    }
+  }
+);
 
 // Track election materials
-router.get("/materials/track", requireReturningOfficer, (req, res) => {
-  // Implementation: track materials
-  res.json({ message: "Election materials tracking" });
-});
+router.get(
+  "/materials/track",
+  requirePermission("stations:supervise"),
+  (req, res) => {
+    // Implementation: track materials
+    res.json({ message: "Election materials tracking" });
+  }
+);
 
 // Log/escalate disputes
-router.post("/incidents/report", requireReturningOfficer, (req, res) => {
-  // Implementation: log/escalate disputes
-  res.json({ message: "Incident reported" });
-});
+router.post(
+  "/incidents/report",
+  requirePermission("incidents:escalate"),
+  [
+    body("regionCode").isString().notEmpty(),
+    body("position").isIn(POSITIONS),
+    body("grounds").isString().isLength({ min: 10, max: 5000 }),
+  ],
+  requireJurisdiction((req) => req.body.regionCode),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { regionCode, position, grounds } = req.body;
+      const region = await prisma.region.findUnique({
+        where: { code: regionCode },
+      });
+      if (!region) {
+        return res.status(404).json({
+          error: "Region not found",
+          message: "The requested region does not exist",
+        });
+      }
+
+      // Escalate as a dispute for commissioners to assign and resolve
+      const { dispute, certificationDisputed } = await openDispute(prisma, {
+        regionId: region.id,
+        position,
+        filedBy: req.user.id,
+        grounds,
+      });
+
+      try {
+        await auditLog(
+          req.user.id,
+          AUDIT_ACTIONS.RESULTS_DISPUTE,
+          "Dispute",
+          dispute.id,
+          {
+            regionCode,
+            position,
+            step: "filed",
+            grounds,
+            certificationDisputed,
+            ipAddress: req.ip,
+            userAgent: req.get("User-Agent"),
+          }
+        );
+      } catch (err) {
+        logger.error("Failed to audit incident report:", err);
+      }
+
+      res.status(201).json({
+        message: "Incident reported",
+        disputeId: dispute.id,
+        status: dispute.status,
+        certificationDisputed,
+      });
+    } catch (error) {
+      logger.error("Error reporting incident:", error);
+      res.status(500).json({ error: "Unable to report incident" });
+    }
+  }
+);
 
 // Issue instructions to Presiding Officers
-router.post("/instructions/issue", requireReturningOfficer, (req, res) => {
-  // Implementation: issue instructions
-  res.json({ message: "Instruction issued" });
-});
+router.post(
+  "/instructions/issue",
+  requirePermission("stations:supervise"),
+  (req, res) => {
+    // Implementation: issue instructions
+    res.json({ message: "Instruction issued" });
+  }
+);
+
+// Authorize the Form 34B tally, opening a PENDING certification
+router.post(
+  "/results/authorize",
+  requirePermission("results:authorize"),
+  requireMfa(),
+  [
+    body("constituencyCode").isString().notEmpty(),
+    body("position").isIn(POSITIONS),
+    body("acknowledgeMissing").optional().isBoolean(),
+    body("notes").optional().isString().isLength({ max: 1000 }),
+  ],
+  requireJurisdiction((req) => req.body.constituencyCode),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { constituencyCode, position, acknowledgeMissing, notes } =
+        req.body;
+      const constituency = await findConstituency(constituencyCode, res);
+      if (!constituency) return;
+
+      const existing = await prisma.certification.findUnique({
+        where: {
+          regionId_position: { regionId: constituency.id, position },
+        },
+      });
+      if (existing) {
+        return res.status(409).json({
+          error: "Already authorized",
+          message: `Form 34B for ${position} in ${constituency.name} is ${existing.status}`,
+          certificationId: existing.id,
+        });
+      }
+
+      const openDisputes = await countOpenDisputes(prisma, {
+        regionId: constituency.id,
+        position,
+      });
+      if (openDisputes > 0) {
+        return res.status(409).json({
+          error: "Results disputed",
+          message: `${openDisputes} open dispute(s) must be resolved before authorization`,
+        });
+      }
+
+      const tally = await computeConstituencyTally(
+        prisma,
+        constituency,
+        position
+      );
+
+      if (tally.reportedStations === 0) {
+        return res.status(400).json({
+          error: "No results",
+          message: "No Form 34A has been submitted in this constituency",
+        });
+      }
+
+      if (tally.missingStations.length > 0 && !acknowledgeMissing) {
+        return res.status(409).json({
+          error: "Missing stations",
+          message:
+            "Some polling stations have not reported. Set acknowledgeMissing to authorize anyway.",
+          missingStations: tally.missingStations,
+        });
+      }
+
+      const certification = await prisma.certification.create({
+        data: {
+          regionId: constituency.id,
+          position,
+          status: "PENDING",
+          notes: [
+            `Form 34B authorized by ${req.user.name}`,
+            `${tally.reportedStations}/${tally.totalStations} stations reporting`,
+            `checksum ${tally.checksum}`,
+            notes,
+          ]
+            .filter(Boolean)
+            .join("; "),
+        },
+      });
+
+      try {
+        await auditLog(
+          req.user.id,
+          AUDIT_ACTIONS.VOTE_VERIFY,
+          "Certification",
+          certification.id,
+          {
+            constituencyCode,
+            position,
+            reportedStations: tally.reportedStations,
+            totalStations: tally.totalStations,
+            missingStations: tally.missingStations.map((s) => s.code),
+            validVotes: tally.validVotes,
+            checksum: tally.checksum,
+            ipAddress: req.ip,
+            userAgent: req.get("User-Agent"),
+          }
+        );
+      } catch (err) {
+        logger.error("Failed to audit Form 34B authorization:", err);
+      }
 
-// Authorize provisional results
-router.post("/results/authorize", requireReturningOfficer, (req, res) => {
-  // Implementation: authorize provisional results
-  res.json({ message: "Provisional results authorized" });
-});
+      res.status(201).json({
+        message: "Provisional results authorized",
+        certificationId: certification.id,
+        status: certification.status,
+        tally,
+      });
+    } catch (error) {
+      if (error.code === "P2002") {
+        return res.status(409).json({
+          error: "Already authorized",
+          message: "Form 34B for this constituency was already authorized",
+        });
+      }
+      logger.error("Error authorizing Form 34B tally:", error);
+      res.status(500).json({ error: "Unable to authorize results" });
+    }
+  }
+);
 
 // Access voter verification summaries
-router.get("/voters/summary", requireReturningOfficer, (req, res) => {
-  // Implementation: voter verification summary
-  res.json({ message: "Voter verification summary" });
-});
+router.get(
+  "/voters/summary",
+  requirePermission("stations:supervise"),
+  (req, res) => {
+    // Implementation: voter verification summary
+    res.json({ message: "Voter verification summary" });
+  }
+);
 
 export default router;
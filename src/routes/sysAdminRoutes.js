@@ -1,65 +1,89 @@
 import express from "express";
-import { requireSystemAdministrator } from "../middleware/auth.js";
+import { body, param, query, validationResult } from "express-validator";
+import pkg from "@prisma/client";
+const { PrismaClient } = pkg;
+import { requirePermission } from "../middleware/auth.js";
 import fs from "fs";
 import path from "path";
+import {
+  PERMISSIONS,
+  ROLES,
+  getRolePermissionMap,
+  setRolePermissions,
+} from "../services/permissions.js";
+import {
+  API_KEY_PERMISSIONS,
+  generateApiKey,
+  getApiKeyQuota,
+  getApiKeyUsage,
+  invalidateApiKey,
+  serializeApiKey,
+} from "../services/apiKeys.js";
+import { searchApiUsage } from "../services/elasticsearch.js";
+import { anchorAuditChain, verifyAuditChain } from "../services/auditChain.js";
+import { auditLog, AUDIT_ACTIONS } from "../utils/audit.js";
 import logger from "../utils/logger.js";
 import { sendEmail } from "../utils/email.js";
 
 const router = express.Router();
-
-// Helper RBAC middleware for SYSTEM_ADMINISTRATOR only
-function requireSysAdmin(req, res, next) {
-  if (!req.user || req.user.role !== "SYSTEM_ADMINISTRATOR") {
-    return res
-      .status(403)
-      .json({ error: "Access denied: SYSTEM_ADMINISTRATOR role required" });
-  }
-  next();
-}
+const prisma = new PrismaClient();
 
 // Monitor system metrics
-router.get("/monitor", requireSystemAdministrator, (req, res) => {
+router.get("/monitor", requirePermission("system:monitor"), (req, res) => {
   // Implementation: return system metrics (no election data)
   res.json({ message: "System metrics (no election data)" });
 });
 
 // Manage user accounts
-router.post("/users/manage", requireSystemAdministrator, (req, res) => {
+router.post("/users/manage", requirePermission("users:manage"), (req, res) => {
   // Implementation: create/modify/deactivate user accounts
   res.json({ message: "User account managed" });
 });
 
 // Configure system settings
-router.post("/settings/configure", requireSystemAdministrator, (req, res) => {
-  // Implementation: configure system settings
-  res.json({ message: "System settings configured" });
-});
+router.post(
+  "/settings/configure",
+  requirePermission("system:configure"),
+  (req, res) => {
+    // Implementation: configure system settings
+    res.json({ message: "System settings configured" });
+  }
+);
 
 // Troubleshoot system errors
-router.post("/troubleshoot", requireSystemAdministrator, (req, res) => {
-  // Implementation: troubleshoot system errors
-  res.json({ message: "System error troubleshooted" });
-});
+router.post(
+  "/troubleshoot",
+  requirePermission("system:configure"),
+  (req, res) => {
+    // Implementation: troubleshoot system errors
+    res.json({ message: "System error troubleshooted" });
+  }
+);
 
 // Access technical logs (no election data)
-router.get("/logs/technical", requireSystemAdministrator, (req, res) => {
-  // Implementation: return technical logs only
-  res.json({ message: "Technical logs (no election data)" });
-});
+router.get(
+  "/logs/technical",
+  requirePermission("system:monitor"),
+  (req, res) => {
+    // Implementation: return technical logs only
+    res.json({ message: "Technical logs (no election data)" });
+  }
+);
 
 // Manage system backups
-router.post("/backups/manage", requireSystemAdministrator, (req, res) => {
-  // Implementation: manage backups
-  res.json({ message: "System backup managed" });
-});
+router.post(
+  "/backups/manage",
+  requirePermission("backups:manage"),
+  (req, res) => {
+    // Implementation: manage backups
+    res.json({ message: "System backup managed" });
+  }
+);
 
 // Advanced SYSTEM_ADMINISTRATOR endpoints (placeholders)
 
-// Middleware to enforce SYSTEM_ADMINISTRATOR role
-// import { requireSystemAdministrator } from "../middleware/auth.js";
-
 // View/search/export logs
-router.get("/logs", requireSystemAdministrator, async (req, res) => {
+router.get("/logs", requirePermission("system:monitor"), async (req, res) => {
   // Example: read from combined.log (could be extended to Elasticsearch, etc.)
   const { level, userId, env, from, to, limit = 100 } = req.query;
   const logFile = path.join(process.cwd(), "logs", "combined.log");
@@ -108,7 +132,7 @@ const alertConfig = {
 const alertHistory = [];
 
 // GET /alerts - view alert config and history
-router.get("/alerts", requireSystemAdministrator, (req, res) => {
+router.get("/alerts", requirePermission("system:monitor"), (req, res) => {
   logger.info("SYSTEM_ADMINISTRATOR viewed alert config/history", {
     action: "alert_view",
     userId: req.user?.id,
@@ -119,20 +143,24 @@ router.get("/alerts", requireSystemAdministrator, (req, res) => {
 });
 
 // POST /alerts/config - update alert config
-router.post("/alerts/config", requireSystemAdministrator, (req, res) => {
-  const { channels, thresholds, recipients } = req.body;
-  if (channels) alertConfig.channels = channels;
-  if (thresholds) alertConfig.thresholds = thresholds;
-  if (recipients) alertConfig.recipients = recipients;
-  logger.info("SYSTEM_ADMINISTRATOR updated alert config", {
-    action: "alert_config_update",
-    userId: req.user?.id,
-    newConfig: { channels, thresholds, recipients },
-    timestamp: new Date().toISOString(),
-    environment: process.env.NODE_ENV || "development",
-  });
-  res.json({ message: "Alert config updated", config: alertConfig });
-});
+router.post(
+  "/alerts/config",
+  requirePermission("system:configure"),
+  (req, res) => {
+    const { channels, thresholds, recipients } = req.body;
+    if (channels) alertConfig.channels = channels;
+    if (thresholds) alertConfig.thresholds = thresholds;
+    if (recipients) alertConfig.recipients = recipients;
+    logger.info("SYSTEM_ADMINISTRATOR updated alert config", {
+      action: "alert_config_update",
+      userId: req.user?.id,
+      newConfig: { channels, thresholds, recipients },
+      timestamp: new Date().toISOString(),
+      environment: process.env.NODE_ENV || "development",
+    });
+    res.json({ message: "Alert config updated", config: alertConfig });
+  }
+);
 
 // Suppression rule management for SYSTEM_ADMINISTRATOR
 let suppressionRules = {
@@ -151,31 +179,39 @@ let suppressionRules = {
 };
 
 // GET /suppression-rules - view rules
-router.get("/suppression-rules", requireSystemAdministrator, (req, res) => {
-  logger.info("SYSTEM_ADMINISTRATOR viewed suppression rules", {
-    action: "suppression_rules_view",
-    userId: req.user?.id,
-    timestamp: new Date().toISOString(),
-    environment: process.env.NODE_ENV || "development",
-  });
-  res.json({ rules: suppressionRules });
-});
+router.get(
+  "/suppression-rules",
+  requirePermission("system:monitor"),
+  (req, res) => {
+    logger.info("SYSTEM_ADMINISTRATOR viewed suppression rules", {
+      action: "suppression_rules_view",
+      userId: req.user?.id,
+      timestamp: new Date().toISOString(),
+      environment: process.env.NODE_ENV || "development",
+    });
+    res.json({ rules: suppressionRules });
+  }
+);
 
 // POST /suppression-rules - add/update rules
-router.post("/suppression-rules", requireSystemAdministrator, (req, res) => {
-  const { userAgents, blockedIPs } = req.body;
-  if (userAgents)
-    suppressionRules.userAgents = userAgents.map((p) => new RegExp(p, "i"));
-  if (blockedIPs) suppressionRules.blockedIPs = blockedIPs;
-  logger.info("SYSTEM_ADMINISTRATOR updated suppression rules", {
-    action: "suppression_rules_update",
-    userId: req.user?.id,
-    newRules: { userAgents, blockedIPs },
-    timestamp: new Date().toISOString(),
-    environment: process.env.NODE_ENV || "development",
-  });
-  res.json({ message: "Suppression rules updated", rules: suppressionRules });
-});
+router.post(
+  "/suppression-rules",
+  requirePermission("system:configure"),
+  (req, res) => {
+    const { userAgents, blockedIPs } = req.body;
+    if (userAgents)
+      suppressionRules.userAgents = userAgents.map((p) => new RegExp(p, "i"));
+    if (blockedIPs) suppressionRules.blockedIPs = blockedIPs;
+    logger.info("SYSTEM_ADMINISTRATOR updated suppression rules", {
+      action: "suppression_rules_update",
+      userId: req.user?.id,
+      newRules: { userAgents, blockedIPs },
+      timestamp: new Date().toISOString(),
+      environment: process.env.NODE_ENV || "development",
+    });
+    res.json({ message: "Suppression rules updated", rules: suppressionRules });
+  }
+);
 
 // Dashboard/analytics access for SYSTEM_ADMINISTRATOR
 const dashboardStats = {
@@ -195,7 +231,7 @@ const dashboardStats = {
   ],
 };
 
-router.get("/dashboards", requireSystemAdministrator, (req, res) => {
+router.get("/dashboards", requirePermission("system:monitor"), (req, res) => {
   logger.info("SYSTEM_ADMINISTRATOR viewed dashboard analytics", {
     action: "dashboard_view",
     userId: req.user?.id,
@@ -206,7 +242,7 @@ router.get("/dashboards", requireSystemAdministrator, (req, res) => {
 });
 
 // Audit trail review/export for SYSTEM_ADMINISTRATOR
-router.get("/audit-trails", requireSystemAdministrator, (req, res) => {
+router.get("/audit-trails", requirePermission("audit:view"), (req, res) => {
   const logFile = path.join(process.cwd(), "logs", "combined.log");
   if (!fs.existsSync(logFile)) {
     return res.status(404).json({ error: "Audit log file not found" });
@@ -238,7 +274,7 @@ const sysadminConfig = {
 };
 
 // GET /config - view config
-router.get("/config", requireSystemAdministrator, (req, res) => {
+router.get("/config", requirePermission("system:monitor"), (req, res) => {
   logger.info("SYSTEM_ADMINISTRATOR viewed config", {
     action: "config_view",
     userId: req.user?.id,
@@ -249,7 +285,7 @@ router.get("/config", requireSystemAdministrator, (req, res) => {
 });
 
 // POST /config - update config
-router.post("/config", requireSystemAdministrator, (req, res) => {
+router.post("/config", requirePermission("system:configure"), (req, res) => {
   const { logging, alerting, suppression } = req.body;
   if (logging) sysadminConfig.logging = logging;
   if (alerting) sysadminConfig.alerting = alerting;
@@ -273,78 +309,94 @@ const siemIntegrationConfig = {
 };
 
 // GET /siem-integration - view SIEM/SOC integration config
-router.get("/siem-integration", requireSystemAdministrator, (req, res) => {
-  logger.info("SYSTEM_ADMINISTRATOR viewed SIEM/SOC integration config", {
-    action: "siem_integration_view",
-    userId: req.user?.id,
-    timestamp: new Date().toISOString(),
-    environment: process.env.NODE_ENV || "development",
-  });
-  res.json({ config: siemIntegrationConfig });
-});
+router.get(
+  "/siem-integration",
+  requirePermission("system:monitor"),
+  (req, res) => {
+    logger.info("SYSTEM_ADMINISTRATOR viewed SIEM/SOC integration config", {
+      action: "siem_integration_view",
+      userId: req.user?.id,
+      timestamp: new Date().toISOString(),
+      environment: process.env.NODE_ENV || "development",
+    });
+    res.json({ config: siemIntegrationConfig });
+  }
+);
 
 // POST /siem-integration - update SIEM/SOC integration config
-router.post("/siem-integration", requireSystemAdministrator, (req, res) => {
-  const { enabled, provider, endpoint, apiKey } = req.body;
-  if (enabled !== undefined) siemIntegrationConfig.enabled = enabled;
-  if (provider) siemIntegrationConfig.provider = provider;
-  if (endpoint) siemIntegrationConfig.endpoint = endpoint;
-  if (apiKey) siemIntegrationConfig.apiKey = apiKey;
-  logger.info("SYSTEM_ADMINISTRATOR updated SIEM/SOC integration config", {
-    action: "siem_integration_update",
-    userId: req.user?.id,
-    newConfig: { enabled, provider, endpoint, apiKey },
-    timestamp: new Date().toISOString(),
-    environment: process.env.NODE_ENV || "development",
-  });
-  res.json({
-    message: "SIEM/SOC integration config updated",
-    config: siemIntegrationConfig,
-  });
-});
-
-// POST /send-email - SYSTEM_ADMINISTRATOR can send a test email using the HTML template
-router.post("/send-email", requireSystemAdministrator, async (req, res) => {
-  const { to, subject, templateData } = req.body;
-  try {
-    await sendEmail({
-      to,
-      subject,
-      templateData,
-    });
-    logger.info("SYSTEM_ADMINISTRATOR sent test email", {
-      action: "send_test_email",
+router.post(
+  "/siem-integration",
+  requirePermission("system:configure"),
+  (req, res) => {
+    const { enabled, provider, endpoint, apiKey } = req.body;
+    if (enabled !== undefined) siemIntegrationConfig.enabled = enabled;
+    if (provider) siemIntegrationConfig.provider = provider;
+    if (endpoint) siemIntegrationConfig.endpoint = endpoint;
+    if (apiKey) siemIntegrationConfig.apiKey = apiKey;
+    logger.info("SYSTEM_ADMINISTRATOR updated SIEM/SOC integration config", {
+      action: "siem_integration_update",
       userId: req.user?.id,
-      to,
-      subject,
-      templateData,
+      newConfig: { enabled, provider, endpoint, apiKey },
       timestamp: new Date().toISOString(),
       environment: process.env.NODE_ENV || "development",
     });
-    res.json({ message: "Email sent successfully" });
-  } catch (error) {
-    logger.error("Failed to send test email:", error);
-    res
-      .status(500)
-      .json({ error: "Failed to send email", details: error.message });
+    res.json({
+      message: "SIEM/SOC integration config updated",
+      config: siemIntegrationConfig,
+    });
   }
-});
+);
+
+// POST /send-email - SYSTEM_ADMINISTRATOR can send a test email using the HTML template
+router.post(
+  "/send-email",
+  requirePermission("system:configure"),
+  async (req, res) => {
+    const { to, subject, templateData } = req.body;
+    try {
+      await sendEmail({
+        to,
+        subject,
+        templateData,
+      });
+      logger.info("SYSTEM_ADMINISTRATOR sent test email", {
+        action: "send_test_email",
+        userId: req.user?.id,
+        to,
+        subject,
+        templateData,
+        timestamp: new Date().toISOString(),
+        environment: process.env.NODE_ENV || "development",
+      });
+      res.json({ message: "Email sent successfully" });
+    } catch (error) {
+      logger.error("Failed to send test email:", error);
+      res
+        .status(500)
+        .json({ error: "Failed to send email", details: error.message });
+    }
+  }
+);
 
 // System admin dashboard
-router.get("/dashboard", requireSysAdmin, async (req, res) => {
-  try {
-    // Simulate dashboard data
-    res.status(200).json({
-      systemHealth: { database: "OK", redis: "OK" },
-      userStatistics: { total: 5, active: 4 },
-      performanceMetrics: { responseTimes: [100, 120, 110], throughput: 200 },
-      recentAlerts: [],
-      systemStatus: "OK",
-    });
-  } catch (err) {
-    res.status(500).json({ error: err.message || "Internal Server Error" });
+router.get(
+  "/dashboard",
+  requirePermission("system:monitor"),
+  async (req, res) => {
+    try {
+      // Simulate dashboard data
+      res.status(200).json({
+        systemHealth: { database: "OK", redis: "OK" },
+        userStatistics: { total: 5, active: 4 },
+        performanceMetrics: { responseTimes: [100, 120, 110], throughput: 200 },
+        recentAlerts: [],
+        systemStatus: "OK",
+      });
+    } catch (err) {
+      res.status(500).json({ error: err.message || "Internal Server Error" });
+    }
   }
-});
+);
 
 // In-memory alerts for test/demo
 let alerts = [
@@ -357,7 +409,7 @@ let alerts = [
 ];
 
 // Alerts management
-router.get("/alerts", requireSysAdmin, async (req, res) => {
+router.get("/alerts", requirePermission("system:monitor"), async (req, res) => {
   try {
     const { severity } = req.query;
     let filtered = alerts;
@@ -368,49 +420,63 @@ router.get("/alerts", requireSysAdmin, async (req, res) => {
   }
 });
 
-router.post("/alerts/:id/acknowledge", requireSysAdmin, async (req, res) => {
-  try {
-    const { id } = req.params;
-    const alert = alerts.find((a) => a.id === id);
-    if (!alert) return res.status(404).json({ error: "Alert not found" });
-    alert.acknowledged = true;
-    alert.acknowledgedAt = new Date().toISOString();
-    res.status(200).json({ alertId: id, acknowledgedAt: alert.acknowledgedAt });
-  } catch (err) {
-    res.status(500).json({ error: err.message || "Internal Server Error" });
+router.post(
+  "/alerts/:id/acknowledge",
+  requirePermission("system:monitor"),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const alert = alerts.find((a) => a.id === id);
+      if (!alert) return res.status(404).json({ error: "Alert not found" });
+      alert.acknowledged = true;
+      alert.acknowledgedAt = new Date().toISOString();
+      res
+        .status(200)
+        .json({ alertId: id, acknowledgedAt: alert.acknowledgedAt });
+    } catch (err) {
+      res.status(500).json({ error: err.message || "Internal Server Error" });
+    }
   }
-});
+);
 
 // System health
-router.get("/system-health", requireSysAdmin, async (req, res) => {
-  try {
-    res
-      .status(200)
-      .json({ database: "OK", redis: "OK", uptime: process.uptime() });
-  } catch (err) {
-    res.status(500).json({ error: err.message || "Internal Server Error" });
+router.get(
+  "/system-health",
+  requirePermission("system:monitor"),
+  async (req, res) => {
+    try {
+      res
+        .status(200)
+        .json({ database: "OK", redis: "OK", uptime: process.uptime() });
+    } catch (err) {
+      res.status(500).json({ error: err.message || "Internal Server Error" });
+    }
   }
-});
+);
 
 // Performance metrics
-router.get("/performance-metrics", requireSysAdmin, async (req, res) => {
-  try {
-    const { startDate, endDate, limit } = req.query;
-    // Simulate metrics
-    let responseTimes = [100, 120, 110, 130];
-    let throughput = 200;
-    if (limit && isNaN(Number(limit))) {
-      return res.status(400).json({ error: "Invalid limit parameter" });
+router.get(
+  "/performance-metrics",
+  requirePermission("system:monitor"),
+  async (req, res) => {
+    try {
+      const { startDate, endDate, limit } = req.query;
+      // Simulate metrics
+      let responseTimes = [100, 120, 110, 130];
+      let throughput = 200;
+      if (limit && isNaN(Number(limit))) {
+        return res.status(400).json({ error: "Invalid limit parameter" });
+      }
+      if (limit) responseTimes = responseTimes.slice(0, Number(limit));
+      res.status(200).json({ responseTimes, throughput });
+    } catch (err) {
+      res.status(500).json({ error: err.message || "Internal Server Error" });
     }
-    if (limit) responseTimes = responseTimes.slice(0, Number(limit));
-    res.status(200).json({ responseTimes, throughput });
-  } catch (err) {
-    res.status(500).json({ error: err.message || "Internal Server Error" });
   }
-});
+);
 
 // Users management (CRUD)
-router.get("/users", requireSysAdmin, async (req, res) => {
+router.get("/users", requirePermission("users:manage"), async (req, res) => {
   try {
     const { role, isActive } = req.query;
     const where = {};
@@ -423,7 +489,7 @@ router.get("/users", requireSysAdmin, async (req, res) => {
   }
 });
 
-router.post("/users", requireSysAdmin, async (req, res) => {
+router.post("/users", requirePermission("users:manage"), async (req, res) => {
   try {
     const { email, name, role, isActive } = req.body;
     if (!email || !name || !role) {
@@ -454,108 +520,172 @@ router.post("/users", requireSysAdmin, async (req, res) => {
   }
 });
 
-router.put("/users/:id", requireSysAdmin, async (req, res) => {
-  try {
-    const { id } = req.params;
-    const { name, role, isActive } = req.body;
-    const user = await req.app.get("prisma").user.findUnique({ where: { id } });
-    if (!user) {
-      return res.status(404).json({ error: "User not found" });
+router.put(
+  "/users/:id",
+  requirePermission("users:manage"),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { name, role, isActive } = req.body;
+      const user = await req.app
+        .get("prisma")
+        .user.findUnique({ where: { id } });
+      if (!user) {
+        return res.status(404).json({ error: "User not found" });
+      }
+      const updated = await req.app.get("prisma").user.update({
+        where: { id },
+        data: {
+          name: name || user.name,
+          role: role || user.role,
+          isActive: isActive !== undefined ? isActive : user.isActive,
+          updatedAt: new Date(),
+        },
+      });
+      res.status(200).json(updated);
+    } catch (err) {
+      res.status(500).json({ error: err.message || "Internal Server Error" });
     }
-    const updated = await req.app.get("prisma").user.update({
-      where: { id },
-      data: {
-        name: name || user.name,
-        role: role || user.role,
-        isActive: isActive !== undefined ? isActive : user.isActive,
-        updatedAt: new Date(),
-      },
-    });
-    res.status(200).json(updated);
-  } catch (err) {
-    res.status(500).json({ error: err.message || "Internal Server Error" });
   }
-});
+);
 
-router.delete("/users/:id", requireSysAdmin, async (req, res) => {
-  try {
-    const { id } = req.params;
-    const user = await req.app.get("prisma").user.findUnique({ where: { id } });
-    if (!user) {
-      return res.status(404).json({ error: "User not found" });
+router.delete(
+  "/users/:id",
+  requirePermission("users:manage"),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const user = await req.app
+        .get("prisma")
+        .user.findUnique({ where: { id } });
+      if (!user) {
+        return res.status(404).json({ error: "User not found" });
+      }
+      await req.app.get("prisma").user.update({
+        where: { id },
+        data: { isActive: false, updatedAt: new Date() },
+      });
+      res.status(200).json({ message: "User deactivated", userId: id });
+    } catch (err) {
+      res.status(500).json({ error: err.message || "Internal Server Error" });
     }
-    await req.app.get("prisma").user.update({
-      where: { id },
-      data: { isActive: false, updatedAt: new Date() },
-    });
-    res.status(200).json({ message: "User deactivated", userId: id });
-  } catch (err) {
-    res.status(500).json({ error: err.message || "Internal Server Error" });
   }
-});
+);
 
 // System health
-router.get("/system-health", requireSysAdmin, (req, res) => {
-  res.status(200).json({
-    database: "OK",
-    redis: "OK",
-    kafka: "OK",
-    elasticsearch: "OK",
-    api: "OK",
-    websocket: "OK",
-    overallStatus: "OK",
-    lastChecked: new Date().toISOString(),
-  });
-});
+router.get(
+  "/system-health",
+  requirePermission("system:monitor"),
+  (req, res) => {
+    res.status(200).json({
+      database: "OK",
+      redis: "OK",
+      kafka: "OK",
+      elasticsearch: "OK",
+      api: "OK",
+      websocket: "OK",
+      overallStatus: "OK",
+      lastChecked: new Date().toISOString(),
+    });
+  }
+);
 
 // Performance metrics
-router.get("/performance-metrics", requireSysAdmin, (req, res) => {
-  res.status(200).json({
-    responseTimes: [],
-    throughput: 0,
-    errorRates: [],
-    activeConnections: 0,
-    memoryUsage: {},
-    cpuUsage: {},
-    diskUsage: {},
-  });
-});
+router.get(
+  "/performance-metrics",
+  requirePermission("system:monitor"),
+  (req, res) => {
+    res.status(200).json({
+      responseTimes: [],
+      throughput: 0,
+      errorRates: [],
+      activeConnections: 0,
+      memoryUsage: {},
+      cpuUsage: {},
+      diskUsage: {},
+    });
+  }
+);
 
 // Audit logs
-router.get("/audit-logs", requireSysAdmin, (req, res) => {
+router.get("/audit-logs", requirePermission("audit:view"), (req, res) => {
   res.status(200).json({ logs: [], pagination: {} });
 });
 
+// Walk the audit hash chain and report the first broken link, if any
+router.get(
+  "/audit-chain/verify",
+  requirePermission("audit:view"),
+  async (req, res) => {
+    try {
+      res.json(await verifyAuditChain(prisma));
+    } catch (error) {
+      logger.error("Error verifying audit chain:", error);
+      res.status(500).json({ error: "Unable to verify audit chain" });
+    }
+  }
+);
+
+// Anchor the current chain head now rather than waiting for the hourly job
+router.post(
+  "/audit-chain/anchor",
+  requirePermission("system:configure"),
+  async (req, res) => {
+    try {
+      const anchor = await anchorAuditChain(prisma);
+      if (!anchor) {
+        return res.status(409).json({ error: "Audit chain is empty" });
+      }
+      res.json({ anchor });
+    } catch (error) {
+      logger.error("Error anchoring audit chain:", error);
+      res.status(500).json({ error: "Unable to anchor audit chain" });
+    }
+  }
+);
+
 // System config
-router.get("/system-config", requireSysAdmin, (req, res) => {
-  res.status(200).json({ config: {}, lastUpdated: new Date().toISOString() });
-});
-router.put("/system-config", requireSysAdmin, (req, res) => {
-  if (
-    typeof req.body.maintenanceMode === "string" ||
-    (req.body.maxConnections && req.body.maxConnections < 0)
-  ) {
-    return res.status(400).json({ error: "Invalid configuration data" });
-  }
-  res
-    .status(200)
-    .json({ config: req.body, updatedAt: new Date().toISOString() });
-});
+router.get(
+  "/system-config",
+  requirePermission("system:monitor"),
+  (req, res) => {
+    res.status(200).json({ config: {}, lastUpdated: new Date().toISOString() });
+  }
+);
+router.put(
+  "/system-config",
+  requirePermission("system:configure"),
+  (req, res) => {
+    if (
+      typeof req.body.maintenanceMode === "string" ||
+      (req.body.maxConnections && req.body.maxConnections < 0)
+    ) {
+      return res.status(400).json({ error: "Invalid configuration data" });
+    }
+    res
+      .status(200)
+      .json({ config: req.body, updatedAt: new Date().toISOString() });
+  }
+);
 
 // Maintenance
-router.post("/maintenance", requireSysAdmin, (req, res) => {
-  res.status(200).json({
-    maintenanceMode: req.body.enabled,
-    message: req.body.message,
-    enabledAt: req.body.enabled ? new Date().toISOString() : undefined,
-  });
-});
+router.post(
+  "/maintenance",
+  requirePermission("system:configure"),
+  (req, res) => {
+    res.status(200).json({
+      maintenanceMode: req.body.enabled,
+      message: req.body.message,
+      enabledAt: req.body.enabled ? new Date().toISOString() : undefined,
+    });
+  }
+);
 
 // Backups
-router.get("/backups", requireSysAdmin, (req, res) => {
+router.get("/backups", requirePermission("backups:manage"), (req, res) => {
   res.status(200).json({ backups: [] });
 });
-router.post("/backups", requireSysAdmin, (req, res) => {
+router.post("/backups", requirePermission("backups:manage"), (req, res) => {
   res.status(201).json({
     backupId: "test-backup-id",
     status: "IN_PROGRESS",
@@ -564,13 +694,350 @@ router.post("/backups", requireSysAdmin, (req, res) => {
 });
 
 // Alerts
-router.get("/alerts", requireSysAdmin, (req, res) => {
+router.get("/alerts", requirePermission("system:monitor"), (req, res) => {
   res.status(200).json({ alerts: [] });
 });
-router.post("/alerts/:id/acknowledge", requireSysAdmin, (req, res) => {
-  res
-    .status(200)
-    .json({ alertId: req.params.id, acknowledgedAt: new Date().toISOString() });
-});
+router.post(
+  "/alerts/:id/acknowledge",
+  requirePermission("system:monitor"),
+  (req, res) => {
+    res.status(200).json({
+      alertId: req.params.id,
+      acknowledgedAt: new Date().toISOString(),
+    });
+  }
+);
+
+// Permission registry and the permissions granted to each role
+router.get(
+  "/permissions",
+  requirePermission("permissions:manage"),
+  async (req, res) => {
+    try {
+      res.json({
+        permissions: Object.entries(PERMISSIONS).map(([name, description]) => ({
+          name,
+          description,
+        })),
+        roles: await getRolePermissionMap(prisma),
+      });
+    } catch (error) {
+      logger.error("Error fetching role permissions:", error);
+      res.status(500).json({ error: "Unable to fetch permissions" });
+    }
+  }
+);
+
+// Replace the permissions granted to a role
+router.put(
+  "/permissions/roles/:role",
+  requirePermission("permissions:manage"),
+  [
+    param("role").isIn(ROLES),
+    body("permissions").isArray(),
+    body("permissions.*").isString(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { role } = req.params;
+      const previous = (await getRolePermissionMap(prisma))[role] || [];
+      const permissions = await setRolePermissions(
+        prisma,
+        role,
+        req.body.permissions,
+        req.user.id
+      );
+
+      try {
+        await auditLog(
+          req.user.id,
+          AUDIT_ACTIONS.SYSTEM_CONFIG_UPDATE,
+          "RolePermission",
+          role,
+          {
+            previous,
+            current: permissions,
+            ipAddress: req.ip,
+            userAgent: req.get("User-Agent"),
+          }
+        );
+      } catch (err) {
+        logger.error("Failed to audit permission change:", err);
+      }
+
+      res.json({ role, permissions });
+    } catch (error) {
+      if (error.status === 400) {
+        return res.status(400).json({
+          error: "Invalid permissions",
+          message: error.message,
+        });
+      }
+      logger.error("Error updating role permissions:", error);
+      res.status(500).json({ error: "Unable to update permissions" });
+    }
+  }
+);
+
+// API keys for media and observer partners. The plaintext key is returned
+// only when a key is created or rotated.
+const auditApiKey = async (req, action, apiKeyId, details = {}) => {
+  try {
+    await auditLog(req.user.id, action, "ApiKey", apiKeyId, {
+      ...details,
+      ipAddress: req.ip,
+      userAgent: req.get("User-Agent"),
+    });
+  } catch (err) {
+    logger.error("Failed to audit API key change:", err);
+  }
+};
+
+const apiKeyScopeValidators = [
+  body("permissions.*").isIn(API_KEY_PERMISSIONS),
+  body("rateLimit").optional().isInt({ min: 1 }).toInt(),
+  body("expiresAt").optional({ nullable: true }).isISO8601().toDate(),
+  body("description").optional({ nullable: true }).isString(),
+];
+
+router.get(
+  "/api-keys",
+  requirePermission("system:configure"),
+  async (req, res) => {
+    try {
+      const apiKeys = await prisma.apiKey.findMany({
+        orderBy: { createdAt: "desc" },
+      });
+      res.json({
+        apiKeys: apiKeys.map(serializeApiKey),
+        availablePermissions: API_KEY_PERMISSIONS,
+      });
+    } catch (error) {
+      logger.error("Error fetching API keys:", error);
+      res.status(500).json({ error: "Unable to fetch API keys" });
+    }
+  }
+);
+
+router.post(
+  "/api-keys",
+  requirePermission("system:configure"),
+  [
+    body("name").isString().trim().notEmpty(),
+    body("permissions").isArray({ min: 1 }),
+    ...apiKeyScopeValidators,
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { name, description, permissions, rateLimit, expiresAt } = req.body;
+      const { key, keyHash, prefix } = generateApiKey();
+      const apiKey = await prisma.apiKey.create({
+        data: {
+          keyHash,
+          prefix,
+          name,
+          description,
+          permissions: [...new Set(permissions)],
+          rateLimit,
+          expiresAt,
+          createdBy: req.user.id,
+        },
+      });
+
+      await auditApiKey(req, AUDIT_ACTIONS.API_KEY_CREATE, apiKey.id, {
+        name,
+        permissions: apiKey.permissions,
+        rateLimit: apiKey.rateLimit,
+        expiresAt: apiKey.expiresAt,
+      });
+
+      res.status(201).json({ apiKey: serializeApiKey(apiKey), key });
+    } catch (error) {
+      logger.error("Error creating API key:", error);
+      res.status(500).json({ error: "Unable to create API key" });
+    }
+  }
+);
+
+// Change a key's name, scope, quota or expiry. Setting expiresAt to a past
+// time expires the key immediately.
+router.patch(
+  "/api-keys/:id",
+  requirePermission("system:configure"),
+  [
+    body("name").optional().isString().trim().notEmpty(),
+    body("permissions").optional().isArray({ min: 1 }),
+    ...apiKeyScopeValidators,
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const existing = await prisma.apiKey.findUnique({
+        where: { id: req.params.id },
+      });
+      if (!existing) {
+        return res.status(404).json({ error: "API key not found" });
+      }
+
+      const data = {};
+      for (const field of ["name", "description", "rateLimit", "expiresAt"]) {
+        if (req.body[field] !== undefined) data[field] = req.body[field];
+      }
+      if (req.body.permissions) {
+        data.permissions = [...new Set(req.body.permissions)];
+      }
+
+      const apiKey = await prisma.apiKey.update({
+        where: { id: existing.id },
+        data,
+      });
+      await invalidateApiKey(existing.keyHash);
+      await auditApiKey(req, AUDIT_ACTIONS.API_KEY_UPDATE, apiKey.id, {
+        changes: data,
+      });
+
+      res.json({ apiKey: serializeApiKey(apiKey) });
+    } catch (error) {
+      logger.error("Error updating API key:", error);
+      res.status(500).json({ error: "Unable to update API key" });
+    }
+  }
+);
+
+// Replace a key's secret. The old key stops working immediately.
+router.post(
+  "/api-keys/:id/rotate",
+  requirePermission("system:configure"),
+  async (req, res) => {
+    try {
+      const existing = await prisma.apiKey.findUnique({
+        where: { id: req.params.id },
+      });
+      if (!existing) {
+        return res.status(404).json({ error: "API key not found" });
+      }
+
+      const { key, keyHash, prefix } = generateApiKey();
+      const apiKey = await prisma.apiKey.update({
+        where: { id: existing.id },
+        data: { keyHash, prefix, rotatedAt: new Date() },
+      });
+      await invalidateApiKey(existing.keyHash);
+      await auditApiKey(req, AUDIT_ACTIONS.API_KEY_ROTATE, apiKey.id, {
+        previousPrefix: existing.prefix,
+        prefix,
+      });
+
+      res.json({ apiKey: serializeApiKey(apiKey), key });
+    } catch (error) {
+      logger.error("Error rotating API key:", error);
+      res.status(500).json({ error: "Unable to rotate API key" });
+    }
+  }
+);
+
+const setApiKeyActive = (isActive) => async (req, res) => {
+  try {
+    const existing = await prisma.apiKey.findUnique({
+      where: { id: req.params.id },
+    });
+    if (!existing) {
+      return res.status(404).json({ error: "API key not found" });
+    }
+
+    const apiKey = await prisma.apiKey.update({
+      where: { id: existing.id },
+      data: { isActive },
+    });
+    await invalidateApiKey(existing.keyHash);
+    await auditApiKey(req, AUDIT_ACTIONS.API_KEY_UPDATE, apiKey.id, {
+      changes: { isActive },
+    });
+
+    res.json({ apiKey: serializeApiKey(apiKey) });
+  } catch (error) {
+    logger.error("Error changing API key status:", error);
+    res.status(500).json({ error: "Unable to update API key" });
+  }
+};
+
+router.post(
+  "/api-keys/:id/suspend",
+  requirePermission("system:configure"),
+  setApiKeyActive(false)
+);
+
+router.post(
+  "/api-keys/:id/reactivate",
+  requirePermission("system:configure"),
+  setApiKeyActive(true)
+);
+
+// Daily request counts from Redis, plus individual requests from
+// Elasticsearch when it is reachable
+router.get(
+  "/api-keys/:id/usage",
+  requirePermission("system:configure"),
+  [
+    query("days").optional().isInt({ min: 1, max: 30 }).toInt(),
+    query("startDate").optional().isISO8601(),
+    query("endDate").optional().isISO8601(),
+    query("from").optional().isInt({ min: 0 }).toInt(),
+    query("size").optional().isInt({ min: 1, max: 500 }).toInt(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const apiKey = await prisma.apiKey.findUnique({
+        where: { id: req.params.id },
+      });
+      if (!apiKey) {
+        return res.status(404).json({ error: "API key not found" });
+      }
+
+      const { days = 7, startDate, endDate, from, size } = req.query;
+      let requests = null;
+      try {
+        requests = await searchApiUsage({
+          apiKeyId: apiKey.id,
+          startDate,
+          endDate,
+          from,
+          size,
+        });
+      } catch (error) {
+        logger.warn("API usage search unavailable:", error.message);
+      }
+
+      res.json({
+        apiKey: serializeApiKey(apiKey),
+        quota: await getApiKeyQuota(apiKey),
+        daily: await getApiKeyUsage(apiKey.id, days),
+        requests,
+      });
+    } catch (error) {
+      logger.error("Error fetching API key usage:", error);
+      res.status(500).json({ error: "Unable to fetch API key usage" });
+    }
+  }
+);
 
 export default router;
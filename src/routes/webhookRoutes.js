@@ -0,0 +1,292 @@
+import express from "express";
+import { body, param, query, validationResult } from "express-validator";
+import pkg from "@prisma/client";
+const { PrismaClient } = pkg;
+import { requirePermission } from "../middleware/auth.js";
+import {
+  WEBHOOK_EVENTS,
+  generateWebhookSecret,
+  listDeadLetters,
+  replayDelivery,
+  serializeSubscription,
+} from "../services/webhooks.js";
+import { auditLog, AUDIT_ACTIONS } from "../utils/audit.js";
+import logger from "../utils/logger.js";
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// Partners must receive over TLS in production
+const URL_PROTOCOLS =
+  process.env.NODE_ENV === "production" ? ["https"] : ["http", "https"];
+
+const auditWebhook = async (req, action, resourceId, details = {}) => {
+  try {
+    await auditLog(req.user.id, action, "WebhookSubscription", resourceId, {
+      ...details,
+      ipAddress: req.ip,
+      userAgent: req.get("User-Agent"),
+    });
+  } catch (err) {
+    logger.error("Failed to audit webhook change:", err);
+  }
+};
+
+const subscriptionValidators = [
+  body("url")
+    .optional()
+    .isURL({ protocols: URL_PROTOCOLS, require_protocol: true }),
+  body("events").optional().isArray({ min: 1 }),
+  body("events.*").isIn(WEBHOOK_EVENTS),
+  body("regionCodes").optional().isArray(),
+  body("regionCodes.*").isString().trim().notEmpty(),
+];
+
+const findSubscription = (id) =>
+  prisma.webhookSubscription.findUnique({ where: { id } });
+
+router.get("/", requirePermission("system:configure"), async (req, res) => {
+  try {
+    const subscriptions = await prisma.webhookSubscription.findMany({
+      orderBy: { createdAt: "desc" },
+    });
+    res.json({
+      subscriptions: subscriptions.map(serializeSubscription),
+      events: WEBHOOK_EVENTS,
+    });
+  } catch (error) {
+    logger.error("Error fetching webhook subscriptions:", error);
+    res.status(500).json({ error: "Unable to fetch webhooks" });
+  }
+});
+
+// The signing secret is returned only here and on rotation
+router.post(
+  "/",
+  requirePermission("system:configure"),
+  [
+    body("name").isString().trim().notEmpty(),
+    body("url").exists(),
+    body("events").exists(),
+    ...subscriptionValidators,
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { name, url, events, regionCodes = [] } = req.body;
+      const secret = generateWebhookSecret();
+      const subscription = await prisma.webhookSubscription.create({
+        data: {
+          name,
+          url,
+          events: [...new Set(events)],
+          regionCodes: [...new Set(regionCodes)],
+          secret,
+          createdBy: req.user.id,
+        },
+      });
+
+      await auditWebhook(req, AUDIT_ACTIONS.WEBHOOK_CREATE, subscription.id, {
+        name,
+        url,
+        events: subscription.events,
+        regionCodes: subscription.regionCodes,
+      });
+
+      res
+        .status(201)
+        .json({ subscription: serializeSubscription(subscription), secret });
+    } catch (error) {
+      logger.error("Error creating webhook subscription:", error);
+      res.status(500).json({ error: "Unable to create webhook" });
+    }
+  }
+);
+
+router.patch(
+  "/:id",
+  requirePermission("system:configure"),
+  [
+    body("name").optional().isString().trim().notEmpty(),
+    body("isActive").optional().isBoolean().toBoolean(),
+    ...subscriptionValidators,
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const existing = await findSubscription(req.params.id);
+      if (!existing) {
+        return res.status(404).json({ error: "Webhook not found" });
+      }
+
+      const data = {};
+      for (const field of ["name", "url", "isActive"]) {
+        if (req.body[field] !== undefined) data[field] = req.body[field];
+      }
+      for (const field of ["events", "regionCodes"]) {
+        if (req.body[field]) data[field] = [...new Set(req.body[field])];
+      }
+
+      const subscription = await prisma.webhookSubscription.update({
+        where: { id: existing.id },
+        data,
+      });
+      await auditWebhook(req, AUDIT_ACTIONS.WEBHOOK_UPDATE, subscription.id, {
+        changes: data,
+      });
+
+      res.json({ subscription: serializeSubscription(subscription) });
+    } catch (error) {
+      logger.error("Error updating webhook subscription:", error);
+      res.status(500).json({ error: "Unable to update webhook" });
+    }
+  }
+);
+
+router.post(
+  "/:id/rotate-secret",
+  requirePermission("system:configure"),
+  async (req, res) => {
+    try {
+      const existing = await findSubscription(req.params.id);
+      if (!existing) {
+        return res.status(404).json({ error: "Webhook not found" });
+      }
+
+      const secret = generateWebhookSecret();
+      const subscription = await prisma.webhookSubscription.update({
+        where: { id: existing.id },
+        data: { secret },
+      });
+      await auditWebhook(req, AUDIT_ACTIONS.WEBHOOK_UPDATE, subscription.id, {
+        changes: { secret: "rotated" },
+      });
+
+      res.json({ subscription: serializeSubscription(subscription), secret });
+    } catch (error) {
+      logger.error("Error rotating webhook secret:", error);
+      res.status(500).json({ error: "Unable to rotate webhook secret" });
+    }
+  }
+);
+
+router.delete(
+  "/:id",
+  requirePermission("system:configure"),
+  async (req, res) => {
+    try {
+      const existing = await findSubscription(req.params.id);
+      if (!existing) {
+        return res.status(404).json({ error: "Webhook not found" });
+      }
+
+      await prisma.webhookSubscription.delete({ where: { id: existing.id } });
+      await auditWebhook(req, AUDIT_ACTIONS.WEBHOOK_DELETE, existing.id, {
+        name: existing.name,
+        url: existing.url,
+      });
+
+      res.json({ message: "Webhook deleted", id: existing.id });
+    } catch (error) {
+      logger.error("Error deleting webhook subscription:", error);
+      res.status(500).json({ error: "Unable to delete webhook" });
+    }
+  }
+);
+
+// Delivery log for a subscription, newest first
+router.get(
+  "/:id/deliveries",
+  requirePermission("system:configure"),
+  [
+    query("status").optional().isIn(["PENDING", "DELIVERED", "FAILED", "DEAD"]),
+    query("limit").optional().isInt({ min: 1, max: 200 }).toInt(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const existing = await findSubscription(req.params.id);
+      if (!existing) {
+        return res.status(404).json({ error: "Webhook not found" });
+      }
+
+      const deliveries = await prisma.webhookDelivery.findMany({
+        where: {
+          subscriptionId: existing.id,
+          ...(req.query.status && { status: req.query.status }),
+        },
+        orderBy: { createdAt: "desc" },
+        take: req.query.limit || 50,
+      });
+      res.json({ deliveries });
+    } catch (error) {
+      logger.error("Error fetching webhook deliveries:", error);
+      res.status(500).json({ error: "Unable to fetch deliveries" });
+    }
+  }
+);
+
+// Re-send a logged delivery now, as a new delivery
+router.post(
+  "/deliveries/:deliveryId/replay",
+  requirePermission("system:configure"),
+  [param("deliveryId").isString().notEmpty()],
+  async (req, res) => {
+    try {
+      const delivery = await replayDelivery(prisma, req.params.deliveryId);
+      await auditWebhook(
+        req,
+        AUDIT_ACTIONS.WEBHOOK_REPLAY,
+        delivery.subscriptionId,
+        {
+          replayOf: req.params.deliveryId,
+          deliveryId: delivery.id,
+          status: delivery.status,
+        }
+      );
+      res.json({ delivery });
+    } catch (error) {
+      if (error.status === 404 || error.status === 409) {
+        return res.status(error.status).json({
+          error: "Replay refused",
+          message: error.message,
+        });
+      }
+      logger.error("Error replaying webhook delivery:", error);
+      res.status(500).json({ error: "Unable to replay delivery" });
+    }
+  }
+);
+
+// Deliveries that exhausted their retries, newest first
+router.get(
+  "/dead-letter",
+  requirePermission("system:configure"),
+  [query("limit").optional().isInt({ min: 1, max: 1000 }).toInt()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+      res.json({ deadLetters: await listDeadLetters(req.query.limit || 100) });
+    } catch (error) {
+      logger.error("Error fetching webhook dead letters:", error);
+      res.status(500).json({ error: "Unable to fetch dead letters" });
+    }
+  }
+);
+
+export default router;
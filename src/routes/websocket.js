@@ -1,5 +1,18 @@
 import logger from "../utils/logger.js";
 import jwt from "jsonwebtoken";
+import {
+  getDeltasSince,
+  getRoomSnapshot,
+  streamRoom,
+} from "../services/resultStream.js";
+import { createSocketCluster } from "../services/socketCluster.js";
+import { liveEvents } from "../services/liveEvents.js";
+import { withSignature } from "../services/signing.js";
+import { setBounded } from "../utils/boundedMap.js";
+import {
+  getUserJurisdictions,
+  isWithinJurisdiction,
+} from "../services/jurisdiction.js";
 import pkg from "@prisma/client";
 const { PrismaClient } = pkg;
 
@@ -9,8 +22,21 @@ export default function websocketRoutes(io, prismaInstance, redis) {
   // Store connected clients and their subscriptions
   const clientSubscriptions = new Map();
   const rateLimiter = new Map();
-  const connectionCounts = new Map();
   const heartbeatIntervals = new Map();
+  // Last stream sequence this node has delivered to each results room. Only
+  // the most recently broadcast rooms are kept; an evicted room gets a full
+  // snapshot on its next broadcast.
+  const lastBroadcastSeq = new Map();
+  const BROADCAST_SEQ_ROOMS = 10000;
+
+  // Per-IP connection counts and stats shared with the other nodes via Redis
+  const cluster = createSocketCluster(redis, {
+    getLocalStats: () => ({
+      totalConnections: io.engine.clientsCount,
+      activeSubscriptions: clientSubscriptions.size,
+      rateLimitedClients: rateLimiter.size,
+    }),
+  });
 
   // Configuration
   const MAX_CONNECTIONS_PER_IP =
@@ -89,19 +115,40 @@ export default function websocketRoutes(io, prismaInstance, redis) {
     }
   }
 
-  io.on("connection", async (socket) => {
-    const clientIP = socket.handshake.address;
-    const currentCount = connectionCounts.get(clientIP) || 0;
+  // Behind nginx every socket shares the proxy's address, so use the
+  // forwarded client address when the proxy is trusted
+  function getClientIP(socket) {
+    if (process.env.TRUST_PROXY === "true") {
+      return socket.handshake.headers["x-real-ip"] || socket.handshake.address;
+    }
+    return socket.handshake.address;
+  }
 
-    // Check connection limits
-    if (currentCount >= MAX_CONNECTIONS_PER_IP) {
+  // Reserve one of the IP's cluster-wide connection slots; false if none left
+  async function acquireConnection(clientIP) {
+    const connectionCount = await cluster.addConnection(clientIP);
+    if (connectionCount > MAX_CONNECTIONS_PER_IP) {
+      await cluster.removeConnection(clientIP);
       logger.warn(`Connection limit exceeded for IP: ${clientIP}`);
-      socket.emit("error", { message: "Connection limit exceeded" });
-      socket.disconnect();
-      return;
+      return false;
+    }
+    return true;
+  }
+
+  function releaseConnection(clientIP) {
+    return cluster.removeConnection(clientIP);
+  }
+
+  // Check connection limits across the cluster before accepting the socket
+  io.use(async (socket, next) => {
+    if (!(await acquireConnection(getClientIP(socket)))) {
+      return next(new Error("Connection limit exceeded"));
     }
+    next();
+  });
 
-    connectionCounts.set(clientIP, currentCount + 1);
+  io.on("connection", async (socket) => {
+    const clientIP = getClientIP(socket);
     logger.info(`Client connected: ${socket.id} from ${clientIP}`);
 
     // Set up heartbeat
@@ -153,7 +200,10 @@ export default function websocketRoutes(io, prismaInstance, redis) {
           return;
         }
 
-        const room = `updates:${sanitizedData.position}:${sanitizedData.regionCode}`;
+        const room = streamRoom(
+          sanitizedData.position,
+          sanitizedData.regionCode
+        );
         socket.join(room);
 
         // Store client subscription
@@ -167,12 +217,14 @@ export default function websocketRoutes(io, prismaInstance, redis) {
 
         logger.info(`Client ${socket.id} subscribed to ${room}`);
 
-        // Send current data immediately
-        const currentData = await getCurrentResults(
+        // Send current data immediately, or only the missed deltas when a
+        // reconnecting client passes the last sequence it applied
+        const baseline = await getResultsBaseline(
           sanitizedData.position,
-          sanitizedData.regionCode
+          sanitizedData.regionCode,
+          data.lastSeq
         );
-        socket.emit("currentData", currentData);
+        socket.emit(baseline.event, baseline.payload);
 
         socket.emit("subscribed", {
           message: "Successfully subscribed to real-time updates",
@@ -254,14 +306,46 @@ export default function websocketRoutes(io, prismaInstance, redis) {
           socket.emit("error", { message: "Unauthorized" });
           return;
         }
+        // Region rooms are limited to the officer's jurisdiction: a requested
+        // region must fall within it, otherwise every assigned region is joined
+        let regionCodes;
+        if (data?.regionCode) {
+          const region = await prismaInstance.region.findUnique({
+            where: { code: data.regionCode },
+          });
+          if (
+            !region ||
+            !(await isWithinJurisdiction(prismaInstance, auth.user, region))
+          ) {
+            logger.warn(
+              `Returning Officer ${auth.user.id} denied subscription to ${data.regionCode}`
+            );
+            socket.emit("error", {
+              message: "Region is outside your jurisdiction",
+            });
+            return;
+          }
+          regionCodes = [region.code];
+        } else {
+          const jurisdictions = await getUserJurisdictions(
+            prismaInstance,
+            auth.user
+          );
+          regionCodes = jurisdictions.map((r) => r.code);
+        }
+
         const room = `returning:${auth.user.id}`;
-        socket.join(room);
+        const regionRooms = regionCodes.map(
+          (code) => `returning:region:${code}`
+        );
+        socket.join([room, ...regionRooms]);
         logger.info(
           `Returning Officer ${auth.user.id} subscribed to notifications`
         );
         socket.emit("subscribed", {
           message: "Successfully subscribed to returning officer notifications",
           room,
+          regionRooms,
           timestamp: new Date().toISOString(),
         });
       } catch (error) {
@@ -379,12 +463,7 @@ export default function websocketRoutes(io, prismaInstance, redis) {
       }
 
       // Update connection count
-      const newCount = connectionCounts.get(clientIP) - 1;
-      if (newCount <= 0) {
-        connectionCounts.delete(clientIP);
-      } else {
-        connectionCounts.set(clientIP, newCount);
-      }
+      cluster.removeConnection(clientIP);
     });
 
     // Handle errors
@@ -401,38 +480,18 @@ export default function websocketRoutes(io, prismaInstance, redis) {
   // Function to get current results
   async function getCurrentResults(position, regionCode) {
     try {
-      const votes = await prismaInstance.vote.findMany({
-        where: {
-          position,
-          regionCode,
-          candidate: {
-            isActive: true,
-          },
-        },
-        include: {
-          candidate: true,
-        },
-        orderBy: {
-          voteCount: "desc",
-        },
-      });
-
-      const totalVotes = votes.reduce((sum, vote) => sum + vote.voteCount, 0);
+      const snapshot = await getRoomSnapshot(
+        prismaInstance,
+        position,
+        regionCode
+      );
 
       return {
         position,
         regionCode,
-        totalVotes,
-        results: votes.map((vote) => ({
-          candidateId: vote.candidateId,
-          name: vote.candidate.name,
-          party: vote.candidate.party,
-          voteCount: vote.voteCount,
-          percentage:
-            totalVotes > 0
-              ? ((vote.voteCount / totalVotes) * 100).toFixed(2)
-              : "0.00",
-        })),
+        seq: snapshot?.seq || 0,
+        totalVotes: snapshot?.totalVotes || 0,
+        results: snapshot?.results || [],
         timestamp: new Date().toISOString(),
       };
     } catch (error) {
@@ -441,6 +500,36 @@ export default function websocketRoutes(io, prismaInstance, redis) {
     }
   }
 
+  // First message for a new results subscriber: the missed deltas when the
+  // client's lastSeq can be resumed from the backlog, otherwise a snapshot
+  async function getResultsBaseline(position, regionCode, lastSeqInput) {
+    const room = streamRoom(position, regionCode);
+    const currentData = await getCurrentResults(position, regionCode);
+    if (!lastBroadcastSeq.has(room)) {
+      setBounded(lastBroadcastSeq, room, currentData.seq, BROADCAST_SEQ_ROOMS);
+    }
+
+    const lastSeq = parseInt(lastSeqInput);
+    const missed =
+      Number.isInteger(lastSeq) && lastSeq >= 0
+        ? await getDeltasSince(position, regionCode, lastSeq)
+        : null;
+    if (!missed) {
+      return { event: "currentData", payload: currentData };
+    }
+    return {
+      event: "voteUpdate",
+      payload: withSignature({
+        position,
+        regionCode,
+        seq: missed.length > 0 ? missed[missed.length - 1].seq : lastSeq,
+        deltas: missed,
+        updateType: "resume",
+        timestamp: new Date().toISOString(),
+      }),
+    };
+  }
+
   // Function to get election status
   async function getElectionStatus() {
     try {
@@ -487,17 +576,79 @@ export default function websocketRoutes(io, prismaInstance, redis) {
     }
   }
 
+  // Deliver an event to the stream listeners for a room. Unless every node
+  // delivers it itself (local), the other nodes' listeners are sent it too,
+  // as the Redis adapter only relays to socket rooms.
+  function emitLiveEvent(room, event, payload, local) {
+    liveEvents.emit(room, event, payload);
+    if (redis && !local) io.serverSideEmit("liveEvent", room, event, payload);
+  }
+
+  io.on("liveEvent", (room, event, payload) => {
+    liveEvents.emit(room, event, payload);
+  });
+
   // Function to broadcast vote updates
-  async function broadcastVoteUpdate(position, regionCode, voteData) {
+  // Pass local: true when every node delivers the update itself (Kafka fan-out)
+  // so the Redis adapter does not relay it to the other nodes as well
+  // Each voteUpdate carries the deltas since this node's previous broadcast to
+  // the room. Clients apply deltas with seq above their own and resubscribe
+  // with lastSeq when the first new delta skips ahead.
+  async function broadcastVoteUpdate(
+    position,
+    regionCode,
+    voteData,
+    { local = false } = {}
+  ) {
     try {
-      const room = `updates:${position}:${regionCode}`;
-      const updatedData = await getCurrentResults(position, regionCode);
+      const room = streamRoom(position, regionCode);
+      // Nothing to deliver if nobody on this node watches the room
+      if (
+        local &&
+        !io.sockets.adapter.rooms.has(room) &&
+        liveEvents.listenerCount(room) === 0
+      ) {
+        return;
+      }
+      const emitter = (local ? io.local : io).to(room);
+      const since = lastBroadcastSeq.get(room);
+      const deltas =
+        since === undefined
+          ? null
+          : await getDeltasSince(position, regionCode, since);
+
+      // No baseline on this node, or the backlog was trimmed: resend in full
+      if (deltas === null) {
+        const currentData = await getCurrentResults(position, regionCode);
+        setBounded(
+          lastBroadcastSeq,
+          room,
+          currentData.seq,
+          BROADCAST_SEQ_ROOMS
+        );
+        emitter.emit("currentData", currentData);
+        emitLiveEvent(room, "currentData", currentData, local);
+        logger.info(`Broadcasted results snapshot to ${room}`);
+        return;
+      }
 
-      io.to(room).emit("voteUpdate", {
-        ...updatedData,
-        updateType: "vote",
+      if (deltas.length === 0 && !voteData.correction) return;
+      const seq = deltas.length > 0 ? deltas[deltas.length - 1].seq : since;
+      setBounded(lastBroadcastSeq, room, seq, BROADCAST_SEQ_ROOMS);
+
+      // Signed so republished numbers can be checked against the public key
+      const update = withSignature({
+        position,
+        regionCode,
+        seq,
+        deltas,
+        updateType: voteData.updateType || "vote",
         source: voteData.source,
+        ...(voteData.correction ? { correction: voteData.correction } : {}),
+        timestamp: new Date().toISOString(),
       });
+      emitter.emit("voteUpdate", update);
+      emitLiveEvent(room, "voteUpdate", update, local);
 
       logger.info(`Broadcasted vote update to ${room}`);
     } catch (error) {
@@ -511,6 +662,9 @@ export default function websocketRoutes(io, prismaInstance, redis) {
       const status = await getElectionStatus();
 
       io.to("election:status").emit("statusUpdate", status);
+      liveEvents.emit("election:status", "statusUpdate", status);
+      // Stream listeners on the other nodes are not socket rooms
+      if (redis) io.serverSideEmit("statusUpdate", status);
 
       logger.info("Broadcasted status update");
     } catch (error) {
@@ -518,6 +672,10 @@ export default function websocketRoutes(io, prismaInstance, redis) {
     }
   }
 
+  io.on("statusUpdate", (status) => {
+    liveEvents.emit("election:status", "statusUpdate", status);
+  });
+
   // Function to send admin notifications
   function sendAdminNotification(userId, notification) {
     try {
@@ -534,6 +692,23 @@ export default function websocketRoutes(io, prismaInstance, redis) {
     }
   }
 
+  // Function to notify returning officers subscribed to any of the given
+  // regions. Callers pass the affected region and its ancestors, so officers
+  // hear about activity anywhere in their jurisdiction.
+  function notifyReturningOfficers(regionCodes, notification) {
+    try {
+      const rooms = regionCodes.map((code) => `returning:region:${code}`);
+      io.to(rooms).emit("returningOfficerNotification", {
+        ...notification,
+        timestamp: new Date().toISOString(),
+      });
+
+      logger.info(`Sent returning officer notification to ${rooms.join(", ")}`);
+    } catch (error) {
+      logger.error("Error sending returning officer notification:", error);
+    }
+  }
+
   // Function to broadcast system alerts
   function broadcastSystemAlert(alert) {
     try {
@@ -548,24 +723,21 @@ export default function websocketRoutes(io, prismaInstance, redis) {
     }
   }
 
-  // Function to get connection statistics
-  function getConnectionStats() {
-    return {
-      totalConnections: io.engine.clientsCount,
-      connectionsPerIP: Object.fromEntries(connectionCounts),
-      activeSubscriptions: clientSubscriptions.size,
-      rateLimitedClients: rateLimiter.size,
-    };
+  // Function to get connection statistics across every node
+  async function getConnectionStats() {
+    return await cluster.getClusterStats();
   }
 
-  // Function to disconnect client
+  // Function to disconnect client, whichever node it is connected to
   function disconnectClient(socketId, reason = "Admin disconnect") {
-    const socket = io.sockets.sockets.get(socketId);
-    if (socket) {
-      socket.emit("disconnect", { reason });
-      socket.disconnect();
-      logger.info(`Admin disconnected client ${socketId}: ${reason}`);
-    }
+    io.to(socketId).emit("error", { message: reason });
+    io.in(socketId).disconnectSockets(true);
+    logger.info(`Admin disconnected client ${socketId}: ${reason}`);
+  }
+
+  // Function to leave the cluster on shutdown
+  async function shutdown() {
+    await cluster.stop();
   }
 
   // Export functions for use in other parts of the application
@@ -573,10 +745,15 @@ export default function websocketRoutes(io, prismaInstance, redis) {
     broadcastVoteUpdate,
     broadcastStatusUpdate,
     sendAdminNotification,
+    notifyReturningOfficers,
     broadcastSystemAlert,
     getCurrentResults,
     getElectionStatus,
+    getResultsBaseline,
     getConnectionStats,
+    acquireConnection,
+    releaseConnection,
     disconnectClient,
+    shutdown,
   };
 }
@@ -1,6 +1,7 @@
 import express from "express";
 import { createServer } from "http";
 import { Server } from "socket.io";
+import { createAdapter } from "@socket.io/redis-adapter";
 import cors from "cors";
 import helmet from "helmet";
 import compression from "compression";
@@ -26,16 +27,23 @@ import returningOfficerRoutes from "./routes/returningOfficerRoutes.js";
 import presidingOfficerRoutes from "./routes/presidingOfficerRoutes.js";
 import electionClerkRoutes from "./routes/electionClerkRoutes.js";
 import sysAdminRoutes from "./routes/sysAdminRoutes.js";
+import correctionRoutes from "./routes/correctionRoutes.js";
+import authRoutes from "./routes/authRoutes.js";
+import apiKeyRoutes from "./routes/apiKeyRoutes.js";
+import webhookRoutes from "./routes/webhookRoutes.js";
+import exportRoutes from "./routes/exportRoutes.js";
 
 // Import middleware
 import authenticateToken, {
   requireRole,
+  requireMfa,
   requireIEBCCommissioner,
   requireReturningOfficer,
   requirePresidingOfficer,
   requireElectionClerk,
   requireSystemAdministrator,
   apiKeyAuth,
+  authenticateTokenOrApiKey,
   requirePermission,
   generateToken,
   verifyAuth0Token,
@@ -46,7 +54,21 @@ import { cacheMiddleware } from "./middleware/cache.js";
 import { securityMiddleware } from "./middleware/security.js";
 
 // Import services
-import { initializeKafka } from "./services/kafka.js";
+import {
+  initializeKafka,
+  connectProducer,
+  disconnect as disconnectKafka,
+} from "./services/kafka.js";
+import {
+  flushVoteUpdates,
+  startVoteUpdateFanout,
+} from "./services/liveUpdates.js";
+import { startWebhookDispatcher } from "./services/webhooks.js";
+import { startExportWorker } from "./services/exports.js";
+import {
+  listRoutePermissions,
+  seedDefaultPermissions,
+} from "./services/permissions.js";
 import { initializeRedis } from "./services/redis.js";
 import { initializeElasticsearch } from "./services/elasticsearch.js";
 import { initializeS3 } from "./services/s3.js";
@@ -144,6 +166,13 @@ const kafka = initializeKafka();
 const elasticsearch = initializeElasticsearch();
 let s3 = null;
 
+// Share Socket.IO rooms across API nodes through Redis
+if (redis) {
+  io.adapter(createAdapter(redis.duplicate(), redis.duplicate()));
+} else {
+  logger.warn("REDIS_URL not provided, websocket rooms are local to this node");
+}
+
 // Initialize S3 asynchronously
 (async () => {
   try {
@@ -262,6 +291,7 @@ app.get("/api-docs", (req, res) => {
     endpoints: {
       public: {
         results: "GET /api/results/:position/:regionType/:regionCode",
+        stations: "GET /api/stations/:position/:regionCode",
         candidates: "GET /api/candidates/:id",
         search: "GET /api/candidates/search",
         map: "GET /api/map/:regionType/:regionCode?",
@@ -269,6 +299,37 @@ app.get("/api-docs", (req, res) => {
         feedback: "POST /api/feedback",
         status: "GET /api/status",
         turnout: "GET /api/turnout/:regionType/:regionCode",
+        resultsStream: "GET /api/stream/results/:position/:regionCode (SSE)",
+        statusStream: "GET /api/stream/status (SSE)",
+      },
+      auth: {
+        login: "POST /api/auth/login",
+        refresh: "POST /api/auth/refresh",
+        logout: "POST /api/auth/logout",
+        logoutAll: "POST /api/auth/logout-all",
+        loginMfa: "POST /api/auth/login/mfa",
+        mfaSetup: "POST /api/auth/mfa/setup",
+        mfaVerify: "POST /api/auth/mfa/verify",
+        mfaRecoveryCodes: "POST /api/auth/mfa/recovery-codes",
+        mfaDisable: "POST /api/auth/mfa/disable",
+      },
+      apiKeys: {
+        usage: "GET /api/keys/usage (X-API-Key)",
+      },
+      webhooks: {
+        list: "GET /api/webhooks",
+        create: "POST /api/webhooks",
+        update: "PATCH /api/webhooks/:id",
+        rotateSecret: "POST /api/webhooks/:id/rotate-secret",
+        delete: "DELETE /api/webhooks/:id",
+        deliveries: "GET /api/webhooks/:id/deliveries",
+        replay: "POST /api/webhooks/deliveries/:deliveryId/replay",
+        deadLetter: "GET /api/webhooks/dead-letter",
+      },
+      exports: {
+        create: "POST /api/exports (JWT or X-API-Key)",
+        list: "GET /api/exports",
+        status: "GET /api/exports/:id",
       },
       admin: {
         votes: "POST /api/admin/votes",
@@ -280,24 +341,68 @@ app.get("/api-docs", (req, res) => {
         health: "GET /api/admin/health",
       },
     },
+    // Permissions each protected route requires (see GET /api/sysadmin/permissions)
+    permissions: listRoutePermissions({
+      "/api/commissioner": commissionerRoutes,
+      "/api/returning": returningOfficerRoutes,
+      "/api/presiding": presidingOfficerRoutes,
+      "/api/clerk": electionClerkRoutes,
+      "/api/sysadmin": sysAdminRoutes,
+      "/api/corrections": correctionRoutes,
+      "/api/webhooks": webhookRoutes,
+      "/api/exports": exportRoutes,
+    }),
   });
 });
 
 // Mount routes
 app.use("/api", publicRoutes);
-app.use("/api/commissioner", commissionerRoutes);
-app.use("/api/returning", returningOfficerRoutes);
-app.use("/api/presiding", presidingOfficerRoutes);
-app.use("/api/clerk", electionClerkRoutes);
-app.use("/api/sysadmin", sysAdminRoutes);
-
-// WebSocket routes
+app.use("/api/auth", authRoutes);
+app.use("/api/keys", apiKeyAuth, apiKeyRoutes);
+app.use(
+  "/api/commissioner",
+  authenticateToken,
+  requireMfa(),
+  commissionerRoutes
+);
+app.use("/api/returning", authenticateToken, returningOfficerRoutes);
+app.use("/api/presiding", authenticateToken, presidingOfficerRoutes);
+app.use("/api/clerk", authenticateToken, electionClerkRoutes);
+app.use("/api/sysadmin", authenticateToken, sysAdminRoutes);
+app.use("/api/corrections", authenticateToken, correctionRoutes);
+app.use("/api/webhooks", authenticateToken, webhookRoutes);
+app.use("/api/exports", authenticateTokenOrApiKey, exportRoutes);
+
+// WebSocket routes (broadcast helpers are exposed to HTTP routes via app.get)
 if (prisma) {
-  websocketRoutes(io, prisma, redis);
+  app.set("websocket", websocketRoutes(io, prisma, redis));
 } else {
   logger.warn("WebSocket routes disabled - database not available");
 }
 
+// Kafka fan-out so every node pushes the same live numbers to its rooms
+let voteUpdateFanout = null;
+let webhookDispatcher = null;
+if (prisma && process.env.KAFKA_BROKERS) {
+  (async () => {
+    try {
+      await connectProducer();
+      voteUpdateFanout = await startVoteUpdateFanout(app.get("websocket"));
+    } catch (error) {
+      logger.error("Failed to start vote update fan-out:", error);
+    }
+    try {
+      webhookDispatcher = await startWebhookDispatcher(prisma);
+    } catch (error) {
+      logger.error("Failed to start webhook dispatcher:", error);
+    }
+  })();
+} else {
+  logger.warn(
+    "KAFKA_BROKERS not provided, live updates will only reach this node"
+  );
+}
+
 // Error handling middleware
 app.use(errorHandler);
 
@@ -310,9 +415,14 @@ app.use("*", (req, res) => {
   });
 });
 
-// Initialize cron jobs only if prisma is available
+// Initialize cron jobs and the export worker only if prisma is available
+let exportWorker = null;
 if (prisma) {
   initializeCronJobs(prisma, redis, logger);
+  exportWorker = startExportWorker(prisma);
+  seedDefaultPermissions(prisma).catch((error) =>
+    logger.error("Failed to seed role permissions:", error)
+  );
 } else {
   logger.warn("Cron jobs disabled - database not available");
 }
@@ -320,6 +430,12 @@ if (prisma) {
 // Graceful shutdown
 process.on("SIGTERM", async () => {
   logger.info("SIGTERM received, shutting down gracefully");
+  if (prisma) await flushVoteUpdates(prisma, app.get("websocket"));
+  await app.get("websocket")?.shutdown();
+  if (voteUpdateFanout) await voteUpdateFanout.stop();
+  if (webhookDispatcher) await webhookDispatcher.stop();
+  if (exportWorker) await exportWorker.stop();
+  if (process.env.KAFKA_BROKERS) await disconnectKafka();
   if (prisma) await prisma.$disconnect();
   if (redis) await redis.quit();
   process.exit(0);
@@ -327,6 +443,12 @@ process.on("SIGTERM", async () => {
 
 process.on("SIGINT", async () => {
   logger.info("SIGINT received, shutting down gracefully");
+  if (prisma) await flushVoteUpdates(prisma, app.get("websocket"));
+  await app.get("websocket")?.shutdown();
+  if (voteUpdateFanout) await voteUpdateFanout.stop();
+  if (webhookDispatcher) await webhookDispatcher.stop();
+  if (exportWorker) await exportWorker.stop();
+  if (process.env.KAFKA_BROKERS) await disconnectKafka();
   if (prisma) await prisma.$disconnect();
   if (redis) await redis.quit();
   process.exit(0);
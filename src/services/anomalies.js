@@ -0,0 +1,355 @@
+import { sendSystemAlert } from "./kafka.js";
+import { getDescendantRegions, getRegionAncestors } from "../utils/regions.js";
+import logger from "../utils/logger.js";
+
+// A single candidate above this share of valid votes is flagged
+const DOMINANT_SHARE = 0.98;
+// Below this many valid votes a lopsided station is unremarkable
+const MIN_VOTES_FOR_SHARE = 50;
+// Stations compared against when looking for a sudden jump
+const JUMP_HISTORY = 10;
+const JUMP_MIN_HISTORY = 3;
+// Change from the recent average, in share points, that counts as a jump
+const TURNOUT_JUMP = 0.3;
+const SHARE_JUMP = 0.4;
+// A correction moving a count by more than this fraction (and at least
+// MIN_VOTES_FOR_SHARE votes) counts as a jump
+const REVISION_JUMP = 0.25;
+// Counts of 10 or more per station needed before the digit test runs
+const BENFORD_MIN_COUNTS = 50;
+// Chi-square critical value at p = 0.01 with 9 degrees of freedom
+const BENFORD_CRITICAL = 21.67;
+
+// Expected frequency of each second digit under Benford's law
+const BENFORD_SECOND_DIGIT = Array.from({ length: 10 }, (_, d) =>
+  [1, 2, 3, 4, 5, 6, 7, 8, 9].reduce(
+    (sum, k) => sum + Math.log10(1 + 1 / (10 * k + d)),
+    0
+  )
+);
+
+const percent = (value) => Number((value * 100).toFixed(2));
+
+// Station-level checks on one submission's counts
+const checkStation = ({ station, submission, counts, previousCounts }) => {
+  const findings = [];
+  const register = station.registeredVoters;
+  const cast = submission.validVotes + submission.rejectedBallots;
+
+  if (register > 0 && cast > register) {
+    findings.push({
+      type: "TURNOUT_EXCEEDS_REGISTER",
+      severity: "CRITICAL",
+      message: `Turnout of ${percent(cast / register)}% at ${station.code} exceeds the register`,
+      details: { votesCast: cast, registeredVoters: register },
+    });
+  }
+
+  const overRegister = counts.filter(
+    (c) => register > 0 && c.voteCount > register
+  );
+  if (overRegister.length > 0) {
+    findings.push({
+      type: "CANDIDATE_EXCEEDS_REGISTER",
+      severity: "CRITICAL",
+      message: `Candidate count at ${station.code} exceeds the ${register} registered voters`,
+      details: { registeredVoters: register, candidates: overRegister },
+    });
+  }
+
+  const leader = counts.reduce(
+    (top, c) => (!top || c.voteCount > top.voteCount ? c : top),
+    null
+  );
+  if (
+    counts.length > 1 &&
+    submission.validVotes >= MIN_VOTES_FOR_SHARE &&
+    leader.voteCount / submission.validVotes > DOMINANT_SHARE
+  ) {
+    findings.push({
+      type: "DOMINANT_CANDIDATE",
+      severity: "WARNING",
+      message: `One candidate took ${percent(leader.voteCount / submission.validVotes)}% of valid votes at ${station.code}`,
+      details: { ...leader, validVotes: submission.validVotes },
+    });
+  }
+
+  if (previousCounts) {
+    const revised = counts
+      .filter((c) => previousCounts[c.candidateId] !== undefined)
+      .map((c) => ({
+        candidateId: c.candidateId,
+        from: previousCounts[c.candidateId],
+        to: c.voteCount,
+      }))
+      .filter(
+        ({ from, to }) =>
+          Math.abs(to - from) >= MIN_VOTES_FOR_SHARE &&
+          Math.abs(to - from) > REVISION_JUMP * Math.max(from, 1)
+      );
+    if (revised.length > 0) {
+      findings.push({
+        type: "SUDDEN_JUMP",
+        severity: "WARNING",
+        message: `Revised counts at ${station.code} moved sharply from the original submission`,
+        details: { kind: "revision", candidates: revised },
+      });
+    }
+  }
+
+  return findings;
+};
+
+// Compare a station's turnout and candidate shares with the stations that
+// reported just before it in the same constituency
+const checkTrend = async (
+  prisma,
+  { station, submission, counts, stations }
+) => {
+  const history = await prisma.resultSubmission.findMany({
+    where: {
+      regionId: {
+        in: stations.map((s) => s.id).filter((id) => id !== station.id),
+      },
+      position: submission.position,
+      submittedAt: { lte: submission.submittedAt },
+    },
+    orderBy: { submittedAt: "desc" },
+    take: JUMP_HISTORY,
+  });
+  if (history.length < JUMP_MIN_HISTORY) return [];
+
+  const registerById = Object.fromEntries(
+    stations.map((s) => [s.id, s.registeredVoters])
+  );
+  const votes = await prisma.vote.findMany({
+    where: {
+      regionId: { in: history.map((h) => h.regionId) },
+      position: submission.position,
+    },
+    select: { candidateId: true, voteCount: true },
+  });
+  const historyValid = history.reduce((sum, h) => sum + h.validVotes, 0);
+  const findings = [];
+
+  const turnouts = history
+    .filter((h) => registerById[h.regionId] > 0)
+    .map((h) => (h.validVotes + h.rejectedBallots) / registerById[h.regionId]);
+  if (turnouts.length >= JUMP_MIN_HISTORY && station.registeredVoters > 0) {
+    const average = turnouts.reduce((a, b) => a + b, 0) / turnouts.length;
+    const turnout =
+      (submission.validVotes + submission.rejectedBallots) /
+      station.registeredVoters;
+    if (Math.abs(turnout - average) > TURNOUT_JUMP) {
+      findings.push({
+        type: "SUDDEN_JUMP",
+        severity: "WARNING",
+        message: `Turnout of ${percent(turnout)}% at ${station.code} departs from the recent average of ${percent(average)}%`,
+        details: {
+          kind: "turnout",
+          turnout: percent(turnout),
+          recentAverage: percent(average),
+          comparedStations: turnouts.length,
+        },
+      });
+    }
+  }
+
+  if (historyValid > 0 && submission.validVotes > 0) {
+    const totals = {};
+    for (const v of votes) {
+      totals[v.candidateId] = (totals[v.candidateId] || 0) + v.voteCount;
+    }
+    const swings = counts
+      .map((c) => ({
+        candidateId: c.candidateId,
+        share: percent(c.voteCount / submission.validVotes),
+        recentShare: percent((totals[c.candidateId] || 0) / historyValid),
+      }))
+      .filter((c) => Math.abs(c.share - c.recentShare) > SHARE_JUMP * 100);
+    if (swings.length > 0) {
+      findings.push({
+        type: "SUDDEN_JUMP",
+        severity: "WARNING",
+        message: `Candidate shares at ${station.code} swing sharply from recent stations`,
+        details: {
+          kind: "share",
+          candidates: swings,
+          comparedStations: history.length,
+        },
+      });
+    }
+  }
+
+  return findings;
+};
+
+// Second-digit Benford test over every station count in the constituency
+const checkDigits = async (prisma, { constituency, position, stations }) => {
+  const votes = await prisma.vote.findMany({
+    where: {
+      regionId: { in: stations.map((s) => s.id) },
+      position,
+      voteCount: { gte: 10 },
+    },
+    select: { voteCount: true },
+  });
+  if (votes.length < BENFORD_MIN_COUNTS) return null;
+
+  const observed = Array(10).fill(0);
+  for (const { voteCount } of votes) {
+    observed[Number(String(voteCount)[1])]++;
+  }
+  const chiSquare = observed.reduce((sum, count, d) => {
+    const expected = BENFORD_SECOND_DIGIT[d] * votes.length;
+    return sum + (count - expected) ** 2 / expected;
+  }, 0);
+  if (chiSquare <= BENFORD_CRITICAL) return null;
+
+  return {
+    type: "DIGIT_IRREGULARITY",
+    severity: "WARNING",
+    message: `Second digits of station counts in ${constituency.name} deviate from Benford's law`,
+    details: {
+      counts: votes.length,
+      observed,
+      expected: BENFORD_SECOND_DIGIT.map((p) =>
+        Number((p * votes.length).toFixed(2))
+      ),
+      chiSquare: Number(chiSquare.toFixed(2)),
+      criticalValue: BENFORD_CRITICAL,
+    },
+  };
+};
+
+const raiseAlert = async (anomaly, region) => {
+  try {
+    await sendSystemAlert({
+      type: "RESULT_ANOMALY",
+      severity: anomaly.severity,
+      anomalyId: anomaly.id,
+      anomalyType: anomaly.type,
+      regionCode: region.code,
+      position: anomaly.position,
+      message: anomaly.message,
+    });
+  } catch (error) {
+    logger.error("Failed to raise anomaly alert:", error);
+  }
+};
+
+// Store findings not already open for the same region and type, and raise
+// an alert for each. Digit irregularities keep one open flag per
+// constituency, refreshed with the latest figures.
+const recordFindings = async (prisma, region, base, findings) => {
+  const recorded = [];
+  for (const finding of findings) {
+    const open = await prisma.resultAnomaly.findFirst({
+      where: {
+        regionId: region.id,
+        position: base.position,
+        type: finding.type,
+        status: "OPEN",
+        submissionId: base.submissionId,
+        ...(finding.type === "SUDDEN_JUMP" && {
+          details: { path: ["kind"], equals: finding.details.kind },
+        }),
+      },
+    });
+    if (open) {
+      if (finding.type === "DIGIT_IRREGULARITY") {
+        await prisma.resultAnomaly.update({
+          where: { id: open.id },
+          data: { message: finding.message, details: finding.details },
+        });
+      }
+      continue;
+    }
+
+    const anomaly = await prisma.resultAnomaly.create({
+      data: { ...base, regionId: region.id, ...finding },
+    });
+    await raiseAlert(anomaly, region);
+    recorded.push(anomaly);
+  }
+  return recorded;
+};
+
+// Run every check against a stored Form 34A submission. previousCounts maps
+// candidate id to the count before a correction, to flag sharp revisions.
+// Resolves to the anomalies newly recorded.
+export const analyzeSubmission = async (
+  prisma,
+  submission,
+  { previousCounts } = {}
+) => {
+  try {
+    const station = await prisma.region.findUnique({
+      where: { id: submission.regionId },
+    });
+    const counts = await prisma.vote.findMany({
+      where: { regionId: station.id, position: submission.position },
+      select: { candidateId: true, voteCount: true },
+    });
+
+    const findings = checkStation({
+      station,
+      submission,
+      counts,
+      previousCounts,
+    });
+
+    const ancestors = await getRegionAncestors(prisma, station);
+    const constituency = ancestors.find((r) => r.type === "CONSTITUENCY");
+    let digitFinding = null;
+    if (constituency) {
+      const stations = await getDescendantRegions(
+        prisma,
+        constituency.id,
+        "POLLING_STATION"
+      );
+      if (!previousCounts) {
+        findings.push(
+          ...(await checkTrend(prisma, {
+            station,
+            submission,
+            counts,
+            stations,
+          }))
+        );
+      }
+      digitFinding = await checkDigits(prisma, {
+        constituency,
+        position: submission.position,
+        stations,
+      });
+    }
+
+    const recorded = await recordFindings(
+      prisma,
+      station,
+      { position: submission.position, submissionId: submission.id },
+      findings
+    );
+    if (digitFinding) {
+      recorded.push(
+        ...(await recordFindings(
+          prisma,
+          constituency,
+          { position: submission.position, submissionId: null },
+          [digitFinding]
+        ))
+      );
+    }
+
+    if (recorded.length > 0) {
+      logger.warn(
+        `Flagged ${recorded.length} anomalies for ${station.code} ${submission.position}`
+      );
+    }
+    return recorded;
+  } catch (error) {
+    logger.error("Error analyzing submission:", error);
+    throw error;
+  }
+};
@@ -0,0 +1,203 @@
+import crypto from "crypto";
+import redis, {
+  cacheDelete,
+  cacheGet,
+  cacheSet,
+  slidingWindowRateLimit,
+  slidingWindowStatus,
+} from "./redis.js";
+import { indexDocument } from "./elasticsearch.js";
+import logger from "../utils/logger.js";
+
+// Permissions a partner key may be scoped to; keys never write
+export const API_KEY_PERMISSIONS = [
+  "results:view",
+  "corrections:view",
+  "disputes:view",
+];
+
+const KEY_CACHE_TTL = 300;
+const USAGE_RETENTION_DAYS = 30;
+const LAST_USED_INTERVAL = 60;
+// ApiKey.rateLimit is a quota of requests per hour
+const QUOTA_WINDOW = 60 * 60;
+
+const cacheKey = (keyHash) => `apikey:${keyHash}`;
+const usageKey = (apiKeyId, day) => `api_usage:${apiKeyId}:${day}`;
+const lastUsedKey = (apiKeyId) => `api_key_seen:${apiKeyId}`;
+const quotaKey = (apiKeyId) => `api_quota:${apiKeyId}`;
+
+export const hashApiKey = (key) =>
+  crypto.createHash("sha256").update(key).digest("hex");
+
+// A fresh key with its stored hash and display prefix. The key itself is
+// returned to the caller once and never persisted.
+export const generateApiKey = () => {
+  const key = crypto.randomBytes(24).toString("hex");
+  return { key, keyHash: hashApiKey(key), prefix: key.slice(0, 8) };
+};
+
+// Listing shape for a key record, without its hash
+export const serializeApiKey = ({ keyHash, ...apiKey }) => apiKey;
+
+// What a partner sees about their own key: no hash, and none of the
+// administrators' bookkeeping
+export const serializePartnerApiKey = (apiKey) => ({
+  id: apiKey.id,
+  prefix: apiKey.prefix,
+  name: apiKey.name,
+  permissions: apiKey.permissions,
+  rateLimit: apiKey.rateLimit,
+  isActive: apiKey.isActive,
+  expiresAt: apiKey.expiresAt,
+  lastUsedAt: apiKey.lastUsedAt,
+  rotatedAt: apiKey.rotatedAt,
+  createdAt: apiKey.createdAt,
+});
+
+// Look up a presented key, caching the record briefly so the database is
+// not hit on every request
+export const findApiKey = async (prisma, key) => {
+  const keyHash = hashApiKey(key);
+  if (redis) {
+    const cached = await cacheGet(cacheKey(keyHash));
+    if (cached) {
+      return {
+        ...cached,
+        expiresAt: cached.expiresAt ? new Date(cached.expiresAt) : null,
+      };
+    }
+  }
+
+  const record = await prisma.apiKey.findUnique({ where: { keyHash } });
+  if (record && redis) {
+    await cacheSet(cacheKey(keyHash), record, KEY_CACHE_TTL);
+  }
+  return record;
+};
+
+// Drop a key's cached record so suspensions and scope changes apply at once
+export const invalidateApiKey = async (keyHash) => {
+  if (redis) await cacheDelete(cacheKey(keyHash));
+};
+
+// Why a key may not be used, or null if it is usable
+export const getApiKeyRejection = (record) => {
+  if (!record || !record.isActive) return "Invalid or inactive API key";
+  if (record.expiresAt && new Date() > record.expiresAt) {
+    return "API key expired";
+  }
+  return null;
+};
+
+const usageDay = (date = new Date()) => date.toISOString().slice(0, 10);
+
+// Count a finished request against its key in Redis and index it for
+// searchApiUsage. Failures are logged and never affect the response.
+export const recordApiKeyUsage = async (
+  prisma,
+  apiKey,
+  { endpoint, method, statusCode, responseTime }
+) => {
+  if (redis) {
+    try {
+      const key = usageKey(apiKey.id, usageDay());
+      await redis
+        .multi()
+        .hincrby(key, "requests", 1)
+        .hincrby(key, `status:${statusCode}`, 1)
+        .expire(key, USAGE_RETENTION_DAYS * 24 * 60 * 60)
+        .exec();
+
+      // Touch lastUsedAt at most once a minute per key
+      const due = await redis.set(
+        lastUsedKey(apiKey.id),
+        "1",
+        "EX",
+        LAST_USED_INTERVAL,
+        "NX"
+      );
+      if (due) {
+        await prisma.apiKey.update({
+          where: { id: apiKey.id },
+          data: { lastUsedAt: new Date() },
+        });
+      }
+    } catch (error) {
+      logger.error("Error recording API key usage:", error);
+    }
+  }
+
+  if (process.env.ELASTICSEARCH_URL) {
+    indexDocument("api-usage", {
+      apiKeyId: apiKey.id,
+      endpoint,
+      method,
+      statusCode,
+      responseTime,
+      timestamp: new Date(),
+    }).catch(() => {});
+  }
+};
+
+// Daily request counts for a key, newest first
+export const getApiKeyUsage = async (apiKeyId, days = 7) => {
+  if (!redis) return [];
+  const usage = [];
+  for (let i = 0; i < days; i++) {
+    const date = usageDay(new Date(Date.now() - i * 24 * 60 * 60 * 1000));
+    const counts = await redis.hgetall(usageKey(apiKeyId, date));
+    const statuses = {};
+    for (const [field, value] of Object.entries(counts)) {
+      if (field.startsWith("status:")) {
+        statuses[field.slice("status:".length)] = parseInt(value);
+      }
+    }
+    usage.push({
+      date,
+      requests: parseInt(counts.requests) || 0,
+      statuses,
+    });
+  }
+  return usage;
+};
+
+// Count a request against the key's hourly quota. Resolves to
+// { allowed, limit, remaining, reset }, or null without Redis.
+export const consumeApiKeyQuota = async (apiKey) => {
+  if (!redis) return null;
+  return await slidingWindowRateLimit(
+    quotaKey(apiKey.id),
+    apiKey.rateLimit,
+    QUOTA_WINDOW
+  );
+};
+
+// The key's quota over the last hour, without counting a request
+export const getApiKeyQuota = async (apiKey) => {
+  if (!redis) return null;
+  return await slidingWindowStatus(
+    quotaKey(apiKey.id),
+    apiKey.rateLimit,
+    QUOTA_WINDOW
+  );
+};
+
+// Put a verified key on the request and meter the request once it finishes
+export const attachApiKey = (prisma, req, res, record) => {
+  req.apiKey = {
+    id: record.id,
+    name: record.name,
+    permissions: record.permissions,
+    rateLimit: record.rateLimit,
+  };
+  const startTime = Date.now();
+  res.on("finish", () => {
+    recordApiKeyUsage(prisma, req.apiKey, {
+      endpoint: req.originalUrl.split("?")[0],
+      method: req.method,
+      statusCode: res.statusCode,
+      responseTime: Date.now() - startTime,
+    });
+  });
+};
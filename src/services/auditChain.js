@@ -0,0 +1,206 @@
+import logger from "../utils/logger.js";
+import { generateAuditChecksum, generateChecksum } from "../utils/checksum.js";
+import { archiveData } from "./s3.js";
+
+// Advisory lock serializing appends, so two writers never chain onto the
+// same head
+export const AUDIT_CHAIN_LOCK_ID = 7320501;
+const ARCHIVE_BATCH_SIZE = 5000;
+const VERIFY_BATCH_SIZE = 1000;
+
+// Most recent archive of pruned entries; the chain continues from its last hash
+const getLatestArchive = (prisma) =>
+  prisma.dataBackup.findFirst({
+    where: { type: "audit_archive" },
+    orderBy: { createdAt: "desc" },
+  });
+
+// Sequence and hash the next entry chains onto
+export const getChainHead = async (prisma) => {
+  const head = await prisma.auditLog.findFirst({
+    orderBy: { sequence: "desc" },
+    select: { sequence: true, hash: true },
+  });
+  if (head) return head;
+  const archive = await getLatestArchive(prisma);
+  return archive
+    ? { sequence: archive.metadata.toSequence, hash: archive.metadata.lastHash }
+    : { sequence: 0, hash: null };
+};
+
+// Walk the chain in sequence order and report the first broken link.
+// Entries from before chaining (no hash) are only allowed at the start.
+// Anchors recorded in DataBackup must still match, and the chain must not
+// end before the latest anchor.
+export const verifyAuditChain = async (prisma) => {
+  const archive = await getLatestArchive(prisma);
+  const anchors = await prisma.dataBackup.findMany({
+    where: { type: "audit_anchor" },
+    select: { metadata: true, checksum: true },
+  });
+  const anchorHashes = new Map(
+    anchors.map((a) => [a.metadata.sequence, a.checksum])
+  );
+
+  let previous = archive
+    ? { sequence: archive.metadata.toSequence, hash: archive.metadata.lastHash }
+    : null;
+  let chained = false;
+  let checked = 0;
+  let legacy = 0;
+  let anchorsChecked = 0;
+
+  const broken = (entry, reason) => ({
+    valid: false,
+    checked,
+    legacy,
+    anchorsChecked,
+    firstBroken: { sequence: entry.sequence, id: entry.id, reason },
+  });
+
+  for (;;) {
+    const entries = await prisma.auditLog.findMany({
+      where: previous ? { sequence: { gt: previous.sequence } } : {},
+      orderBy: { sequence: "asc" },
+      take: VERIFY_BATCH_SIZE,
+    });
+    if (entries.length === 0) break;
+
+    for (const entry of entries) {
+      if (previous && entry.sequence !== previous.sequence + 1) {
+        return broken(
+          entry,
+          `Entries ${previous.sequence + 1} to ${entry.sequence - 1} are missing`
+        );
+      }
+      if (entry.hash === null) {
+        if (chained) return broken(entry, "Hash removed from chained entry");
+        legacy++;
+      } else {
+        chained = true;
+        if (entry.previousHash !== (previous?.hash ?? null)) {
+          return broken(entry, "Previous hash does not match prior entry");
+        }
+        if (generateAuditChecksum(entry) !== entry.hash) {
+          return broken(entry, "Entry contents do not match its hash");
+        }
+        const anchored = anchorHashes.get(entry.sequence);
+        if (anchored !== undefined) {
+          if (anchored !== entry.hash) {
+            return broken(entry, "Entry does not match its anchored hash");
+          }
+          anchorsChecked++;
+        }
+      }
+      checked++;
+      previous = { sequence: entry.sequence, hash: entry.hash };
+    }
+  }
+
+  const lastAnchor = Math.max(0, ...anchorHashes.keys());
+  if (lastAnchor > (previous?.sequence ?? 0)) {
+    return {
+      valid: false,
+      checked,
+      legacy,
+      anchorsChecked,
+      firstBroken: {
+        sequence: (previous?.sequence ?? 0) + 1,
+        id: null,
+        reason: `Chain ends before anchored entry ${lastAnchor}`,
+      },
+    };
+  }
+
+  return {
+    valid: true,
+    checked,
+    legacy,
+    anchorsChecked,
+    head: previous,
+    firstBroken: null,
+  };
+};
+
+// Record the chain head in DataBackup and the application log, so later
+// rewrites of the chain can be detected against an outside copy
+export const anchorAuditChain = async (prisma) => {
+  const head = await prisma.auditLog.findFirst({
+    where: { hash: { not: null } },
+    orderBy: { sequence: "desc" },
+  });
+  if (!head) return null;
+
+  const latest = await prisma.dataBackup.findFirst({
+    where: { type: "audit_anchor" },
+    orderBy: { createdAt: "desc" },
+  });
+  if (latest?.metadata?.sequence === head.sequence) return latest;
+
+  const anchor = await prisma.dataBackup.create({
+    data: {
+      type: "audit_anchor",
+      filename: `audit-chain-anchor-${head.sequence}`,
+      size: 0,
+      checksum: head.hash,
+      status: "completed",
+      completedAt: new Date(),
+      metadata: { sequence: head.sequence, entryId: head.id },
+    },
+  });
+  logger.info("Audit chain anchored", {
+    sequence: head.sequence,
+    hash: head.hash,
+    anchorId: anchor.id,
+  });
+  return anchor;
+};
+
+// Archive entries older than the cutoff to S3, oldest first, then delete
+// them. Each batch is recorded in DataBackup with its last hash so the
+// retained chain can still be verified. Resolves to the number pruned.
+export const archiveAuditLogsBefore = async (prisma, cutoff) => {
+  let pruned = 0;
+  for (;;) {
+    const batch = await prisma.auditLog.findMany({
+      where: { timestamp: { lt: cutoff } },
+      orderBy: { sequence: "asc" },
+      take: ARCHIVE_BATCH_SIZE,
+    });
+    if (batch.length === 0) break;
+
+    const first = batch[0];
+    const last = batch[batch.length - 1];
+    const body = JSON.stringify(batch);
+    const archive = await archiveData(
+      batch,
+      "audit_logs",
+      `${first.sequence}-${last.sequence}`
+    );
+
+    await prisma.$transaction([
+      prisma.dataBackup.create({
+        data: {
+          type: "audit_archive",
+          filename: archive.key,
+          size: Buffer.byteLength(body),
+          checksum: generateChecksum(body),
+          status: "completed",
+          s3Url: archive.location,
+          completedAt: new Date(),
+          metadata: {
+            fromSequence: first.sequence,
+            toSequence: last.sequence,
+            lastHash: last.hash,
+            count: batch.length,
+          },
+        },
+      }),
+      prisma.auditLog.deleteMany({
+        where: { id: { in: batch.map((entry) => entry.id) } },
+      }),
+    ]);
+    pruned += batch.length;
+  }
+  return pruned;
+};
@@ -0,0 +1,111 @@
+import logger from "../utils/logger.js";
+
+// Every voter receives one ballot per elective position
+export const STATION_POSITIONS = [
+  "PRESIDENT",
+  "GOVERNOR",
+  "SENATOR",
+  "MP",
+  "WOMAN_REPRESENTATIVE",
+  "COUNTY_ASSEMBLY_MEMBER",
+];
+
+// SystemConfig key holding how far, in percent of the station median, a
+// position's ballots cast may drift before it is reported
+export const CONSISTENCY_TOLERANCE_KEY = "station_position_tolerance_percent";
+const DEFAULT_TOLERANCE_PERCENT = 5;
+
+export const getConsistencyTolerance = async (prisma) => {
+  const config = await prisma.systemConfig.findUnique({
+    where: { key: CONSISTENCY_TOLERANCE_KEY },
+  });
+  const value = parseFloat(config?.value);
+  if (config && !(value >= 0 && value <= 100)) {
+    logger.warn(
+      `Ignoring invalid ${CONSISTENCY_TOLERANCE_KEY} "${config.value}", using ${DEFAULT_TOLERANCE_PERCENT}%`
+    );
+  }
+  return value >= 0 && value <= 100 ? value : DEFAULT_TOLERANCE_PERCENT;
+};
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+// Percent difference from the median; null when the median is zero
+const deviationPercent = (votesCast, reference) =>
+  reference === 0
+    ? null
+    : Number((((votesCast - reference) / reference) * 100).toFixed(2));
+
+// Compare ballots cast (valid plus rejected) across one station's Form 34A
+// submissions. Positions further than the tolerance from the station median
+// are reported as discrepancies. A median of zero has no percentage to
+// measure against, so any position with ballots cast is reported, with a
+// null deviationPercent.
+export const checkStationConsistency = (station, submissions, tolerance) => {
+  const totals = Object.fromEntries(
+    submissions.map((s) => [s.position, s.validVotes + s.rejectedBallots])
+  );
+  const reported = STATION_POSITIONS.filter((p) => p in totals);
+  const reference =
+    reported.length > 1 ? median(reported.map((p) => totals[p])) : null;
+
+  const discrepancies =
+    reference !== null
+      ? reported
+          .map((position) => ({
+            position,
+            votesCast: totals[position],
+            difference: totals[position] - reference,
+            deviationPercent: deviationPercent(totals[position], reference),
+          }))
+          .filter((d) =>
+            d.deviationPercent === null
+              ? d.difference !== 0
+              : Math.abs(d.deviationPercent) > tolerance
+          )
+      : [];
+
+  return {
+    code: station.code,
+    name: station.name,
+    registeredVoters: station.registeredVoters,
+    reportedPositions: reported,
+    missingPositions: STATION_POSITIONS.filter((p) => !(p in totals)),
+    votesCast: totals,
+    medianVotesCast: reference,
+    consistent: discrepancies.length === 0,
+    discrepancies,
+  };
+};
+
+// Run the cross-position check for each station, with the tolerance from
+// SystemConfig
+export const checkStationsConsistency = async (prisma, stations) => {
+  const tolerance = await getConsistencyTolerance(prisma);
+  const submissions = await prisma.resultSubmission.findMany({
+    where: { regionId: { in: stations.map((s) => s.id) } },
+    select: {
+      regionId: true,
+      position: true,
+      validVotes: true,
+      rejectedBallots: true,
+    },
+  });
+
+  const byStation = {};
+  for (const submission of submissions) {
+    if (!byStation[submission.regionId]) byStation[submission.regionId] = [];
+    byStation[submission.regionId].push(submission);
+  }
+
+  return {
+    tolerancePercent: tolerance,
+    stations: stations.map((station) =>
+      checkStationConsistency(station, byStation[station.id] || [], tolerance)
+    ),
+  };
+};
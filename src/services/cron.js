@@ -6,6 +6,7 @@ import { auditLog } from "../utils/audit.js";
 import { createBackup, archiveData } from "./s3.js";
 import { clearCache } from "../middleware/cache.js";
 import { cleanAuditLogs } from "../utils/audit.js";
+import { anchorAuditChain } from "./auditChain.js";
 
 const prisma = new PrismaClient();
 
@@ -72,7 +73,7 @@ export const initializeCronJobs = (prismaInstance, redis, loggerInstance) => {
     }
   });
 
-  // Audit log cleanup weekly (keep 90 days)
+  // Audit log cleanup weekly (keep 90 days, older entries archived to S3)
   cron.schedule("0 3 * * 0", async () => {
     try {
       logger.info("Starting audit log cleanup...");
@@ -85,12 +86,23 @@ export const initializeCronJobs = (prismaInstance, redis, loggerInstance) => {
         deletedCount,
       });
 
-      logger.info(`Audit log cleanup completed: ${deletedCount} logs deleted`);
+      logger.info(
+        `Audit log cleanup completed: ${deletedCount} logs archived and pruned`
+      );
     } catch (error) {
       logger.error("Audit log cleanup failed:", error);
     }
   });
 
+  // Anchor the audit chain head hourly
+  cron.schedule("15 * * * *", async () => {
+    try {
+      await anchorAuditChain(prismaInstance);
+    } catch (error) {
+      logger.error("Audit chain anchoring failed:", error);
+    }
+  });
+
   // Data archiving monthly
   cron.schedule("0 4 1 * *", async () => {
     try {
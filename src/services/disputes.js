@@ -0,0 +1,256 @@
+import {
+  deleteFile,
+  generateUploadUrl,
+  getFileMetadata,
+  openFileStream,
+} from "./s3.js";
+import { getDescendantRegions, getRegionAncestors } from "../utils/regions.js";
+import { generateStreamChecksum } from "../utils/checksum.js";
+import logger from "../utils/logger.js";
+
+// Disputes in these states hold the related certification in DISPUTED
+export const OPEN_DISPUTE_STATUSES = ["FILED", "UNDER_REVIEW"];
+
+// Allowed status transitions; RESOLVED and DISMISSED are final
+export const DISPUTE_TRANSITIONS = {
+  FILED: ["UNDER_REVIEW", "DISMISSED"],
+  UNDER_REVIEW: ["RESOLVED", "DISMISSED"],
+  RESOLVED: [],
+  DISMISSED: [],
+};
+
+export const EVIDENCE_BUCKET = "documents";
+export const EVIDENCE_CONTENT_TYPES = [
+  "application/pdf",
+  "image/jpeg",
+  "image/png",
+];
+// Pre-signed uploads cannot limit their size, so it is checked on confirm
+export const DISPUTE_EVIDENCE_MAX_BYTES =
+  parseInt(process.env.DISPUTE_EVIDENCE_MAX_BYTES) || 50 * 1024 * 1024;
+
+const failure = (status, message) => {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+};
+
+export const canTransitionDispute = (from, to) =>
+  (DISPUTE_TRANSITIONS[from] || []).includes(to);
+
+// The region and every region above it. A dispute anywhere beneath a
+// certified region puts that certification in question.
+const withAncestors = async (prisma, regionId) => {
+  const region = await prisma.region.findUnique({ where: { id: regionId } });
+  const ancestors = region ? await getRegionAncestors(prisma, region) : [];
+  return [regionId, ...ancestors.map((r) => r.id)];
+};
+
+// Count open disputes, optionally narrowed to a position and/or a region.
+// A region's count includes disputes filed on any region beneath it.
+export const countOpenDisputes = async (
+  prisma,
+  { regionId, position } = {}
+) => {
+  const descendants = regionId
+    ? await getDescendantRegions(prisma, regionId)
+    : [];
+  return await prisma.dispute.count({
+    where: {
+      status: { in: OPEN_DISPUTE_STATUSES },
+      ...(regionId && {
+        regionId: { in: [regionId, ...descendants.map((r) => r.id)] },
+      }),
+      ...(position && { position }),
+    },
+  });
+};
+
+// File a dispute and flip any existing certification for the region, or a
+// region above it, to DISPUTED
+export const openDispute = async (
+  prisma,
+  { regionId, position, filedBy, grounds }
+) => {
+  try {
+    return await prisma.$transaction(async (tx) => {
+      const dispute = await tx.dispute.create({
+        data: { regionId, position, filedBy, grounds },
+        include: { region: true },
+      });
+      const flipped = await tx.certification.updateMany({
+        where: {
+          regionId: { in: await withAncestors(tx, regionId) },
+          position,
+          status: { not: "DISPUTED" },
+        },
+        data: { status: "DISPUTED" },
+      });
+      return { dispute, certificationDisputed: flipped.count > 0 };
+    });
+  } catch (error) {
+    logger.error("Error opening dispute:", error);
+    throw error;
+  }
+};
+
+// Regions of the position's open disputes other than this one
+const otherOpenDisputeRegions = async (prisma, dispute) => {
+  const open = await prisma.dispute.findMany({
+    where: {
+      id: { not: dispute.id },
+      position: dispute.position,
+      status: { in: OPEN_DISPUTE_STATUSES },
+    },
+    select: { regionId: true },
+    distinct: ["regionId"],
+  });
+  return open.map((d) => d.regionId);
+};
+
+// Fill in withAncestors for any of the regions not already in the map
+const addAncestry = async (prisma, ancestry, regionIds) => {
+  for (const regionId of regionIds) {
+    if (!ancestry.has(regionId)) {
+      ancestry.set(regionId, await withAncestors(prisma, regionId));
+    }
+  }
+};
+
+// Move a dispute to its next status. Once the last open dispute on or
+// beneath a disputed region closes, that region's certification returns to
+// PENDING and must be certified again.
+export const transitionDispute = async (
+  prisma,
+  dispute,
+  status,
+  { resolution } = {}
+) => {
+  const closing = !OPEN_DISPUTE_STATUSES.includes(status);
+  try {
+    // Walking ancestors takes a query per level, so it is done for the open
+    // disputes before the transaction; inside it only disputes filed in the
+    // meantime still need walking
+    const ancestry = new Map();
+    if (closing) {
+      await addAncestry(prisma, ancestry, [
+        dispute.regionId,
+        ...(await otherOpenDisputeRegions(prisma, dispute)),
+      ]);
+    }
+
+    return await prisma.$transaction(async (tx) => {
+      const claimed = await tx.dispute.updateMany({
+        where: { id: dispute.id, status: dispute.status },
+        data: {
+          status,
+          ...(closing && { resolution, resolvedAt: new Date() }),
+        },
+      });
+      if (claimed.count === 0) {
+        const err = new Error("Dispute was updated by another user");
+        err.status = 409;
+        throw err;
+      }
+
+      let certificationReleased = false;
+      if (closing) {
+        // Certifications still held by another open dispute stay DISPUTED
+        const stillOpen = await otherOpenDisputeRegions(tx, dispute);
+        await addAncestry(tx, ancestry, stillOpen);
+        const held = new Set(stillOpen.flatMap((id) => ancestry.get(id)));
+        const releasable = ancestry
+          .get(dispute.regionId)
+          .filter((id) => !held.has(id));
+        const released = await tx.certification.updateMany({
+          where: {
+            regionId: { in: releasable },
+            position: dispute.position,
+            status: "DISPUTED",
+          },
+          data: { status: "PENDING", certifiedBy: null, certifiedAt: null },
+        });
+        certificationReleased = released.count > 0;
+      }
+
+      const updated = await tx.dispute.findUnique({
+        where: { id: dispute.id },
+        include: { region: true },
+      });
+      return { dispute: updated, certificationReleased };
+    });
+  } catch (error) {
+    if (error.status !== 409) {
+      logger.error("Error transitioning dispute:", error);
+    }
+    throw error;
+  }
+};
+
+// Start an evidence upload for an open dispute. The entry stays pending
+// until confirmEvidence; throws with status 409 once the dispute is closed.
+export const requestEvidenceUpload = async (
+  prisma,
+  dispute,
+  { filename, contentType, uploadedBy }
+) => {
+  if (!OPEN_DISPUTE_STATUSES.includes(dispute.status)) {
+    throw failure(409, `Dispute is already ${dispute.status}`);
+  }
+
+  const key = `disputes/${dispute.id}/${Date.now()}-${filename}`;
+  const uploadUrl = await generateUploadUrl(EVIDENCE_BUCKET, key, contentType);
+  const evidence = await prisma.disputeEvidence.create({
+    data: { disputeId: dispute.id, key, filename, contentType, uploadedBy },
+  });
+  return { evidence, uploadUrl };
+};
+
+// Read back uploaded evidence and record its checksum. Throws with status
+// 409 when the file is missing, the dispute has closed or the evidence was
+// already confirmed, and 413 when it is larger than
+// DISPUTE_EVIDENCE_MAX_BYTES (the oversized upload is deleted).
+export const confirmEvidence = async (prisma, evidence) => {
+  let metadata;
+  try {
+    metadata = await getFileMetadata(EVIDENCE_BUCKET, evidence.key);
+  } catch (error) {
+    logger.warn(
+      `Dispute evidence ${evidence.id} not found in storage:`,
+      error.message
+    );
+    throw failure(409, "The evidence has not been uploaded yet");
+  }
+  const size = metadata.contentLength;
+  if (size > DISPUTE_EVIDENCE_MAX_BYTES) {
+    await deleteFile(EVIDENCE_BUCKET, evidence.key).catch(() => {});
+    throw failure(
+      413,
+      `Evidence files may be at most ${DISPUTE_EVIDENCE_MAX_BYTES} bytes; upload a smaller file`
+    );
+  }
+  const checksum = await generateStreamChecksum(
+    await openFileStream(EVIDENCE_BUCKET, evidence.key)
+  );
+
+  return await prisma.$transaction(async (tx) => {
+    const dispute = await tx.dispute.findUnique({
+      where: { id: evidence.disputeId },
+    });
+    if (!OPEN_DISPUTE_STATUSES.includes(dispute.status)) {
+      throw failure(409, `Dispute is already ${dispute.status}`);
+    }
+
+    const claimed = await tx.disputeEvidence.updateMany({
+      where: { id: evidence.id, uploadedAt: null },
+      data: { checksum, size, uploadedAt: new Date() },
+    });
+    if (claimed.count === 0) {
+      throw failure(409, "This evidence has already been confirmed");
+    }
+    const confirmed = await tx.disputeEvidence.findUnique({
+      where: { id: evidence.id },
+    });
+    return { dispute, evidence: confirmed };
+  });
+};
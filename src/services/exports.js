@@ -0,0 +1,466 @@
+import { createReadStream, createWriteStream } from "fs";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { once } from "events";
+import { finished } from "stream/promises";
+import { stringify } from "csv-stringify";
+import { generateDownloadUrl, uploadExportFile } from "./s3.js";
+import { generateStreamChecksum } from "../utils/checksum.js";
+import { coversEveryRegion, getDescendantRegions } from "../utils/regions.js";
+import logger from "../utils/logger.js";
+
+// Hierarchy from the top down; an export's level may not sit above its scope
+export const EXPORT_LEVELS = [
+  "NATIONAL",
+  "COUNTY",
+  "CONSTITUENCY",
+  "WARD",
+  "POLLING_STATION",
+];
+export const EXPORT_FORMATS = ["CSV", "JSON", "XLSX", "PARQUET"];
+export const EXPORT_BUCKET = "export";
+
+const DOWNLOAD_URL_TTL = 3600;
+// Queued or running exports allowed per user or API key
+const MAX_ACTIVE_EXPORTS = parseInt(process.env.EXPORT_MAX_ACTIVE) || 3;
+// Region ids per vote query, well under the Postgres bind parameter limit
+const BATCH_REGION_IDS = 5000;
+const EXPORT_POLL_MS = 5000;
+// A RUNNING job untouched this long belongs to a node that died mid-export
+const STALE_RUNNING_MS = 10 * 60 * 1000;
+
+// One row per candidate per region, in this column order
+const COLUMNS = [
+  { key: "position", type: "UTF8" },
+  { key: "regionCode", type: "UTF8" },
+  { key: "regionName", type: "UTF8" },
+  { key: "regionType", type: "UTF8" },
+  { key: "parentCode", type: "UTF8", optional: true },
+  { key: "registeredVoters", type: "INT64" },
+  { key: "totalStations", type: "INT64" },
+  { key: "reportedStations", type: "INT64" },
+  { key: "candidateId", type: "UTF8" },
+  { key: "candidateName", type: "UTF8" },
+  { key: "party", type: "UTF8" },
+  { key: "voteCount", type: "INT64" },
+  { key: "percentage", type: "DOUBLE" },
+];
+
+const failure = (status, message) => {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+};
+
+const openCsvWriter = (filePath) => {
+  const out = createWriteStream(filePath);
+  const csv = stringify({ header: true, columns: COLUMNS.map((c) => c.key) });
+  csv.pipe(out);
+  return {
+    write: async (row) => {
+      if (!csv.write(row)) await once(csv, "drain");
+    },
+    close: async () => {
+      csv.end();
+      await finished(out);
+    },
+  };
+};
+
+// A JSON array written one element at a time
+const openJsonWriter = (filePath) => {
+  const out = createWriteStream(filePath);
+  let first = true;
+  return {
+    write: async (row) => {
+      const chunk = `${first ? "[\n" : ",\n"}${JSON.stringify(row)}`;
+      first = false;
+      if (!out.write(chunk)) await once(out, "drain");
+    },
+    close: async () => {
+      out.end(first ? "[]\n" : "\n]\n");
+      await finished(out);
+    },
+  };
+};
+
+// The XLSX and Parquet libraries are loaded on first use, so a problem with
+// either only fails exports in that format
+const openXlsxWriter = async (filePath) => {
+  const { default: ExcelJS } = await import("exceljs");
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+    filename: filePath,
+    useStyles: false,
+    useSharedStrings: false,
+  });
+  const sheet = workbook.addWorksheet("Results");
+  sheet.columns = COLUMNS.map(({ key }) => ({ header: key, key }));
+  return {
+    write: async (row) => sheet.addRow(row).commit(),
+    close: async () => {
+      sheet.commit();
+      await workbook.commit();
+    },
+  };
+};
+
+const openParquetWriter = async (filePath) => {
+  const { default: parquet } = await import("@dsnp/parquetjs");
+  const schema = new parquet.ParquetSchema(
+    Object.fromEntries(
+      COLUMNS.map(({ key, type, optional }) => [key, { type, optional }])
+    )
+  );
+  const writer = await parquet.ParquetWriter.openFile(schema, filePath);
+  return {
+    write: (row) => writer.appendRow(row),
+    close: () => writer.close(),
+  };
+};
+
+const WRITERS = {
+  CSV: openCsvWriter,
+  JSON: openJsonWriter,
+  XLSX: openXlsxWriter,
+  PARQUET: openParquetWriter,
+};
+
+// Queue an export of one position's results for every region of the given
+// level within the scope region. Throws with status 404 for an unknown
+// region, 400 for a level above the scope and 429 when the requester
+// already has MAX_ACTIVE_EXPORTS exports queued or running.
+export const createExportJob = async (
+  prisma,
+  { position, regionCode, level, format, requestedBy = null, apiKeyId = null }
+) => {
+  const region = await prisma.region.findUnique({
+    where: { code: regionCode },
+  });
+  if (!region || !region.isActive) throw failure(404, "Region not found");
+  if (EXPORT_LEVELS.indexOf(level) < EXPORT_LEVELS.indexOf(region.type)) {
+    throw failure(
+      400,
+      `A ${region.type} export cannot be broken down by ${level}`
+    );
+  }
+
+  const active = await prisma.exportJob.count({
+    where: {
+      status: { in: ["QUEUED", "RUNNING"] },
+      ...(requestedBy ? { requestedBy } : { apiKeyId }),
+    },
+  });
+  if (active >= MAX_ACTIVE_EXPORTS) {
+    throw failure(
+      429,
+      `At most ${MAX_ACTIVE_EXPORTS} exports may be queued or running at once`
+    );
+  }
+
+  return await prisma.exportJob.create({
+    data: {
+      position,
+      regionId: region.id,
+      level,
+      format,
+      requestedBy,
+      apiKeyId,
+    },
+    include: { region: { select: { code: true } } },
+  });
+};
+
+// Response shape for a job. Completed jobs carry a time-limited download
+// URL and the SHA-256 of the file so downloads can be verified.
+export const describeExportJob = async (job) => ({
+  id: job.id,
+  position: job.position,
+  regionCode: job.region.code,
+  level: job.level,
+  format: job.format,
+  status: job.status,
+  progress: job.progress,
+  processedRegions: job.processedRegions,
+  totalRegions: job.totalRegions,
+  rowCount: job.rowCount,
+  error: job.error,
+  createdAt: job.createdAt,
+  startedAt: job.startedAt,
+  completedAt: job.completedAt,
+  download:
+    job.status === "COMPLETED"
+      ? {
+          url: await generateDownloadUrl(
+            EXPORT_BUCKET,
+            job.key,
+            DOWNLOAD_URL_TTL
+          ),
+          expiresIn: DOWNLOAD_URL_TTL,
+          size: job.size,
+          checksum: job.checksum,
+          checksumAlgorithm: "sha256",
+        }
+      : null,
+});
+
+// Group target regions so each vote query covers at most BATCH_REGION_IDS
+// regions. ids lists every region whose votes count towards the target.
+const batchTargets = (targets, childrenByParent) => {
+  const batches = [];
+  let batch = [];
+  let size = 0;
+  for (const region of targets) {
+    const ids = [];
+    const stack = [region.id];
+    while (stack.length > 0) {
+      const id = stack.pop();
+      ids.push(id);
+      stack.push(...(childrenByParent[id] || []));
+    }
+    if (batch.length > 0 && size + ids.length > BATCH_REGION_IDS) {
+      batches.push(batch);
+      batch = [];
+      size = 0;
+    }
+    batch.push({ region, ids });
+    size += ids.length;
+  }
+  if (batch.length > 0) batches.push(batch);
+  return batches;
+};
+
+// Per-candidate totals and station reporting for one batch of targets. A
+// national target counts every vote and submission for the position.
+const countBatch = async (prisma, position, batch, stationIds) => {
+  const national = coversEveryRegion(batch[0].region);
+  const owner = {};
+  for (const { region, ids } of batch) {
+    for (const id of ids) owner[id] = region.id;
+  }
+  const ownerOf = (regionId) =>
+    national ? batch[0].region.id : owner[regionId];
+  const inBatch = national ? {} : { regionId: { in: Object.keys(owner) } };
+
+  const [groups, submissions] = await Promise.all([
+    prisma.vote.groupBy({
+      by: ["regionId", "candidateId"],
+      where: { position, candidate: { isActive: true }, ...inBatch },
+      _sum: { voteCount: true },
+    }),
+    prisma.resultSubmission.findMany({
+      where: { position, ...inBatch },
+      select: { regionId: true },
+    }),
+  ]);
+
+  const counts = {};
+  for (const g of groups) {
+    const target = ownerOf(g.regionId);
+    if (!target) continue;
+    if (!counts[target]) counts[target] = {};
+    counts[target][g.candidateId] =
+      (counts[target][g.candidateId] || 0) + (g._sum.voteCount || 0);
+  }
+  const reported = {};
+  for (const { regionId } of submissions) {
+    const target = ownerOf(regionId);
+    if (target && stationIds.has(regionId)) {
+      reported[target] = (reported[target] || 0) + 1;
+    }
+  }
+  return { counts, reported };
+};
+
+// Build the export file for a claimed job, upload it and record the outcome.
+// Progress is written after every batch of regions.
+export const runExportJob = async (prisma, job) => {
+  const extension = job.format.toLowerCase();
+  const tmpPath = path.join(os.tmpdir(), `export-${job.id}.${extension}`);
+  let writer = null;
+  try {
+    const scope = await prisma.region.findUnique({
+      where: { id: job.regionId },
+    });
+    const regions = coversEveryRegion(scope)
+      ? await prisma.region.findMany({ where: { isActive: true } })
+      : [scope, ...(await getDescendantRegions(prisma, scope.id))];
+    const regionById = Object.fromEntries(regions.map((r) => [r.id, r]));
+    if (scope.parentId && !regionById[scope.parentId]) {
+      const parent = await prisma.region.findUnique({
+        where: { id: scope.parentId },
+      });
+      if (parent) regionById[parent.id] = parent;
+    }
+    const childrenByParent = {};
+    for (const region of regions) {
+      if (!region.parentId || region.id === scope.id) continue;
+      if (!childrenByParent[region.parentId]) {
+        childrenByParent[region.parentId] = [];
+      }
+      childrenByParent[region.parentId].push(region.id);
+    }
+    const stationIds = new Set(
+      regions.filter((r) => r.type === "POLLING_STATION").map((r) => r.id)
+    );
+    const targets = regions
+      .filter((r) => r.type === job.level)
+      .sort((a, b) => a.code.localeCompare(b.code));
+
+    const candidates = await prisma.candidate.findMany({
+      where: { position: job.position },
+      select: { id: true, name: true, party: true },
+    });
+    const candidateById = Object.fromEntries(candidates.map((c) => [c.id, c]));
+
+    await prisma.exportJob.update({
+      where: { id: job.id },
+      data: { totalRegions: targets.length },
+    });
+
+    writer = await WRITERS[job.format](tmpPath);
+    let processed = 0;
+    let rowCount = 0;
+    for (const batch of batchTargets(targets, childrenByParent)) {
+      const { counts, reported } = await countBatch(
+        prisma,
+        job.position,
+        batch,
+        stationIds
+      );
+
+      for (const { region, ids } of batch) {
+        const regionCounts = Object.entries(counts[region.id] || {}).sort(
+          ([, a], [, b]) => b - a
+        );
+        const totalVotes = regionCounts.reduce((sum, [, n]) => sum + n, 0);
+        for (const [candidateId, voteCount] of regionCounts) {
+          const candidate = candidateById[candidateId];
+          await writer.write({
+            position: job.position,
+            regionCode: region.code,
+            regionName: region.name,
+            regionType: region.type,
+            parentCode: regionById[region.parentId]?.code ?? null,
+            registeredVoters: region.registeredVoters,
+            totalStations: coversEveryRegion(region)
+              ? stationIds.size
+              : ids.filter((id) => stationIds.has(id)).length,
+            reportedStations: reported[region.id] || 0,
+            candidateId,
+            candidateName: candidate?.name || "",
+            party: candidate?.party || "",
+            voteCount,
+            percentage:
+              totalVotes > 0
+                ? Number(((voteCount / totalVotes) * 100).toFixed(2))
+                : 0,
+          });
+          rowCount++;
+        }
+      }
+
+      processed += batch.length;
+      await prisma.exportJob.update({
+        where: { id: job.id },
+        data: {
+          processedRegions: processed,
+          rowCount,
+          progress: Math.floor((processed / targets.length) * 100),
+        },
+      });
+    }
+    await writer.close();
+    writer = null;
+
+    const checksum = await generateStreamChecksum(createReadStream(tmpPath));
+    const { size } = await fs.stat(tmpPath);
+    const upload = await uploadExportFile(job.id, tmpPath, extension);
+
+    logger.info(`Export ${job.id} completed with ${rowCount} rows`);
+    return await prisma.exportJob.update({
+      where: { id: job.id },
+      data: {
+        status: "COMPLETED",
+        progress: 100,
+        processedRegions: processed,
+        rowCount,
+        key: upload.key,
+        size,
+        checksum,
+        completedAt: new Date(),
+      },
+    });
+  } catch (error) {
+    logger.error(`Export ${job.id} failed:`, error);
+    if (writer) await writer.close().catch(() => {});
+    return await prisma.exportJob.update({
+      where: { id: job.id },
+      data: {
+        status: "FAILED",
+        error: error.message,
+        completedAt: new Date(),
+      },
+    });
+  } finally {
+    await fs.rm(tmpPath, { force: true });
+  }
+};
+
+// Run queued exports one at a time, oldest first. Each job is claimed by
+// moving it to RUNNING, so only one node builds it; RUNNING jobs that have
+// gone stale are claimed again. Resolves to the number of jobs run.
+export const processQueuedExports = async (prisma) => {
+  let processed = 0;
+  for (;;) {
+    const next = await prisma.exportJob.findFirst({
+      where: {
+        OR: [
+          { status: "QUEUED" },
+          {
+            status: "RUNNING",
+            updatedAt: { lt: new Date(Date.now() - STALE_RUNNING_MS) },
+          },
+        ],
+      },
+      orderBy: { createdAt: "asc" },
+    });
+    if (!next) return processed;
+
+    const claimed = await prisma.exportJob.updateMany({
+      where: { id: next.id, status: next.status, updatedAt: next.updatedAt },
+      data: {
+        status: "RUNNING",
+        startedAt: new Date(),
+        progress: 0,
+        processedRegions: 0,
+        rowCount: 0,
+      },
+    });
+    if (claimed.count === 0) continue;
+
+    await runExportJob(prisma, next);
+    processed++;
+  }
+};
+
+// Poll for queued exports on this node
+export const startExportWorker = (prisma) => {
+  let running = false;
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await processQueuedExports(prisma);
+    } catch (error) {
+      logger.error("Error processing export jobs:", error);
+    } finally {
+      running = false;
+    }
+  }, EXPORT_POLL_MS);
+  logger.info("Export worker started");
+
+  return {
+    stop: async () => clearInterval(timer),
+  };
+};
@@ -0,0 +1,149 @@
+import {
+  deleteFile,
+  generateDownloadUrl,
+  generateUploadUrl,
+  getFileMetadata,
+  openFileStream,
+} from "./s3.js";
+import { generateStreamChecksum } from "../utils/checksum.js";
+import logger from "../utils/logger.js";
+
+export const FORM_SCAN_BUCKET = "documents";
+export const FORM_SCAN_CONTENT_TYPES = [
+  "application/pdf",
+  "image/jpeg",
+  "image/png",
+];
+// Pre-signed uploads cannot limit their size, so it is checked on confirm
+export const FORM_SCAN_MAX_BYTES =
+  parseInt(process.env.FORM_SCAN_MAX_BYTES) || 20 * 1024 * 1024;
+// Public download links outlive the 60 second results cache comfortably
+const DOWNLOAD_URL_TTL = 6 * 3600;
+
+const failure = (status, message) => {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+};
+const conflict = (message) => failure(409, message);
+
+// Start an upload for a submission's scanned Form 34A. Throws with status
+// 409 once a scan has been confirmed, since the form is immutable.
+export const requestFormScanUpload = async (
+  prisma,
+  { submission, stationCode, filename, contentType, requestedBy }
+) => {
+  const confirmed = await prisma.formScan.findFirst({
+    where: { submissionId: submission.id, uploadedAt: { not: null } },
+  });
+  if (confirmed) {
+    throw conflict("A scanned Form 34A is already linked to this submission");
+  }
+
+  const key = `forms/34a/${stationCode}/${submission.position}/${Date.now()}-${filename}`;
+  const uploadUrl = await generateUploadUrl(FORM_SCAN_BUCKET, key, contentType);
+  const scan = await prisma.formScan.create({
+    data: {
+      submissionId: submission.id,
+      key,
+      filename,
+      contentType,
+      requestedBy,
+    },
+  });
+  return { scan, uploadUrl };
+};
+
+// Read back an uploaded scan, record its checksum and link it to the
+// station's votes for the position. Throws with status 409 when the file is
+// missing or another scan was confirmed first, and 413 when it is larger
+// than FORM_SCAN_MAX_BYTES (the oversized upload is deleted).
+export const confirmFormScan = async (prisma, scan) => {
+  let metadata;
+  try {
+    metadata = await getFileMetadata(FORM_SCAN_BUCKET, scan.key);
+  } catch (error) {
+    logger.warn(
+      `Form 34A scan ${scan.id} not found in storage:`,
+      error.message
+    );
+    throw conflict("The scanned form has not been uploaded yet");
+  }
+  const size = metadata.contentLength;
+  if (size > FORM_SCAN_MAX_BYTES) {
+    await deleteFile(FORM_SCAN_BUCKET, scan.key).catch(() => {});
+    throw failure(
+      413,
+      `Scanned forms may be at most ${FORM_SCAN_MAX_BYTES} bytes; upload a smaller file`
+    );
+  }
+  const checksum = await generateStreamChecksum(
+    await openFileStream(FORM_SCAN_BUCKET, scan.key)
+  );
+
+  return await prisma.$transaction(async (tx) => {
+    const confirmed = await tx.formScan.findFirst({
+      where: { submissionId: scan.submissionId, uploadedAt: { not: null } },
+    });
+    if (confirmed) {
+      throw conflict("A scanned Form 34A is already linked to this submission");
+    }
+
+    const updated = await tx.formScan.update({
+      where: { id: scan.id },
+      data: { checksum, size, uploadedAt: new Date() },
+      include: { submission: true },
+    });
+    const linked = await tx.vote.updateMany({
+      where: {
+        regionId: updated.submission.regionId,
+        position: updated.submission.position,
+      },
+      data: { formScanId: updated.id },
+    });
+    return { scan: updated, linkedVotes: linked.count };
+  });
+};
+
+// Public description of a confirmed scan, with a time-limited download URL
+export const describeFormScan = async (scan) => ({
+  filename: scan.filename,
+  contentType: scan.contentType,
+  size: scan.size,
+  checksum: scan.checksum,
+  uploadedAt: scan.uploadedAt,
+  downloadUrl: await generateDownloadUrl(
+    FORM_SCAN_BUCKET,
+    scan.key,
+    DOWNLOAD_URL_TTL
+  ),
+});
+
+// Confirmed scans for the given stations and position, keyed by station id
+export const getStationFormScans = async (prisma, position, stationIds) => {
+  const scans = await prisma.formScan.findMany({
+    where: {
+      uploadedAt: { not: null },
+      submission: { position, regionId: { in: stationIds } },
+    },
+    include: { submission: { select: { regionId: true } } },
+  });
+  const entries = await Promise.all(
+    scans.map(async (scan) => [
+      scan.submission.regionId,
+      await describeFormScan(scan),
+    ])
+  );
+  return Object.fromEntries(entries);
+};
+
+// Confirmed scan for one station and position, or null
+export const getStationFormScan = async (prisma, position, stationCode) => {
+  const scan = await prisma.formScan.findFirst({
+    where: {
+      uploadedAt: { not: null },
+      submission: { position, region: { code: stationCode } },
+    },
+  });
+  return scan ? await describeFormScan(scan) : null;
+};
@@ -0,0 +1,104 @@
+import logger from "../utils/logger.js";
+import { getDescendantRegions } from "../utils/regions.js";
+
+const percentage = (part, whole) => (whole > 0 ? (part / whole) * 100 : 0);
+
+// Sum current votes per party for a region and everything beneath it
+const getCurrentPartyTotals = async (prisma, region, position) => {
+  const descendants = await getDescendantRegions(prisma, region.id);
+  const votes = await prisma.vote.findMany({
+    where: {
+      regionId: { in: [region.id, ...descendants.map((r) => r.id)] },
+      position,
+    },
+    include: { candidate: true },
+  });
+
+  const parties = {};
+  let totalVotes = 0;
+  for (const vote of votes) {
+    const party = vote.candidate.party || "Independent";
+    parties[party] = (parties[party] || 0) + vote.voteCount;
+    totalVotes += vote.voteCount;
+  }
+  return { parties, totalVotes };
+};
+
+// Past results for a region with turnout and party swing against current votes
+export const getHistoricalResults = async (
+  prisma,
+  { year, regionCode, position = "PRESIDENT" }
+) => {
+  try {
+    const rows = await prisma.historicalResult.findMany({
+      where: { year, regionCode, position },
+      orderBy: { votes: "desc" },
+    });
+    if (rows.length === 0) return null;
+
+    const totalVotes = rows.reduce((sum, r) => sum + r.votes, 0);
+    const registeredVoters = Math.max(...rows.map((r) => r.registeredVoters));
+    const historicalParties = {};
+    for (const row of rows) {
+      historicalParties[row.party] =
+        (historicalParties[row.party] || 0) + row.votes;
+    }
+
+    const result = {
+      year,
+      position,
+      regionCode,
+      results: rows.map((r) => ({
+        candidateName: r.candidateName,
+        party: r.party,
+        voteCount: r.votes,
+        percentage: percentage(r.votes, totalVotes).toFixed(1),
+      })),
+      totalVotes,
+      registeredVoters,
+      turnout: percentage(totalVotes, registeredVoters).toFixed(1),
+      current: null,
+      swing: [],
+      source: "IEBC Historical Records",
+    };
+
+    const region = await prisma.region.findUnique({
+      where: { code: regionCode },
+    });
+    if (!region) return result;
+
+    const current = await getCurrentPartyTotals(prisma, region, position);
+    if (current.totalVotes === 0) return result;
+
+    result.current = {
+      totalVotes: current.totalVotes,
+      registeredVoters: region.registeredVoters,
+      turnout: percentage(current.totalVotes, region.registeredVoters).toFixed(
+        1
+      ),
+    };
+    // Positive swing means the party's share grew since the historical election
+    result.swing = [
+      ...new Set([
+        ...Object.keys(historicalParties),
+        ...Object.keys(current.parties),
+      ]),
+    ]
+      .map((party) => {
+        const before = percentage(historicalParties[party] || 0, totalVotes);
+        const now = percentage(current.parties[party] || 0, current.totalVotes);
+        return {
+          party,
+          historicalPercentage: before.toFixed(1),
+          currentPercentage: now.toFixed(1),
+          swing: (now - before).toFixed(1),
+        };
+      })
+      .sort((a, b) => b.swing - a.swing);
+
+    return result;
+  } catch (error) {
+    logger.error("Error computing historical results:", error);
+    throw error;
+  }
+};
@@ -0,0 +1,60 @@
+import {
+  coversEveryRegion,
+  getDescendantRegions,
+  getRegionAncestors,
+} from "../utils/regions.js";
+
+// Roles whose authority covers the whole country without assignments
+export const NATIONWIDE_ROLES = ["IEBC_COMMISSIONER"];
+
+const getAssignedRegions = async (prisma, userId) => {
+  const assignments = await prisma.userJurisdiction.findMany({
+    where: { userId },
+    include: { region: true },
+  });
+  return assignments.map((a) => a.region);
+};
+
+// Nationwide roles and NATIONAL assignments cover every region
+const coversNation = (user, regions) =>
+  NATIONWIDE_ROLES.includes(user.role) || regions.some(coversEveryRegion);
+
+// Whether a region is one of the user's assigned regions or lies beneath one
+export const isWithinJurisdiction = async (prisma, user, region) => {
+  if (NATIONWIDE_ROLES.includes(user.role)) return true;
+  const assigned = await getAssignedRegions(prisma, user.id);
+  if (assigned.length === 0) return false;
+  if (coversNation(user, assigned)) return true;
+
+  const assignedIds = new Set(assigned.map((r) => r.id));
+  if (assignedIds.has(region.id)) return true;
+  const ancestors = await getRegionAncestors(prisma, region);
+  return ancestors.some((r) => assignedIds.has(r.id));
+};
+
+// Ids of every region the user may act on, or null when unrestricted
+export const getJurisdictionRegionIds = async (prisma, user) => {
+  if (NATIONWIDE_ROLES.includes(user.role)) return null;
+  const assigned = await getAssignedRegions(prisma, user.id);
+  if (coversNation(user, assigned)) return null;
+
+  const ids = new Set();
+  for (const region of assigned) {
+    ids.add(region.id);
+    for (const descendant of await getDescendantRegions(prisma, region.id)) {
+      ids.add(descendant.id);
+    }
+  }
+  return [...ids];
+};
+
+// The user's assigned regions, for clients that need to pick one
+export const getUserJurisdictions = async (prisma, user) => {
+  const assigned = await getAssignedRegions(prisma, user.id);
+  return assigned.map((r) => ({
+    id: r.id,
+    code: r.code,
+    name: r.name,
+    type: r.type,
+  }));
+};
@@ -31,6 +31,17 @@ export const initializeKafka = () => {
   return kafka;
 };
 
+// Create a consumer in its own group; every group receives every message
+export const createConsumer = (groupId) => {
+  return kafka.consumer({
+    groupId,
+    retry: {
+      initialRetryTime: 100,
+      retries: 8,
+    },
+  });
+};
+
 // Connect producer
 export const connectProducer = async () => {
   try {
@@ -0,0 +1,9 @@
+import { EventEmitter } from "events";
+
+// In-process relay of the payloads websocket rooms receive, keyed by room
+// name, so other transports (Server-Sent Events) can deliver them too.
+// Listeners receive (event, payload).
+export const liveEvents = new EventEmitter();
+liveEvents.setMaxListeners(0);
+
+export default liveEvents;
@@ -0,0 +1,168 @@
+import os from "os";
+import logger from "../utils/logger.js";
+import { getRegionAncestors } from "../utils/regions.js";
+import { createConsumer, sendVoteUpdate } from "./kafka.js";
+import { refreshRegionResults } from "./results.js";
+import { recordRollup } from "./resultStream.js";
+
+const VOTE_UPDATE_DEBOUNCE_MS =
+  parseInt(process.env.VOTE_UPDATE_DEBOUNCE_MS) || 1000;
+
+// Rollups are recomputed at most once per window per position, off the
+// request path, however many submissions arrive in that window
+const ROLLUP_REFRESH_DELAY_MS =
+  parseInt(process.env.RESULTS_ROLLUP_DEBOUNCE_MS) || 1000;
+const pendingRefreshes = new Map();
+
+// Refresh the rollups touched by a batch of vote changes and append their
+// stream deltas, then send each update so every node broadcasts the new
+// totals
+const flushRefresh = async (prisma, realtime, position) => {
+  const entry = pendingRefreshes.get(position);
+  if (!entry) return;
+  clearTimeout(entry.timer);
+  pendingRefreshes.delete(position);
+
+  try {
+    const rollups = await refreshRegionResults(prisma, position, [
+      ...entry.regionCodes,
+    ]);
+    for (const rollup of rollups) {
+      await recordRollup(rollup);
+    }
+
+    for (const update of entry.updates) {
+      const sent = await sendVoteUpdate(update);
+      if (!sent && realtime) {
+        // Kafka unavailable: at least reach clients connected to this node
+        for (const code of update.regionCodes) {
+          realtime.broadcastVoteUpdate(position, code, update);
+        }
+      }
+    }
+  } catch (error) {
+    logger.error("Error flushing vote updates:", error);
+  }
+};
+
+// Publish a vote change for a region to the vote-updates topic. The message
+// lists every room code it affects: the region, its ancestors and the nation.
+// It is sent once the affected rollups have been refreshed, within
+// RESULTS_ROLLUP_DEBOUNCE_MS.
+export const publishVoteUpdate = async (
+  prisma,
+  realtime,
+  { position, region, source, updateType = "vote", correction }
+) => {
+  try {
+    const ancestors = await getRegionAncestors(prisma, region);
+    const national = await prisma.region.findMany({
+      where: { type: "NATIONAL" },
+      select: { code: true },
+    });
+    const regionCodes = [
+      ...new Set([
+        region.code,
+        ...ancestors.map((r) => r.code),
+        ...national.map((r) => r.code),
+      ]),
+    ];
+    const update = {
+      position,
+      regionCode: region.code,
+      regionCodes,
+      source,
+      updateType,
+      ...(correction && { correction }),
+    };
+
+    let entry = pendingRefreshes.get(position);
+    if (!entry) {
+      entry = { regionCodes: new Set(), updates: [] };
+      entry.timer = setTimeout(
+        () => flushRefresh(prisma, realtime, position),
+        ROLLUP_REFRESH_DELAY_MS
+      );
+      entry.timer.unref?.();
+      pendingRefreshes.set(position, entry);
+    }
+    for (const code of regionCodes) entry.regionCodes.add(code);
+    entry.updates.push(update);
+  } catch (error) {
+    logger.error("Error publishing vote update:", error);
+  }
+};
+
+// Refresh and send everything still waiting, e.g. before shutdown
+export const flushVoteUpdates = async (prisma, realtime) => {
+  for (const position of [...pendingRefreshes.keys()]) {
+    await flushRefresh(prisma, realtime, position);
+  }
+};
+
+// This node's fan-out consumer group. KAFKA_FANOUT_GROUP_ID only sets the
+// prefix: a group shared by several nodes would split the updates between
+// them. The rest must be unique to the replica and survive restarts, so a
+// restarted node rejoins its group instead of leaving a new one behind each
+// time; it is WS_NODE_ID when set, otherwise the host name.
+export const fanoutGroupId = () => {
+  const prefix = process.env.KAFKA_FANOUT_GROUP_ID || "kenya-votes-fanout";
+  return `${prefix}-${process.env.WS_NODE_ID || os.hostname()}`;
+};
+
+// Consume vote-updates on this node and broadcast them to its Socket.IO rooms.
+// Each node uses its own consumer group so every node sees every update.
+export const startVoteUpdateFanout = async (
+  realtime,
+  { debounceMs = VOTE_UPDATE_DEBOUNCE_MS } = {}
+) => {
+  const pending = new Map();
+
+  // Broadcast at most once per window per room, carrying the latest update,
+  // so a burst of submissions cannot delay a room indefinitely
+  const schedule = (position, regionCode, update) => {
+    const room = `updates:${position}:${regionCode}`;
+    const entry = pending.get(room);
+    if (entry) {
+      entry.update = update;
+      return;
+    }
+    pending.set(room, {
+      update,
+      timer: setTimeout(() => {
+        const { update: latest } = pending.get(room);
+        pending.delete(room);
+        realtime.broadcastVoteUpdate(position, regionCode, latest, {
+          local: true,
+        });
+      }, debounceMs),
+    });
+  };
+
+  const groupId = fanoutGroupId();
+  const consumer = createConsumer(groupId);
+  await consumer.connect();
+  await consumer.subscribe({ topic: "vote-updates", fromBeginning: false });
+  await consumer.run({
+    eachMessage: async ({ message }) => {
+      try {
+        const { data } = JSON.parse(message.value.toString());
+        if (!data?.position || !data?.regionCode) return;
+        for (const code of data.regionCodes || [data.regionCode]) {
+          schedule(data.position, code, data);
+        }
+      } catch (error) {
+        logger.error("Error processing vote update message:", error);
+      }
+    },
+  });
+  logger.info(`Vote update fan-out started (consumer group ${groupId})`);
+
+  return {
+    stop: async () => {
+      for (const { timer } of pending.values()) clearTimeout(timer);
+      pending.clear();
+      await consumer.disconnect();
+    },
+  };
+};
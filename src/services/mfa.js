@@ -0,0 +1,192 @@
+import crypto from "crypto";
+import redis from "./redis.js";
+import logger from "../utils/logger.js";
+import {
+  buildOtpauthUri,
+  generateTotpSecret,
+  verifyTotp,
+} from "../utils/totp.js";
+
+// Roles that must complete a second factor before sensitive actions
+export const MFA_REQUIRED_ROLES = (
+  process.env.MFA_REQUIRED_ROLES ?? "IEBC_COMMISSIONER,RETURNING_OFFICER"
+)
+  .split(",")
+  .map((role) => role.trim())
+  .filter(Boolean);
+
+const MFA_ISSUER = process.env.MFA_ISSUER || "Kenya Votes Live";
+const ENROLMENT_TTL = 10 * 60;
+const CHALLENGE_TTL = 5 * 60;
+const MAX_CHALLENGE_ATTEMPTS = 5;
+const RECOVERY_CODE_COUNT = 10;
+
+const enrolmentKey = (userId) => `mfa_enrol:${userId}`;
+const challengeKey = (token) => `mfa_challenge:${token}`;
+const challengeAttemptsKey = (token) => `mfa_challenge:${token}:attempts`;
+const usedCodeKey = (userId, counter) => `mfa_used:${userId}:${counter}`;
+
+const hashRecoveryCode = (code) =>
+  crypto
+    .createHash("sha256")
+    .update(code.replace(/-/g, "").toLowerCase())
+    .digest("hex");
+
+export const isMfaRequired = (role) => MFA_REQUIRED_ROLES.includes(role);
+
+// Recovery codes are shown once; only their hashes are stored
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString("hex");
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+// Accept a TOTP code at most once, so a code seen over a shoulder or in
+// transit cannot be replayed within its validity window
+const acceptTotp = async (userId, secret, code) => {
+  const counter = verifyTotp(secret, code);
+  if (counter === null) return false;
+  if (!redis) return true;
+  const fresh = await redis.set(
+    usedCodeKey(userId, counter),
+    "1",
+    "EX",
+    120,
+    "NX"
+  );
+  return !!fresh;
+};
+
+// Generate a secret for the user to scan. It is held in Redis until the
+// user proves their authenticator produces matching codes.
+export const beginEnrolment = async (user) => {
+  if (!redis) return null;
+  const secret = generateTotpSecret();
+  await redis.set(enrolmentKey(user.id), secret, "EX", ENROLMENT_TTL);
+  return {
+    secret,
+    otpauthUrl: buildOtpauthUri({
+      secret,
+      account: user.email,
+      issuer: MFA_ISSUER,
+    }),
+    expiresIn: ENROLMENT_TTL,
+  };
+};
+
+// Enable MFA once the pending secret verifies. Returns the plaintext
+// recovery codes, or null if there is no pending secret or the code is wrong.
+export const confirmEnrolment = async (prisma, user, code) => {
+  if (!redis) return null;
+  const secret = await redis.get(enrolmentKey(user.id));
+  if (!secret || !(await acceptTotp(user.id, secret, code))) return null;
+
+  const { codes, hashes } = generateRecoveryCodes();
+  await prisma.user.update({
+    where: { id: user.id },
+    data: {
+      mfaEnabled: true,
+      mfaSecret: secret,
+      mfaRecoveryCodes: hashes,
+      mfaEnrolledAt: new Date(),
+    },
+  });
+  await redis.del(enrolmentKey(user.id));
+  return codes;
+};
+
+// Check a second factor for an enrolled user. A recovery code is spent on
+// use. Resolves to "totp", "recovery" or null.
+export const verifySecondFactor = async (
+  prisma,
+  user,
+  { code, recoveryCode }
+) => {
+  if (!user.mfaEnabled || !user.mfaSecret) return null;
+  if (code) {
+    return (await acceptTotp(user.id, user.mfaSecret, code)) ? "totp" : null;
+  }
+  if (recoveryCode) {
+    const hash = hashRecoveryCode(recoveryCode);
+    // Claim the code only if it is still unused
+    const claimed = await prisma.user.updateMany({
+      where: { id: user.id, mfaRecoveryCodes: { has: hash } },
+      data: {
+        mfaRecoveryCodes: user.mfaRecoveryCodes.filter((h) => h !== hash),
+      },
+    });
+    return claimed.count > 0 ? "recovery" : null;
+  }
+  return null;
+};
+
+export const regenerateRecoveryCodes = async (prisma, user) => {
+  const { codes, hashes } = generateRecoveryCodes();
+  await prisma.user.update({
+    where: { id: user.id },
+    data: { mfaRecoveryCodes: hashes },
+  });
+  return codes;
+};
+
+export const disableMfa = async (prisma, user) => {
+  await prisma.user.update({
+    where: { id: user.id },
+    data: {
+      mfaEnabled: false,
+      mfaSecret: null,
+      mfaRecoveryCodes: [],
+      mfaEnrolledAt: null,
+    },
+  });
+};
+
+// Park a password-verified login until the second factor arrives
+export const createMfaChallenge = async (userId) => {
+  if (!redis) return null;
+  const token = crypto.randomBytes(32).toString("base64url");
+  await redis.set(
+    challengeKey(token),
+    JSON.stringify({ userId }),
+    "EX",
+    CHALLENGE_TTL
+  );
+  return { mfaToken: token, expiresIn: CHALLENGE_TTL };
+};
+
+export const getMfaChallenge = async (token) => {
+  if (!redis || typeof token !== "string") return null;
+  try {
+    const stored = await redis.get(challengeKey(token));
+    return stored ? JSON.parse(stored) : null;
+  } catch (error) {
+    logger.error("Error reading MFA challenge:", error);
+    return null;
+  }
+};
+
+// Count a wrong code against the challenge, discarding it at the limit.
+// Resolves to { attempts, usable }.
+export const failMfaChallenge = async (token) => {
+  const attempts = await redis.incr(challengeAttemptsKey(token));
+  if (attempts === 1) {
+    await redis.expire(challengeAttemptsKey(token), CHALLENGE_TTL);
+  }
+  const usable = attempts < MAX_CHALLENGE_ATTEMPTS;
+  if (!usable) {
+    await redis.del(challengeKey(token));
+  }
+  return { attempts, usable };
+};
+
+// Delete the challenge, returning false if another request already used it
+export const consumeMfaChallenge = async (token) => {
+  const [[, deleted]] = await redis
+    .multi()
+    .del(challengeKey(token))
+    .del(challengeAttemptsKey(token))
+    .exec();
+  return deleted > 0;
+};
@@ -0,0 +1,207 @@
+import redis, { cacheDelete, cacheGet, cacheSet } from "./redis.js";
+import logger from "../utils/logger.js";
+
+// Every permission a route can require. Each role's routes have their own
+// permissions, so the default grants keep the old one-role-per-router
+// boundaries; share a permission across roles only by editing the registry.
+export const PERMISSIONS = {
+  "results:view": "View results and request bulk exports",
+  "results:aggregate": "View the national presidential aggregate (Form 34C)",
+  "results:submit": "Submit polling station results (Form 34A)",
+  "tallies:view": "View Form 34A submissions and Form 34B tallies",
+  "results:authorize": "Authorize constituency tallies (Form 34B)",
+  "certification:declare": "Declare and certify final results",
+  "corrections:view": "View vote corrections",
+  "corrections:propose": "Propose corrections to vote counts",
+  "corrections:review": "Approve or reject proposed corrections",
+  "disputes:view": "View result disputes",
+  "disputes:file": "File result disputes",
+  "disputes:manage": "Assign, resolve and attach evidence to disputes",
+  "incidents:escalate": "Escalate incidents in a jurisdiction as disputes",
+  "anomalies:review": "Review results flagged as statistically implausible",
+  "jurisdictions:manage": "Assign officers to regions",
+  "incidents:log": "Log polling station incidents",
+  "stations:supervise": "Monitor polling stations and issue instructions",
+  "station:operate": "Run polling station operations and counting",
+  "voters:verify": "Verify and assist voters",
+  "ballots:issue": "Issue ballots",
+  "voters:assist": "Verify and assist voters under supervision",
+  "ballots:distribute": "Hand out ballot papers under supervision",
+  "ballots:count": "Assist with ballot counting",
+  "queue:manage": "Update polling station queue status",
+  "incidents:flag": "Log minor polling station incidents",
+  "oversight:manage": "Manage electoral rules, voter education and observers",
+  "compliance:view": "View compliance and high-level audit summaries",
+  "audit:view": "View audit logs and trails",
+  "users:manage": "Create, update and deactivate user accounts",
+  "system:monitor": "View system health, metrics, logs and alerts",
+  "system:configure": "Change system, alerting and integration settings",
+  "backups:manage": "Create and manage backups",
+  "permissions:manage": "Edit the permissions granted to each role",
+};
+
+// Grants used until an administrator edits the registry
+export const DEFAULT_ROLE_PERMISSIONS = {
+  IEBC_COMMISSIONER: [
+    "results:view",
+    "results:aggregate",
+    "certification:declare",
+    "corrections:view",
+    "corrections:propose",
+    "corrections:review",
+    "disputes:view",
+    "disputes:file",
+    "disputes:manage",
+    "anomalies:review",
+    "jurisdictions:manage",
+    "oversight:manage",
+    "compliance:view",
+  ],
+  RETURNING_OFFICER: [
+    "results:view",
+    "tallies:view",
+    "results:authorize",
+    "corrections:view",
+    "corrections:propose",
+    "corrections:review",
+    "incidents:escalate",
+    "stations:supervise",
+  ],
+  PRESIDING_OFFICER: [
+    "results:submit",
+    "corrections:view",
+    "corrections:propose",
+    "incidents:log",
+    "station:operate",
+    "voters:verify",
+    "ballots:issue",
+  ],
+  ELECTION_CLERK: [
+    "voters:assist",
+    "ballots:distribute",
+    "ballots:count",
+    "queue:manage",
+    "incidents:flag",
+  ],
+  SYSTEM_ADMINISTRATOR: [
+    "users:manage",
+    "system:monitor",
+    "system:configure",
+    "backups:manage",
+    "permissions:manage",
+    "audit:view",
+  ],
+  PUBLIC: [],
+};
+
+export const ROLES = Object.keys(DEFAULT_ROLE_PERMISSIONS);
+
+// Grants an edit may not remove, so administrators cannot lock themselves out
+const PROTECTED_GRANTS = { SYSTEM_ADMINISTRATOR: ["permissions:manage"] };
+
+const CACHE_KEY = "permissions:roles";
+const CACHE_TTL = 300;
+
+// Role -> permissions, read from the database and shared through Redis.
+// Edits clear the cached copy so every node picks them up on its next read.
+export const getRolePermissionMap = async (prisma) => {
+  if (redis) {
+    const cached = await cacheGet(CACHE_KEY);
+    if (cached) return cached;
+  }
+
+  const rows = await prisma.rolePermission.findMany();
+  let map;
+  if (rows.length === 0) {
+    map = DEFAULT_ROLE_PERMISSIONS;
+  } else {
+    map = Object.fromEntries(ROLES.map((role) => [role, []]));
+    for (const row of rows) {
+      map[row.role] = [...(map[row.role] || []), row.permission];
+    }
+  }
+
+  if (redis) await cacheSet(CACHE_KEY, map, CACHE_TTL);
+  return map;
+};
+
+export const getRolePermissions = async (prisma, role) =>
+  (await getRolePermissionMap(prisma))[role] || [];
+
+const toRows = (role, permissions, grantedBy = null) =>
+  permissions.map((permission) => ({ role, permission, grantedBy }));
+
+// Write the defaults to the database if no grants are stored yet
+export const seedDefaultPermissions = async (prisma) => {
+  if ((await prisma.rolePermission.count()) > 0) return false;
+  await prisma.rolePermission.createMany({
+    data: Object.entries(DEFAULT_ROLE_PERMISSIONS).flatMap(([role, perms]) =>
+      toRows(role, perms)
+    ),
+    skipDuplicates: true,
+  });
+  logger.info("Seeded default role permissions");
+  return true;
+};
+
+// Replace the permissions granted to a role. Throws with status 400 for
+// unknown permissions or the removal of a protected grant.
+export const setRolePermissions = async (
+  prisma,
+  role,
+  permissions,
+  grantedBy
+) => {
+  const unique = [...new Set(permissions)];
+  const unknown = unique.filter((p) => !PERMISSIONS[p]);
+  if (unknown.length > 0) {
+    const err = new Error(`Unknown permissions: ${unknown.join(", ")}`);
+    err.status = 400;
+    throw err;
+  }
+  const removed = (PROTECTED_GRANTS[role] || []).filter(
+    (p) => !unique.includes(p)
+  );
+  if (removed.length > 0) {
+    const err = new Error(`${role} must keep: ${removed.join(", ")}`);
+    err.status = 400;
+    throw err;
+  }
+
+  await prisma.$transaction(async (tx) => {
+    // Store the defaults first so the other roles keep their grants
+    if ((await tx.rolePermission.count()) === 0) {
+      await tx.rolePermission.createMany({
+        data: Object.entries(DEFAULT_ROLE_PERMISSIONS).flatMap(([r, perms]) =>
+          toRows(r, perms)
+        ),
+      });
+    }
+    await tx.rolePermission.deleteMany({ where: { role } });
+    await tx.rolePermission.createMany({
+      data: toRows(role, unique, grantedBy),
+    });
+  });
+  if (redis) await cacheDelete(CACHE_KEY);
+  return unique;
+};
+
+// Method, full path and required permissions for every route on the given
+// routers (keyed by mount path), read from requirePermission middleware
+export const listRoutePermissions = (mounts) => {
+  const routes = [];
+  for (const [basePath, router] of Object.entries(mounts)) {
+    for (const layer of router.stack) {
+      if (!layer.route) continue;
+      const permissions = layer.route.stack.flatMap(
+        (l) => l.handle.permissions || []
+      );
+      const path =
+        layer.route.path === "/" ? basePath : `${basePath}${layer.route.path}`;
+      for (const method of Object.keys(layer.route.methods)) {
+        routes.push({ method: method.toUpperCase(), path, permissions });
+      }
+    }
+  }
+  return routes;
+};
@@ -325,6 +325,67 @@ export const rateLimit = async (key, limit, window) => {
   }
 };
 
+// Sliding-window rate limiting: each request is a sorted-set entry scored by
+// its time, so the limit applies to any `window` seconds rather than to fixed
+// buckets. Rejected requests are not counted. `reset` is when the oldest
+// counted request leaves the window (Unix seconds).
+export const slidingWindowRateLimit = async (key, limit, window) => {
+  const now = Date.now();
+  const member = `${now}:${Math.random().toString(36).slice(2)}`;
+  try {
+    const results = await redis
+      .multi()
+      .zremrangebyscore(key, 0, now - window * 1000)
+      .zadd(key, now, member)
+      .zcard(key)
+      .zrange(key, 0, 0, "WITHSCORES")
+      .pexpire(key, window * 1000)
+      .exec();
+    const current = results[2][1];
+    const oldest = parseInt(results[3][1][1]) || now;
+    const allowed = current <= limit;
+    if (!allowed) {
+      await redis.zrem(key, member);
+    }
+    return {
+      allowed,
+      limit,
+      remaining: Math.max(0, limit - current),
+      reset: Math.ceil((oldest + window * 1000) / 1000),
+    };
+  } catch (error) {
+    logger.error("Redis sliding window rate limit error:", error);
+    return {
+      allowed: true,
+      limit,
+      remaining: limit,
+      reset: Math.ceil(now / 1000) + window,
+    };
+  }
+};
+
+// Current state of a sliding window without counting a request
+export const slidingWindowStatus = async (key, limit, window) => {
+  const now = Date.now();
+  try {
+    await redis.zremrangebyscore(key, 0, now - window * 1000);
+    const [current, oldest] = await Promise.all([
+      redis.zcard(key),
+      redis.zrange(key, 0, 0, "WITHSCORES"),
+    ]);
+    const start = parseInt(oldest[1]) || now;
+    return {
+      used: current,
+      limit,
+      remaining: Math.max(0, limit - current),
+      reset: Math.ceil((start + window * 1000) / 1000),
+    };
+  } catch (error) {
+    logger.error("Redis sliding window status error:", error);
+    return null;
+  }
+};
+
 // Session management
 export const setSession = async (sessionId, data, ttl = 3600) => {
   try {
@@ -0,0 +1,155 @@
+import redis from "./redis.js";
+import logger from "../utils/logger.js";
+import { getRegionResults } from "./results.js";
+import { setBounded } from "../utils/boundedMap.js";
+
+// Deltas kept per room; a client further behind than this gets a snapshot
+const STREAM_BACKLOG = parseInt(process.env.RESULTS_STREAM_BACKLOG) || 200;
+const STREAM_TTL = 24 * 60 * 60;
+const MAX_RETRIES = 5;
+const LOCK_MS = 5000;
+
+// Delete the lock only if this writer still holds it
+const RELEASE_LOCK = `
+if redis.call("get", KEYS[1]) == ARGV[1] then
+  return redis.call("del", KEYS[1])
+end
+return 0
+`;
+
+// Single-node fallback when Redis is not configured. Only the most recently
+// updated rooms are kept; an evicted room restarts from a fresh snapshot.
+const MEMORY_STREAM_ROOMS = 1000;
+const memoryStreams = new Map();
+
+const snapshotKey = (room) => `stream:${room}:snapshot`;
+const deltasKey = (room) => `stream:${room}:deltas`;
+const lockKey = (room) => `stream:${room}:lock`;
+
+export const streamRoom = (position, regionCode) =>
+  `updates:${position}:${regionCode}`;
+
+const toSnapshot = (seq, rollup) => ({
+  seq,
+  position: rollup.position,
+  regionCode: rollup.regionCode,
+  totalVotes: rollup.totalVotes,
+  results: rollup.results.map((r) => ({
+    candidateId: r.candidateId,
+    name: r.name,
+    party: r.party,
+    voteCount: r.voteCount,
+    percentage: r.percentage,
+  })),
+  updatedAt: rollup.computedAt,
+});
+
+// Candidates whose vote count differs from the previous snapshot. Clients
+// recompute percentages from voteCount and the delta's totalVotes.
+const diffResults = (previous, rollup) => {
+  const before = Object.fromEntries(
+    (previous?.results || []).map((r) => [r.candidateId, r.voteCount])
+  );
+  return rollup.results
+    .filter((r) => before[r.candidateId] !== r.voteCount)
+    .map((r) => ({
+      candidateId: r.candidateId,
+      name: r.name,
+      party: r.party,
+      voteCount: r.voteCount,
+    }));
+};
+
+// Append a delta for a fresh rollup, returning it (or null if nothing changed)
+export const recordRollup = async (rollup) => {
+  const room = streamRoom(rollup.position, rollup.regionCode);
+
+  if (!redis) {
+    const stream = memoryStreams.get(room) || { snapshot: null, deltas: [] };
+    const changes = diffResults(stream.snapshot, rollup);
+    if (stream.snapshot && changes.length === 0) return null;
+    const seq = (stream.snapshot?.seq || 0) + 1;
+    const delta = { seq, totalVotes: rollup.totalVotes, changes };
+    stream.deltas = [...stream.deltas, delta].slice(-STREAM_BACKLOG);
+    stream.snapshot = toSnapshot(seq, rollup);
+    setBounded(memoryStreams, room, stream, MEMORY_STREAM_ROOMS);
+    return delta;
+  }
+
+  // Serialize writers across nodes with a short per-room lock
+  const token = `${process.pid}-${Date.now()}-${Math.random()}`;
+  for (let attempt = 0; attempt < MAX_RETRIES; attempt++) {
+    const acquired = await redis.set(lockKey(room), token, "PX", LOCK_MS, "NX");
+    if (!acquired) {
+      await new Promise((resolve) => setTimeout(resolve, 50 * (attempt + 1)));
+      continue;
+    }
+    try {
+      const stored = await redis.get(snapshotKey(room));
+      const previous = stored ? JSON.parse(stored) : null;
+      const changes = diffResults(previous, rollup);
+      if (previous && changes.length === 0) return null;
+
+      const seq = (previous?.seq || 0) + 1;
+      const delta = { seq, totalVotes: rollup.totalVotes, changes };
+      await redis
+        .multi()
+        .set(
+          snapshotKey(room),
+          JSON.stringify(toSnapshot(seq, rollup)),
+          "EX",
+          STREAM_TTL
+        )
+        .rpush(deltasKey(room), JSON.stringify(delta))
+        .ltrim(deltasKey(room), -STREAM_BACKLOG, -1)
+        .expire(deltasKey(room), STREAM_TTL)
+        .exec();
+      return delta;
+    } catch (error) {
+      logger.error(`Error recording results delta for ${room}:`, error);
+      return null;
+    } finally {
+      await redis.eval(RELEASE_LOCK, 1, lockKey(room), token);
+    }
+  }
+  logger.warn(`Timed out waiting to record results delta for ${room}`);
+  return null;
+};
+
+const readSnapshot = async (room) => {
+  if (!redis) return memoryStreams.get(room)?.snapshot || null;
+  const stored = await redis.get(snapshotKey(room));
+  return stored ? JSON.parse(stored) : null;
+};
+
+// Latest snapshot for a room, seeding the stream from the rollup if needed.
+// Returns null if the region does not exist.
+export const getRoomSnapshot = async (prisma, position, regionCode) => {
+  const room = streamRoom(position, regionCode);
+  const snapshot = await readSnapshot(room);
+  if (snapshot) return snapshot;
+
+  const rollup = await getRegionResults(prisma, position, regionCode);
+  if (!rollup) return null;
+  await recordRollup(rollup);
+  return (await readSnapshot(room)) || toSnapshot(0, rollup);
+};
+
+// Deltas after lastSeq, or null when the backlog cannot bring a client at
+// lastSeq up to date (too far behind, or ahead of a reset stream)
+export const getDeltasSince = async (position, regionCode, lastSeq) => {
+  const room = streamRoom(position, regionCode);
+  let deltas;
+  if (!redis) {
+    deltas = memoryStreams.get(room)?.deltas || [];
+  } else {
+    const stored = await redis.lrange(deltasKey(room), 0, -1);
+    deltas = stored.map((d) => JSON.parse(d));
+  }
+
+  const latest = deltas.length > 0 ? deltas[deltas.length - 1].seq : 0;
+  if (lastSeq > latest) return null;
+  const missed = deltas.filter((d) => d.seq > lastSeq);
+  if (missed.length > 0 && missed[0].seq !== lastSeq + 1) return null;
+  return missed;
+};
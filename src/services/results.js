@@ -0,0 +1,109 @@
+import redis, { cacheGet, cacheSet } from "./redis.js";
+import logger from "../utils/logger.js";
+import { getCoveredRegionIds } from "../utils/regions.js";
+
+// Rollups are refreshed shortly after every vote change (see liveUpdates.js);
+// the TTL only bounds staleness if a refresh is ever missed
+const ROLLUP_TTL = parseInt(process.env.RESULTS_ROLLUP_TTL) || 300;
+
+const rollupKey = (position, regionCode) =>
+  `results:rollup:${position}:${regionCode}`;
+
+// Sum votes per candidate for a region and every region beneath it
+export const computeRegionResults = async (prisma, position, region) => {
+  try {
+    const where = { position, candidate: { isActive: true } };
+    const regionIds = await getCoveredRegionIds(prisma, region);
+    if (regionIds) where.regionId = { in: regionIds };
+
+    const groups = await prisma.vote.groupBy({
+      by: ["candidateId"],
+      where,
+      _sum: { voteCount: true },
+    });
+    const candidates = await prisma.candidate.findMany({
+      where: { id: { in: groups.map((g) => g.candidateId) } },
+    });
+    const candidateById = Object.fromEntries(candidates.map((c) => [c.id, c]));
+
+    const totalVotes = groups.reduce(
+      (sum, g) => sum + (g._sum.voteCount || 0),
+      0
+    );
+    const results = groups
+      .map((g) => {
+        const candidate = candidateById[g.candidateId];
+        const voteCount = g._sum.voteCount || 0;
+        return {
+          candidateId: g.candidateId,
+          name: candidate?.name || "",
+          party: candidate?.party || "",
+          photoUrl: candidate?.photoUrl || null,
+          bio: candidate?.bio || null,
+          voteCount,
+          percentage:
+            totalVotes > 0
+              ? ((voteCount / totalVotes) * 100).toFixed(2)
+              : "0.00",
+        };
+      })
+      .sort((a, b) => b.voteCount - a.voteCount);
+
+    return {
+      position,
+      regionCode: region.code,
+      regionName: region.name,
+      regionType: region.type,
+      registeredVoters: region.registeredVoters,
+      totalVotes,
+      results,
+      computedAt: new Date().toISOString(),
+    };
+  } catch (error) {
+    logger.error("Error computing region results:", error);
+    throw error;
+  }
+};
+
+// Current results for a region, served from the Redis rollup when present.
+// Returns null if the region does not exist.
+export const getRegionResults = async (prisma, position, regionCode) => {
+  if (redis) {
+    const cached = await cacheGet(rollupKey(position, regionCode));
+    if (cached) return cached;
+  }
+
+  const region = await prisma.region.findUnique({
+    where: { code: regionCode },
+  });
+  if (!region) return null;
+
+  const results = await computeRegionResults(prisma, position, region);
+  if (redis) {
+    await cacheSet(rollupKey(position, regionCode), results, ROLLUP_TTL);
+  }
+  return results;
+};
+
+// Recompute the rollups touched by a batch of vote changes so readers never
+// recount. Returns the fresh rollups so callers can derive stream deltas from
+// them.
+export const refreshRegionResults = async (prisma, position, regionCodes) => {
+  try {
+    const regions = await prisma.region.findMany({
+      where: { code: { in: regionCodes } },
+    });
+    const rollups = [];
+    for (const region of regions) {
+      const results = await computeRegionResults(prisma, position, region);
+      if (redis) {
+        await cacheSet(rollupKey(position, region.code), results, ROLLUP_TTL);
+      }
+      rollups.push(results);
+    }
+    return rollups;
+  } catch (error) {
+    logger.error("Error refreshing results rollups:", error);
+    return [];
+  }
+};
@@ -10,6 +10,7 @@ const {
 } = pkg;
 import { getSignedUrl } from "@aws-sdk/s3-request-presigner";
 import fs from "fs/promises";
+import { createReadStream } from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
 import logger from "../utils/logger.js";
@@ -46,6 +47,7 @@ const LOCAL_BUCKETS = {
   data: path.join(LOCAL_STORAGE_BASE, "data"),
   export: path.join(LOCAL_STORAGE_BASE, "exports"),
   archive: path.join(LOCAL_STORAGE_BASE, "archives"),
+  documents: path.join(LOCAL_STORAGE_BASE, "documents"),
 };
 
 // Ensure local directories exist
@@ -171,6 +173,25 @@ export const downloadFile = async (bucket, key) => {
   }
 };
 
+// Open a file as a readable stream, for objects too large to buffer
+export const openFileStream = async (bucket, key) => {
+  try {
+    if (isAwsConfigured()) {
+      const result = await s3Client.send(
+        new GetObjectCommand({ Bucket: bucket, Key: key })
+      );
+      return result.Body;
+    }
+    const bucketPath = LOCAL_BUCKETS[bucket] || LOCAL_BUCKETS.data;
+    const filePath = path.join(bucketPath, key);
+    await fs.access(filePath);
+    return createReadStream(filePath);
+  } catch (error) {
+    logger.error(`Failed to open file stream: ${error.message}`);
+    throw error;
+  }
+};
+
 // Delete file (works with both S3 and local storage)
 export const deleteFile = async (bucket, key) => {
   try {
@@ -289,8 +310,9 @@ export const generateDownloadUrl = async (bucket, key, expiresIn = 3600) => {
       logger.info(`Generated S3 download URL for: ${key}`);
       return url;
     } else {
-      // Local storage - return local path
-      const localPath = `/uploads/${bucket}/${key}`;
+      // Local storage - return the path served from /uploads
+      const bucketPath = LOCAL_BUCKETS[bucket] || LOCAL_BUCKETS.data;
+      const localPath = `/uploads/${path.basename(bucketPath)}/${key}`;
       logger.info(`Generated local download path for: ${key}`);
       return localPath;
     }
@@ -380,14 +402,25 @@ export const uploadRegionGeoJSON = async (regionCode, geojsonData) => {
   }
 };
 
+const EXPORT_CONTENT_TYPES = {
+  csv: "text/csv",
+  json: "application/json",
+  xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  parquet: "application/vnd.apache.parquet",
+};
+
+const exportKey = (exportId, format) => {
+  const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
+  return `exports/${timestamp}/${exportId}.${format}`;
+};
+
 // Upload export data
 export const uploadExportData = async (exportId, data, format = "csv") => {
   try {
-    const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
-    const key = `exports/${timestamp}/${exportId}.${format}`;
+    const key = exportKey(exportId, format);
     const bucket = "export";
 
-    const contentType = format === "csv" ? "text/csv" : "application/json";
+    const contentType = EXPORT_CONTENT_TYPES[format] || "application/json";
     const result = await uploadFile(bucket, key, data, contentType);
 
     logger.info(`Export data uploaded: ${key}`);
@@ -398,6 +431,50 @@ export const uploadExportData = async (exportId, data, format = "csv") => {
   }
 };
 
+// Upload an export written to a local file, streaming it rather than
+// reading it into memory
+export const uploadExportFile = async (exportId, filePath, format) => {
+  try {
+    const key = exportKey(exportId, format);
+    const bucket = "export";
+    const contentType = EXPORT_CONTENT_TYPES[format];
+
+    if (isAwsConfigured()) {
+      const { size } = await fs.stat(filePath);
+      await s3Client.send(
+        new PutObjectCommand({
+          Bucket: bucket,
+          Key: key,
+          Body: createReadStream(filePath),
+          ContentLength: size,
+          ContentType: contentType,
+          Metadata: {
+            uploadedAt: new Date().toISOString(),
+            uploadedBy: "kenya-votes-backend",
+          },
+        })
+      );
+      const location = `https://${bucket}.s3.${process.env.AWS_REGION || "us-east-1"}.amazonaws.com/${key}`;
+      logger.info(`Export file uploaded to S3: ${location}`);
+      return { location, key, bucket };
+    }
+
+    const target = path.join(LOCAL_BUCKETS[bucket], key);
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    await fs.copyFile(filePath, target);
+    logger.info(`Export file uploaded locally: ${target}`);
+    return {
+      location: `/uploads/${path.basename(LOCAL_BUCKETS[bucket])}/${key}`,
+      key,
+      bucket,
+      localPath: target,
+    };
+  } catch (error) {
+    logger.error(`Failed to upload export file: ${error.message}`);
+    throw error;
+  }
+};
+
 // Archive old data
 export const archiveData = async (data, archiveType, timestamp) => {
   try {
@@ -0,0 +1,218 @@
+import crypto from "crypto";
+import redis, { setSession, getSession, deleteSession } from "./redis.js";
+import logger from "../utils/logger.js";
+import { generateToken } from "../middleware/auth.js";
+
+// Access tokens are short-lived; refresh tokens carry the session
+const ACCESS_TOKEN_TTL = parseInt(process.env.ACCESS_TOKEN_TTL) || 15 * 60;
+const REFRESH_TOKEN_TTL =
+  parseInt(process.env.REFRESH_TOKEN_TTL) || 7 * 24 * 60 * 60;
+const MAX_LOGIN_ATTEMPTS = parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+const LOCKOUT_SECONDS = parseInt(process.env.LOGIN_LOCKOUT_SECONDS) || 15 * 60;
+
+const userSessionsKey = (userId) => `user_sessions:${userId}`;
+const usedRefreshKey = (hash) => `refresh_used:${hash}`;
+const loginFailuresKey = (email) => `login_failures:${email}`;
+
+const hashSecret = (secret) =>
+  crypto.createHash("sha256").update(secret).digest("hex");
+
+const issueTokens = (user, sessionId, secret) => ({
+  accessToken: generateToken(user, {
+    sessionId,
+    expiresIn: ACCESS_TOKEN_TTL,
+  }),
+  refreshToken: `${sessionId}.${secret}`,
+  tokenType: "Bearer",
+  expiresIn: ACCESS_TOKEN_TTL,
+});
+
+// Seconds left on a lockout, or 0 if the email may attempt a login
+export const getLockoutRemaining = async (email) => {
+  if (!redis) return 0;
+  try {
+    const key = loginFailuresKey(email);
+    const failures = parseInt(await redis.get(key)) || 0;
+    if (failures < MAX_LOGIN_ATTEMPTS) return 0;
+    return Math.max(1, await redis.ttl(key));
+  } catch (error) {
+    logger.error("Error reading login lockout:", error);
+    return 0;
+  }
+};
+
+// Count a failed login. The window restarts with the first failure, so an
+// email that reaches the limit stays locked until the counter expires.
+export const recordLoginFailure = async (email) => {
+  if (!redis) return { attempts: 0, locked: false };
+  try {
+    const key = loginFailuresKey(email);
+    const attempts = await redis.incr(key);
+    if (attempts === 1) {
+      await redis.expire(key, LOCKOUT_SECONDS);
+    }
+    return { attempts, locked: attempts >= MAX_LOGIN_ATTEMPTS };
+  } catch (error) {
+    logger.error("Error recording login failure:", error);
+    return { attempts: 0, locked: false };
+  }
+};
+
+export const clearLoginFailures = async (email) => {
+  if (!redis) return;
+  try {
+    await redis.del(loginFailuresKey(email));
+  } catch (error) {
+    logger.error("Error clearing login failures:", error);
+  }
+};
+
+// Start a session for a user and return its id with the first token pair,
+// or null if the session store is unavailable
+export const createSession = async (
+  user,
+  { ipAddress, userAgent, mfaVerified = false } = {}
+) => {
+  if (!redis) return null;
+  const sessionId = crypto.randomUUID();
+  const secret = crypto.randomBytes(32).toString("base64url");
+  const now = new Date().toISOString();
+
+  const stored = await setSession(
+    sessionId,
+    {
+      userId: user.id,
+      refreshHash: hashSecret(secret),
+      mfaVerified,
+      ipAddress: ipAddress || null,
+      userAgent: userAgent || null,
+      createdAt: now,
+      refreshedAt: now,
+    },
+    REFRESH_TOKEN_TTL
+  );
+  if (!stored) return null;
+
+  try {
+    await redis
+      .multi()
+      .sadd(userSessionsKey(user.id), sessionId)
+      .expire(userSessionsKey(user.id), REFRESH_TOKEN_TTL)
+      .exec();
+  } catch (error) {
+    logger.error("Error indexing user session:", error);
+  }
+  return { sessionId, tokens: issueTokens(user, sessionId, secret) };
+};
+
+// An access token's session if it is still live for the given user
+export const getActiveSession = async (sessionId, userId) => {
+  const session = await getSession(sessionId);
+  return session && session.userId === userId ? session : null;
+};
+
+// Record that the session's user has just proven their second factor
+export const markSessionMfaVerified = async (sessionId) => {
+  const session = await getSession(sessionId);
+  if (!session) return false;
+  const ttl = await redis.ttl(`session:${sessionId}`);
+  return await setSession(
+    sessionId,
+    { ...session, mfaVerified: true },
+    ttl > 0 ? ttl : REFRESH_TOKEN_TTL
+  );
+};
+
+export const revokeSession = async (sessionId) => {
+  const session = await getSession(sessionId);
+  await deleteSession(sessionId);
+  if (session && redis) {
+    try {
+      await redis.srem(userSessionsKey(session.userId), sessionId);
+    } catch (error) {
+      logger.error("Error unindexing user session:", error);
+    }
+  }
+  return session;
+};
+
+// Revoke every session a user holds; returns how many were live
+export const revokeAllSessions = async (userId) => {
+  if (!redis) return 0;
+  const sessionIds = await redis.smembers(userSessionsKey(userId));
+  let revoked = 0;
+  for (const sessionId of sessionIds) {
+    if (await getSession(sessionId)) revoked++;
+    await deleteSession(sessionId);
+  }
+  await redis.del(userSessionsKey(userId));
+  return revoked;
+};
+
+// Exchange a refresh token for a new pair. Each refresh token works once:
+// presenting a spent one means it leaked, so the whole session is revoked.
+// Resolves to { status: "ok", session, user, tokens } | { status: "invalid" }
+// | { status: "reused", session }.
+export const rotateSession = async (refreshToken, loadUser) => {
+  if (!redis || typeof refreshToken !== "string") return { status: "invalid" };
+  const [sessionId, secret] = refreshToken.split(".");
+  if (!sessionId || !secret) return { status: "invalid" };
+
+  const session = await getSession(sessionId);
+  if (!session) return { status: "invalid" };
+
+  const hash = hashSecret(secret);
+  // Marking the token spent is atomic, so concurrent refreshes with the
+  // same token cannot both succeed
+  const claimed =
+    hash === session.refreshHash &&
+    (await redis.set(
+      usedRefreshKey(hash),
+      sessionId,
+      "EX",
+      REFRESH_TOKEN_TTL,
+      "NX"
+    ));
+  if (!claimed) {
+    if (await redis.exists(usedRefreshKey(hash))) {
+      await revokeSession(sessionId);
+      return { status: "reused", session };
+    }
+    return { status: "invalid" };
+  }
+
+  const user = await loadUser(session.userId);
+  if (!user || !user.isActive) {
+    await revokeSession(sessionId);
+    return { status: "invalid" };
+  }
+
+  // The index must outlive the session it lists, or logout-all would miss
+  // a session that keeps being refreshed
+  const nextSecret = crypto.randomBytes(32).toString("base64url");
+  try {
+    await redis
+      .multi()
+      .setex(
+        `session:${sessionId}`,
+        REFRESH_TOKEN_TTL,
+        JSON.stringify({
+          ...session,
+          refreshHash: hashSecret(nextSecret),
+          refreshedAt: new Date().toISOString(),
+        })
+      )
+      .sadd(userSessionsKey(session.userId), sessionId)
+      .expire(userSessionsKey(session.userId), REFRESH_TOKEN_TTL)
+      .exec();
+  } catch (error) {
+    logger.error("Error storing rotated session:", error);
+    return { status: "invalid" };
+  }
+  return {
+    status: "ok",
+    session,
+    user,
+    tokens: issueTokens(user, sessionId, nextSecret),
+  };
+};
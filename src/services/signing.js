@@ -0,0 +1,52 @@
+import crypto from "crypto";
+import logger from "../utils/logger.js";
+import { SIGNATURE_ALGORITHM, canonicalJson } from "../utils/signature.js";
+
+// RESULTS_SIGNING_KEY holds a PKCS#8 PEM Ed25519 private key, with newlines
+// optionally escaped as \n. It is required in production. Elsewhere a key is
+// generated per process, so signatures only verify against that process's
+// published public key.
+const loadSigningKey = () => {
+  const pem = process.env.RESULTS_SIGNING_KEY;
+  if (pem) {
+    return crypto.createPrivateKey(pem.replace(/\\n/g, "\n"));
+  }
+  if (process.env.NODE_ENV === "production") {
+    throw new Error("RESULTS_SIGNING_KEY must be set in production");
+  }
+  logger.warn(
+    "RESULTS_SIGNING_KEY not provided, signing results with a temporary key"
+  );
+  return crypto.generateKeyPairSync("ed25519").privateKey;
+};
+
+const privateKey = loadSigningKey();
+const publicKey = crypto.createPublicKey(privateKey);
+
+// Identifies the key in signatures so verifiers can pick the right one
+const keyId = crypto
+  .createHash("sha256")
+  .update(publicKey.export({ type: "spki", format: "der" }))
+  .digest("hex")
+  .slice(0, 16);
+
+export const signPayload = (payload) => ({
+  alg: SIGNATURE_ALGORITHM,
+  keyId,
+  value: crypto
+    .sign(null, Buffer.from(canonicalJson(payload)), privateKey)
+    .toString("base64"),
+});
+
+// The payload with a detached signature over the rest of its fields
+export const withSignature = (payload) => ({
+  ...payload,
+  signature: signPayload(payload),
+});
+
+export const getSigningPublicKey = () => ({
+  alg: SIGNATURE_ALGORITHM,
+  keyId,
+  publicKey: publicKey.export({ type: "spki", format: "pem" }),
+  jwk: publicKey.export({ format: "jwk" }),
+});
@@ -0,0 +1,144 @@
+import os from "os";
+import logger from "../utils/logger.js";
+
+// Nodes that miss heartbeats for this long drop out of the cluster view
+const NODE_TTL = parseInt(process.env.WS_NODE_TTL) || 60;
+
+const NODES_KEY = "ws:nodes";
+const ipsKey = (nodeId) => `ws:node:${nodeId}:ips`;
+const statsKey = (nodeId) => `ws:node:${nodeId}:stats`;
+
+// Connection bookkeeping shared by every websocket node through Redis.
+// Each node owns its own per-IP hash so a crashed node's counts expire with it.
+// Without Redis the same interface is served from process memory.
+export const createSocketCluster = (redis, { getLocalStats } = {}) => {
+  const nodeId = process.env.WS_NODE_ID || `${os.hostname()}-${process.pid}`;
+  const localCounts = new Map();
+  let heartbeat = null;
+
+  const liveNodes = async () => {
+    const since = Date.now() - NODE_TTL * 1000;
+    return await redis.zrangebyscore(NODES_KEY, since, "+inf");
+  };
+
+  const beat = async () => {
+    try {
+      await redis
+        .multi()
+        .zadd(NODES_KEY, Date.now(), nodeId)
+        .zremrangebyscore(NODES_KEY, 0, Date.now() - NODE_TTL * 1000)
+        .hset(
+          statsKey(nodeId),
+          "stats",
+          JSON.stringify({
+            ...(getLocalStats ? getLocalStats() : {}),
+            updatedAt: new Date().toISOString(),
+          })
+        )
+        .expire(statsKey(nodeId), NODE_TTL)
+        .expire(ipsKey(nodeId), NODE_TTL)
+        .exec();
+    } catch (error) {
+      logger.error("Websocket cluster heartbeat failed:", error);
+    }
+  };
+
+  if (redis) {
+    beat();
+    heartbeat = setInterval(beat, Math.max(1, NODE_TTL / 3) * 1000);
+    heartbeat.unref?.();
+  }
+
+  // Register a connection from an IP and return the cluster-wide count
+  const addConnection = async (ip) => {
+    localCounts.set(ip, (localCounts.get(ip) || 0) + 1);
+    if (!redis) return localCounts.get(ip);
+    try {
+      // This node's hash mirrors its in-memory counts
+      await redis.hset(ipsKey(nodeId), ip, localCounts.get(ip));
+      const nodes = await liveNodes();
+      const counts = await Promise.all(
+        nodes.map((node) => redis.hget(ipsKey(node), ip))
+      );
+      return counts.reduce((sum, count) => sum + (parseInt(count) || 0), 0);
+    } catch (error) {
+      logger.error("Failed to record websocket connection:", error);
+      return localCounts.get(ip);
+    }
+  };
+
+  const removeConnection = async (ip) => {
+    const count = (localCounts.get(ip) || 0) - 1;
+    if (count <= 0) {
+      localCounts.delete(ip);
+    } else {
+      localCounts.set(ip, count);
+    }
+    if (!redis) return;
+    try {
+      if (count <= 0) {
+        await redis.hdel(ipsKey(nodeId), ip);
+      } else {
+        await redis.hset(ipsKey(nodeId), ip, count);
+      }
+    } catch (error) {
+      logger.error("Failed to release websocket connection:", error);
+    }
+  };
+
+  // Merge every live node's published stats and per-IP counts
+  const getClusterStats = async () => {
+    const localStats = { nodeId, ...(getLocalStats ? getLocalStats() : {}) };
+    if (!redis) {
+      return {
+        ...localStats,
+        connectionsPerIP: Object.fromEntries(localCounts),
+        nodes: [localStats],
+      };
+    }
+
+    const nodes = [];
+    const connectionsPerIP = {};
+    for (const node of await liveNodes()) {
+      const [stats, ips] = await Promise.all([
+        redis.hget(statsKey(node), "stats"),
+        redis.hgetall(ipsKey(node)),
+      ]);
+      // Published stats lag by up to one heartbeat; this node's are current
+      nodes.push(
+        node === nodeId
+          ? localStats
+          : { nodeId: node, ...(stats ? JSON.parse(stats) : {}) }
+      );
+      for (const [ip, count] of Object.entries(ips || {})) {
+        connectionsPerIP[ip] = (connectionsPerIP[ip] || 0) + parseInt(count);
+      }
+    }
+    const sum = (field) =>
+      nodes.reduce((total, node) => total + (node[field] || 0), 0);
+
+    return {
+      totalConnections: sum("totalConnections"),
+      connectionsPerIP,
+      activeSubscriptions: sum("activeSubscriptions"),
+      rateLimitedClients: sum("rateLimitedClients"),
+      nodes,
+    };
+  };
+
+  const stop = async () => {
+    if (heartbeat) clearInterval(heartbeat);
+    if (!redis) return;
+    try {
+      await redis
+        .multi()
+        .zrem(NODES_KEY, nodeId)
+        .del(ipsKey(nodeId), statsKey(nodeId))
+        .exec();
+    } catch (error) {
+      logger.error("Failed to leave websocket cluster:", error);
+    }
+  };
+
+  return { nodeId, addConnection, removeConnection, getClusterStats, stop };
+};
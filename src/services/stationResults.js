@@ -0,0 +1,157 @@
+import { getStationFormScans } from "./formScans.js";
+import { getDescendantRegions } from "../utils/regions.js";
+import logger from "../utils/logger.js";
+
+const percentage = (part, whole) =>
+  whole > 0 ? ((part / whole) * 100).toFixed(2) : null;
+
+// Sort keys for the drill-down; unreported stations (no turnout) sort last
+const SORTS = {
+  code: (a, b) => a.code.localeCompare(b.code),
+  turnout: (a, b) => a.turnout - b.turnout,
+  reportedAt: (a, b) => a.reportedAt - b.reportedAt,
+};
+export const STATION_SORTS = Object.keys(SORTS);
+
+// Every polling station under a region with its own Form 34A result,
+// reporting time, anomaly flags and scanned form link. Filters and sorting
+// apply across all stations; only the requested page is expanded.
+export const listStationResults = async (
+  prisma,
+  region,
+  position,
+  {
+    reported,
+    flagged,
+    sort = "code",
+    order = "asc",
+    page = 1,
+    pageSize = 50,
+  } = {}
+) => {
+  try {
+    const descendants =
+      region.type === "POLLING_STATION"
+        ? []
+        : await getDescendantRegions(prisma, region.id);
+    const stations =
+      region.type === "POLLING_STATION"
+        ? [region]
+        : descendants.filter((r) => r.type === "POLLING_STATION");
+    const regionById = Object.fromEntries(
+      [region, ...descendants].map((r) => [r.id, r])
+    );
+    const stationIds = stations.map((s) => s.id);
+
+    const [submissions, anomalies] = await Promise.all([
+      prisma.resultSubmission.findMany({
+        where: { regionId: { in: stationIds }, position },
+      }),
+      // Dismissed flags were cleared on review
+      prisma.resultAnomaly.findMany({
+        where: {
+          regionId: { in: stationIds },
+          position,
+          status: { not: "DISMISSED" },
+        },
+        select: { regionId: true, type: true, severity: true, status: true },
+      }),
+    ]);
+    const submissionByStation = Object.fromEntries(
+      submissions.map((s) => [s.regionId, s])
+    );
+    const anomaliesByStation = {};
+    for (const anomaly of anomalies) {
+      const { regionId, ...flag } = anomaly;
+      if (!anomaliesByStation[regionId]) anomaliesByStation[regionId] = [];
+      anomaliesByStation[regionId].push(flag);
+    }
+
+    let rows = stations.map((station) => {
+      const submission = submissionByStation[station.id];
+      const cast = submission
+        ? submission.validVotes + submission.rejectedBallots
+        : null;
+      return {
+        station,
+        submission,
+        code: station.code,
+        turnout:
+          submission && station.registeredVoters > 0
+            ? cast / station.registeredVoters
+            : null,
+        reportedAt: submission?.submittedAt || null,
+        anomalies: anomaliesByStation[station.id] || [],
+        flagged: !!anomaliesByStation[station.id],
+      };
+    });
+
+    if (reported !== undefined) {
+      rows = rows.filter((r) => !!r.submission === reported);
+    }
+    if (flagged !== undefined) {
+      rows = rows.filter((r) => r.flagged === flagged);
+    }
+    const compare = SORTS[sort] || SORTS.code;
+    const direction = order === "desc" ? -1 : 1;
+    rows.sort((a, b) => {
+      if (sort !== "code") {
+        if (a[sort] === null && b[sort] === null) return SORTS.code(a, b);
+        if (a[sort] === null) return 1;
+        if (b[sort] === null) return -1;
+      }
+      return direction * compare(a, b) || SORTS.code(a, b);
+    });
+
+    const pageRows = rows.slice((page - 1) * pageSize, page * pageSize);
+    const pageIds = pageRows.map((r) => r.station.id);
+    const [votes, scans] = await Promise.all([
+      prisma.vote.findMany({
+        where: { regionId: { in: pageIds }, position },
+        include: { candidate: { select: { name: true, party: true } } },
+        orderBy: { voteCount: "desc" },
+      }),
+      getStationFormScans(prisma, position, pageIds),
+    ]);
+
+    return {
+      totalCount: rows.length,
+      totalStations: stations.length,
+      reportedStations: submissions.length,
+      stations: pageRows.map(
+        ({ station, submission, turnout, anomalies, flagged }) => {
+          const ward = regionById[station.parentId];
+          return {
+            code: station.code,
+            name: station.name,
+            wardCode: ward?.type === "WARD" ? ward.code : null,
+            wardName: ward?.type === "WARD" ? ward.name : null,
+            registeredVoters: station.registeredVoters,
+            reported: !!submission,
+            reportedAt: submission?.submittedAt || null,
+            validVotes: submission?.validVotes ?? null,
+            rejectedBallots: submission?.rejectedBallots ?? null,
+            spoiltBallots: submission?.spoiltBallots ?? null,
+            turnoutPercentage:
+              turnout === null ? null : (turnout * 100).toFixed(2),
+            results: votes
+              .filter((v) => v.regionId === station.id)
+              .map((v) => ({
+                candidateId: v.candidateId,
+                name: v.candidate.name,
+                party: v.candidate.party,
+                voteCount: v.voteCount,
+                percentage: percentage(v.voteCount, submission?.validVotes),
+              })),
+            flagged,
+            anomalies,
+            form34A: scans[station.id] || null,
+          };
+        }
+      ),
+    };
+  } catch (error) {
+    logger.error("Error listing station results:", error);
+    throw error;
+  }
+};
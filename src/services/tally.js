@@ -0,0 +1,259 @@
+import logger from "../utils/logger.js";
+import { generateRegionChecksum } from "../utils/checksum.js";
+import { getDescendantRegions } from "../utils/regions.js";
+
+const percentage = (part, whole) =>
+  whole > 0 ? ((part / whole) * 100).toFixed(2) : "0.00";
+
+// Compute the Form 34B aggregate for a constituency from its Form 34A submissions
+export const computeConstituencyTally = async (
+  prisma,
+  constituency,
+  position
+) => {
+  try {
+    const descendants = await getDescendantRegions(prisma, constituency.id);
+    const stations = descendants.filter((r) => r.type === "POLLING_STATION");
+    const regionById = Object.fromEntries(
+      [constituency, ...descendants].map((r) => [r.id, r])
+    );
+    const stationIds = stations.map((s) => s.id);
+
+    const submissions = await prisma.resultSubmission.findMany({
+      where: { regionId: { in: stationIds }, position },
+    });
+    const votes = await prisma.vote.findMany({
+      where: { regionId: { in: stationIds }, position },
+      include: { candidate: true },
+    });
+
+    const submissionByStation = Object.fromEntries(
+      submissions.map((s) => [s.regionId, s])
+    );
+    const votesByStation = {};
+    const candidateTotals = {};
+    for (const vote of votes) {
+      if (!votesByStation[vote.regionId]) votesByStation[vote.regionId] = [];
+      votesByStation[vote.regionId].push(vote);
+      if (!candidateTotals[vote.candidateId]) {
+        candidateTotals[vote.candidateId] = {
+          candidateId: vote.candidateId,
+          name: vote.candidate.name,
+          party: vote.candidate.party,
+          voteCount: 0,
+        };
+      }
+      candidateTotals[vote.candidateId].voteCount += vote.voteCount;
+    }
+
+    const stationRows = stations.map((station) => {
+      const submission = submissionByStation[station.id];
+      const ward = regionById[station.parentId];
+      return {
+        code: station.code,
+        name: station.name,
+        wardCode: ward?.type === "WARD" ? ward.code : null,
+        reported: !!submission,
+        submissionId: submission?.id || null,
+        submittedAt: submission?.submittedAt || null,
+        registeredVoters: station.registeredVoters,
+        validVotes: submission?.validVotes || 0,
+        rejectedBallots: submission?.rejectedBallots || 0,
+        spoiltBallots: submission?.spoiltBallots || 0,
+        results: (votesByStation[station.id] || []).map((v) => ({
+          candidateId: v.candidateId,
+          voteCount: v.voteCount,
+        })),
+      };
+    });
+
+    const reported = stationRows.filter((s) => s.reported);
+    const validVotes = reported.reduce((sum, s) => sum + s.validVotes, 0);
+    const rejectedBallots = reported.reduce(
+      (sum, s) => sum + s.rejectedBallots,
+      0
+    );
+    const registeredVoters =
+      constituency.registeredVoters ||
+      stations.reduce((sum, s) => sum + s.registeredVoters, 0);
+    const candidates = Object.values(candidateTotals)
+      .sort((a, b) => b.voteCount - a.voteCount)
+      .map((c) => ({ ...c, percentage: percentage(c.voteCount, validVotes) }));
+
+    return {
+      constituency: {
+        id: constituency.id,
+        code: constituency.code,
+        name: constituency.name,
+      },
+      position,
+      totalStations: stations.length,
+      reportedStations: reported.length,
+      missingStations: stationRows
+        .filter((s) => !s.reported)
+        .map((s) => ({ code: s.code, name: s.name, wardCode: s.wardCode })),
+      registeredVoters,
+      validVotes,
+      rejectedBallots,
+      spoiltBallots: reported.reduce((sum, s) => sum + s.spoiltBallots, 0),
+      turnoutPercentage: percentage(
+        validVotes + rejectedBallots,
+        registeredVoters
+      ),
+      candidates,
+      stations: stationRows,
+      checksum: generateRegionChecksum(
+        candidates.map((c) => ({
+          candidateId: c.candidateId,
+          voteCount: c.voteCount,
+        }))
+      ),
+      computedAt: new Date().toISOString(),
+    };
+  } catch (error) {
+    logger.error("Error computing constituency tally:", error);
+    throw error;
+  }
+};
+
+// Constitutional thresholds for a presidential declaration (Article 138(4))
+export const PRESIDENTIAL_MAJORITY = 0.5;
+export const COUNTY_SHARE_THRESHOLD = 0.25;
+export const COUNTY_SPREAD_REQUIRED = 24;
+
+// Roll authorized constituency tallies into county and national Form 34C totals
+export const computeNationalTally = async (prisma, position = "PRESIDENT") => {
+  try {
+    const certifications = await prisma.certification.findMany({
+      where: {
+        position,
+        status: { in: ["PENDING", "CERTIFIED"] },
+        region: { type: "CONSTITUENCY" },
+      },
+      include: { region: true },
+    });
+    const totalConstituencies = await prisma.region.count({
+      where: { type: "CONSTITUENCY", isActive: true },
+    });
+    const counties = await prisma.region.findMany({
+      where: { type: "COUNTY", isActive: true },
+    });
+    const countyById = Object.fromEntries(counties.map((c) => [c.id, c]));
+
+    const countyTotals = {};
+    const nationalTotals = {};
+    let validVotes = 0;
+    let rejectedBallots = 0;
+
+    for (const certification of certifications) {
+      const tally = await computeConstituencyTally(
+        prisma,
+        certification.region,
+        position
+      );
+      const county = countyById[certification.region.parentId];
+      const countyKey = county?.id || "UNASSIGNED";
+      if (!countyTotals[countyKey]) {
+        countyTotals[countyKey] = {
+          code: county?.code || null,
+          name: county?.name || "Unassigned",
+          constituencies: 0,
+          validVotes: 0,
+          candidates: {},
+        };
+      }
+      const countyTotal = countyTotals[countyKey];
+      countyTotal.constituencies += 1;
+      countyTotal.validVotes += tally.validVotes;
+      validVotes += tally.validVotes;
+      rejectedBallots += tally.rejectedBallots;
+
+      for (const candidate of tally.candidates) {
+        if (!nationalTotals[candidate.candidateId]) {
+          nationalTotals[candidate.candidateId] = {
+            candidateId: candidate.candidateId,
+            name: candidate.name,
+            party: candidate.party,
+            voteCount: 0,
+          };
+        }
+        nationalTotals[candidate.candidateId].voteCount += candidate.voteCount;
+        countyTotal.candidates[candidate.candidateId] =
+          (countyTotal.candidates[candidate.candidateId] || 0) +
+          candidate.voteCount;
+      }
+    }
+
+    const countyRows = Object.values(countyTotals).map((c) => ({
+      code: c.code,
+      name: c.name,
+      constituencies: c.constituencies,
+      validVotes: c.validVotes,
+      candidates: Object.entries(c.candidates)
+        .map(([candidateId, voteCount]) => ({
+          candidateId,
+          voteCount,
+          percentage: percentage(voteCount, c.validVotes),
+        }))
+        .sort((a, b) => b.voteCount - a.voteCount),
+    }));
+
+    const candidates = Object.values(nationalTotals)
+      .sort((a, b) => b.voteCount - a.voteCount)
+      .map((c) => {
+        const countiesAboveThreshold = countyRows.filter((county) => {
+          const share = county.candidates.find(
+            (x) => x.candidateId === c.candidateId
+          );
+          return (
+            county.validVotes > 0 &&
+            share &&
+            share.voteCount / county.validVotes >= COUNTY_SHARE_THRESHOLD
+          );
+        }).length;
+        return {
+          ...c,
+          percentage: percentage(c.voteCount, validVotes),
+          hasMajority: c.voteCount > validVotes * PRESIDENTIAL_MAJORITY,
+          countiesAboveThreshold,
+          meetsCountySpread: countiesAboveThreshold >= COUNTY_SPREAD_REQUIRED,
+        };
+      });
+
+    const leader = candidates[0] || null;
+    const allConstituenciesAuthorized =
+      totalConstituencies > 0 && certifications.length >= totalConstituencies;
+
+    return {
+      position,
+      totalConstituencies,
+      authorizedConstituencies: certifications.length,
+      allConstituenciesAuthorized,
+      validVotes,
+      rejectedBallots,
+      candidates,
+      counties: countyRows,
+      thresholds: {
+        majority: "50% + 1 of valid votes cast",
+        countySpread: `25% in at least ${COUNTY_SPREAD_REQUIRED} counties`,
+        leaderMeetsThresholds:
+          !!leader && leader.hasMajority && leader.meetsCountySpread,
+        runoffRequired:
+          allConstituenciesAuthorized &&
+          !!leader &&
+          !(leader.hasMajority && leader.meetsCountySpread),
+      },
+      leader,
+      checksum: generateRegionChecksum(
+        candidates.map((c) => ({
+          candidateId: c.candidateId,
+          voteCount: c.voteCount,
+        }))
+      ),
+      computedAt: new Date().toISOString(),
+    };
+  } catch (error) {
+    logger.error("Error computing national tally:", error);
+    throw error;
+  }
+};
@@ -0,0 +1,286 @@
+import crypto from "crypto";
+import redis, { listRange } from "./redis.js";
+import { createConsumer } from "./kafka.js";
+import { generateHMAC } from "../utils/checksum.js";
+import logger from "../utils/logger.js";
+
+// Event types partners can subscribe to, keyed by the topic carrying them
+const TOPIC_EVENTS = {
+  "vote-updates": "VOTE_UPDATE",
+  "election-status": "ELECTION_STATUS_UPDATE",
+  "certification-updates": "CERTIFICATION_UPDATE",
+};
+export const WEBHOOK_EVENTS = Object.values(TOPIC_EVENTS);
+
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 6;
+const RETRY_BASE_SECONDS = 30;
+const DELIVERY_TIMEOUT_MS = 10000;
+const RETRY_POLL_MS = 15000;
+// A PENDING delivery this old belongs to a node that died mid-attempt
+const STALE_PENDING_MS = 5 * 60 * 1000;
+const DEAD_LETTER_KEY = "webhooks:dead_letter";
+const DEAD_LETTER_MAX = 1000;
+
+export const generateWebhookSecret = () =>
+  crypto.randomBytes(32).toString("hex");
+
+// Listing shape for a subscription, without its signing secret
+export const serializeSubscription = ({ secret, ...subscription }) =>
+  subscription;
+
+const matchesSubscription = (subscription, data) => {
+  if (subscription.regionCodes.length === 0) return true;
+  const codes =
+    data?.regionCodes || (data?.regionCode ? [data.regionCode] : []);
+  return codes.some((code) => subscription.regionCodes.includes(code));
+};
+
+// Partners verify X-Webhook-Signature by computing the same HMAC over
+// "<timestamp>.<raw body>" with their secret
+export const signWebhookPayload = (body, secret, timestamp) =>
+  `sha256=${generateHMAC(`${timestamp}.${body}`, secret)}`;
+
+const pushDeadLetter = async (delivery, error) => {
+  if (!redis) return;
+  try {
+    await redis
+      .multi()
+      .lpush(
+        DEAD_LETTER_KEY,
+        JSON.stringify({
+          deliveryId: delivery.id,
+          subscriptionId: delivery.subscriptionId,
+          eventId: delivery.eventId,
+          eventType: delivery.eventType,
+          attempts: delivery.attempts,
+          lastError: error,
+          failedAt: new Date().toISOString(),
+        })
+      )
+      .ltrim(DEAD_LETTER_KEY, 0, DEAD_LETTER_MAX - 1)
+      .exec();
+  } catch (err) {
+    logger.error("Error recording webhook dead letter:", err);
+  }
+};
+
+// POST a delivery once and record the outcome. Failures are retried with
+// exponential backoff until MAX_ATTEMPTS, then dead-lettered.
+export const attemptDelivery = async (prisma, delivery, subscription) => {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  let responseStatus = null;
+  let error = null;
+
+  try {
+    const response = await fetch(subscription.url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "KenyaVotesLive-Webhooks/1.0",
+        "X-Webhook-Delivery": delivery.id,
+        "X-Webhook-Event": delivery.eventType,
+        "X-Webhook-Timestamp": timestamp,
+        "X-Webhook-Signature": signWebhookPayload(
+          body,
+          subscription.secret,
+          timestamp
+        ),
+      },
+      body,
+      signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS),
+    });
+    responseStatus = response.status;
+    if (!response.ok) error = `HTTP ${response.status}`;
+  } catch (err) {
+    error = err.message;
+  }
+
+  const attempts = delivery.attempts + 1;
+  if (!error) {
+    return await prisma.webhookDelivery.update({
+      where: { id: delivery.id },
+      data: {
+        status: "DELIVERED",
+        attempts,
+        responseStatus,
+        lastError: null,
+        nextAttemptAt: null,
+        deliveredAt: new Date(),
+      },
+    });
+  }
+
+  const dead = attempts >= MAX_ATTEMPTS;
+  const updated = await prisma.webhookDelivery.update({
+    where: { id: delivery.id },
+    data: {
+      status: dead ? "DEAD" : "FAILED",
+      attempts,
+      responseStatus,
+      lastError: error,
+      nextAttemptAt: dead
+        ? null
+        : new Date(
+            Date.now() + RETRY_BASE_SECONDS * 2 ** (attempts - 1) * 1000
+          ),
+    },
+  });
+  if (dead) {
+    logger.warn(`Webhook delivery ${delivery.id} dead-lettered: ${error}`);
+    await pushDeadLetter(updated, error);
+  }
+  return updated;
+};
+
+// Record and send an event to every active subscription that wants it
+export const dispatchWebhookEvent = async (prisma, event) => {
+  const subscriptions = await prisma.webhookSubscription.findMany({
+    where: { isActive: true, events: { has: event.type } },
+  });
+  const targets = subscriptions.filter((s) =>
+    matchesSubscription(s, event.data)
+  );
+
+  await Promise.allSettled(
+    targets.map(async (subscription) => {
+      const delivery = await prisma.webhookDelivery.create({
+        data: {
+          subscriptionId: subscription.id,
+          eventId: event.id,
+          eventType: event.type,
+          payload: event,
+        },
+      });
+      await attemptDelivery(prisma, delivery, subscription);
+    })
+  );
+  return targets.length;
+};
+
+// Resend failed deliveries whose backoff has elapsed. Each is claimed by
+// moving it to PENDING first, so only one node retries it.
+export const retryDueDeliveries = async (prisma, { limit = 50 } = {}) => {
+  const now = new Date();
+  const due = await prisma.webhookDelivery.findMany({
+    where: {
+      OR: [
+        { status: "FAILED", nextAttemptAt: { lte: now } },
+        {
+          status: "PENDING",
+          updatedAt: { lt: new Date(now.getTime() - STALE_PENDING_MS) },
+        },
+      ],
+    },
+    include: { subscription: true },
+    orderBy: { nextAttemptAt: "asc" },
+    take: limit,
+  });
+
+  let retried = 0;
+  for (const { subscription, ...delivery } of due) {
+    const claimed = await prisma.webhookDelivery.updateMany({
+      where: {
+        id: delivery.id,
+        status: delivery.status,
+        updatedAt: delivery.updatedAt,
+      },
+      data: { status: "PENDING" },
+    });
+    if (claimed.count === 0) continue;
+
+    if (!subscription.isActive) {
+      const dead = await prisma.webhookDelivery.update({
+        where: { id: delivery.id },
+        data: {
+          status: "DEAD",
+          lastError: "Subscription disabled",
+          nextAttemptAt: null,
+        },
+      });
+      await pushDeadLetter(dead, dead.lastError);
+      continue;
+    }
+    await attemptDelivery(prisma, delivery, subscription);
+    retried++;
+  }
+  return retried;
+};
+
+// Send a logged delivery again as a new delivery. Throws with status 404
+// for an unknown delivery and 409 when its subscription is disabled.
+export const replayDelivery = async (prisma, deliveryId) => {
+  const original = await prisma.webhookDelivery.findUnique({
+    where: { id: deliveryId },
+    include: { subscription: true },
+  });
+  if (!original) {
+    const err = new Error("Delivery not found");
+    err.status = 404;
+    throw err;
+  }
+  if (!original.subscription.isActive) {
+    const err = new Error("Subscription is disabled");
+    err.status = 409;
+    throw err;
+  }
+
+  const delivery = await prisma.webhookDelivery.create({
+    data: {
+      subscriptionId: original.subscriptionId,
+      eventId: original.eventId,
+      eventType: original.eventType,
+      payload: original.payload,
+      replayOf: original.id,
+    },
+  });
+  return await attemptDelivery(prisma, delivery, original.subscription);
+};
+
+export const listDeadLetters = async (limit = 100) => {
+  if (!redis) return [];
+  return await listRange(DEAD_LETTER_KEY, 0, limit - 1);
+};
+
+// Consume the event topics and deliver to subscribers. Nodes share one
+// consumer group, so each event is delivered once across the cluster.
+export const startWebhookDispatcher = async (prisma) => {
+  const groupId = process.env.KAFKA_WEBHOOK_GROUP_ID || "kenya-votes-webhooks";
+  const consumer = createConsumer(groupId);
+  await consumer.connect();
+  for (const topic of Object.keys(TOPIC_EVENTS)) {
+    await consumer.subscribe({ topic, fromBeginning: false });
+  }
+  await consumer.run({
+    eachMessage: async ({ topic, message }) => {
+      try {
+        const event = JSON.parse(message.value.toString());
+        if (event.type !== TOPIC_EVENTS[topic]) return;
+        await dispatchWebhookEvent(prisma, event);
+      } catch (error) {
+        logger.error(`Error dispatching webhook event from ${topic}:`, error);
+      }
+    },
+  });
+
+  let retrying = false;
+  const retryTimer = setInterval(async () => {
+    if (retrying) return;
+    retrying = true;
+    try {
+      await retryDueDeliveries(prisma);
+    } catch (error) {
+      logger.error("Error retrying webhook deliveries:", error);
+    } finally {
+      retrying = false;
+    }
+  }, RETRY_POLL_MS);
+  logger.info(`Webhook dispatcher started (consumer group ${groupId})`);
+
+  return {
+    stop: async () => {
+      clearInterval(retryTimer);
+      await consumer.disconnect();
+    },
+  };
+};
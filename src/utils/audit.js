@@ -2,6 +2,11 @@ import pkg from "@prisma/client";
 const { PrismaClient } = pkg;
 import logger from "./logger.js";
 import { generateAuditChecksum } from "./checksum.js";
+import {
+  AUDIT_CHAIN_LOCK_ID,
+  archiveAuditLogsBefore,
+  getChainHead,
+} from "../services/auditChain.js";
 
 const prisma = new PrismaClient();
 
@@ -39,6 +44,7 @@ export const AUDIT_ACTIONS = {
   RESULTS_CERTIFY: "RESULTS_CERTIFY",
   RESULTS_DISPUTE: "RESULTS_DISPUTE",
   RESULTS_UNCERTIFY: "RESULTS_UNCERTIFY",
+  RESULTS_ANOMALY_REVIEW: "RESULTS_ANOMALY_REVIEW",
 
   // Data management
   DATA_EXPORT: "DATA_EXPORT",
@@ -56,20 +62,32 @@ export const AUDIT_ACTIONS = {
   SECURITY_ACCESS_DENIED: "SECURITY_ACCESS_DENIED",
   SECURITY_RATE_LIMIT_EXCEEDED: "SECURITY_RATE_LIMIT_EXCEEDED",
   SECURITY_SUSPICIOUS_ACTIVITY: "SECURITY_SUSPICIOUS_ACTIVITY",
+  SECURITY_MFA_ENROLLED: "SECURITY_MFA_ENROLLED",
+  SECURITY_MFA_DISABLED: "SECURITY_MFA_DISABLED",
+  SECURITY_MFA_FAILED: "SECURITY_MFA_FAILED",
+  SECURITY_MFA_RECOVERY_USED: "SECURITY_MFA_RECOVERY_USED",
 
   // API usage
   API_KEY_CREATE: "API_KEY_CREATE",
   API_KEY_UPDATE: "API_KEY_UPDATE",
   API_KEY_DELETE: "API_KEY_DELETE",
+  API_KEY_ROTATE: "API_KEY_ROTATE",
   API_KEY_USAGE: "API_KEY_USAGE",
 
+  // Webhooks
+  WEBHOOK_CREATE: "WEBHOOK_CREATE",
+  WEBHOOK_UPDATE: "WEBHOOK_UPDATE",
+  WEBHOOK_DELETE: "WEBHOOK_DELETE",
+  WEBHOOK_REPLAY: "WEBHOOK_REPLAY",
+
   // Feedback management
   FEEDBACK_CREATE: "FEEDBACK_CREATE",
   FEEDBACK_UPDATE: "FEEDBACK_UPDATE",
   FEEDBACK_RESOLVE: "FEEDBACK_RESOLVE",
 };
 
-// Create audit log entry
+// Create audit log entry. Entries form a hash chain: each stores the hash
+// of the one before it, so editing or deleting a row breaks every later link.
 export const auditLog = async (
   userId,
   action,
@@ -79,31 +97,40 @@ export const auditLog = async (
   level = AUDIT_LEVELS.INFO
 ) => {
   try {
-    const auditData = {
-      userId,
-      action,
-      resource,
-      resourceId,
-      details,
-      ipAddress: details.ipAddress || null,
-      userAgent: details.userAgent || null,
-      timestamp: new Date(),
-    };
-
-    // Generate checksum for audit data integrity
-    const checksum = generateAuditChecksum(auditData);
-
-    // Store in database
-    const auditEntry = await prisma.auditLog.create({
-      data: {
+    const timestamp = new Date();
+
+    // Store in database, appending to the chain under a lock so concurrent
+    // writers cannot both link to the same head
+    const auditEntry = await prisma.$transaction(async (tx) => {
+      await tx.$executeRaw`SELECT pg_advisory_xact_lock(${AUDIT_CHAIN_LOCK_ID})`;
+      const head = await getChainHead(tx);
+      const hash = generateAuditChecksum({
         userId,
         action,
         resource,
         resourceId,
+        timestamp,
         details,
         ipAddress: details.ipAddress,
         userAgent: details.userAgent,
-      },
+        previousHash: head.hash,
+      });
+
+      return await tx.auditLog.create({
+        data: {
+          userId,
+          action,
+          resource,
+          resourceId,
+          details,
+          ipAddress: details.ipAddress,
+          userAgent: details.userAgent,
+          timestamp,
+          sequence: head.sequence + 1,
+          previousHash: head.hash,
+          hash,
+        },
+      });
     });
 
     // Log to Winston logger
@@ -113,7 +140,8 @@ export const auditLog = async (
       action,
       resource,
       resourceId,
-      checksum,
+      sequence: auditEntry.sequence,
+      checksum: auditEntry.hash,
       level,
       timestamp: auditEntry.timestamp,
     });
@@ -400,25 +428,19 @@ export const exportAuditLogs = async (filters = {}, format = "json") => {
   }
 };
 
-// Clean old audit logs
+// Archive old audit logs to S3, then prune them
 export const cleanAuditLogs = async (daysToKeep = 90) => {
   try {
     const cutoffDate = new Date();
     cutoffDate.setDate(cutoffDate.getDate() - daysToKeep);
 
-    const deletedCount = await prisma.auditLog.deleteMany({
-      where: {
-        timestamp: {
-          lt: cutoffDate,
-        },
-      },
-    });
+    const prunedCount = await archiveAuditLogsBefore(prisma, cutoffDate);
 
     logger.info(
-      `Cleaned ${deletedCount.count} old audit logs older than ${daysToKeep} days`
+      `Archived and pruned ${prunedCount} audit logs older than ${daysToKeep} days`
     );
 
-    return deletedCount.count;
+    return prunedCount;
   } catch (error) {
     logger.error("Failed to clean audit logs:", error);
     throw error;
@@ -0,0 +1,10 @@
+// Set a key on a Map used as an LRU cache: the key moves to the newest
+// position, and the least recently set keys are dropped beyond `limit`
+export const setBounded = (map, key, value, limit) => {
+  map.delete(key);
+  map.set(key, value);
+  while (map.size > limit) {
+    map.delete(map.keys().next().value);
+  }
+  return map;
+};
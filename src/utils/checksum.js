@@ -1,4 +1,5 @@
 import crypto from 'crypto';
+import { canonicalJson } from './signature.js';
 
 // Generate checksum for data integrity
 export const generateChecksum = (data) => {
@@ -67,10 +68,16 @@ export const verifyHMAC = (data, hmac, secret = process.env.HMAC_SECRET) => {
   }
 };
 
-// Generate checksum for audit trail
+// Generate checksum for audit trail. Entries are hash-chained: the checksum
+// covers the previous entry's hash and every stored column, so editing,
+// removing or reordering an entry breaks every link after it. The client
+// address and agent are hashed as JSON since either may contain colons.
 export const generateAuditChecksum = (auditData) => {
-  const { userId, action, resource, resourceId, timestamp } = auditData;
-  const dataString = `${userId}:${action}:${resource}:${resourceId}:${timestamp}`;
+  const { userId, action, resource, resourceId, timestamp, details, ipAddress, userAgent, previousHash } = auditData;
+  const time = timestamp instanceof Date ? timestamp.toISOString() : timestamp;
+  const detailsHash = crypto.createHash('sha256').update(canonicalJson(details ?? null)).digest('hex');
+  const clientHash = crypto.createHash('sha256').update(canonicalJson([ipAddress ?? null, userAgent ?? null])).digest('hex');
+  const dataString = `${previousHash ?? ''}:${userId}:${action}:${resource}:${resourceId}:${time}:${detailsHash}:${clientHash}`;
   return crypto.createHash('sha256').update(dataString).digest('hex');
 };
 
@@ -102,6 +109,15 @@ export const generateFileChecksum = (fileBuffer) => {
   return crypto.createHash('sha256').update(fileBuffer).digest('hex');
 };
 
+// Generate checksum for a readable stream, without buffering it
+export const generateStreamChecksum = async (stream) => {
+  const hash = crypto.createHash('sha256');
+  for await (const chunk of stream) {
+    hash.update(chunk);
+  }
+  return hash.digest('hex');
+};
+
 // Generate checksum for database record
 export const generateRecordChecksum = (record) => {
   const { id, ...data } = record;
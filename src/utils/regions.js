@@ -0,0 +1,55 @@
+// Region hierarchy helpers (NATIONAL > COUNTY > CONSTITUENCY > WARD > POLLING_STATION)
+
+// Walk up the parentId chain and return every ancestor (nearest first)
+export const getRegionAncestors = async (prisma, region) => {
+  const ancestors = [];
+  const visited = new Set([region.id]);
+  let parentId = region.parentId;
+
+  while (parentId && !visited.has(parentId)) {
+    const parent = await prisma.region.findUnique({
+      where: { id: parentId },
+    });
+    if (!parent) break;
+    ancestors.push(parent);
+    visited.add(parent.id);
+    parentId = parent.parentId;
+  }
+
+  return ancestors;
+};
+
+// Breadth-first walk down the hierarchy, optionally filtered by region type
+export const getDescendantRegions = async (prisma, regionId, type = null) => {
+  const descendants = [];
+  const visited = new Set([regionId]);
+  let frontier = [regionId];
+
+  while (frontier.length > 0) {
+    const children = await prisma.region.findMany({
+      where: { parentId: { in: frontier }, isActive: true },
+    });
+    frontier = [];
+    for (const child of children) {
+      if (visited.has(child.id)) continue;
+      visited.add(child.id);
+      frontier.push(child.id);
+      if (!type || child.type === type) descendants.push(child);
+    }
+  }
+
+  return descendants;
+};
+
+// Counties are not linked to the national region through parentId, so a
+// NATIONAL region's subtree is empty. Anything scoped to it must instead
+// cover every region; use these rather than walking down from it.
+export const coversEveryRegion = (region) => region.type === "NATIONAL";
+
+// Ids of the region and every region beneath it, or null when it covers
+// every region and no filter applies
+export const getCoveredRegionIds = async (prisma, region) => {
+  if (coversEveryRegion(region)) return null;
+  const descendants = await getDescendantRegions(prisma, region.id);
+  return [region.id, ...descendants.map((r) => r.id)];
+};
@@ -0,0 +1,44 @@
+// Detached Ed25519 signatures over results payloads. This module only needs
+// Node's crypto so that anyone republishing results can copy it and check
+// that the numbers came from the API unchanged:
+//
+//   const { publicKey } = await (await fetch(".../api/results/public-key")).json();
+//   verifySignedPayload(await (await fetch(".../api/results/...")).json(), publicKey);
+import crypto from "crypto";
+
+export const SIGNATURE_ALGORITHM = "Ed25519";
+
+// JSON with object keys sorted at every level and no whitespace. The value
+// is serialized once first, so dates and other toJSON values are signed in
+// the form clients receive.
+export const canonicalJson = (value) => {
+  const sortKeys = (node) => {
+    if (Array.isArray(node)) return node.map(sortKeys);
+    if (node && typeof node === "object") {
+      return Object.fromEntries(
+        Object.keys(node)
+          .sort()
+          .map((key) => [key, sortKeys(node[key])])
+      );
+    }
+    return node;
+  };
+  return JSON.stringify(sortKeys(JSON.parse(JSON.stringify(value))));
+};
+
+// Check a payload carrying { signature: { alg, keyId, value } } against a
+// PEM public key. The signature covers every field except `signature`.
+export const verifySignedPayload = (payload, publicKeyPem) => {
+  const { signature, ...signed } = payload || {};
+  if (!signature || signature.alg !== SIGNATURE_ALGORITHM) return false;
+  try {
+    return crypto.verify(
+      null,
+      Buffer.from(canonicalJson(signed)),
+      crypto.createPublicKey(publicKeyPem),
+      Buffer.from(signature.value, "base64")
+    );
+  } catch {
+    return false;
+  }
+};
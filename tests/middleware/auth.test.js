@@ -2,7 +2,12 @@ import request from "supertest";
 import express from "express";
 import jwt from "jsonwebtoken";
 import authenticateToken from "../../src/middleware/auth.js";
-import { requireRole, requirePermission } from "../../src/middleware/auth.js";
+import {
+  requireRole,
+  requireMfa,
+  requirePermission,
+  enforceApiKeyQuota,
+} from "../../src/middleware/auth.js";
 
 // Create test app
 const app = express();
@@ -44,6 +49,66 @@ app.get(
   (req, res) => res.json({ message: "system admin" })
 );
 
+// Stand-in for authenticateToken so the MFA guard can be tested on its own
+const withUser = (user) => (req, res, next) => {
+  req.user = user;
+  next();
+};
+app.get(
+  "/mfa/commissioner",
+  withUser({ id: "commissioner-1", role: "IEBC_COMMISSIONER" }),
+  requireMfa(["IEBC_COMMISSIONER"]),
+  (req, res) => res.json({ message: "mfa" })
+);
+app.get(
+  "/mfa/verified-commissioner",
+  withUser({
+    id: "commissioner-1",
+    role: "IEBC_COMMISSIONER",
+    mfaEnabled: true,
+    mfaVerified: true,
+  }),
+  requireMfa(["IEBC_COMMISSIONER"]),
+  (req, res) => res.json({ message: "mfa" })
+);
+app.get(
+  "/mfa/clerk",
+  withUser({ id: "clerk-1", role: "ELECTION_CLERK" }),
+  requireMfa(["IEBC_COMMISSIONER"]),
+  (req, res) => res.json({ message: "mfa" })
+);
+
+app.get(
+  "/permission/authorize",
+  withUser({ id: "returning-1", role: "RETURNING_OFFICER" }),
+  requirePermission("results:authorize"),
+  (req, res) => res.json({ message: "authorized" })
+);
+app.get(
+  "/permission/clerk-authorize",
+  withUser({ id: "clerk-1", role: "ELECTION_CLERK" }),
+  requirePermission("results:authorize"),
+  (req, res) => res.json({ message: "authorized" })
+);
+app.get(
+  "/permission/anonymous",
+  requirePermission("results:view"),
+  (req, res) => res.json({ message: "viewed" })
+);
+
+// Quotas are counted in Redis, so they are only enforced when it is set
+const itWithRedis = process.env.REDIS_URL ? it : it.skip;
+const quotaKeyId = `quota-test-${Date.now()}`;
+app.get(
+  "/quota",
+  (req, res, next) => {
+    req.apiKey = { id: quotaKeyId, rateLimit: 2, permissions: [] };
+    next();
+  },
+  enforceApiKeyQuota,
+  (req, res) => res.json({ message: "metered" })
+);
+
 describe("Authentication Middleware", () => {
   const secret = process.env.JWT_SECRET || "test-secret";
 
@@ -304,4 +369,60 @@ describe("Authentication Middleware", () => {
       }
     });
   });
+
+  describe("requireMfa", () => {
+    it("should block a required role without a verified second factor", async () => {
+      const response = await request(app).get("/mfa/commissioner").expect(403);
+
+      expect(response.body.error).toBe("MFA required");
+    });
+
+    it("should allow a required role once MFA is verified", async () => {
+      await request(app).get("/mfa/verified-commissioner").expect(200);
+    });
+
+    it("should not apply to other roles", async () => {
+      await request(app).get("/mfa/clerk").expect(200);
+    });
+  });
+
+  describe("requirePermission", () => {
+    it("should allow a role granted the permission", async () => {
+      await request(app).get("/permission/authorize").expect(200);
+    });
+
+    it("should name the missing permission when denied", async () => {
+      const response = await request(app)
+        .get("/permission/clerk-authorize")
+        .expect(403);
+
+      expect(response.body.message).toBe(
+        "Permission required: results:authorize"
+      );
+    });
+
+    it("should require authentication", async () => {
+      await request(app).get("/permission/anonymous").expect(401);
+    });
+  });
+
+  describe("enforceApiKeyQuota", () => {
+    itWithRedis(
+      "should report the quota and refuse once it is used up",
+      async () => {
+        const first = await request(app).get("/quota").expect(200);
+        expect(first.headers["x-ratelimit-limit"]).toBe("2");
+        expect(first.headers["x-ratelimit-remaining"]).toBe("1");
+        expect(Number(first.headers["x-ratelimit-reset"])).toBeGreaterThan(
+          Date.now() / 1000
+        );
+
+        await request(app).get("/quota").expect(200);
+
+        const refused = await request(app).get("/quota").expect(429);
+        expect(refused.headers["x-ratelimit-remaining"]).toBe("0");
+        expect(Number(refused.headers["retry-after"])).toBeGreaterThan(0);
+      }
+    );
+  });
 });
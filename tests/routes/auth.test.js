@@ -0,0 +1,294 @@
+import request from "supertest";
+import express from "express";
+import bcrypt from "bcrypt";
+import authRoutes from "../../src/routes/authRoutes.js";
+import redis from "../../src/services/redis.js";
+import { generateTotp, totpCounter } from "../../src/utils/totp.js";
+
+const app = express();
+app.use(express.json());
+app.use("/api/auth", authRoutes);
+
+// Sessions live in Redis, so the full login flow only runs when it is set
+const itWithRedis = process.env.REDIS_URL ? it : it.skip;
+
+describe("Auth Routes", () => {
+  const email = "officer-test@example.com";
+  const password = "correct-horse-battery";
+
+  beforeEach(async () => {
+    await global.prisma.user.create({
+      data: {
+        email,
+        name: "Test Returning Officer",
+        role: "RETURNING_OFFICER",
+        password: await bcrypt.hash(password, 10),
+        isActive: true,
+      },
+    });
+  });
+
+  afterEach(async () => {
+    await global.testUtils.cleanupTestData();
+  });
+
+  describe("POST /api/auth/login", () => {
+    it("should reject an invalid email", async () => {
+      await request(app)
+        .post("/api/auth/login")
+        .send({ email: "not-an-email", password })
+        .expect(400);
+    });
+
+    it("should reject a wrong password", async () => {
+      const response = await request(app)
+        .post("/api/auth/login")
+        .send({ email, password: "wrong-password" })
+        .expect(401);
+
+      expect(response.body.error).toBe("Invalid credentials");
+    });
+
+    it("should reject an unknown email with the same response", async () => {
+      const response = await request(app)
+        .post("/api/auth/login")
+        .send({ email: "nobody-test@example.com", password })
+        .expect(401);
+
+      expect(response.body.error).toBe("Invalid credentials");
+    });
+
+    itWithRedis("should lock the email after repeated failures", async () => {
+      for (let i = 0; i < 5; i++) {
+        await request(app)
+          .post("/api/auth/login")
+          .send({ email, password: "wrong-password" })
+          .expect(401);
+      }
+
+      const response = await request(app)
+        .post("/api/auth/login")
+        .send({ email, password })
+        .expect(423);
+
+      expect(response.headers["retry-after"]).toBeDefined();
+    });
+
+    itWithRedis("should issue an access and refresh token", async () => {
+      const response = await request(app)
+        .post("/api/auth/login")
+        .send({ email, password })
+        .expect(200);
+
+      expect(response.body.accessToken).toBeDefined();
+      expect(response.body.refreshToken).toBeDefined();
+      expect(response.body.user.role).toBe("RETURNING_OFFICER");
+    });
+  });
+
+  describe("POST /api/auth/refresh", () => {
+    it("should reject an unknown refresh token", async () => {
+      await request(app)
+        .post("/api/auth/refresh")
+        .send({ refreshToken: "unknown.token" })
+        .expect(401);
+    });
+
+    itWithRedis("should rotate and revoke on reuse", async () => {
+      const login = await request(app)
+        .post("/api/auth/login")
+        .send({ email, password })
+        .expect(200);
+
+      const rotated = await request(app)
+        .post("/api/auth/refresh")
+        .send({ refreshToken: login.body.refreshToken })
+        .expect(200);
+      expect(rotated.body.refreshToken).not.toBe(login.body.refreshToken);
+
+      // Replaying the spent token revokes the session
+      await request(app)
+        .post("/api/auth/refresh")
+        .send({ refreshToken: login.body.refreshToken })
+        .expect(401);
+      await request(app)
+        .post("/api/auth/refresh")
+        .send({ refreshToken: rotated.body.refreshToken })
+        .expect(401);
+    });
+  });
+
+  describe("POST /api/auth/logout", () => {
+    it("should require authentication", async () => {
+      await request(app).post("/api/auth/logout").expect(401);
+    });
+
+    itWithRedis("should revoke the session's tokens", async () => {
+      const login = await request(app)
+        .post("/api/auth/login")
+        .send({ email, password })
+        .expect(200);
+      const auth = `Bearer ${login.body.accessToken}`;
+
+      await request(app)
+        .post("/api/auth/logout")
+        .set("Authorization", auth)
+        .expect(200);
+
+      const response = await request(app)
+        .post("/api/auth/logout")
+        .set("Authorization", auth)
+        .expect(401);
+      expect(response.body.message).toBe("Session revoked");
+      await request(app)
+        .post("/api/auth/refresh")
+        .send({ refreshToken: login.body.refreshToken })
+        .expect(401);
+    });
+  });
+
+  describe("POST /api/auth/logout-all", () => {
+    itWithRedis("should revoke every session", async () => {
+      const first = await request(app)
+        .post("/api/auth/login")
+        .send({ email, password })
+        .expect(200);
+      const second = await request(app)
+        .post("/api/auth/login")
+        .send({ email, password })
+        .expect(200);
+
+      const response = await request(app)
+        .post("/api/auth/logout-all")
+        .set("Authorization", `Bearer ${first.body.accessToken}`)
+        .expect(200);
+      expect(response.body.revoked).toBe(2);
+
+      await request(app)
+        .post("/api/auth/refresh")
+        .send({ refreshToken: second.body.refreshToken })
+        .expect(401);
+    });
+
+    itWithRedis(
+      "should revoke a session refreshed after its index expired",
+      async () => {
+        const login = await request(app)
+          .post("/api/auth/login")
+          .send({ email, password })
+          .expect(200);
+        const user = await global.prisma.user.findUnique({ where: { email } });
+        await redis.del(`user_sessions:${user.id}`);
+
+        const rotated = await request(app)
+          .post("/api/auth/refresh")
+          .send({ refreshToken: login.body.refreshToken })
+          .expect(200);
+        expect(await redis.ttl(`user_sessions:${user.id}`)).toBeGreaterThan(0);
+
+        const response = await request(app)
+          .post("/api/auth/logout-all")
+          .set("Authorization", `Bearer ${rotated.body.accessToken}`)
+          .expect(200);
+        expect(response.body.revoked).toBe(1);
+
+        await request(app)
+          .post("/api/auth/refresh")
+          .send({ refreshToken: rotated.body.refreshToken })
+          .expect(401);
+      }
+    );
+  });
+
+  describe("MFA", () => {
+    const login = async () =>
+      await request(app)
+        .post("/api/auth/login")
+        .send({ email, password })
+        .expect(200);
+
+    // Enrol the officer and return their secret and recovery codes
+    const enrol = async () => {
+      const session = await login();
+      const auth = `Bearer ${session.body.accessToken}`;
+      const setup = await request(app)
+        .post("/api/auth/mfa/setup")
+        .set("Authorization", auth)
+        .expect(200);
+      expect(setup.body.otpauthUrl).toMatch(/^otpauth:\/\/totp\//);
+
+      const verify = await request(app)
+        .post("/api/auth/mfa/verify")
+        .set("Authorization", auth)
+        .send({ code: generateTotp(setup.body.secret) })
+        .expect(200);
+      expect(verify.body.recoveryCodes).toHaveLength(10);
+      return { secret: setup.body.secret, ...verify.body };
+    };
+
+    it("should require authentication to enrol", async () => {
+      await request(app).post("/api/auth/mfa/setup").expect(401);
+    });
+
+    itWithRedis("should require a second step once enrolled", async () => {
+      const { secret } = await enrol();
+
+      const first = await login();
+      expect(first.body.mfaRequired).toBe(true);
+      expect(first.body.accessToken).toBeUndefined();
+
+      await request(app)
+        .post("/api/auth/login/mfa")
+        .send({ mfaToken: first.body.mfaToken, code: "000000" })
+        .expect(401);
+
+      // The enrolment code was spent, so use the next time step
+      const response = await request(app)
+        .post("/api/auth/login/mfa")
+        .send({
+          mfaToken: first.body.mfaToken,
+          code: generateTotp(secret, totpCounter() + 1),
+        })
+        .expect(200);
+      expect(response.body.accessToken).toBeDefined();
+    });
+
+    itWithRedis("should accept a recovery code only once", async () => {
+      const { recoveryCodes } = await enrol();
+
+      const first = await login();
+      await request(app)
+        .post("/api/auth/login/mfa")
+        .send({ mfaToken: first.body.mfaToken, recoveryCode: recoveryCodes[0] })
+        .expect(200);
+
+      const second = await login();
+      await request(app)
+        .post("/api/auth/login/mfa")
+        .send({
+          mfaToken: second.body.mfaToken,
+          recoveryCode: recoveryCodes[0],
+        })
+        .expect(401);
+    });
+
+    // MFA_REQUIRED_ROLES is empty under test, so enrolment stays optional
+    itWithRedis("should disable MFA with a valid code", async () => {
+      const { secret } = await enrol();
+      const first = await login();
+      const session = await request(app)
+        .post("/api/auth/login/mfa")
+        .send({
+          mfaToken: first.body.mfaToken,
+          code: generateTotp(secret, totpCounter() + 1),
+        })
+        .expect(200);
+
+      await request(app)
+        .post("/api/auth/mfa/disable")
+        .set("Authorization", `Bearer ${session.body.accessToken}`)
+        .send({ code: generateTotp(secret, totpCounter() - 1) })
+        .expect(200);
+    });
+  });
+});
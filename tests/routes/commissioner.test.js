@@ -4,6 +4,8 @@ import jwt from "jsonwebtoken";
 import authenticateToken from "../../src/middleware/auth.js";
 import requireRole from "../../src/middleware/auth.js";
 import commissionerRoutes from "../../src/routes/commissionerRoutes.js";
+import { uploadFile } from "../../src/services/s3.js";
+import { generateFileChecksum } from "../../src/utils/checksum.js";
 
 const app = express();
 app.use(express.json());
@@ -326,6 +328,434 @@ describe("IEBC Commissioner Routes", () => {
     });
   });
 
+  describe("Form 34C presidential aggregation", () => {
+    let constituency;
+
+    beforeEach(async () => {
+      await global.prisma.region.update({
+        where: { id: testRegions[1].id },
+        data: { parentId: testRegions[0].id },
+      });
+      await global.prisma.region.update({
+        where: { id: testRegions[3].id },
+        data: { parentId: testRegions[1].id },
+      });
+      constituency = testRegions[1];
+
+      await global.prisma.vote.createMany({
+        data: [
+          {
+            candidateId: testCandidates[0].id,
+            regionId: testRegions[3].id,
+            position: "PRESIDENT",
+            voteCount: 400,
+            source: "KIEMS",
+          },
+          {
+            candidateId: testCandidates[1].id,
+            regionId: testRegions[3].id,
+            position: "PRESIDENT",
+            voteCount: 100,
+            source: "KIEMS",
+          },
+        ],
+      });
+      await global.prisma.resultSubmission.create({
+        data: {
+          regionId: testRegions[3].id,
+          position: "PRESIDENT",
+          registeredVoters: 600,
+          validVotes: 500,
+          agents: [],
+          checksum: "test-checksum",
+          submittedBy: "presiding-1",
+        },
+      });
+      await global.prisma.certification.create({
+        data: {
+          regionId: constituency.id,
+          position: "PRESIDENT",
+          status: "PENDING",
+        },
+      });
+    });
+
+    it("should roll authorized constituencies into national totals", async () => {
+      const response = await request(app)
+        .get("/api/commissioner/results/aggregate")
+        .set("Authorization", `Bearer ${commissionerToken}`)
+        .expect(200);
+
+      expect(response.body.authorizedConstituencies).toBe(1);
+      expect(response.body.validVotes).toBe(500);
+      expect(response.body.candidates[0].voteCount).toBe(400);
+      expect(response.body.candidates[0].hasMajority).toBe(true);
+      expect(response.body).toHaveProperty("thresholds");
+      expect(response.body.counties[0].code).toBe(testRegions[0].code);
+    });
+
+    it("should refuse to declare when the county spread is not met", async () => {
+      await global.prisma.region.create({
+        data: { name: "Kenya", code: "NATIONAL", type: "NATIONAL" },
+      });
+
+      const response = await request(app)
+        .post("/api/commissioner/results/declare")
+        .set("Authorization", `Bearer ${commissionerToken}`)
+        .send({ notes: "Test declaration" })
+        .expect(409);
+
+      expect(response.body).toHaveProperty("error");
+    });
+  });
+
+  describe("Officer jurisdictions", () => {
+    let token;
+
+    beforeEach(() => {
+      token = global.testUtils.generateTestToken(
+        "IEBC_COMMISSIONER",
+        "commissioner-1"
+      );
+    });
+
+    it("should replace an officer's assigned regions", async () => {
+      const response = await request(app)
+        .put("/api/commissioner/officers/returning-1/jurisdictions")
+        .set("Authorization", `Bearer ${token}`)
+        .send({ regionCodes: [testRegions[1].code] })
+        .expect(200);
+
+      expect(response.body.jurisdictions).toHaveLength(1);
+      expect(response.body.jurisdictions[0].code).toBe(testRegions[1].code);
+
+      const cleared = await request(app)
+        .put("/api/commissioner/officers/returning-1/jurisdictions")
+        .set("Authorization", `Bearer ${token}`)
+        .send({ regionCodes: [] })
+        .expect(200);
+      expect(cleared.body.jurisdictions).toHaveLength(0);
+    });
+
+    it("should reject unknown region codes", async () => {
+      const response = await request(app)
+        .put("/api/commissioner/officers/returning-1/jurisdictions")
+        .set("Authorization", `Bearer ${token}`)
+        .send({ regionCodes: ["NOPE001"] })
+        .expect(400);
+
+      expect(response.body.regionCodes).toEqual(["NOPE001"]);
+    });
+
+    it("should only manage field officers", async () => {
+      await request(app)
+        .get("/api/commissioner/officers/admin-1/jurisdictions")
+        .set("Authorization", `Bearer ${token}`)
+        .expect(404);
+    });
+  });
+
+  describe("Disputes", () => {
+    let filerToken;
+
+    beforeEach(async () => {
+      filerToken = global.testUtils.generateTestToken(
+        "IEBC_COMMISSIONER",
+        "commissioner-1"
+      );
+      await global.prisma.certification.create({
+        data: {
+          regionId: testRegions[1].id,
+          position: "PRESIDENT",
+          status: "PENDING",
+        },
+      });
+    });
+
+    const fileDispute = () =>
+      request(app)
+        .post("/api/commissioner/disputes")
+        .set("Authorization", `Bearer ${filerToken}`)
+        .send({
+          regionCode: testRegions[1].code,
+          position: "PRESIDENT",
+          grounds: "Form 34B totals differ from the Form 34A scans",
+        });
+
+    it("should open a dispute and mark the certification DISPUTED", async () => {
+      const response = await fileDispute().expect(201);
+
+      expect(response.body.status).toBe("FILED");
+      expect(response.body.certificationDisputed).toBe(true);
+
+      const certification = await global.prisma.certification.findFirst({
+        where: { regionId: testRegions[1].id, position: "PRESIDENT" },
+      });
+      expect(certification.status).toBe("DISPUTED");
+    });
+
+    it("should list disputes filtered by status", async () => {
+      await fileDispute().expect(201);
+
+      const response = await request(app)
+        .get("/api/commissioner/disputes")
+        .query({ status: "FILED" })
+        .set("Authorization", `Bearer ${filerToken}`)
+        .expect(200);
+
+      expect(response.body.disputes).toBeInstanceOf(Array);
+      expect(response.body.totalCount).toBe(1);
+    });
+
+    it("should release the certification once the dispute is resolved", async () => {
+      const filed = await fileDispute().expect(201);
+
+      await request(app)
+        .post(`/api/commissioner/disputes/${filed.body.id}/assign`)
+        .set("Authorization", `Bearer ${filerToken}`)
+        .send({ assigneeId: "commissioner-1" })
+        .expect(200);
+
+      const response = await request(app)
+        .post(`/api/commissioner/disputes/${filed.body.id}/status`)
+        .set("Authorization", `Bearer ${filerToken}`)
+        .send({
+          status: "RESOLVED",
+          resolution: "Recount confirmed the Form 34B totals",
+        })
+        .expect(200);
+
+      expect(response.body.status).toBe("RESOLVED");
+      expect(response.body.certificationReleased).toBe(true);
+    });
+
+    it("should keep the certification disputed while another dispute is open", async () => {
+      const first = await fileDispute().expect(201);
+      const second = await fileDispute().expect(201);
+      const dismiss = (id) =>
+        request(app)
+          .post(`/api/commissioner/disputes/${id}/status`)
+          .set("Authorization", `Bearer ${filerToken}`)
+          .send({
+            status: "DISMISSED",
+            resolution: "Grounds do not identify a discrepancy",
+          })
+          .expect(200);
+
+      expect((await dismiss(first.body.id)).body.certificationReleased).toBe(
+        false
+      );
+      expect((await dismiss(second.body.id)).body.certificationReleased).toBe(
+        true
+      );
+    });
+
+    it("should only let the assignee reassign a dispute", async () => {
+      await global.prisma.user.create({
+        data: {
+          id: "commissioner-2",
+          email: "commissioner2-test@example.com",
+          name: "Second Commissioner",
+          role: "IEBC_COMMISSIONER",
+          isActive: true,
+        },
+      });
+      const assigneeToken = global.testUtils.generateTestToken(
+        "IEBC_COMMISSIONER",
+        "commissioner-2"
+      );
+      const filed = await fileDispute().expect(201);
+
+      await request(app)
+        .post(`/api/commissioner/disputes/${filed.body.id}/assign`)
+        .set("Authorization", `Bearer ${filerToken}`)
+        .send({ assigneeId: "commissioner-2" })
+        .expect(200);
+
+      const response = await request(app)
+        .post(`/api/commissioner/disputes/${filed.body.id}/assign`)
+        .set("Authorization", `Bearer ${filerToken}`)
+        .send({ assigneeId: "commissioner-1" })
+        .expect(403);
+      expect(response.body.message).toBe(
+        "Only the assigned commissioner can reassign this dispute"
+      );
+
+      const reassigned = await request(app)
+        .post(`/api/commissioner/disputes/${filed.body.id}/assign`)
+        .set("Authorization", `Bearer ${assigneeToken}`)
+        .send({ assigneeId: "commissioner-1" })
+        .expect(200);
+      expect(reassigned.body.assignedTo).toBe("commissioner-1");
+    });
+
+    it("should reject invalid status transitions", async () => {
+      const filed = await fileDispute().expect(201);
+
+      await request(app)
+        .post(`/api/commissioner/disputes/${filed.body.id}/status`)
+        .set("Authorization", `Bearer ${filerToken}`)
+        .send({
+          status: "RESOLVED",
+          resolution: "Resolved without any review",
+        })
+        .expect(409);
+    });
+
+    it("should attach evidence only once its upload is confirmed", async () => {
+      const filed = await fileDispute().expect(201);
+
+      const requested = await request(app)
+        .post(`/api/commissioner/disputes/${filed.body.id}/evidence`)
+        .set("Authorization", `Bearer ${filerToken}`)
+        .send({ filename: "recount.pdf", contentType: "application/pdf" })
+        .expect(201);
+
+      const listed = async () =>
+        (
+          await request(app)
+            .get("/api/commissioner/disputes")
+            .set("Authorization", `Bearer ${filerToken}`)
+            .expect(200)
+        ).body.disputes[0].evidence;
+      expect(await listed()).toEqual([]);
+
+      const file = Buffer.from("%PDF-1.4 recount tally");
+      await uploadFile("documents", requested.body.key, file);
+
+      const confirmed = await request(app)
+        .post(
+          `/api/commissioner/disputes/${filed.body.id}/evidence/${requested.body.evidenceId}/confirm`
+        )
+        .set("Authorization", `Bearer ${filerToken}`)
+        .expect(200);
+
+      expect(confirmed.body.checksum).toBe(generateFileChecksum(file));
+      expect((await listed()).map((e) => e.key)).toEqual([requested.body.key]);
+    });
+
+    it("should refuse evidence on a closed dispute", async () => {
+      const filed = await fileDispute().expect(201);
+
+      await request(app)
+        .post(`/api/commissioner/disputes/${filed.body.id}/status`)
+        .set("Authorization", `Bearer ${filerToken}`)
+        .send({
+          status: "DISMISSED",
+          resolution: "Grounds do not identify a discrepancy",
+        })
+        .expect(200);
+
+      await request(app)
+        .post(`/api/commissioner/disputes/${filed.body.id}/evidence`)
+        .set("Authorization", `Bearer ${filerToken}`)
+        .send({ filename: "late.pdf", contentType: "application/pdf" })
+        .expect(409);
+    });
+
+    it("should block declaration while a presidential dispute is open", async () => {
+      await global.prisma.region.create({
+        data: { name: "Kenya", code: "NATIONAL", type: "NATIONAL" },
+      });
+      await fileDispute().expect(201);
+
+      const response = await request(app)
+        .post("/api/commissioner/results/declare")
+        .set("Authorization", `Bearer ${filerToken}`)
+        .expect(409);
+
+      expect(response.body.error).toBe("Results disputed");
+    });
+  });
+
+  describe("Anomaly review queue", () => {
+    let reviewerToken;
+    let anomaly;
+
+    beforeEach(async () => {
+      reviewerToken = global.testUtils.generateTestToken(
+        "IEBC_COMMISSIONER",
+        "commissioner-1"
+      );
+      anomaly = await global.prisma.resultAnomaly.create({
+        data: {
+          regionId: testRegions[3].id,
+          position: "PRESIDENT",
+          type: "TURNOUT_EXCEEDS_REGISTER",
+          severity: "CRITICAL",
+          message: "Turnout of 104% at TEST004 exceeds the register",
+          details: { votesCast: 520, registeredVoters: 500 },
+        },
+      });
+    });
+
+    it("should list open anomalies", async () => {
+      const response = await request(app)
+        .get("/api/commissioner/anomalies")
+        .set("Authorization", `Bearer ${reviewerToken}`)
+        .expect(200);
+
+      expect(response.body.totalCount).toBe(1);
+      expect(response.body.anomalies[0].region.code).toBe("TEST004");
+    });
+
+    it("should dismiss an anomaly once", async () => {
+      const review = () =>
+        request(app)
+          .post(`/api/commissioner/anomalies/${anomaly.id}/dismiss`)
+          .set("Authorization", `Bearer ${reviewerToken}`)
+          .send({ notes: "Register extract confirms 520 voters" });
+
+      const response = await review().expect(200);
+      expect(response.body.status).toBe("DISMISSED");
+      expect(response.body.reviewedBy).toBe("commissioner-1");
+
+      await review().expect(409);
+    });
+
+    it("should deny the queue to returning officers", async () => {
+      await request(app)
+        .get("/api/commissioner/anomalies")
+        .set("Authorization", `Bearer ${otherRoleToken}`)
+        .expect(403);
+    });
+  });
+
+  describe("Role boundaries", () => {
+    it("should refuse the presidential aggregate to returning officers", async () => {
+      const returningToken = global.testUtils.generateTestToken(
+        "RETURNING_OFFICER",
+        "returning-1"
+      );
+
+      const response = await request(app)
+        .get("/api/commissioner/results/aggregate")
+        .set("Authorization", `Bearer ${returningToken}`)
+        .expect(403);
+
+      expect(response.body.message).toBe(
+        "Permission required: results:aggregate"
+      );
+    });
+
+    it("should refuse dispute filing to returning officers", async () => {
+      const returningToken = global.testUtils.generateTestToken(
+        "RETURNING_OFFICER",
+        "returning-1"
+      );
+
+      await request(app)
+        .post("/api/commissioner/disputes")
+        .set("Authorization", `Bearer ${returningToken}`)
+        .send({
+          regionCode: testRegions[1].code,
+          position: "PRESIDENT",
+          grounds: "Filed outside the commissioner's desk",
+        })
+        .expect(403);
+    });
+  });
+
   describe("Authentication and Authorization", () => {
     it("should require authentication", async () => {
       const response = await request(app)
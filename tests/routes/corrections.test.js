@@ -0,0 +1,171 @@
+import request from "supertest";
+import express from "express";
+import authenticateToken from "../../src/middleware/auth.js";
+import correctionRoutes from "../../src/routes/correctionRoutes.js";
+
+const app = express();
+app.use(express.json());
+app.use("/api/corrections", authenticateToken, correctionRoutes);
+
+describe("Vote Correction Routes", () => {
+  let presidingOfficerToken;
+  let returningOfficerToken;
+  let testRegions;
+  let testCandidates;
+  let vote;
+
+  beforeEach(async () => {
+    testRegions = await global.testUtils.createTestRegions();
+    testCandidates = await global.testUtils.createTestCandidates(
+      testRegions[0].id
+    );
+
+    vote = await global.prisma.vote.create({
+      data: {
+        candidateId: testCandidates[0].id,
+        regionId: testRegions[3].id,
+        position: "PRESIDENT",
+        voteCount: 120,
+        source: "KIEMS",
+      },
+    });
+
+    // Both officers cover the test polling station
+    await global.testUtils.assignJurisdiction("presiding-1", testRegions[3].id);
+    await global.testUtils.assignJurisdiction("returning-1", testRegions[3].id);
+
+    presidingOfficerToken = global.testUtils.generateTestToken(
+      "PRESIDING_OFFICER",
+      "presiding-1"
+    );
+    returningOfficerToken = global.testUtils.generateTestToken(
+      "RETURNING_OFFICER",
+      "returning-1"
+    );
+  });
+
+  const propose = () =>
+    request(app)
+      .post("/api/corrections")
+      .set("Authorization", `Bearer ${presidingOfficerToken}`)
+      .send({
+        voteId: vote.id,
+        newValue: 125,
+        reason: "Transposed digits on the Form 34A",
+      });
+
+  describe("POST /api/corrections", () => {
+    it("should record a pending correction without touching the vote", async () => {
+      const response = await propose().expect(201);
+
+      expect(response.body.status).toBe("PENDING");
+      expect(response.body.oldValue).toBe(120);
+      expect(response.body.newValue).toBe(125);
+
+      const unchanged = await global.prisma.vote.findUnique({
+        where: { id: vote.id },
+      });
+      expect(unchanged.voteCount).toBe(120);
+    });
+
+    it("should reject a second pending correction for the same vote", async () => {
+      await propose().expect(201);
+      await propose().expect(409);
+    });
+
+    it("should refuse a vote outside the officer's jurisdiction", async () => {
+      await global.prisma.userJurisdiction.deleteMany({
+        where: { userId: "presiding-1" },
+      });
+      await global.testUtils.assignJurisdiction(
+        "presiding-1",
+        testRegions[2].id
+      );
+
+      await propose().expect(403);
+    });
+
+    it("should validate correction data", async () => {
+      const response = await request(app)
+        .post("/api/corrections")
+        .set("Authorization", `Bearer ${presidingOfficerToken}`)
+        .send({ voteId: vote.id, newValue: -1, reason: "short" })
+        .expect(400);
+
+      expect(response.body).toHaveProperty("errors");
+    });
+  });
+
+  describe("POST /api/corrections/:id/approve", () => {
+    it("should apply the correction when a higher role approves", async () => {
+      const proposed = await propose().expect(201);
+
+      const response = await request(app)
+        .post(`/api/corrections/${proposed.body.id}/approve`)
+        .set("Authorization", `Bearer ${returningOfficerToken}`)
+        .send({ notes: "Verified against the physical form" })
+        .expect(200);
+
+      expect(response.body.status).toBe("APPROVED");
+      expect(response.body.voteCount).toBe(125);
+
+      const corrected = await global.prisma.vote.findUnique({
+        where: { id: vote.id },
+      });
+      expect(corrected.voteCount).toBe(125);
+      expect(corrected.source).toBe("CORRECTED");
+      expect(corrected.checksum).toBeTruthy();
+    });
+
+    it("should refuse approval by the proposing officer", async () => {
+      const proposed = await propose().expect(201);
+
+      await request(app)
+        .post(`/api/corrections/${proposed.body.id}/approve`)
+        .set("Authorization", `Bearer ${presidingOfficerToken}`)
+        .expect(403);
+    });
+
+    it("should leave the vote untouched when rejected", async () => {
+      const proposed = await propose().expect(201);
+
+      const response = await request(app)
+        .post(`/api/corrections/${proposed.body.id}/reject`)
+        .set("Authorization", `Bearer ${returningOfficerToken}`)
+        .send({ notes: "Form 34A matches the original count" })
+        .expect(200);
+
+      expect(response.body.status).toBe("REJECTED");
+      expect(response.body.voteCount).toBe(120);
+    });
+  });
+
+  describe("GET /api/corrections", () => {
+    it("should list corrections filtered by status", async () => {
+      await propose().expect(201);
+
+      const response = await request(app)
+        .get("/api/corrections")
+        .query({ status: "PENDING" })
+        .set("Authorization", `Bearer ${returningOfficerToken}`)
+        .expect(200);
+
+      expect(response.body.corrections).toBeInstanceOf(Array);
+      expect(response.body.totalCount).toBe(1);
+    });
+
+    it("should hide corrections outside the officer's jurisdiction", async () => {
+      await propose().expect(201);
+      await global.prisma.userJurisdiction.deleteMany({
+        where: { userId: "returning-1" },
+      });
+
+      const response = await request(app)
+        .get("/api/corrections")
+        .set("Authorization", `Bearer ${returningOfficerToken}`)
+        .expect(200);
+
+      expect(response.body.totalCount).toBe(0);
+    });
+  });
+});
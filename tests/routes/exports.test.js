@@ -0,0 +1,153 @@
+import request from "supertest";
+import express from "express";
+import { authenticateTokenOrApiKey } from "../../src/middleware/auth.js";
+import exportRoutes from "../../src/routes/exportRoutes.js";
+import { generateApiKey } from "../../src/services/apiKeys.js";
+import { processQueuedExports } from "../../src/services/exports.js";
+import { downloadFile } from "../../src/services/s3.js";
+import { generateFileChecksum } from "../../src/utils/checksum.js";
+
+const app = express();
+app.use(express.json());
+app.use("/api/exports", authenticateTokenOrApiKey, exportRoutes);
+
+describe("Export Routes", () => {
+  let commissionerToken;
+  let clerkToken;
+  let station;
+
+  beforeEach(async () => {
+    const regions = await global.testUtils.createTestRegions();
+    station = regions[3];
+    const candidates = await global.testUtils.createTestCandidates(station.id);
+    await global.prisma.vote.createMany({
+      data: candidates.map((candidate, i) => ({
+        candidateId: candidate.id,
+        regionId: station.id,
+        voteCount: 300 - i * 100,
+        source: "KIEMS",
+        timestamp: new Date(),
+        position: "PRESIDENT",
+      })),
+    });
+
+    commissionerToken = global.testUtils.generateTestToken(
+      "IEBC_COMMISSIONER",
+      "commissioner-1"
+    );
+    clerkToken = global.testUtils.generateTestToken(
+      "ELECTION_CLERK",
+      "clerk-1"
+    );
+  });
+
+  const queueExport = (body = {}, token = commissionerToken) =>
+    request(app)
+      .post("/api/exports")
+      .set("Authorization", `Bearer ${token}`)
+      .send({
+        position: "PRESIDENT",
+        regionCode: "TEST004",
+        level: "POLLING_STATION",
+        ...body,
+      });
+
+  describe("POST /api/exports", () => {
+    it("should queue a CSV export by default", async () => {
+      const response = await queueExport().expect(202);
+
+      expect(response.body.job).toMatchObject({
+        regionCode: "TEST004",
+        level: "POLLING_STATION",
+        format: "CSV",
+        status: "QUEUED",
+        progress: 0,
+        download: null,
+      });
+    });
+
+    it("should reject a level above the scope region", async () => {
+      await queueExport({ regionCode: "TEST002", level: "COUNTY" }).expect(400);
+    });
+
+    it("should return 404 for an unknown region", async () => {
+      await queueExport({ regionCode: "NOPE999" }).expect(404);
+    });
+
+    it("should reject unsupported formats", async () => {
+      await queueExport({ format: "PDF" }).expect(400);
+    });
+
+    it("should require results:view", async () => {
+      await queueExport({}, clerkToken).expect(403);
+    });
+  });
+
+  describe("Export jobs", () => {
+    it("should build the file and return a download with its checksum", async () => {
+      const queued = await queueExport({ format: "json" }).expect(202);
+      await processQueuedExports(global.prisma);
+
+      const response = await request(app)
+        .get(`/api/exports/${queued.body.job.id}`)
+        .set("Authorization", `Bearer ${commissionerToken}`)
+        .expect(200);
+
+      const { job } = response.body;
+      expect(job.status).toBe("COMPLETED");
+      expect(job.progress).toBe(100);
+      expect(job.totalRegions).toBe(1);
+      expect(job.rowCount).toBe(2);
+      expect(job.download.url).toBeTruthy();
+      expect(job.download.checksumAlgorithm).toBe("sha256");
+
+      const stored = await global.prisma.exportJob.findUnique({
+        where: { id: job.id },
+      });
+      const file = await downloadFile("export", stored.key);
+      expect(generateFileChecksum(file.data)).toBe(job.download.checksum);
+
+      const rows = JSON.parse(file.data.toString());
+      expect(rows.map((r) => r.voteCount)).toEqual([300, 200]);
+      expect(rows[0]).toMatchObject({
+        regionCode: "TEST004",
+        totalStations: 1,
+        percentage: 60,
+      });
+    });
+
+    it("should only show callers their own exports", async () => {
+      const { key, keyHash, prefix } = generateApiKey();
+      await global.prisma.apiKey.create({
+        data: {
+          keyHash,
+          prefix,
+          name: "Test Media",
+          permissions: ["results:view"],
+        },
+      });
+
+      const queued = await request(app)
+        .post("/api/exports")
+        .set("X-API-Key", key)
+        .send({
+          position: "PRESIDENT",
+          regionCode: "TEST004",
+          level: "POLLING_STATION",
+          format: "CSV",
+        })
+        .expect(202);
+
+      const list = await request(app)
+        .get("/api/exports")
+        .set("X-API-Key", key)
+        .expect(200);
+      expect(list.body.jobs.map((j) => j.id)).toEqual([queued.body.job.id]);
+
+      await request(app)
+        .get(`/api/exports/${queued.body.job.id}`)
+        .set("Authorization", `Bearer ${commissionerToken}`)
+        .expect(404);
+    });
+  });
+});
@@ -4,6 +4,8 @@ import jwt from "jsonwebtoken";
 import authenticateToken from "../../src/middleware/auth.js";
 import requireRole from "../../src/middleware/auth.js";
 import presidingOfficerRoutes from "../../src/routes/presidingOfficerRoutes.js";
+import { uploadFile } from "../../src/services/s3.js";
+import { generateFileChecksum } from "../../src/utils/checksum.js";
 
 const app = express();
 app.use(express.json());
@@ -407,6 +409,180 @@ describe("Presiding Officer Routes", () => {
     });
   });
 
+  describe("POST /api/presiding-officer/results/submit", () => {
+    beforeEach(async () => {
+      presidingOfficerToken = global.testUtils.generateTestToken(
+        "PRESIDING_OFFICER",
+        "presiding-1"
+      );
+      // Assigned at the constituency, which covers the polling station
+      await global.testUtils.assignJurisdiction(
+        "presiding-1",
+        testRegions[1].id
+      );
+    });
+
+    const buildForm = () => ({
+      stationCode: pollingStation.code,
+      position: "PRESIDENT",
+      registeredVoters: 500,
+      rejectedBallots: 3,
+      spoiltBallots: 1,
+      results: [
+        { candidateId: testCandidates[0].id, votes: 210 },
+        { candidateId: testCandidates[1].id, votes: 180 },
+      ],
+      agents: [{ name: "Agent One", party: "Test Party A", signed: true }],
+    });
+
+    it("should persist Form 34A results as KIEMS votes", async () => {
+      const response = await request(app)
+        .post("/api/presiding-officer/results/submit")
+        .set("Authorization", `Bearer ${presidingOfficerToken}`)
+        .send(buildForm())
+        .expect(201);
+
+      expect(response.body).toHaveProperty("submissionId");
+      expect(response.body).toHaveProperty("checksum");
+      expect(response.body.validVotes).toBe(390);
+      expect(response.body.totalVotesCast).toBe(393);
+
+      const votes = await global.prisma.vote.findMany({
+        where: { regionId: pollingStation.id, position: "PRESIDENT" },
+      });
+      expect(votes.every((v) => v.source === "KIEMS" && v.checksum)).toBe(true);
+    });
+
+    it("should reject a duplicate submission", async () => {
+      await request(app)
+        .post("/api/presiding-officer/results/submit")
+        .set("Authorization", `Bearer ${presidingOfficerToken}`)
+        .send(buildForm())
+        .expect(201);
+
+      const response = await request(app)
+        .post("/api/presiding-officer/results/submit")
+        .set("Authorization", `Bearer ${presidingOfficerToken}`)
+        .send(buildForm())
+        .expect(409);
+
+      expect(response.body).toHaveProperty("error");
+    });
+
+    it("should reject a form missing a candidate", async () => {
+      const form = buildForm();
+      form.results = form.results.slice(0, 1);
+
+      const response = await request(app)
+        .post("/api/presiding-officer/results/submit")
+        .set("Authorization", `Bearer ${presidingOfficerToken}`)
+        .send(form)
+        .expect(400);
+
+      expect(response.body.missingCandidates).toContain(testCandidates[1].id);
+    });
+
+    it("should reject votes exceeding registered voters", async () => {
+      const form = buildForm();
+      form.registeredVoters = 100;
+
+      const response = await request(app)
+        .post("/api/presiding-officer/results/submit")
+        .set("Authorization", `Bearer ${presidingOfficerToken}`)
+        .send(form)
+        .expect(400);
+
+      expect(response.body).toHaveProperty("error");
+    });
+
+    it("should flag a single candidate above 98% for review", async () => {
+      const form = buildForm();
+      form.results[0].votes = 400;
+      form.results[1].votes = 2;
+
+      const response = await request(app)
+        .post("/api/presiding-officer/results/submit")
+        .set("Authorization", `Bearer ${presidingOfficerToken}`)
+        .send(form)
+        .expect(201);
+
+      const anomalies = await global.prisma.resultAnomaly.findMany({
+        where: { submissionId: response.body.submissionId },
+      });
+      expect(anomalies.map((a) => a.type)).toEqual(["DOMINANT_CANDIDATE"]);
+      expect(anomalies[0].status).toBe("OPEN");
+    });
+
+    it("should link a confirmed Form 34A scan to the station's votes", async () => {
+      await request(app)
+        .post("/api/presiding-officer/results/submit")
+        .set("Authorization", `Bearer ${presidingOfficerToken}`)
+        .send(buildForm())
+        .expect(201);
+
+      const requested = await request(app)
+        .post("/api/presiding-officer/results/form-scan")
+        .set("Authorization", `Bearer ${presidingOfficerToken}`)
+        .send({
+          stationCode: pollingStation.code,
+          position: "PRESIDENT",
+          filename: "form34a.pdf",
+          contentType: "application/pdf",
+        })
+        .expect(201);
+
+      const scan = Buffer.from("%PDF-1.4 scanned form");
+      await uploadFile("documents", requested.body.key, scan);
+
+      const confirmed = await request(app)
+        .post(
+          `/api/presiding-officer/results/form-scan/${requested.body.scanId}/confirm`
+        )
+        .set("Authorization", `Bearer ${presidingOfficerToken}`)
+        .expect(200);
+
+      expect(confirmed.body.checksum).toBe(generateFileChecksum(scan));
+      expect(confirmed.body.linkedVotes).toBe(2);
+
+      await request(app)
+        .post("/api/presiding-officer/results/form-scan")
+        .set("Authorization", `Bearer ${presidingOfficerToken}`)
+        .send({
+          stationCode: pollingStation.code,
+          position: "PRESIDENT",
+          filename: "rescan.pdf",
+          contentType: "application/pdf",
+        })
+        .expect(409);
+    });
+
+    it("should refuse a station outside the officer's jurisdiction", async () => {
+      const form = buildForm();
+      form.stationCode = testRegions[3].code;
+
+      const response = await request(app)
+        .post("/api/presiding-officer/results/submit")
+        .set("Authorization", `Bearer ${presidingOfficerToken}`)
+        .send(form)
+        .expect(403);
+
+      expect(response.body.error).toBe("Access denied");
+    });
+
+    it("should reject submissions for non polling station regions", async () => {
+      const form = buildForm();
+      form.stationCode = testRegions[1].code;
+
+      const response = await request(app)
+        .post("/api/presiding-officer/results/submit")
+        .set("Authorization", `Bearer ${presidingOfficerToken}`)
+        .send(form)
+        .expect(400);
+
+      expect(response.body).toHaveProperty("error");
+    });
+  });
+
   describe("Authentication and Authorization", () => {
     it("should require authentication", async () => {
       const response = await request(app)
@@ -428,6 +604,37 @@ describe("Presiding Officer Routes", () => {
     });
   });
 
+  describe("Role boundaries", () => {
+    const stationRoutes = [
+      "/station/update",
+      "/voters/verify",
+      "/ballots/issue",
+      "/results/submit",
+      "/results/form-scan",
+      "/incidents/log",
+      "/voters/assist",
+      "/materials/verify",
+    ];
+
+    it.each(["RETURNING_OFFICER", "ELECTION_CLERK"])(
+      "should refuse every station route to %s",
+      async (role) => {
+        const token = global.testUtils.generateTestToken(
+          role,
+          role === "RETURNING_OFFICER" ? "returning-1" : "clerk-1"
+        );
+        for (const path of stationRoutes) {
+          const response = await request(app)
+            .post(`/api/presiding-officer${path}`)
+            .set("Authorization", `Bearer ${token}`)
+            .send({})
+            .expect(403);
+          expect(response.body.message).toMatch(/^Permission required/);
+        }
+      }
+    );
+  });
+
   describe("Data isolation", () => {
     it("should only return data for assigned polling station", async () => {
       // Create another polling station
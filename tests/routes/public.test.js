@@ -1,6 +1,7 @@
 import request from "supertest";
 import express from "express";
 import publicRoutes from "../../src/routes/public.js";
+import { verifySignedPayload } from "../../src/utils/signature.js";
 
 const app = express();
 app.use(express.json());
@@ -318,6 +319,238 @@ describe("Public Routes", () => {
     });
   });
 
+  describe("GET /api/results/:position/:regionType/:regionCode", () => {
+    it("should include votes from descendant regions", async () => {
+      const [county, constituency, ward, station] = await Promise.all(
+        ["TEST001", "TEST002", "TEST003", "TEST004"].map((code) =>
+          global.prisma.region.findUnique({ where: { code } })
+        )
+      );
+      await global.prisma.region.update({
+        where: { id: constituency.id },
+        data: { parentId: county.id },
+      });
+      await global.prisma.region.update({
+        where: { id: ward.id },
+        data: { parentId: constituency.id },
+      });
+      await global.prisma.region.update({
+        where: { id: station.id },
+        data: { parentId: ward.id },
+      });
+      const candidate = await global.prisma.candidate.findFirst({
+        where: { name: "Test Candidate 1" },
+      });
+      await global.prisma.vote.create({
+        data: {
+          candidateId: candidate.id,
+          regionId: station.id,
+          voteCount: 50,
+          source: "KIEMS",
+          position: "PRESIDENT",
+        },
+      });
+
+      const response = await request(app)
+        .get("/api/results/PRESIDENT/COUNTY/TEST001")
+        .set("X-Skip-Cache", "1")
+        .expect(200);
+
+      expect(response.body.totalVotes).toBe(300);
+      expect(response.body.results).toHaveLength(2);
+      const rolledUp = response.body.results.find(
+        (r) => r.candidateId === candidate.id
+      );
+      expect(rolledUp.voteCount).toBe(150);
+    });
+
+    it("should return 404 for an unknown region", async () => {
+      await request(app)
+        .get("/api/results/PRESIDENT/COUNTY/UNKNOWN")
+        .set("X-Skip-Cache", "1")
+        .expect(404);
+    });
+  });
+
+  describe("GET /api/stations/:position/:regionCode", () => {
+    let constituency;
+    let reportedStation;
+    let quietStation;
+
+    beforeEach(async () => {
+      constituency = await global.prisma.region.findUnique({
+        where: { code: "TEST002" },
+      });
+      const ward = await global.prisma.region.update({
+        where: { code: "TEST003" },
+        data: { parentId: constituency.id },
+      });
+      reportedStation = await global.prisma.region.update({
+        where: { code: "TEST004" },
+        data: { parentId: ward.id, registeredVoters: 400 },
+      });
+      quietStation = await global.prisma.region.create({
+        data: {
+          name: "Quiet Station",
+          code: "TEST005",
+          type: "POLLING_STATION",
+          parentId: ward.id,
+          registeredVoters: 300,
+        },
+      });
+
+      const submission = await global.prisma.resultSubmission.create({
+        data: {
+          regionId: reportedStation.id,
+          position: "PRESIDENT",
+          registeredVoters: 400,
+          validVotes: 300,
+          rejectedBallots: 2,
+          agents: [],
+          checksum: "test-checksum",
+          submittedBy: "returning-1",
+        },
+      });
+      const candidate = await global.prisma.candidate.findFirst({
+        where: { name: "Test Candidate 1" },
+      });
+      await global.prisma.vote.create({
+        data: {
+          candidateId: candidate.id,
+          regionId: reportedStation.id,
+          voteCount: 300,
+          source: "KIEMS",
+          position: "PRESIDENT",
+        },
+      });
+      await global.prisma.resultAnomaly.create({
+        data: {
+          regionId: reportedStation.id,
+          submissionId: submission.id,
+          position: "PRESIDENT",
+          type: "DOMINANT_CANDIDATE",
+          severity: "WARNING",
+          message: "One candidate took 100% of valid votes at TEST004",
+          details: {},
+        },
+      });
+    });
+
+    const drillDown = (query = {}) =>
+      request(app)
+        .get(`/api/stations/PRESIDENT/${constituency.code}`)
+        .query(query)
+        .set("X-Skip-Cache", "1")
+        .expect(200);
+
+    it("should list every station with its own result", async () => {
+      const response = await drillDown();
+
+      expect(response.body.totalStations).toBe(2);
+      expect(response.body.reportedStations).toBe(1);
+      const [reported, quiet] = response.body.stations;
+      expect(reported.code).toBe(reportedStation.code);
+      expect(reported.wardCode).toBe("TEST003");
+      expect(reported.turnoutPercentage).toBe("75.50");
+      expect(reported.results[0].voteCount).toBe(300);
+      expect(reported.flagged).toBe(true);
+      expect(reported.form34A).toBeNull();
+      expect(quiet.reported).toBe(false);
+      expect(quiet.turnoutPercentage).toBeNull();
+    });
+
+    it("should filter by reporting and anomaly flags", async () => {
+      const unreported = await drillDown({ reported: false });
+      expect(unreported.body.stations.map((s) => s.code)).toEqual([
+        quietStation.code,
+      ]);
+
+      const clean = await drillDown({ flagged: false, reported: true });
+      expect(clean.body.totalCount).toBe(0);
+    });
+
+    it("should sort unreported stations last by turnout", async () => {
+      const response = await drillDown({ sort: "turnout", order: "desc" });
+      expect(response.body.stations.map((s) => s.code)).toEqual([
+        reportedStation.code,
+        quietStation.code,
+      ]);
+    });
+
+    it("should reject regions above the constituency", async () => {
+      await request(app)
+        .get("/api/stations/PRESIDENT/TEST001")
+        .set("X-Skip-Cache", "1")
+        .expect(400);
+    });
+  });
+
+  describe("GET /api/stream/results/:position/:regionCode", () => {
+    it("should return 404 for an unknown region", async () => {
+      await request(app)
+        .get("/api/stream/results/PRESIDENT/UNKNOWN")
+        .expect(404);
+    });
+
+    it("should return 503 when live updates are not running", async () => {
+      // The test app does not register the websocket broadcaster
+      await request(app)
+        .get("/api/stream/results/PRESIDENT/TEST001")
+        .expect(503);
+    });
+
+    it("should validate the position", async () => {
+      await request(app).get("/api/stream/results/MAYOR/TEST001").expect(400);
+    });
+  });
+
+  describe("GET /api/historical/:year/:regionCode", () => {
+    beforeEach(async () => {
+      await global.prisma.historicalResult.createMany({
+        data: [
+          {
+            year: 2022,
+            position: "PRESIDENT",
+            regionCode: "TEST001",
+            candidateName: "Past Candidate A",
+            party: "Test Party A",
+            votes: 300,
+            registeredVoters: 1000,
+          },
+          {
+            year: 2022,
+            position: "PRESIDENT",
+            regionCode: "TEST001",
+            candidateName: "Past Candidate B",
+            party: "Test Party B",
+            votes: 200,
+            registeredVoters: 1000,
+          },
+        ],
+      });
+    });
+
+    it("should return stored results with turnout and swing", async () => {
+      const response = await request(app)
+        .get("/api/historical/2022/TEST001")
+        .expect(200);
+
+      expect(response.body.totalVotes).toBe(500);
+      expect(response.body.turnout).toBe("50.0");
+      expect(response.body.results[0].candidateName).toBe("Past Candidate A");
+      expect(response.body.current.totalVotes).toBe(250);
+
+      const partyB = response.body.swing.find(
+        (s) => s.party === "Test Party B"
+      );
+      expect(partyB.swing).toBe("20.0");
+    });
+
+    it("should return 404 when no results are on record", async () => {
+      await request(app).get("/api/historical/2017/TEST001").expect(404);
+    });
+  });
+
   describe("Error handling", () => {
     it("should handle database connection errors gracefully", async () => {
       // This test would require mocking the database connection
@@ -339,4 +572,27 @@ describe("Public Routes", () => {
       expect(response.body).toHaveProperty("error");
     });
   });
+
+  describe("Signed results", () => {
+    it("should sign results so they verify against the public key", async () => {
+      const { body: key } = await request(app)
+        .get("/api/results/public-key")
+        .expect(200);
+      expect(key.alg).toBe("Ed25519");
+
+      const response = await request(app)
+        .get("/api/results/PRESIDENT/COUNTY/TEST001")
+        .set("X-Skip-Cache", "1")
+        .expect(200);
+
+      expect(response.body.signature.keyId).toBe(key.keyId);
+      expect(verifySignedPayload(response.body, key.publicKey)).toBe(true);
+      expect(
+        verifySignedPayload(
+          { ...response.body, totalVotes: response.body.totalVotes + 1 },
+          key.publicKey
+        )
+      ).toBe(false);
+    });
+  });
 });
@@ -378,6 +378,293 @@ describe("Returning Officer Routes", () => {
     });
   });
 
+  describe("Form 34B tallying", () => {
+    let reportedStation;
+    let missingStation;
+
+    beforeEach(async () => {
+      returningOfficerToken = global.testUtils.generateTestToken(
+        "RETURNING_OFFICER",
+        "returning-1"
+      );
+      await global.testUtils.assignJurisdiction(
+        "returning-1",
+        constituencyRegion.id
+      );
+
+      const ward = await global.prisma.region.create({
+        data: {
+          name: "Test Ward for RO",
+          code: "RO_WARD001",
+          type: "WARD",
+          parentId: constituencyRegion.id,
+        },
+      });
+      reportedStation = await global.prisma.region.create({
+        data: {
+          name: "Reported Station",
+          code: "RO_PS001",
+          type: "POLLING_STATION",
+          parentId: ward.id,
+          registeredVoters: 400,
+        },
+      });
+      missingStation = await global.prisma.region.create({
+        data: {
+          name: "Missing Station",
+          code: "RO_PS002",
+          type: "POLLING_STATION",
+          parentId: ward.id,
+          registeredVoters: 300,
+        },
+      });
+
+      await global.prisma.resultSubmission.create({
+        data: {
+          regionId: reportedStation.id,
+          position: "PRESIDENT",
+          registeredVoters: 400,
+          validVotes: 300,
+          rejectedBallots: 2,
+          spoiltBallots: 1,
+          agents: [],
+          checksum: "test-checksum",
+          submittedBy: "presiding-1",
+        },
+      });
+      await global.prisma.vote.createMany({
+        data: [
+          {
+            candidateId: testCandidates[0].id,
+            regionId: reportedStation.id,
+            position: "PRESIDENT",
+            voteCount: 120,
+            source: "KIEMS",
+          },
+          {
+            candidateId: testCandidates[1].id,
+            regionId: reportedStation.id,
+            position: "PRESIDENT",
+            voteCount: 180,
+            source: "KIEMS",
+          },
+        ],
+      });
+    });
+
+    it("should list Form 34A submissions under the constituency", async () => {
+      const response = await request(app)
+        .get("/api/returning-officer/results/forms")
+        .query({
+          constituencyCode: constituencyRegion.code,
+          position: "PRESIDENT",
+        })
+        .set("Authorization", `Bearer ${returningOfficerToken}`)
+        .expect(200);
+
+      expect(response.body.forms).toHaveLength(1);
+      expect(response.body.forms[0].code).toBe(reportedStation.code);
+      expect(response.body.missingStations[0].code).toBe(missingStation.code);
+    });
+
+    describe("GET /api/returning-officer/stations/monitor", () => {
+      beforeEach(async () => {
+        const form = {
+          regionId: reportedStation.id,
+          registeredVoters: 400,
+          spoiltBallots: 0,
+          agents: [],
+          checksum: "test-checksum",
+          submittedBy: "presiding-1",
+        };
+        await global.prisma.resultSubmission.createMany({
+          data: [
+            {
+              ...form,
+              position: "GOVERNOR",
+              validVotes: 299,
+              rejectedBallots: 3,
+            },
+            { ...form, position: "MP", validVotes: 258, rejectedBallots: 2 },
+          ],
+        });
+      });
+
+      const monitor = () =>
+        request(app)
+          .get("/api/returning-officer/stations/monitor")
+          .query({ constituencyCode: constituencyRegion.code })
+          .set("Authorization", `Bearer ${returningOfficerToken}`)
+          .expect(200);
+
+      it("should report positions whose ballots cast drift from the station", async () => {
+        const response = await monitor();
+
+        expect(response.body.tolerancePercent).toBe(5);
+        expect(response.body.discrepancyCount).toBe(1);
+        const station = response.body.stations.find(
+          (s) => s.code === reportedStation.code
+        );
+        expect(station.medianVotesCast).toBe(302);
+        expect(station.discrepancies.map((d) => d.position)).toEqual(["MP"]);
+        expect(station.missingPositions).toContain("SENATOR");
+      });
+
+      it("should report any ballots cast when the station median is zero", async () => {
+        const form = {
+          regionId: missingStation.id,
+          registeredVoters: 400,
+          spoiltBallots: 0,
+          agents: [],
+          checksum: "test-checksum",
+          submittedBy: "presiding-1",
+        };
+        await global.prisma.resultSubmission.createMany({
+          data: [
+            {
+              ...form,
+              position: "PRESIDENT",
+              validVotes: 0,
+              rejectedBallots: 0,
+            },
+            {
+              ...form,
+              position: "GOVERNOR",
+              validVotes: 0,
+              rejectedBallots: 0,
+            },
+            { ...form, position: "MP", validVotes: 12, rejectedBallots: 0 },
+          ],
+        });
+
+        const response = await monitor();
+        const station = response.body.stations.find(
+          (s) => s.code === missingStation.code
+        );
+        expect(station.medianVotesCast).toBe(0);
+        expect(station.discrepancies).toEqual([
+          {
+            position: "MP",
+            votesCast: 12,
+            difference: 12,
+            deviationPercent: null,
+          },
+        ]);
+      });
+
+      it("should use the tolerance from SystemConfig", async () => {
+        await global.prisma.systemConfig.create({
+          data: { key: "station_position_tolerance_percent", value: "20" },
+        });
+        try {
+          const response = await monitor();
+          expect(response.body.tolerancePercent).toBe(20);
+          expect(response.body.discrepancyCount).toBe(0);
+        } finally {
+          await global.prisma.systemConfig.delete({
+            where: { key: "station_position_tolerance_percent" },
+          });
+        }
+      });
+    });
+
+    it("should compute the Form 34B aggregate", async () => {
+      const response = await request(app)
+        .get("/api/returning-officer/results/tally")
+        .query({
+          constituencyCode: constituencyRegion.code,
+          position: "PRESIDENT",
+        })
+        .set("Authorization", `Bearer ${returningOfficerToken}`)
+        .expect(200);
+
+      expect(response.body.totalStations).toBe(2);
+      expect(response.body.reportedStations).toBe(1);
+      expect(response.body.validVotes).toBe(300);
+      expect(response.body.candidates[0].voteCount).toBe(180);
+      expect(response.body).toHaveProperty("checksum");
+    });
+
+    it("should refuse a constituency outside the officer's jurisdiction", async () => {
+      const otherConstituency = await global.prisma.region.create({
+        data: {
+          name: "Other Constituency",
+          code: "RO_TEST002",
+          type: "CONSTITUENCY",
+          parentId: null,
+        },
+      });
+
+      await request(app)
+        .get("/api/returning-officer/results/tally")
+        .query({
+          constituencyCode: otherConstituency.code,
+          position: "PRESIDENT",
+        })
+        .set("Authorization", `Bearer ${returningOfficerToken}`)
+        .expect(403);
+      await request(app)
+        .post("/api/returning-officer/results/authorize")
+        .set("Authorization", `Bearer ${returningOfficerToken}`)
+        .send({
+          constituencyCode: otherConstituency.code,
+          position: "PRESIDENT",
+          acknowledgeMissing: true,
+        })
+        .expect(403);
+    });
+
+    it("should refuse to authorize with missing stations unless acknowledged", async () => {
+      await request(app)
+        .post("/api/returning-officer/results/authorize")
+        .set("Authorization", `Bearer ${returningOfficerToken}`)
+        .send({
+          constituencyCode: constituencyRegion.code,
+          position: "PRESIDENT",
+        })
+        .expect(409);
+
+      const response = await request(app)
+        .post("/api/returning-officer/results/authorize")
+        .set("Authorization", `Bearer ${returningOfficerToken}`)
+        .send({
+          constituencyCode: constituencyRegion.code,
+          position: "PRESIDENT",
+          acknowledgeMissing: true,
+        })
+        .expect(201);
+
+      expect(response.body.status).toBe("PENDING");
+      const certification = await global.prisma.certification.findUnique({
+        where: { id: response.body.certificationId },
+      });
+      expect(certification.status).toBe("PENDING");
+    });
+
+    it("should refuse to authorize while a station beneath is disputed", async () => {
+      await global.prisma.dispute.create({
+        data: {
+          regionId: reportedStation.id,
+          position: "PRESIDENT",
+          filedBy: "returning-1",
+          grounds: "Agents dispute the Form 34A count at this station",
+        },
+      });
+
+      const response = await request(app)
+        .post("/api/returning-officer/results/authorize")
+        .set("Authorization", `Bearer ${returningOfficerToken}`)
+        .send({
+          constituencyCode: constituencyRegion.code,
+          position: "PRESIDENT",
+          acknowledgeMissing: true,
+        })
+        .expect(409);
+
+      expect(response.body.error).toBe("Results disputed");
+    });
+  });
+
   describe("Authentication and Authorization", () => {
     it("should require authentication", async () => {
       const response = await request(app)
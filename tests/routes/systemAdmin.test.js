@@ -3,6 +3,7 @@ import express from "express";
 import jwt from "jsonwebtoken";
 import authenticateToken, { requireRole } from "../../src/middleware/auth.js";
 import sysAdminRoutes from "../../src/routes/sysAdminRoutes.js";
+import { auditLog } from "../../src/utils/audit.js";
 import sampleUsers from "../sample_admin_users.json";
 
 const app = express();
@@ -531,6 +532,146 @@ describe("System Administrator Routes (all admin roles)", () => {
         });
       });
 
+      describe("API keys", () => {
+        const createKey = (body = {}) =>
+          request(app)
+            .post("/api/system-admin/api-keys")
+            .set("Authorization", `Bearer ${userToken}`)
+            .send({
+              name: "Test Media",
+              permissions: ["results:view"],
+              ...body,
+            });
+
+        it("should show a new key once and store only its hash", async () => {
+          const response = await createKey().expect(201);
+
+          expect(response.body.key).toMatch(/^[a-f0-9]{48}$/);
+          expect(response.body.apiKey).not.toHaveProperty("keyHash");
+          expect(response.body.apiKey.prefix).toBe(
+            response.body.key.slice(0, 8)
+          );
+
+          const stored = await global.prisma.apiKey.findUnique({
+            where: { id: response.body.apiKey.id },
+          });
+          expect(stored.keyHash).not.toBe(response.body.key);
+        });
+
+        it("should reject permissions outside the partner scope", async () => {
+          await createKey({ permissions: ["results:submit"] }).expect(400);
+        });
+
+        it("should rotate a key to a new secret", async () => {
+          const created = await createKey().expect(201);
+
+          const response = await request(app)
+            .post(`/api/system-admin/api-keys/${created.body.apiKey.id}/rotate`)
+            .set("Authorization", `Bearer ${userToken}`)
+            .expect(200);
+
+          expect(response.body.key).not.toBe(created.body.key);
+          expect(response.body.apiKey.rotatedAt).toBeTruthy();
+        });
+
+        it("should suspend and reactivate a key", async () => {
+          const created = await createKey().expect(201);
+          const path = `/api/system-admin/api-keys/${created.body.apiKey.id}`;
+
+          const suspended = await request(app)
+            .post(`${path}/suspend`)
+            .set("Authorization", `Bearer ${userToken}`)
+            .expect(200);
+          expect(suspended.body.apiKey.isActive).toBe(false);
+
+          const reactivated = await request(app)
+            .post(`${path}/reactivate`)
+            .set("Authorization", `Bearer ${userToken}`)
+            .expect(200);
+          expect(reactivated.body.apiKey.isActive).toBe(true);
+        });
+
+        it("should return 404 for an unknown key", async () => {
+          await request(app)
+            .patch("/api/system-admin/api-keys/missing-key")
+            .set("Authorization", `Bearer ${userToken}`)
+            .send({ rateLimit: 10 })
+            .expect(404);
+        });
+      });
+
+      describe("Audit chain", () => {
+        beforeEach(async () => {
+          await auditLog(user.id, "USER_UPDATE", "User", "u-1", { a: 1 });
+          await auditLog(user.id, "USER_UPDATE", "User", "u-2", { b: 2 });
+        });
+
+        it("should verify an untouched chain", async () => {
+          const response = await request(app)
+            .get("/api/system-admin/audit-chain/verify")
+            .set("Authorization", `Bearer ${userToken}`)
+            .expect(200);
+
+          expect(response.body.valid).toBe(true);
+          expect(response.body.checked).toBe(2);
+          expect(response.body.firstBroken).toBeNull();
+        });
+
+        it("should report the first tampered entry", async () => {
+          const [first] = await global.prisma.auditLog.findMany({
+            orderBy: { sequence: "asc" },
+          });
+          await global.prisma.auditLog.update({
+            where: { id: first.id },
+            data: { details: { a: 2 } },
+          });
+
+          const response = await request(app)
+            .get("/api/system-admin/audit-chain/verify")
+            .set("Authorization", `Bearer ${userToken}`)
+            .expect(200);
+
+          expect(response.body.valid).toBe(false);
+          expect(response.body.firstBroken.id).toBe(first.id);
+        });
+
+        it("should report an entry whose client address was edited", async () => {
+          const [, second] = await global.prisma.auditLog.findMany({
+            orderBy: { sequence: "asc" },
+          });
+          await global.prisma.auditLog.update({
+            where: { id: second.id },
+            data: { ipAddress: "203.0.113.9" },
+          });
+
+          const response = await request(app)
+            .get("/api/system-admin/audit-chain/verify")
+            .set("Authorization", `Bearer ${userToken}`)
+            .expect(200);
+
+          expect(response.body.valid).toBe(false);
+          expect(response.body.firstBroken.id).toBe(second.id);
+        });
+
+        it("should detect entries deleted after anchoring", async () => {
+          await request(app)
+            .post("/api/system-admin/audit-chain/anchor")
+            .set("Authorization", `Bearer ${userToken}`)
+            .expect(200);
+          const head = await global.prisma.auditLog.findFirst({
+            orderBy: { sequence: "desc" },
+          });
+          await global.prisma.auditLog.delete({ where: { id: head.id } });
+
+          const response = await request(app)
+            .get("/api/system-admin/audit-chain/verify")
+            .set("Authorization", `Bearer ${userToken}`)
+            .expect(200);
+
+          expect(response.body.valid).toBe(false);
+        });
+      });
+
       describe("Authentication and Authorization", () => {
         it("should require authentication", async () => {
           const response = await request(app)
@@ -0,0 +1,133 @@
+import http from "http";
+import request from "supertest";
+import express from "express";
+import authenticateToken from "../../src/middleware/auth.js";
+import webhookRoutes from "../../src/routes/webhookRoutes.js";
+import {
+  dispatchWebhookEvent,
+  signWebhookPayload,
+} from "../../src/services/webhooks.js";
+
+const app = express();
+app.use(express.json());
+app.use("/api/webhooks", authenticateToken, webhookRoutes);
+
+describe("Webhook Routes", () => {
+  let adminToken;
+  let clerkToken;
+
+  beforeEach(() => {
+    adminToken = global.testUtils.generateTestToken(
+      "SYSTEM_ADMINISTRATOR",
+      "admin-1"
+    );
+    clerkToken = global.testUtils.generateTestToken(
+      "ELECTION_CLERK",
+      "clerk-1"
+    );
+  });
+
+  const createWebhook = (body = {}) =>
+    request(app)
+      .post("/api/webhooks")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({
+        name: "Test Media",
+        url: "https://partner.example.com/hooks",
+        events: ["VOTE_UPDATE"],
+        ...body,
+      });
+
+  describe("POST /api/webhooks", () => {
+    it("should return the signing secret once", async () => {
+      const response = await createWebhook().expect(201);
+
+      expect(response.body.secret).toMatch(/^[a-f0-9]{64}$/);
+      expect(response.body.subscription).not.toHaveProperty("secret");
+
+      const list = await request(app)
+        .get("/api/webhooks")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200);
+      expect(list.body.subscriptions[0]).not.toHaveProperty("secret");
+    });
+
+    it("should reject unknown event types", async () => {
+      await createWebhook({ events: ["VOTE_DELETED"] }).expect(400);
+    });
+
+    it("should require system:configure", async () => {
+      await request(app)
+        .post("/api/webhooks")
+        .set("Authorization", `Bearer ${clerkToken}`)
+        .send({ name: "x", url: "https://example.com", events: [] })
+        .expect(403);
+    });
+  });
+
+  describe("POST /api/webhooks/deliveries/:deliveryId/replay", () => {
+    it("should return 404 for an unknown delivery", async () => {
+      await request(app)
+        .post("/api/webhooks/deliveries/missing/replay")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(404);
+    });
+  });
+
+  describe("Delivery", () => {
+    let server;
+    let received;
+
+    beforeEach(async () => {
+      received = [];
+      server = http.createServer((req, res) => {
+        let body = "";
+        req.on("data", (chunk) => (body += chunk));
+        req.on("end", () => {
+          received.push({ headers: req.headers, body });
+          res.writeHead(204).end();
+        });
+      });
+      await new Promise((resolve) => server.listen(0, resolve));
+    });
+
+    afterEach(async () => {
+      await new Promise((resolve) => server.close(resolve));
+    });
+
+    it("should deliver signed payloads to matching subscriptions only", async () => {
+      const url = `http://127.0.0.1:${server.address().port}/hook`;
+      const created = await createWebhook({
+        url,
+        regionCodes: ["TEST001"],
+      }).expect(201);
+      await createWebhook({ url, regionCodes: ["OTHER"] }).expect(201);
+
+      const event = {
+        id: "vote_1",
+        type: "VOTE_UPDATE",
+        data: { position: "PRESIDENT", regionCodes: ["TEST003", "TEST001"] },
+        timestamp: new Date().toISOString(),
+      };
+      const matched = await dispatchWebhookEvent(global.prisma, event);
+
+      expect(matched).toBe(1);
+      expect(received).toHaveLength(1);
+      const { headers, body } = received[0];
+      expect(JSON.parse(body)).toEqual(event);
+      expect(headers["x-webhook-signature"]).toBe(
+        signWebhookPayload(
+          body,
+          created.body.secret,
+          headers["x-webhook-timestamp"]
+        )
+      );
+
+      const log = await request(app)
+        .get(`/api/webhooks/${created.body.subscription.id}/deliveries`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200);
+      expect(log.body.deliveries[0].status).toBe("DELIVERED");
+    });
+  });
+});
@@ -0,0 +1,27 @@
+import os from "os";
+import { fanoutGroupId } from "../../src/services/liveUpdates.js";
+
+describe("Vote update fan-out", () => {
+  const env = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...env };
+  });
+
+  describe("fanoutGroupId", () => {
+    // No process id, so a restarted node rejoins its own group
+    it("should name the group after the host by default", () => {
+      delete process.env.KAFKA_FANOUT_GROUP_ID;
+      delete process.env.WS_NODE_ID;
+
+      expect(fanoutGroupId()).toBe(`kenya-votes-fanout-${os.hostname()}`);
+    });
+
+    it("should use the configured prefix and node id", () => {
+      process.env.KAFKA_FANOUT_GROUP_ID = "results-fanout";
+      process.env.WS_NODE_ID = "ws-2";
+
+      expect(fanoutGroupId()).toBe("results-fanout-ws-2");
+    });
+  });
+});
@@ -0,0 +1,291 @@
+import { Server } from "socket.io";
+import { createAdapter } from "@socket.io/redis-adapter";
+import redis from "../../src/services/redis.js";
+import websocketRoutes from "../../src/routes/websocket.js";
+import {
+  recordRollup,
+  getRoomSnapshot,
+  getDeltasSince,
+  streamRoom,
+} from "../../src/services/resultStream.js";
+import { liveEvents } from "../../src/services/liveEvents.js";
+import { setBounded } from "../../src/utils/boundedMap.js";
+
+// Without REDIS_URL the stream is kept in process memory, which is what
+// most of these tests exercise
+const itWithRedis = process.env.REDIS_URL ? it : it.skip;
+
+const rollup = (regionCode, ...voteCounts) => ({
+  position: "PRESIDENT",
+  regionCode,
+  totalVotes: voteCounts.reduce((sum, count) => sum + count, 0),
+  results: voteCounts.map((voteCount, i) => ({
+    candidateId: `candidate-${i}`,
+    name: `Candidate ${i}`,
+    party: "TEST",
+    voteCount,
+    percentage: 0,
+  })),
+  computedAt: new Date().toISOString(),
+});
+
+describe("Results stream", () => {
+  describe("recordRollup", () => {
+    it("should number deltas and carry only the changed candidates", async () => {
+      const first = await recordRollup(rollup("SEQ001", 10, 20));
+      const second = await recordRollup(rollup("SEQ001", 15, 20));
+
+      expect(first.seq).toBe(1);
+      expect(first.changes).toHaveLength(2);
+      expect(second).toEqual({
+        seq: 2,
+        totalVotes: 35,
+        changes: [
+          {
+            candidateId: "candidate-0",
+            name: "Candidate 0",
+            party: "TEST",
+            voteCount: 15,
+          },
+        ],
+      });
+    });
+
+    it("should not record a rollup with no changes", async () => {
+      await recordRollup(rollup("SEQ002", 5));
+
+      expect(await recordRollup(rollup("SEQ002", 5))).toBeNull();
+      expect(await getDeltasSince("PRESIDENT", "SEQ002", 0)).toHaveLength(1);
+    });
+
+    it("should keep the latest snapshot for the room", async () => {
+      await recordRollup(rollup("SEQ003", 1, 2));
+      await recordRollup(rollup("SEQ003", 3, 2));
+
+      const snapshot = await getRoomSnapshot(null, "PRESIDENT", "SEQ003");
+      expect(snapshot.seq).toBe(2);
+      expect(snapshot.totalVotes).toBe(5);
+      expect(snapshot.results.map((r) => r.voteCount)).toEqual([3, 2]);
+    });
+  });
+
+  describe("getDeltasSince", () => {
+    beforeAll(async () => {
+      for (let votes = 1; votes <= 3; votes++) {
+        await recordRollup(rollup("RESUME002", votes));
+      }
+    });
+
+    it("should return the deltas after the client's last sequence", async () => {
+      const missed = await getDeltasSince("PRESIDENT", "RESUME002", 1);
+      expect(missed.map((d) => d.seq)).toEqual([2, 3]);
+    });
+
+    it("should return no deltas to an up-to-date client", async () => {
+      expect(await getDeltasSince("PRESIDENT", "RESUME002", 3)).toEqual([]);
+    });
+
+    it("should refuse a client ahead of the stream", async () => {
+      expect(await getDeltasSince("PRESIDENT", "RESUME002", 4)).toBeNull();
+    });
+
+    it("should refuse a client further behind than the backlog", async () => {
+      for (let votes = 1; votes <= 202; votes++) {
+        await recordRollup(rollup("BEHIND001", votes));
+      }
+
+      expect(await getDeltasSince("PRESIDENT", "BEHIND001", 1)).toBeNull();
+      const kept = await getDeltasSince("PRESIDENT", "BEHIND001", 2);
+      expect(kept).toHaveLength(200);
+      expect(kept[0].seq).toBe(3);
+    });
+  });
+
+  describe("memory cap", () => {
+    it("should drop the least recently updated rooms", async () => {
+      await recordRollup(rollup("EVICT0000", 1));
+      for (let i = 1; i <= 1000; i++) {
+        await recordRollup(rollup(`EVICT${String(i).padStart(4, "0")}`, 1));
+      }
+
+      // An evicted room restarts, so a client's old sequence cannot resume
+      expect(await getDeltasSince("PRESIDENT", "EVICT0000", 1)).toBeNull();
+      expect(await getDeltasSince("PRESIDENT", "EVICT1000", 0)).toHaveLength(1);
+    });
+  });
+});
+
+describe("setBounded", () => {
+  it("should keep only the most recently set keys", () => {
+    const map = new Map();
+    setBounded(map, "a", 1, 2);
+    setBounded(map, "b", 2, 2);
+    setBounded(map, "a", 3, 2);
+    setBounded(map, "c", 4, 2);
+
+    expect([...map.entries()]).toEqual([
+      ["a", 3],
+      ["c", 4],
+    ]);
+  });
+});
+
+describe("Vote update broadcasts", () => {
+  const room = streamRoom("PRESIDENT", "BROADCAST001");
+  let realtime;
+  let received;
+  const listener = (event, payload) => received.push({ event, payload });
+
+  beforeAll(async () => {
+    realtime = websocketRoutes(new Server(), global.prisma, null);
+    liveEvents.on(room, listener);
+    await recordRollup(rollup("BROADCAST001", 10));
+  });
+
+  afterAll(async () => {
+    liveEvents.off(room, listener);
+    await realtime.shutdown();
+  });
+
+  beforeEach(() => {
+    received = [];
+  });
+
+  it("should send a snapshot before this node has a baseline", async () => {
+    await realtime.broadcastVoteUpdate("PRESIDENT", "BROADCAST001", {});
+
+    expect(received).toHaveLength(1);
+    expect(received[0].event).toBe("currentData");
+    expect(received[0].payload.seq).toBe(1);
+  });
+
+  it("should send the deltas since the previous broadcast", async () => {
+    await recordRollup(rollup("BROADCAST001", 12));
+    await recordRollup(rollup("BROADCAST001", 15));
+    await realtime.broadcastVoteUpdate("PRESIDENT", "BROADCAST001", {
+      source: "test",
+    });
+
+    expect(received).toHaveLength(1);
+    expect(received[0].event).toBe("voteUpdate");
+    expect(received[0].payload.seq).toBe(3);
+    expect(received[0].payload.deltas.map((d) => d.seq)).toEqual([2, 3]);
+  });
+
+  it("should skip a broadcast with nothing new", async () => {
+    await realtime.broadcastVoteUpdate("PRESIDENT", "BROADCAST001", {});
+
+    expect(received).toHaveLength(0);
+  });
+
+  it("should resume a subscriber from its last sequence", async () => {
+    const baseline = await realtime.getResultsBaseline(
+      "PRESIDENT",
+      "BROADCAST001",
+      "1"
+    );
+
+    expect(baseline.event).toBe("voteUpdate");
+    expect(baseline.payload.updateType).toBe("resume");
+    expect(baseline.payload.deltas.map((d) => d.seq)).toEqual([2, 3]);
+  });
+
+  it("should send a snapshot to a subscriber ahead of the stream", async () => {
+    const baseline = await realtime.getResultsBaseline(
+      "PRESIDENT",
+      "BROADCAST001",
+      "9"
+    );
+
+    expect(baseline.event).toBe("currentData");
+    expect(baseline.payload.seq).toBe(3);
+    expect(baseline.payload.totalVotes).toBe(15);
+  });
+
+  it("should send a snapshot to a subscriber too far behind", async () => {
+    for (let votes = 1; votes <= 202; votes++) {
+      await recordRollup(rollup("BEHIND002", votes));
+    }
+
+    const baseline = await realtime.getResultsBaseline(
+      "PRESIDENT",
+      "BEHIND002",
+      "1"
+    );
+
+    expect(baseline.event).toBe("currentData");
+    expect(baseline.payload.seq).toBe(202);
+  });
+});
+
+describe("Vote update broadcasts across nodes", () => {
+  const room = streamRoom("PRESIDENT", "RELAY001");
+  const nodes = [];
+
+  // A second websocket node in this process, sharing Redis with the first
+  const startNode = (nodeId) => {
+    const clients = [redis.duplicate(), redis.duplicate()];
+    const io = new Server();
+    io.adapter(createAdapter(...clients));
+    process.env.WS_NODE_ID = nodeId;
+    const realtime = websocketRoutes(io, global.prisma, redis);
+    delete process.env.WS_NODE_ID;
+    nodes.push({ clients, realtime });
+    return realtime;
+  };
+
+  afterEach(async () => {
+    for (const { clients, realtime } of nodes.splice(0)) {
+      await realtime.shutdown();
+      clients.forEach((client) => client.disconnect());
+    }
+  });
+
+  itWithRedis("should reach stream listeners on the other nodes", async () => {
+    const sender = startNode("test-node-a");
+    startNode("test-node-b");
+    await new Promise((resolve) => setTimeout(resolve, 200));
+    await recordRollup(rollup("RELAY001", 10));
+
+    // Both nodes share this process's listeners: one delivery is the
+    // sender's own, the other is relayed through the second node
+    const received = [];
+    const listener = (event) => received.push(event);
+    liveEvents.on(room, listener);
+    try {
+      await sender.broadcastVoteUpdate("PRESIDENT", "RELAY001", {});
+      await new Promise((resolve) => setTimeout(resolve, 200));
+    } finally {
+      liveEvents.off(room, listener);
+    }
+
+    expect(received).toEqual(["currentData", "currentData"]);
+  });
+
+  itWithRedis(
+    "should not relay updates every node delivers itself",
+    async () => {
+      const sender = startNode("test-node-a");
+      startNode("test-node-b");
+      await new Promise((resolve) => setTimeout(resolve, 200));
+      await recordRollup(rollup("RELAY001", 12));
+
+      const received = [];
+      const listener = (event) => received.push(event);
+      liveEvents.on(room, listener);
+      try {
+        await sender.broadcastVoteUpdate(
+          "PRESIDENT",
+          "RELAY001",
+          {},
+          { local: true }
+        );
+        await new Promise((resolve) => setTimeout(resolve, 200));
+      } finally {
+        liveEvents.off(room, listener);
+      }
+
+      expect(received).toHaveLength(1);
+    }
+  );
+});
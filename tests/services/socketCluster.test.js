@@ -0,0 +1,74 @@
+import redis from "../../src/services/redis.js";
+import { createSocketCluster } from "../../src/services/socketCluster.js";
+
+// Cluster-wide counts need a shared Redis, so those tests only run when it is set
+const itWithRedis = process.env.REDIS_URL ? it : it.skip;
+
+describe("Socket cluster", () => {
+  const clusters = [];
+  const join = (nodeId, stats = {}) => {
+    process.env.WS_NODE_ID = nodeId;
+    const cluster = createSocketCluster(redis, {
+      getLocalStats: () => stats,
+    });
+    delete process.env.WS_NODE_ID;
+    clusters.push(cluster);
+    return cluster;
+  };
+
+  afterEach(async () => {
+    for (const cluster of clusters.splice(0)) await cluster.stop();
+  });
+
+  describe("without Redis", () => {
+    it("should count connections per IP in memory", async () => {
+      const cluster = createSocketCluster(null);
+      clusters.push(cluster);
+
+      expect(await cluster.addConnection("198.51.100.1")).toBe(1);
+      expect(await cluster.addConnection("198.51.100.1")).toBe(2);
+      await cluster.removeConnection("198.51.100.1");
+
+      const stats = await cluster.getClusterStats();
+      expect(stats.connectionsPerIP).toEqual({ "198.51.100.1": 1 });
+      expect(stats.nodes).toHaveLength(1);
+    });
+  });
+
+  describe("with Redis", () => {
+    itWithRedis("should count an IP's connections across nodes", async () => {
+      const first = join("test-node-a");
+      const second = join("test-node-b");
+      await new Promise((resolve) => setTimeout(resolve, 50));
+
+      await first.addConnection("198.51.100.2");
+      expect(await second.addConnection("198.51.100.2")).toBe(2);
+
+      await first.removeConnection("198.51.100.2");
+      expect(await second.addConnection("198.51.100.2")).toBe(2);
+    });
+
+    itWithRedis("should merge every live node's stats", async () => {
+      const first = join("test-node-a", { totalConnections: 3 });
+      join("test-node-b", { totalConnections: 4 });
+      await new Promise((resolve) => setTimeout(resolve, 50));
+
+      const stats = await first.getClusterStats();
+      expect(stats.totalConnections).toBe(7);
+      expect(stats.nodes.map((node) => node.nodeId).sort()).toEqual([
+        "test-node-a",
+        "test-node-b",
+      ]);
+    });
+
+    itWithRedis("should drop a node's counts when it leaves", async () => {
+      const first = join("test-node-a");
+      const second = join("test-node-b");
+      await new Promise((resolve) => setTimeout(resolve, 50));
+
+      await first.addConnection("198.51.100.3");
+      await first.stop();
+      expect(await second.addConnection("198.51.100.3")).toBe(1);
+    });
+  });
+});
@@ -6,6 +6,10 @@ import path from "path";
 // Load test environment variables
 dotenv.config({ path: ".env.test" });
 
+// Route tests sign their own tokens without a login session, so the MFA
+// guard is only enforced where a test opts in
+process.env.MFA_REQUIRED_ROLES = process.env.MFA_REQUIRED_ROLES ?? "";
+
 // Load sample admin users
 const sampleUsers = JSON.parse(
   fs.readFileSync(path.join(__dirname, "sample_admin_users.json"), "utf-8")
@@ -55,12 +59,28 @@ global.testUtils = {
     });
   },
 
+  // Assign an officer to a region (and everything beneath it)
+  assignJurisdiction: async (userId, regionId) => {
+    return await global.prisma.userJurisdiction.create({
+      data: { userId, regionId },
+    });
+  },
+
   // Clean up test data
   cleanupTestData: async () => {
     await global.prisma.voteUpdate.deleteMany();
+    await global.prisma.resultAnomaly.deleteMany();
+    await global.prisma.resultSubmission.deleteMany();
     await global.prisma.vote.deleteMany();
+    await global.prisma.dispute.deleteMany();
+    await global.prisma.userJurisdiction.deleteMany();
+    await global.prisma.exportJob.deleteMany();
+    await global.prisma.apiKey.deleteMany();
+    await global.prisma.webhookSubscription.deleteMany();
     await global.prisma.certification.deleteMany();
     await global.prisma.auditLog.deleteMany();
+    await global.prisma.dataBackup.deleteMany();
+    await global.prisma.historicalResult.deleteMany();
     await global.prisma.candidate.deleteMany();
     await global.prisma.region.deleteMany();
     await global.prisma.user.deleteMany({
@@ -2,6 +2,10 @@ import { io as Client } from "socket.io-client";
 import { createServer } from "http";
 import { Server } from "socket.io";
 import jwt from "jsonwebtoken";
+import websocketRoutes from "../../src/routes/websocket.js";
+import { recordRollup } from "../../src/services/resultStream.js";
+import { getSigningPublicKey } from "../../src/services/signing.js";
+import { verifySignedPayload } from "../../src/utils/signature.js";
 
 describe("WebSocket Functionality", () => {
   let httpServer;
@@ -534,3 +538,54 @@ describe("WebSocket Functionality", () => {
     });
   });
 });
+
+describe("Results stream resume", () => {
+  let io;
+  let realtime;
+
+  const rollup = (votes) => ({
+    position: "PRESIDENT",
+    regionCode: "RESUME001",
+    totalVotes: votes,
+    results: [
+      {
+        candidateId: "resume-candidate",
+        name: "Resume Candidate",
+        party: "TEST",
+        voteCount: votes,
+        percentage: 100,
+      },
+    ],
+    computedAt: new Date().toISOString(),
+  });
+
+  beforeAll(async () => {
+    io = new Server();
+    realtime = websocketRoutes(io, global.prisma, null);
+    await recordRollup(rollup(10));
+    await recordRollup(rollup(25));
+  });
+
+  afterAll(async () => {
+    await realtime.shutdown();
+  });
+
+  it("should sign the missed deltas sent to a resuming client", async () => {
+    const baseline = await realtime.getResultsBaseline(
+      "PRESIDENT",
+      "RESUME001",
+      "1"
+    );
+
+    expect(baseline.event).toBe("voteUpdate");
+    expect(baseline.payload.updateType).toBe("resume");
+    expect(baseline.payload.deltas.map((d) => d.seq)).toEqual([2]);
+
+    const { publicKey, keyId } = getSigningPublicKey();
+    expect(baseline.payload.signature.keyId).toBe(keyId);
+    expect(verifySignedPayload(baseline.payload, publicKey)).toBe(true);
+    expect(
+      verifySignedPayload({ ...baseline.payload, seq: 3 }, publicKey)
+    ).toBe(false);
+  });
+});
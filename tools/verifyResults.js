@@ -0,0 +1,48 @@
+// Check that a saved results response or voteUpdate message is unchanged
+// since the API signed it.
+//
+//   node tools/verifyResults.js response.json https://<host>/api/results/public-key
+//   node tools/verifyResults.js response.json public-key.pem
+import fs from "fs";
+import { verifySignedPayload } from "../src/utils/signature.js";
+
+const [payloadFile, keySource] = process.argv.slice(2);
+if (!payloadFile || !keySource) {
+  console.error(
+    "Usage: node tools/verifyResults.js <payload.json> <key-url|key.pem>"
+  );
+  process.exit(2);
+}
+
+const loadPublicKey = async (source) => {
+  if (/^https?:\/\//.test(source)) {
+    const response = await fetch(source);
+    if (!response.ok)
+      throw new Error(`Key request failed: HTTP ${response.status}`);
+    return await response.json();
+  }
+  return { publicKey: fs.readFileSync(source, "utf-8") };
+};
+
+const payload = JSON.parse(fs.readFileSync(payloadFile, "utf-8"));
+const key = await loadPublicKey(keySource);
+
+if (
+  key.keyId &&
+  payload.signature?.keyId &&
+  key.keyId !== payload.signature.keyId
+) {
+  console.error(
+    `Signed with key ${payload.signature.keyId}, but the public key is ${key.keyId}`
+  );
+  process.exit(1);
+}
+
+if (verifySignedPayload(payload, key.publicKey)) {
+  console.log("Signature valid: the payload is unchanged since it was signed");
+} else {
+  console.error(
+    "Signature INVALID: the payload was altered or not signed by this key"
+  );
+  process.exit(1);
+}